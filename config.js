@@ -0,0 +1,84 @@
+// config.js - Deployment settings for the Poultry Health Dashboard
+//
+// Edit this file to point the dashboard at your Raspberry Pi. It is loaded as is, outside the
+// bundle, so a deployed dist/config.js can be edited without rebuilding. Any value can also be
+// overridden from the page URL for testing, e.g. index.html?sensorSource=http&sensorUrl=http://localhost:5000
+//
+// sensorSource and alerts set up the first house on first start. After that, houses are
+// managed in the dashboard (Add house / Edit house) and saved in the browser; use
+// Export JSON / Import JSON to copy them to another device.
+
+window.POULTRY_DASHBOARD_CONFIG = {
+  sensorSource: {
+    // 'demo' | 'http' | 'websocket' | 'mqtt'
+    type: 'demo',
+
+    // HTTP polling: GET {baseUrl}{path} every intervalMs, expecting
+    // { "temperature": 24.3, "humidity": 55.1, "ammonia": 12.0, "timestamp": 1718000000 }
+    // baseUrl: 'http://YOUR_RASPBERRY_PI_IP:5000',
+    // path: '/sensor_data',
+    // intervalMs: 5000,
+
+    // WebSocket: connects to {baseUrl}{path} and expects one JSON reading per message
+    // baseUrl: 'ws://YOUR_RASPBERRY_PI_IP:8765',
+    // path: '/sensors',
+
+    // MQTT over WebSockets: connects to the broker at baseUrl and subscribes to a JSON topic,
+    // or to one topic per metric (plain numeric payloads)
+    // baseUrl: 'ws://YOUR_RASPBERRY_PI_IP:9001',
+    // topic: 'poultry/house1/sensors',
+    // topics: { temperature: 'poultry/house1/temperature', humidity: 'poultry/house1/humidity', ammonia: 'poultry/house1/ammonia' },
+
+    // Readings older than this are shown as stale
+    staleAfterMs: 15000,
+  },
+
+  history: {
+    // Readings are stored in the browser (IndexedDB), at most one sample per interval per house
+    sampleIntervalMs: 60000,
+    // Older samples are deleted; keep this at least as long as the longest chart range (30 days)
+    retentionDays: 30,
+  },
+
+  alerts: {
+    // Date the current flock was placed; picks the default bird-age temperature profile
+    // placementDate: '2024-05-01',
+
+    // Per-metric overrides of the default warning/critical bands, duration and clear margin, e.g.
+    // rules: { ammonia: { warning: { max: 15 }, critical: { max: 25 }, durationMinutes: 10 } },
+  },
+
+  detection: {
+    // Detection endpoint of the dashboard server (server/index.js). Use a full URL when the
+    // dashboard is hosted elsewhere, e.g. GitHub Pages, and set CORS_ORIGIN on the server.
+    endpoint: 'api/detect',
+    // Inference backend settings (Detection models dialog); defaults to the endpoint's sibling, api/backends
+    // backendsEndpoint: 'api/backends',
+    // Uploads are scaled down to this longest side (px) before sending, to keep requests small
+    maxImageSize: 1280,
+    // Batch uploads: images analysed at the same time, and retries after a 429/5xx response
+    maxConcurrentRequests: 3,
+    maxRetries: 3,
+    // Upper bound on camera auto-scan API calls across all houses, to stay within the Roboflow quota
+    autoScanMaxCallsPerHour: 12,
+    // Stored detections (thumbnails, predictions, sensor readings) are deleted after this many days
+    historyRetentionDays: 180,
+  },
+
+  camera: {
+    // Clips recorded from a house camera stop after this many seconds
+    clipMaxSeconds: 30,
+    // Snapshots and clips are kept in the browser (IndexedDB) and deleted after this many days
+    recordingRetentionDays: 14,
+  },
+
+  display: {
+    // Defaults until someone picks their own on a device (header controls). Without a locale the
+    // browser's language is used when it is one of 'en' | 'es' | 'hi'.
+    // locale: 'es',
+    // 'C' | 'F'; readings are always stored in °C
+    temperatureUnit: 'C',
+    // 'dark' | 'daylight' (high contrast, for phones in bright barns)
+    theme: 'dark',
+  },
+};
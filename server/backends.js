@@ -0,0 +1,210 @@
+// server/backends.js - Inference backends registered from the dashboard's settings panel
+//
+// Besides the built-in backend from server config ('default': the Roboflow workflow or mock mode),
+// users can register Roboflow workflows, Roboflow hosted model endpoints and generic HTTP
+// endpoints (e.g. a self-hosted inference server) and pick which one /api/detect uses. They are
+// saved in server/backends.json, which is git-ignored because it holds API keys. Secrets are
+// write-only: the API reports whether one is set but never returns it, and a saved secret is only
+// reused for the same type and URL, so an edit or test cannot send it to another host.
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+
+const BACKEND_TYPES = ['roboflow-workflow', 'roboflow-model', 'http'];
+const SECRET_FIELDS = ['apiKey', 'authorization'];
+const DEFAULT_ID = 'default';
+
+// How the browser reads a backend's responses (src/detection/responseParser.js).
+// An empty predictionsPath searches the whole response, which suits Roboflow workflows.
+const DEFAULT_MAPPING = {
+  predictionsPath: '',
+  classKey: 'class',
+  confidenceKey: 'confidence',
+  healthyClasses: ['healthy'],
+  ignoredClasses: ['chicken'],
+};
+const TYPE_MAPPINGS = {
+  'roboflow-workflow': {},
+  'roboflow-model': { predictionsPath: 'predictions' },
+  http: { predictionsPath: 'predictions' },
+};
+
+/**
+ * Error thrown for an invalid backend or an unknown backend id. `status` is the HTTP status to answer with.
+ */
+class BackendConfigError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BackendConfigError';
+    this.status = status;
+  }
+}
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const toClassList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(name => String(name).trim())
+  .filter(Boolean);
+
+/**
+ * Validates a response mapping and fills in the defaults for the backend type.
+ * @param {Object} [mapping]
+ * @param {string} type
+ * @returns {Object}
+ * @throws {BackendConfigError}
+ */
+const normalizeMapping = (mapping = {}, type) => {
+  const merged = { ...DEFAULT_MAPPING, ...TYPE_MAPPINGS[type], ...mapping };
+  ['predictionsPath', 'classKey', 'confidenceKey'].forEach(field => {
+    if (typeof merged[field] !== 'string') throw new BackendConfigError(`Response mapping "${field}" must be a string.`);
+    merged[field] = merged[field].trim();
+  });
+  if (!merged.classKey || !merged.confidenceKey) throw new BackendConfigError('The response mapping needs class and confidence field names.');
+  return { ...merged, healthyClasses: toClassList(merged.healthyClasses), ignoredClasses: toClassList(merged.ignoredClasses) };
+};
+
+/**
+ * Validates a backend from the settings panel. Secret fields left empty keep the previous value
+ * as long as the type and URL are unchanged; otherwise they have to be entered again.
+ * @param {Object} input
+ * @param {?Object} [previous] - The stored backend when updating.
+ * @returns {Object} The backend to store.
+ * @throws {BackendConfigError}
+ */
+const validateBackend = (input, previous = null) => {
+  if (!input || typeof input !== 'object') throw new BackendConfigError('Expected a backend object.');
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) throw new BackendConfigError('The backend needs a name.');
+  if (!BACKEND_TYPES.includes(input.type)) {
+    throw new BackendConfigError(`Unknown backend type "${input.type}" (expected ${BACKEND_TYPES.join(', ')}).`);
+  }
+  const url = typeof input.url === 'string' ? input.url.trim() : '';
+  if (!isHttpUrl(url)) throw new BackendConfigError(`"${url}" is not an http(s) URL.`);
+  const timeoutMs = input.timeoutMs === undefined || input.timeoutMs === '' ? 30000 : Number(input.timeoutMs);
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 1000 || timeoutMs > 120000) {
+    throw new BackendConfigError('The timeout must be between 1000 and 120000 ms.');
+  }
+
+  const backend = {
+    id: (previous && previous.id) || `backend-${crypto.randomUUID().slice(0, 8)}`,
+    name,
+    type: input.type,
+    url,
+    timeoutMs,
+    imageField: input.type === 'http' ? (String(input.imageField || '').trim() || 'image') : undefined,
+    mapping: normalizeMapping(input.mapping, input.type),
+  };
+  const sameTarget = !!previous && previous.type === backend.type && previous.url === backend.url;
+  SECRET_FIELDS.forEach(field => {
+    const value = typeof input[field] === 'string' ? input[field].trim() : '';
+    backend[field] = value || (sameTarget && previous[field]) || '';
+  });
+  if (backend.type !== 'http' && !backend.apiKey) {
+    throw new BackendConfigError(previous && previous.apiKey && !sameTarget
+      ? 'Enter the API key again: saved keys are only kept while the type and URL stay the same.'
+      : 'Roboflow backends need an API key.');
+  }
+  return JSON.parse(JSON.stringify(backend)); // Drops the undefined fields
+};
+
+/**
+ * The backend as the browser sees it: secrets replaced by has* flags.
+ * @param {Object} backend
+ * @returns {Object}
+ */
+const toPublicBackend = (backend) => {
+  const visible = { ...backend };
+  SECRET_FIELDS.forEach(field => {
+    delete visible[field];
+    visible[`has${field[0].toUpperCase()}${field.slice(1)}`] = !!backend[field];
+  });
+  return visible;
+};
+
+/**
+ * Describes the built-in backend from server config, which cannot be edited or deleted.
+ * @param {Object} config - From loadServerConfig.
+ * @returns {Object}
+ */
+const describeDefaultBackend = config => ({
+  id: DEFAULT_ID,
+  name: config.inferenceMode === 'mock' ? 'Mock responses (server default)' : 'Roboflow workflow (server default)',
+  type: config.inferenceMode === 'mock' ? 'mock' : 'roboflow-workflow',
+  url: config.inferenceMode === 'mock' ? '' : config.roboflow.workflowUrl,
+  builtIn: true,
+  mapping: normalizeMapping({}, 'roboflow-workflow'), // Mock responses have the workflow's shape
+});
+
+/**
+ * Loads the registered backends from a JSON file and saves every change back to it.
+ * @param {Object} options
+ * @param {string} options.file - Usually server/backends.json.
+ * @param {Object} options.defaultBackend - From describeDefaultBackend.
+ * @returns {{list: Function, get: Function, getActive: Function, save: Function, remove: Function, activate: Function}}
+ */
+const createBackendStore = ({ file, defaultBackend }) => {
+  let state = { activeId: DEFAULT_ID, backends: [] };
+  if (fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      state = { activeId: saved.activeId || DEFAULT_ID, backends: Array.isArray(saved.backends) ? saved.backends : [] };
+    } catch (error) {
+      throw new BackendConfigError(`${file} is not valid JSON: ${error.message}`);
+    }
+  }
+  const persist = () => fs.writeFileSync(file, `${JSON.stringify(state, null, 2)}\n`, { mode: 0o600 });
+
+  const get = (id) => {
+    if (id === DEFAULT_ID) return defaultBackend;
+    const backend = state.backends.find(entry => entry.id === id);
+    if (!backend) throw new BackendConfigError(`Unknown backend "${id}".`, 404);
+    return backend;
+  };
+
+  // A deleted or hand-edited active id falls back to the built-in backend
+  const getActive = () => state.backends.find(entry => entry.id === state.activeId) || defaultBackend;
+
+  return {
+    list: () => ({ activeId: getActive().id, backends: [defaultBackend, ...state.backends] }),
+    get,
+    getActive,
+    save: (input, id = null) => {
+      if (id === DEFAULT_ID) throw new BackendConfigError('The server default backend is set in server config.', 403);
+      const previous = id ? get(id) : null;
+      const backend = validateBackend(input, previous);
+      state.backends = previous
+        ? state.backends.map(entry => (entry.id === id ? backend : entry))
+        : [...state.backends, backend];
+      persist();
+      return backend;
+    },
+    remove: (id) => {
+      if (id === DEFAULT_ID) throw new BackendConfigError('The server default backend cannot be deleted.', 403);
+      get(id);
+      state.backends = state.backends.filter(entry => entry.id !== id);
+      if (state.activeId === id) state.activeId = DEFAULT_ID;
+      persist();
+    },
+    activate: (id) => {
+      get(id);
+      state.activeId = id;
+      persist();
+    },
+  };
+};
+
+export {
+  BACKEND_TYPES,
+  DEFAULT_ID,
+  BackendConfigError,
+  validateBackend,
+  toPublicBackend,
+  describeDefaultBackend,
+  createBackendStore,
+};
@@ -0,0 +1,104 @@
+// server/config.js - Server settings from environment variables and an optional server/config.json
+//
+// The Roboflow API key only ever lives here (env or the git-ignored config file); the browser
+// talks to /api/detect and never sees it. Environment variables win over the file. Backends added
+// in the dashboard's settings panel are kept separately, in backendsFile (server/backends.js).
+
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const CONFIG_FILE = fileURLToPath(new URL('config.json', import.meta.url));
+const BACKENDS_FILE = fileURLToPath(new URL('backends.json', import.meta.url));
+const INFERENCE_MODES = ['roboflow', 'mock'];
+
+const DEFAULTS = {
+  port: 8080,
+  host: '0.0.0.0',
+  inferenceMode: null, // null: 'roboflow' when an API key is set, otherwise 'mock'
+  roboflow: {
+    apiKey: '',
+    workflowUrl: 'https://serverless.roboflow.com/infer/workflows/poultrydetection-ptwgp/detect-and-classify-2',
+    timeoutMs: 30000,
+  },
+  mock: {
+    latencyMs: 500,
+  },
+  maxImageBytes: 15 * 1024 * 1024, // Decoded image size accepted by /api/detect
+  backendsFile: BACKENDS_FILE,
+  corsOrigin: '', // Set when the dashboard is served from another origin (e.g. GitHub Pages)
+  adminToken: '', // Required to manage /api/backends, unless allowLoopbackAdmin lets the server itself in
+  allowLoopbackAdmin: false, // Only for a server that is not behind a reverse proxy on the same host
+};
+
+/**
+ * Error thrown when the server configuration is invalid.
+ */
+class ServerConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServerConfigError';
+  }
+}
+
+/**
+ * Reads the JSON config file if present.
+ * @param {string} file
+ * @returns {Object}
+ * @throws {ServerConfigError} If the file exists but is not valid JSON.
+ */
+const readConfigFile = (file) => {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ServerConfigError(`${file} is not valid JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Builds the effective server config: defaults, then the config file, then environment variables
+ * (PORT, HOST, INFERENCE_MODE, ROBOFLOW_API_KEY, ROBOFLOW_WORKFLOW_URL, CORS_ORIGIN, BACKENDS_FILE,
+ * ADMIN_TOKEN, ALLOW_LOOPBACK_ADMIN).
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env]
+ * @param {string} [options.file=CONFIG_FILE]
+ * @returns {Object}
+ * @throws {ServerConfigError} On an unknown inference mode or a missing API key in roboflow mode.
+ */
+const loadServerConfig = ({ env = process.env, file = CONFIG_FILE } = {}) => {
+  const fileConfig = readConfigFile(file);
+  const config = {
+    ...DEFAULTS,
+    ...fileConfig,
+    roboflow: { ...DEFAULTS.roboflow, ...fileConfig.roboflow },
+    mock: { ...DEFAULTS.mock, ...fileConfig.mock },
+  };
+
+  if (env.PORT) config.port = Number(env.PORT);
+  if (env.HOST) config.host = env.HOST;
+  if (env.INFERENCE_MODE) config.inferenceMode = env.INFERENCE_MODE;
+  if (env.ROBOFLOW_API_KEY) config.roboflow.apiKey = env.ROBOFLOW_API_KEY;
+  if (env.ROBOFLOW_WORKFLOW_URL) config.roboflow.workflowUrl = env.ROBOFLOW_WORKFLOW_URL;
+  if (env.CORS_ORIGIN) config.corsOrigin = env.CORS_ORIGIN;
+  if (env.BACKENDS_FILE) config.backendsFile = env.BACKENDS_FILE;
+  if (env.ADMIN_TOKEN) config.adminToken = env.ADMIN_TOKEN;
+  if (env.ALLOW_LOOPBACK_ADMIN) config.allowLoopbackAdmin = ['1', 'true', 'yes'].includes(env.ALLOW_LOOPBACK_ADMIN.toLowerCase());
+
+  if (!config.inferenceMode) config.inferenceMode = config.roboflow.apiKey ? 'roboflow' : 'mock';
+  if (!INFERENCE_MODES.includes(config.inferenceMode)) {
+    throw new ServerConfigError(`Unknown INFERENCE_MODE "${config.inferenceMode}" (expected ${INFERENCE_MODES.join(' or ')}).`);
+  }
+  if (config.inferenceMode === 'roboflow' && !config.roboflow.apiKey) {
+    throw new ServerConfigError('INFERENCE_MODE=roboflow needs ROBOFLOW_API_KEY (or roboflow.apiKey in server/config.json).');
+  }
+  if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+    throw new ServerConfigError(`Invalid port "${config.port}".`);
+  }
+  return config;
+};
+
+export {
+  INFERENCE_MODES,
+  ServerConfigError,
+  loadServerConfig,
+};
@@ -0,0 +1,322 @@
+// server/index.js - Serves the dashboard and proxies disease detection to the inference backend
+//
+//   npm start                    # live Roboflow workflow (needs ROBOFLOW_API_KEY), else mock
+//   INFERENCE_MODE=mock npm start  # canned responses, no network
+//
+// POST   /api/detect  { "image": "<base64>", "backendId"? }  ->  raw response of the active (or given) backend
+// GET    /api/health                                         ->  { ok, mode, backend, mapping }
+// GET    /api/backends                                       ->  { activeId, backends }
+// POST   /api/backends               PUT/DELETE /api/backends/:id         register, edit or remove a backend
+// POST   /api/backends/:id/activate                          ->  use it for /api/detect
+// POST   /api/backends/test  { "backend"?, "id"?, "image"? }  ->  { ok, latencyMs, response | error }
+//
+// The /api/backends routes hold API keys and make the server call arbitrary URLs, so they need
+// `Authorization: Bearer <ADMIN_TOKEN>`. ALLOW_LOOPBACK_ADMIN=1 also lets in requests from the
+// server itself, for a server that is not behind a reverse proxy: behind nginx or Caddy on the same
+// host every client connects through loopback, so forwarded requests never get the bypass.
+// /api/health reports the active backend's response mapping for every other device.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadServerConfig, ServerConfigError } from './config.js';
+import { createInferenceBackend, createBackendClient, InferenceError } from './inference.js';
+import { BackendConfigError, DEFAULT_ID, validateBackend, toPublicBackend, describeDefaultBackend, createBackendStore } from './backends.js';
+import { getSampleImageBase64 } from './sampleImage.js';
+
+// The built site (npm run build)
+const STATIC_ROOT = fileURLToPath(new URL('../dist', import.meta.url));
+
+// Only the build output is served, and only these file types
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
+  '.ico': 'image/x-icon',
+};
+
+/**
+ * Error with the HTTP status to answer with.
+ */
+class HttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Reads a request body, rejecting it once it exceeds maxBytes.
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      req.off('data', onData); // Drain the rest so the 413 can still be sent
+      req.resume();
+      reject(new HttpError('Image too large.', 413));
+      return;
+    }
+    chunks.push(chunk);
+  };
+  req.on('data', onData);
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+/**
+ * Parses a JSON request body.
+ * @param {string} text
+ * @returns {Object}
+ * @throws {HttpError} 400 if the body is not a JSON object.
+ */
+const parseJsonBody = (text) => {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new HttpError('Request body must be JSON.', 400);
+  }
+  if (!body || typeof body !== 'object') throw new HttpError('Request body must be a JSON object.', 400);
+  return body;
+};
+
+/**
+ * Strips a data: prefix from a base64 image and checks what is left.
+ * @param {*} value
+ * @returns {string} Empty when the value is not a base64 image.
+ */
+const toBase64Image = (value) => {
+  const image = typeof value === 'string' ? value.replace(/^data:[^,]*,/, '') : '';
+  return /^[A-Za-z0-9+/=\s]+$/.test(image) ? image : '';
+};
+
+/**
+ * Validates a /api/detect body.
+ * @param {string} text
+ * @returns {{image: string, backendId: ?string}} The base64 image and the backend to use (null for the active one).
+ * @throws {HttpError} 400 if the body is not `{ "image": "<base64>" }`.
+ */
+const parseDetectRequest = (text) => {
+  const body = parseJsonBody(text);
+  const image = toBase64Image(body.image);
+  if (!image) throw new HttpError('Expected { "image": "<base64 image>" }.', 400);
+  return { image, backendId: typeof body.backendId === 'string' ? body.backendId : null };
+};
+
+const FORWARDING_HEADERS = ['forwarded', 'x-forwarded-for', 'x-real-ip'];
+
+/**
+ * Whether a request comes from the machine the server runs on and was not forwarded by a proxy.
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+const isLoopbackRequest = (req) => {
+  if (FORWARDING_HEADERS.some(header => header in req.headers)) return false;
+  const address = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+  return address === '::1' || address.startsWith('127.');
+};
+
+/**
+ * Compares a request's bearer token with the admin token in constant time.
+ * @param {http.IncomingMessage} req
+ * @param {string} adminToken - Empty when none is configured, which matches nothing.
+ * @returns {boolean}
+ */
+const hasAdminToken = (req, adminToken) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!adminToken || !match) return false;
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(adminToken).digest());
+};
+
+/**
+ * Resolves a URL path to a servable file under STATIC_ROOT.
+ * @param {string} urlPath
+ * @returns {?string} Absolute path, or null if the path is not allowed.
+ */
+const resolveStaticPath = (urlPath) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (error) {
+    return null;
+  }
+  const relative = path.normalize(decoded === '/' ? '/index.html' : decoded).replace(/^[/\\]+/, '');
+  const segments = relative.split(/[/\\]/);
+  if (segments.some(segment => segment === '..' || segment.startsWith('.'))) return null;
+  if (!CONTENT_TYPES[path.extname(relative).toLowerCase()]) return null;
+  return path.join(STATIC_ROOT, relative);
+};
+
+const serveStatic = (req, res) => {
+  const filePath = resolveStaticPath(new URL(req.url, 'http://localhost').pathname);
+  if (!filePath) {
+    sendJson(res, 404, { error: 'Not found.' });
+    return;
+  }
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      sendJson(res, error.code === 'ENOENT' ? 404 : 500, { error: error.code === 'ENOENT' ? 'Not found.' : 'Could not read file.' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  });
+};
+
+/**
+ * Creates the HTTP server.
+ * @param {Object} config - From loadServerConfig.
+ * @param {Object} [backend] - Inference backend of the built-in 'default' entry; defaults to the one selected by config.
+ * @param {Object} [store] - Registered backends; defaults to config.backendsFile.
+ * @returns {http.Server}
+ */
+const createServer = (config, backend = createInferenceBackend(config), store = createBackendStore({ file: config.backendsFile, defaultBackend: describeDefaultBackend(config) })) => {
+  // Base64 is 4/3 of the image size, plus the JSON wrapper
+  const maxBodyBytes = Math.ceil(config.maxImageBytes * 4 / 3) + 1024;
+  const corsHeaders = config.corsOrigin ? {
+    'Access-Control-Allow-Origin': config.corsOrigin,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  } : {};
+
+  const clients = new WeakMap(); // Stored backend -> client; a saved edit is a new object, so it gets a new client
+  const getClient = (entry) => {
+    if (entry.id === DEFAULT_ID) return backend;
+    if (!clients.has(entry)) clients.set(entry, createBackendClient(entry));
+    return clients.get(entry);
+  };
+
+  const sendError = (res, error, fallbackMessage) => {
+    const known = error instanceof HttpError || error instanceof InferenceError || error instanceof BackendConfigError;
+    const status = known ? error.status : 500;
+    if (status === 500) console.error(`${fallbackMessage}`, error);
+    sendJson(res, status, { error: status === 500 ? fallbackMessage : error.message }, corsHeaders);
+  };
+
+  const handleDetect = async (req, res) => {
+    try {
+      const { image, backendId } = parseDetectRequest(await readBody(req, maxBodyBytes));
+      const client = getClient(backendId ? store.get(backendId) : store.getActive());
+      sendJson(res, 200, await client.detect(image), corsHeaders);
+    } catch (error) {
+      sendError(res, error, 'Detection failed.');
+    }
+  };
+
+  const listBackends = () => {
+    const { activeId, backends } = store.list();
+    return { activeId, backends: backends.map(toPublicBackend) };
+  };
+
+  // Runs one detection on a saved or draft backend without changing anything
+  const testBackend = async (body) => {
+    const stored = body.id ? store.get(body.id) : null;
+    const entry = body.backend && !(stored && stored.builtIn) ? validateBackend(body.backend, stored) : stored;
+    if (!entry) throw new HttpError('Expected { "backend": {...} } or { "id": "<backend id>" }.', 400);
+    const image = toBase64Image(body.image) || getSampleImageBase64();
+    const startedAt = Date.now();
+    try {
+      const response = await (entry.builtIn ? backend : createBackendClient(entry)).detect(image);
+      return { ok: true, latencyMs: Date.now() - startedAt, response };
+    } catch (error) {
+      if (!(error instanceof InferenceError)) throw error;
+      return { ok: false, latencyMs: Date.now() - startedAt, status: error.status, error: error.message };
+    }
+  };
+
+  const handleBackends = async (req, res, pathname) => {
+    try {
+      if (!(config.allowLoopbackAdmin && isLoopbackRequest(req)) && !hasAdminToken(req, config.adminToken)) {
+        throw new HttpError(config.adminToken
+          ? 'Managing detection backends needs the admin token.'
+          : 'Managing detection backends needs ADMIN_TOKEN set on the server.', 403);
+      }
+      const [id, action] = pathname.split('/').slice(3).map(decodeURIComponent);
+      if (!id && req.method === 'GET') {
+        sendJson(res, 200, listBackends(), corsHeaders);
+      } else if (!id && req.method === 'POST') {
+        const saved = store.save(parseJsonBody(await readBody(req, maxBodyBytes)));
+        sendJson(res, 201, toPublicBackend(saved), corsHeaders);
+      } else if (id === 'test' && !action && req.method === 'POST') {
+        sendJson(res, 200, await testBackend(parseJsonBody(await readBody(req, maxBodyBytes))), corsHeaders);
+      } else if (id && action === 'activate' && req.method === 'POST') {
+        store.activate(id);
+        sendJson(res, 200, listBackends(), corsHeaders);
+      } else if (id && !action && req.method === 'PUT') {
+        const saved = store.save(parseJsonBody(await readBody(req, maxBodyBytes)), id);
+        sendJson(res, 200, toPublicBackend(saved), corsHeaders);
+      } else if (id && !action && req.method === 'DELETE') {
+        store.remove(id);
+        sendJson(res, 200, listBackends(), corsHeaders);
+      } else {
+        sendJson(res, 404, { error: 'Unknown API route.' }, corsHeaders);
+      }
+    } catch (error) {
+      sendError(res, error, 'Backend request failed.');
+    }
+  };
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname.startsWith('/api/')) {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        res.end();
+      } else if (pathname === '/api/detect' && req.method === 'POST') {
+        handleDetect(req, res);
+      } else if (pathname === '/api/health' && req.method === 'GET') {
+        const active = store.getActive();
+        sendJson(res, 200, { ok: true, mode: getClient(active).mode, backend: active.name, mapping: active.mapping }, corsHeaders);
+      } else if (pathname === '/api/backends' || pathname.startsWith('/api/backends/')) {
+        handleBackends(req, res, pathname);
+      } else {
+        sendJson(res, 404, { error: 'Unknown API route.' }, corsHeaders);
+      }
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      serveStatic(req, res);
+    } else {
+      sendJson(res, 405, { error: 'Method not allowed.' });
+    }
+  });
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  let config;
+  try {
+    config = loadServerConfig();
+  } catch (error) {
+    if (!(error instanceof ServerConfigError || error instanceof BackendConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+  }
+  createServer(config).listen(config.port, config.host, () => {
+    console.log(`Poultry Health Dashboard on http://localhost:${config.port} (inference: ${config.inferenceMode})`);
+    if (config.inferenceMode === 'mock') console.log('Mock inference: /api/detect returns canned responses. Set ROBOFLOW_API_KEY for live detection.');
+  });
+}
+
+export {
+  createServer,
+  parseDetectRequest,
+  resolveStaticPath,
+};
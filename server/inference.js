@@ -0,0 +1,147 @@
+// server/inference.js - Inference backends behind /api/detect
+//
+// Every backend takes a base64 image and resolves with the raw response; parsing stays in the
+// browser (src/detection/responseParser.js, with each backend's response mapping) so mock and
+// live results go through the same code.
+
+import { buildMockResponse } from './mockResponses.js';
+
+/**
+ * Error thrown when inference fails. `status` is the HTTP status /api/detect should answer with.
+ */
+class InferenceError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'InferenceError';
+    this.status = status;
+  }
+}
+
+/**
+ * Maps an upstream status to ours: rate limits and bad images are passed through so the
+ * browser can retry or report them; anything else (auth, upstream outage) is a bad gateway.
+ * @param {number} status
+ * @returns {number}
+ */
+const mapUpstreamStatus = status => ([400, 413, 422, 429].includes(status) ? status : 502);
+
+/**
+ * POSTs to an inference service and returns its JSON, turning network errors, timeouts and
+ * error statuses into InferenceErrors.
+ * @param {string} label - Service name for logs, e.g. "Roboflow workflow".
+ * @param {string} url
+ * @param {{headers: Object, body: string}} request
+ * @param {number} timeoutMs
+ * @returns {Promise<Object>}
+ */
+const postToService = async (label, url, { headers, body }, timeoutMs) => {
+  let response;
+  try {
+    response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    throw new InferenceError(timedOut ? 'The inference service timed out.' : `Could not reach the inference service: ${error.message}`, timedOut ? 504 : 502);
+  }
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    console.error(`${label} error ${response.status}: ${text.slice(0, 500)}`);
+    throw new InferenceError(`Inference service error: ${response.status} ${response.statusText}`, mapUpstreamStatus(response.status));
+  }
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new InferenceError('The inference service did not answer with JSON.');
+  }
+};
+
+/**
+ * Forwards images to the hosted Roboflow workflow with the server-side API key.
+ * @param {{apiKey: string, workflowUrl: string, timeoutMs: number}} options
+ * @returns {{mode: string, detect: function(string): Promise<Object>}}
+ */
+const createRoboflowBackend = ({ apiKey, workflowUrl, timeoutMs }) => ({
+  mode: 'roboflow',
+  detect: base64Image => postToService('Roboflow workflow', workflowUrl, {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      api_key: apiKey,
+      inputs: { image: { type: 'base64', value: base64Image } },
+    }),
+  }, timeoutMs),
+});
+
+/**
+ * Forwards images to a Roboflow hosted model endpoint, e.g. https://detect.roboflow.com/<model>/<version>,
+ * which takes the base64 image as the raw body and the API key as a query parameter.
+ * @param {{apiKey: string, modelUrl: string, timeoutMs: number}} options
+ * @returns {{mode: string, detect: function(string): Promise<Object>}}
+ */
+const createRoboflowModelBackend = ({ apiKey, modelUrl, timeoutMs }) => {
+  const url = new URL(modelUrl);
+  url.searchParams.set('api_key', apiKey);
+  return {
+    mode: 'roboflow-model',
+    detect: base64Image => postToService('Roboflow model', url.href, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: base64Image,
+    }, timeoutMs),
+  };
+};
+
+/**
+ * Forwards images to a generic HTTP endpoint such as a self-hosted inference server, as
+ * `{ "<imageField>": "<base64>" }` with an optional Authorization header.
+ * @param {{url: string, imageField: string, authorization: string, timeoutMs: number}} options
+ * @returns {{mode: string, detect: function(string): Promise<Object>}}
+ */
+const createHttpBackend = ({ url, imageField, authorization, timeoutMs }) => ({
+  mode: 'http',
+  detect: base64Image => postToService('HTTP inference endpoint', url, {
+    headers: { 'Content-Type': 'application/json', ...(authorization ? { Authorization: authorization } : {}) },
+    body: JSON.stringify({ [imageField]: base64Image }),
+  }, timeoutMs),
+});
+
+/**
+ * Returns canned workflow responses after a short delay, with no network access.
+ * @param {{latencyMs: number}} options
+ * @returns {{mode: string, detect: function(string): Promise<Object>}}
+ */
+const createMockBackend = ({ latencyMs }) => ({
+  mode: 'mock',
+  detect: (base64Image) => new Promise(resolve => {
+    const response = buildMockResponse(Buffer.from(base64Image, 'base64'));
+    setTimeout(() => resolve(response), latencyMs);
+  }),
+});
+
+/**
+ * Creates the backend selected by config.inferenceMode.
+ * @param {Object} config - From loadServerConfig.
+ * @returns {{mode: string, detect: function(string): Promise<Object>}}
+ */
+const createInferenceBackend = config => (
+  config.inferenceMode === 'mock' ? createMockBackend(config.mock) : createRoboflowBackend(config.roboflow)
+);
+
+/**
+ * Creates the client for a backend registered in the settings panel (server/backends.js).
+ * @param {Object} backend - A stored backend.
+ * @returns {{mode: string, detect: function(string): Promise<Object>}}
+ */
+const createBackendClient = (backend) => {
+  const { type, url, apiKey, authorization, imageField, timeoutMs } = backend;
+  if (type === 'roboflow-workflow') return createRoboflowBackend({ apiKey, workflowUrl: url, timeoutMs });
+  if (type === 'roboflow-model') return createRoboflowModelBackend({ apiKey, modelUrl: url, timeoutMs });
+  return createHttpBackend({ url, imageField, authorization, timeoutMs });
+};
+
+export {
+  InferenceError,
+  createRoboflowBackend,
+  createRoboflowModelBackend,
+  createHttpBackend,
+  createMockBackend,
+  createInferenceBackend,
+  createBackendClient,
+};
@@ -0,0 +1,129 @@
+// server/mockResponses.js - Canned workflow responses for offline development (INFERENCE_MODE=mock)
+//
+// Responses have the same shape as the detect-and-classify workflow: a bird detector's boxes plus
+// one crop classification per box (parent_id -> detection_id). The scenario is picked from the
+// image bytes, so the same image always gets the same result.
+
+import crypto from 'node:crypto';
+
+const DEFAULT_SIZE = { width: 640, height: 480 };
+
+// Birds as fractions of the image: [centerX, centerY, width, height, class, confidence]
+const SCENARIOS = [
+  {
+    name: 'healthy flock',
+    birds: [
+      [0.22, 0.35, 0.18, 0.26, 'Healthy', 0.94],
+      [0.50, 0.42, 0.20, 0.28, 'Healthy', 0.91],
+      [0.78, 0.38, 0.17, 0.25, 'Healthy', 0.88],
+      [0.40, 0.75, 0.19, 0.27, 'Healthy', 0.79],
+    ],
+  },
+  {
+    name: 'coccidiosis case',
+    birds: [
+      [0.25, 0.45, 0.22, 0.30, 'Healthy', 0.90],
+      [0.55, 0.50, 0.21, 0.29, 'Coccidiosis', 0.83],
+      [0.80, 0.55, 0.18, 0.26, 'Healthy', 0.72],
+    ],
+  },
+  {
+    name: 'mixed diseases',
+    birds: [
+      [0.20, 0.30, 0.16, 0.22, 'Salmonella', 0.67],
+      [0.45, 0.60, 0.20, 0.28, 'Healthy', 0.86],
+      [0.70, 0.35, 0.18, 0.24, 'New Castle Disease', 0.58],
+      [0.85, 0.75, 0.15, 0.22, 'Healthy', 0.35],
+    ],
+  },
+  {
+    name: 'no birds',
+    birds: [],
+  },
+];
+
+const CLASSES = ['Coccidiosis', 'Healthy', 'New Castle Disease', 'Salmonella'];
+
+/**
+ * Reads the pixel size from a PNG, GIF or JPEG header.
+ * @param {Buffer} buffer
+ * @returns {?{width: number, height: number}} Null for other formats or a truncated header.
+ */
+const readImageSize = (buffer) => {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      // SOF0-SOF15 carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but do not
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds a workflow-shaped response for an image.
+ * @param {Buffer} image - Decoded image bytes.
+ * @returns {Object} `{ outputs: [{ model_predictions, classification_predictions }] }`
+ */
+const buildMockResponse = (image) => {
+  const digest = crypto.createHash('sha1').update(image).digest();
+  const scenario = SCENARIOS[digest[0] % SCENARIOS.length];
+  const size = readImageSize(image) || DEFAULT_SIZE;
+  const inferenceId = `mock-${digest.toString('hex').slice(0, 12)}`;
+
+  const detections = scenario.birds.map(([cx, cy, w, h], index) => ({
+    x: Math.round(cx * size.width),
+    y: Math.round(cy * size.height),
+    width: Math.round(w * size.width),
+    height: Math.round(h * size.height),
+    confidence: 0.97 - index * 0.03,
+    class: 'chicken',
+    class_id: 0,
+    detection_id: `${inferenceId}-det-${index}`,
+  }));
+
+  const classifications = scenario.birds.map(([, , , , top, confidence], index) => {
+    // Spread the remaining probability over the other classes
+    const rest = (1 - confidence) / (CLASSES.length - 1);
+    const predictions = CLASSES
+      .map((className, classId) => ({ class: className, class_id: classId, confidence: className === top ? confidence : rest }))
+      .sort((a, b) => b.confidence - a.confidence);
+    return {
+      inference_id: `${inferenceId}-cls-${index}`,
+      image: { width: detections[index].width, height: detections[index].height },
+      predictions,
+      top,
+      confidence,
+      parent_id: detections[index].detection_id,
+      prediction_type: 'classification',
+    };
+  });
+
+  return {
+    outputs: [{
+      model_predictions: {
+        inference_id: inferenceId,
+        image: size,
+        predictions: detections,
+      },
+      classification_predictions: classifications,
+    }],
+  };
+};
+
+export {
+  SCENARIOS,
+  readImageSize,
+  buildMockResponse,
+};
@@ -0,0 +1,79 @@
+// server/sampleImage.js - A generated test image for "Test connection" in the backend settings
+//
+// A small PNG of light ovals on a litter-brown floor, drawn here so no binary fixture has to be
+// kept in the repo. Models will not find disease in it; the test checks that the backend answers
+// and that its response mapping finds the predictions array.
+
+import zlib from 'node:zlib';
+
+const WIDTH = 320;
+const HEIGHT = 240;
+// Ovals as [centerX, centerY, radiusX, radiusY]
+const BIRDS = [[80, 90, 42, 30], [190, 110, 46, 32], [120, 180, 40, 28], [250, 185, 38, 27]];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Builds the sample PNG.
+ * @returns {Buffer}
+ */
+const buildSampleImage = () => {
+  const rows = Buffer.alloc(HEIGHT * (1 + WIDTH * 3));
+  for (let y = 0; y < HEIGHT; y++) {
+    const offset = y * (1 + WIDTH * 3); // Each row starts with filter type 0
+    for (let x = 0; x < WIDTH; x++) {
+      const inBird = BIRDS.some(([cx, cy, rx, ry]) => ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1);
+      const shade = (x + y) % 7;
+      const [r, g, b] = inBird ? [235 - shade, 230 - shade, 220 - shade] : [120 + shade, 90 + shade, 60];
+      rows.writeUInt8(r, offset + 1 + x * 3);
+      rows.writeUInt8(g, offset + 2 + x * 3);
+      rows.writeUInt8(b, offset + 3 + x * 3);
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(WIDTH, 0);
+  header.writeUInt32BE(HEIGHT, 4);
+  header.writeUInt8(8, 8); // Bit depth
+  header.writeUInt8(2, 9); // Truecolor RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+let cached = null;
+
+/**
+ * The sample image as base64, as /api/detect receives images.
+ * @returns {string}
+ */
+const getSampleImageBase64 = () => {
+  if (!cached) cached = buildSampleImage().toString('base64');
+  return cached;
+};
+
+export {
+  buildSampleImage,
+  getSampleImageBase64,
+};
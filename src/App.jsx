@@ -0,0 +1,271 @@
+// src/App.jsx - Poultry Health Dashboard: house overview, single-house page, house editor and reports
+
+import React, { useState, useEffect, useRef } from 'react';
+import { ArrowLeft, Pencil, Maximize, Minimize, CloudOff, LayoutGrid, SlidersHorizontal, FileText, Sun, Moon, Monitor } from 'lucide-react';
+import { LOCALES } from './i18n/i18n.js';
+import { useHouses } from './hooks/useHouses.js';
+import { useDisplaySettings } from './hooks/useDisplaySettings.js';
+import { I18nContext } from './hooks/useI18n.js';
+import { useNotificationPermission } from './hooks/useNotificationPermission.js';
+import { useOnlineStatus } from './hooks/useOnlineStatus.js';
+import { useInferenceBackends } from './hooks/useInferenceBackends.js';
+import { HouseMonitor } from './hooks/useHouseMonitor.js';
+import { ResponseMappingContext } from './hooks/useResponseMapping.js';
+import { HouseTile } from './components/HouseTile.jsx';
+import { HouseToolbar } from './components/HouseToolbar.jsx';
+import { HouseEditor } from './components/HouseEditor.jsx';
+import { HouseDashboardView } from './components/HouseDashboardView.jsx';
+import { CameraGrid } from './components/CameraGrid.jsx';
+import { InferenceSettings } from './components/InferenceSettings.jsx';
+import { ReportDialog } from './components/ReportDialog.jsx';
+
+const headerButtonClass = 'p-2 rounded-full bg-gray-700 hover:bg-gray-600 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-400';
+
+// Main App component for the Poultry Health Dashboard
+export const App = () => {
+  // Language, temperature unit and theme chosen on this device
+  const display = useDisplaySettings();
+  const { t, tParts } = display.i18n;
+
+  // Houses and which one is open (null shows the overview grid of all houses)
+  const { houses, addHouse, updateHouse, removeHouse, replaceHouses } = useHouses();
+  const [selectedHouseId, setSelectedHouseId] = useState(null);
+  const [editingHouse, setEditingHouse] = useState(null); // House being edited, {} for a new house
+  const notifications = useNotificationPermission(); // Shared by every house's alert panel
+  const online = useOnlineStatus();
+  const inference = useInferenceBackends(); // Loads the active backend's response mapping for every house
+  const [showInferenceSettings, setShowInferenceSettings] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const selectedHouse = houses.find(house => house.id === selectedHouseId);
+
+  // State for Fullscreen
+  const appRef = useRef(null); // Reference to the main app div for fullscreen
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const [wallDisplay, setWallDisplay] = useState(false); // Large type for a screen on the barn wall; ends with fullscreen
+  const [showCameraGrid, setShowCameraGrid] = useState(false); // Fullscreen wall of all house cameras
+
+  // Toggle fullscreen mode
+  const toggleFullscreen = () => {
+    if (appRef.current) {
+      if (!document.fullscreenElement) {
+        // If not in fullscreen, request fullscreen
+        appRef.current.requestFullscreen().then(() => setIsFullscreen(true)).catch(err => {
+          console.error(`Error attempting to enable full-screen mode: ${err.message} (${err.name}). This is often disallowed by browser security policies, especially when running in an embedded environment (like Canvas) or without direct user interaction. Try manually using F11 (or browser's full-screen option) or deploy the app to a live server.`);
+          // Removed setErrorMessage here to prevent displaying on UI, as it's a console-only message now.
+        });
+      } else {
+        // If in fullscreen, exit fullscreen
+        document.exitFullscreen().then(() => setIsFullscreen(false)).catch(err => {
+          console.error(`Error attempting to exit full-screen mode: ${err.message} (${err.name})`);
+          // Removed setErrorMessage here to prevent displaying on UI
+        });
+      }
+    }
+  };
+
+  // Wall display: fullscreen plus larger type. It still turns on where fullscreen is not allowed.
+  const toggleWallDisplay = () => {
+    if (!wallDisplay && !document.fullscreenElement) toggleFullscreen();
+    if (wallDisplay && document.fullscreenElement) toggleFullscreen();
+    setWallDisplay(!wallDisplay);
+  };
+
+  // Every size is in rem, so scaling the root font size enlarges the whole dashboard
+  useEffect(() => {
+    document.documentElement.classList.toggle('wall-display', wallDisplay);
+  }, [wallDisplay]);
+
+  // Listen for fullscreen change events (e.g., user presses F11 or Esc)
+  useEffect(() => {
+    const handleFullscreenChange = () => {
+      setIsFullscreen(!!document.fullscreenElement);
+      if (!document.fullscreenElement) setWallDisplay(false);
+    };
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => {
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    };
+  }, []);
+
+  /**
+   * Saves a house from the editor, adding it if it is new.
+   * @param {Object} house - The validated house from HouseEditor.
+   * @returns {void}
+   */
+  const handleSaveHouse = (house) => {
+    if (houses.some(existing => existing.id === house.id)) {
+      updateHouse(house.id, house);
+    } else {
+      addHouse(house);
+    }
+    setEditingHouse(null);
+  };
+
+  /**
+   * Deletes a house after confirmation and returns to the overview if it was open.
+   * @param {Object} house - The house to delete.
+   * @returns {void}
+   */
+  const handleDeleteHouse = (house) => {
+    if (!window.confirm(t('app.deleteConfirm', { name: house.name }))) return;
+    removeHouse(house.id);
+    setEditingHouse(null);
+    if (selectedHouseId === house.id) setSelectedHouseId(null);
+  };
+
+  const themeToggle = display.settings.theme === 'daylight'
+    ? { theme: 'dark', label: t('display.dark'), Icon: Moon }
+    : { theme: 'daylight', label: t('display.daylight'), Icon: Sun };
+  const otherUnit = display.settings.temperatureUnit === 'F' ? 'C' : 'F';
+  const inferenceLabel = inference.active ? t('app.detectionModelsActive', { name: inference.active.name }) : t('app.detectionModels');
+
+  // Render function for the App component
+  return (
+    <I18nContext.Provider value={display.i18n}>
+      <ResponseMappingContext.Provider value={inference.mapping}>
+        <div ref={appRef} className="min-h-screen print:hidden bg-gradient-to-br from-purple-900 to-gray-900 font-inter text-gray-200 antialiased"> {/* Main background is deep purple to dark gray gradient */}
+          <a href="#main-content" className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:left-2 focus:z-50 bg-blue-600 text-white font-semibold px-4 py-2 rounded-lg">
+            {t('app.skipToContent')}
+          </a>
+
+          {/* Header */}
+          <header className="bg-gradient-to-r from-blue-900 to-gray-900 shadow-2xl pt-4 pb-8 px-4 md:px-8 text-white relative"> {/* Header is dark blue to dark gray gradient */}
+            {/* Display settings and full-screen views */}
+            <div className="flex flex-wrap items-center justify-center md:justify-end gap-2 mb-4">
+              <select
+                value={display.settings.locale}
+                onChange={event => display.update({ locale: event.target.value })}
+                className="bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-full px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                aria-label={t('display.language')}
+                title={t('display.language')}
+              >
+                {LOCALES.map(locale => <option key={locale.id} value={locale.id} lang={locale.id}>{locale.label}</option>)}
+              </select>
+              <button
+                onClick={() => display.update({ temperatureUnit: otherUnit })}
+                className={`${headerButtonClass} w-10 font-bold text-gray-300`}
+                title={t('display.temperatureUnit', { unit: `°${otherUnit}` })}
+                aria-label={t('display.temperatureUnit', { unit: `°${otherUnit}` })}
+              >
+                °{display.settings.temperatureUnit}
+              </button>
+              <button onClick={() => display.update({ theme: themeToggle.theme })} className={headerButtonClass} title={themeToggle.label} aria-label={themeToggle.label}>
+                <themeToggle.Icon size={24} className="text-gray-300" aria-hidden="true" />
+              </button>
+              <button
+                onClick={toggleWallDisplay}
+                className={headerButtonClass}
+                title={t(wallDisplay ? 'app.exitWallDisplay' : 'app.wallDisplay')}
+                aria-label={t('app.wallDisplay')}
+                aria-pressed={wallDisplay}
+              >
+                <Monitor size={24} className="text-gray-300" aria-hidden="true" />
+              </button>
+              <button onClick={() => setShowInferenceSettings(true)} className={headerButtonClass} title={inferenceLabel} aria-label={inferenceLabel}>
+                <SlidersHorizontal size={24} className="text-gray-300" aria-hidden="true" />
+              </button>
+              <button onClick={() => setShowCameraGrid(true)} className={headerButtonClass} title={t('app.cameraWall')} aria-label={t('app.cameraWall')}>
+                <LayoutGrid size={24} className="text-gray-300" aria-hidden="true" />
+              </button>
+              {/* Fullscreen Toggle Button */}
+              <button
+                onClick={toggleFullscreen}
+                className={headerButtonClass}
+                title={t(isFullscreen ? 'app.exitFullscreen' : 'app.enterFullscreen')}
+                aria-label={t(isFullscreen ? 'app.exitFullscreen' : 'app.enterFullscreen')}
+              >
+                {isFullscreen ? <Minimize size={24} className="text-gray-300" aria-hidden="true" /> : <Maximize size={24} className="text-gray-300" aria-hidden="true" />}
+              </button>
+            </div>
+            <h1 className="text-4xl md:text-5xl font-extrabold text-center tracking-tight drop-shadow-lg">
+              <span className="text-gradient">{t('app.title')}</span> <span role="img" aria-hidden="true">🐔</span> {/* Applied text gradient */}
+            </h1>
+            {!wallDisplay && <p className="text-center text-gray-400 mt-3 text-lg md:text-xl font-light">{t('app.tagline')}</p>}
+          </header>
+          {!online && (
+            <div className="bg-yellow-900 border-b border-yellow-700 text-yellow-100 text-sm py-2 px-4 flex items-center justify-center" role="status">
+              <CloudOff size={16} className="mr-2" aria-hidden="true" /> {t('app.offline')}
+            </div>
+          )}
+          <main id="main-content" tabIndex={-1} className="w-full px-4 md:px-8 lg:px-12 py-4 md:py-8 lg:py-12 focus:outline-none"> {/* Adjusted for full width and padding */}
+            {selectedHouse ? (
+              /* House page toolbar */
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+                <button onClick={() => setSelectedHouseId(null)} className="py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold flex items-center transition-colors">
+                  <ArrowLeft size={18} className="mr-2" aria-hidden="true" /> {t('app.allHouses')}
+                </button>
+                <h2 className="text-3xl font-bold text-gray-100">{selectedHouse.name}</h2>
+                <div className="flex flex-wrap gap-3">
+                  <button onClick={() => setShowReport(true)} className="py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold flex items-center transition-colors">
+                    <FileText size={18} className="mr-2" aria-hidden="true" /> {t('app.report')}
+                  </button>
+                  <button onClick={() => setEditingHouse(selectedHouse)} className="py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold flex items-center transition-colors">
+                    <Pencil size={18} className="mr-2" aria-hidden="true" /> {t('app.editHouse')}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              /* Overview toolbar: add, export and import houses */
+              <HouseToolbar houses={houses} onAdd={() => setEditingHouse({})} onReport={() => setShowReport(true)} onImport={replaceHouses} />
+            )}
+
+            {/* Every house keeps monitoring (sensors, history, alerts) whichever view is shown */}
+            <div className={selectedHouse ? '' : 'grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-8'}>
+              {houses.map(house => (
+                <HouseMonitor key={house.id} house={house}>
+                  {monitor => {
+                    if (!selectedHouse) {
+                      return (
+                        <HouseTile
+                          house={house}
+                          monitor={monitor}
+                          lastDetection={monitor.detections[0]}
+                          onOpen={() => setSelectedHouseId(house.id)}
+                          onEdit={() => setEditingHouse(house)}
+                        />
+                      );
+                    }
+                    if (house.id !== selectedHouse.id) return null;
+                    return (
+                      <HouseDashboardView
+                        house={house}
+                        monitor={monitor}
+                        onUpdateHouse={changes => updateHouse(house.id, changes)}
+                        notifications={notifications}
+                      />
+                    );
+                  }}
+                </HouseMonitor>
+              ))}
+            </div>
+
+            {!wallDisplay && (
+              <footer className="text-center text-gray-400 text-sm mt-12 py-6 border-t border-gray-700">
+                <p>{t('app.footer.rights', { year: String(new Date().getFullYear()) })}</p>
+                <p className="mt-1">
+                  {tParts('app.footer.builtWith', {
+                    react: <a key="react" href="https://react.dev/" target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">React</a>,
+                    tailwind: <a key="tailwind" href="https://tailwindcss.com/" target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">Tailwind CSS</a>,
+                  })}
+                </p>
+                <p className="mt-1">{t('app.footer.backend')}</p>
+              </footer>
+            )}
+          </main>
+          {/* Add/Edit House dialog */}
+          {editingHouse && (
+            <HouseEditor
+              house={editingHouse.id ? editingHouse : null}
+              onSave={handleSaveHouse}
+              onDelete={editingHouse.id && houses.length > 1 ? () => handleDeleteHouse(editingHouse) : null}
+              onCancel={() => setEditingHouse(null)}
+            />
+          )}
+          {showCameraGrid && <CameraGrid houses={houses} onClose={() => setShowCameraGrid(false)} />}
+          {showInferenceSettings && <InferenceSettings inference={inference} onClose={() => setShowInferenceSettings(false)} />}
+          {showReport && <ReportDialog houses={houses} initialHouseId={selectedHouseId} onClose={() => setShowReport(false)} />}
+        </div>
+      </ResponseMappingContext.Provider>
+    </I18nContext.Provider>
+  );
+};
@@ -0,0 +1,253 @@
+// src/alerts/alertRules.js - Threshold alerting engine for the Poultry Health Dashboard
+//
+// Each metric has a rule with warning and critical bands ({ min, max }), a duration
+// condition ("outside the band for N minutes") and a clear margin so alerts don't flap
+// around the limit. Temperature targets follow the bird-age profile. Alerts move through
+// active -> acknowledged -> resolved. Everything here is pure; useAlertEngine persists the
+// state in localStorage per house and raises notifications.
+
+export const METRIC_LABELS = {
+  temperature: { label: 'Temperature', unit: '°C' },
+  humidity: { label: 'Humidity', unit: '%' },
+  ammonia: { label: 'Ammonia', unit: ' ppm' },
+};
+
+// Brooding chicks need ~32°C; the target drops each week until grown birds at ~21°C.
+export const AGE_PROFILES = [
+  { id: 'brooding', label: 'Brooding (days 0–7)', maxAgeDays: 7, targetTemperature: 32 },
+  { id: 'week2', label: 'Week 2 (days 8–14)', maxAgeDays: 14, targetTemperature: 29 },
+  { id: 'week3', label: 'Week 3 (days 15–21)', maxAgeDays: 21, targetTemperature: 27 },
+  { id: 'week4', label: 'Week 4 (days 22–28)', maxAgeDays: 28, targetTemperature: 24 },
+  { id: 'grower', label: 'Grower (day 29+)', maxAgeDays: Infinity, targetTemperature: 21 },
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+const MAX_RESOLVED_ALERTS = 50;
+
+/**
+ * Picks the age profile for a flock's age.
+ * @param {number} ageDays - Days since placement.
+ * @returns {Object} An entry of AGE_PROFILES.
+ */
+export const getProfileForAge = (ageDays) => AGE_PROFILES.find(profile => ageDays <= profile.maxAgeDays);
+
+/**
+ * Picks the age profile for a placement date.
+ * @param {?string} placementDate - ISO date the flock was placed, e.g. "2024-05-01".
+ * @param {number} [now=Date.now()]
+ * @returns {string} Profile id; 'grower' when the date is unknown.
+ */
+export const getProfileIdForPlacement = (placementDate, now = Date.now()) => {
+  const placed = Date.parse(placementDate);
+  if (Number.isNaN(placed)) return 'grower';
+  return getProfileForAge(Math.max(0, Math.floor((now - placed) / DAY))).id;
+};
+
+/**
+ * Resolves a house's profile setting, where 'auto' follows the flock's placement date.
+ * @param {string} profileId - 'auto' or an AGE_PROFILES id.
+ * @param {?string} placementDate
+ * @returns {string} An AGE_PROFILES id.
+ */
+export const resolveProfileId = (profileId, placementDate) => (
+  !profileId || profileId === 'auto' ? getProfileIdForPlacement(placementDate) : profileId
+);
+
+/**
+ * Builds the alert rules for an age profile, with optional per-metric overrides from config.
+ * @param {string} profileId - An AGE_PROFILES id.
+ * @param {Object} [overrides] - e.g. { ammonia: { critical: { max: 20 }, durationMinutes: 5 } }.
+ * @returns {Object<string, {warning: Object, critical: Object, durationMinutes: number, clearMargin: number}>}
+ */
+export const buildRules = (profileId, overrides = {}) => {
+  const profile = AGE_PROFILES.find(p => p.id === profileId) || AGE_PROFILES[AGE_PROFILES.length - 1];
+  const target = profile.targetTemperature;
+  const defaults = {
+    temperature: { warning: { min: target - 2, max: target + 3 }, critical: { min: target - 4, max: target + 6 }, durationMinutes: 10, clearMargin: 0.5 },
+    humidity: { warning: { min: 50, max: 70 }, critical: { min: 40, max: 80 }, durationMinutes: 30, clearMargin: 2 },
+    ammonia: { warning: { max: 20 }, critical: { max: 25 }, durationMinutes: 15, clearMargin: 2 },
+  };
+  const rules = {};
+  Object.keys(defaults).forEach(metric => {
+    const override = overrides[metric] || {};
+    rules[metric] = {
+      ...defaults[metric],
+      ...override,
+      warning: { ...defaults[metric].warning, ...override.warning },
+      critical: { ...defaults[metric].critical, ...override.critical },
+    };
+  });
+  return rules;
+};
+
+/**
+ * Checks whether a value is outside a band, optionally shrinking the band by a margin.
+ * @param {number} value
+ * @param {{min?: number, max?: number}} band
+ * @param {number} [margin=0] - Positive margin narrows the band (used when clearing alerts).
+ * @returns {boolean}
+ */
+const isOutside = (value, band, margin = 0) => (
+  (typeof band.min === 'number' && value < band.min + margin) ||
+  (typeof band.max === 'number' && value > band.max - margin)
+);
+
+/**
+ * How far a value lies outside a band (0 when inside), used to track an alert's worst value.
+ * @param {number} value
+ * @param {{min?: number, max?: number}} band
+ * @returns {number}
+ */
+const excess = (value, band) => Math.max(
+  0,
+  typeof band.min === 'number' ? band.min - value : 0,
+  typeof band.max === 'number' ? value - band.max : 0,
+);
+
+/**
+ * Classifies a value against a rule.
+ * @param {number} value
+ * @param {Object} rule
+ * @param {number} [margin=0]
+ * @returns {?('warning'|'critical')}
+ */
+export const classify = (value, rule, margin = 0) => {
+  if (isOutside(value, rule.critical, margin)) return 'critical';
+  if (isOutside(value, rule.warning, margin)) return 'warning';
+  return null;
+};
+
+/**
+ * The limit of a band a value broke. Stored on alerts so the dashboard can word them in any
+ * language and temperature unit.
+ * @param {number} value
+ * @param {{min?: number, max?: number}} band
+ * @returns {{direction: 'above'|'below', value: number}}
+ */
+export const getBrokenLimit = (value, band) => (
+  typeof band.max === 'number' && value > band.max ? { direction: 'above', value: band.max } : { direction: 'below', value: band.min }
+);
+
+/**
+ * Describes the band a value broke, e.g. "above 25 ppm".
+ * @param {number} value
+ * @param {{min?: number, max?: number}} band
+ * @param {string} unit
+ * @returns {string}
+ */
+const describeLimit = (value, band, unit) => {
+  const limit = getBrokenLimit(value, band);
+  return `${limit.direction} ${limit.value}${unit}`;
+};
+
+export const createEmptyState = () => ({ pending: {}, alerts: [] });
+
+/**
+ * Evaluates one reading against the rules. Pure: returns the next state plus events to notify about.
+ * A metric must stay outside a band for the rule's duration before it raises (or escalates) an alert,
+ * and must come back inside the warning band by clearMargin before the alert resolves.
+ * @param {{pending: Object, alerts: Array}} state - Previous engine state.
+ * @param {Object} reading - Validated reading with a timestamp.
+ * @param {Object} rules - Output of buildRules.
+ * @returns {{state: Object, events: Array<{type: 'raised'|'escalated', alert: Object}>}}
+ */
+export const evaluateAlerts = (state, reading, rules) => {
+  const now = reading.timestamp;
+  const pending = { ...state.pending };
+  let alerts = state.alerts.slice();
+  const events = [];
+
+  Object.keys(rules).forEach(metric => {
+    const value = reading[metric];
+    if (typeof value !== 'number') return;
+    const rule = rules[metric];
+    const { label, unit } = METRIC_LABELS[metric];
+    const openIndex = alerts.findIndex(alert => alert.metric === metric && alert.status !== 'resolved');
+    const open = openIndex >= 0 ? alerts[openIndex] : null;
+    const severity = classify(value, rule);
+
+    // Track since when the metric has been outside each band
+    const previous = pending[metric] || {};
+    pending[metric] = {
+      warningSince: severity ? (previous.warningSince != null ? previous.warningSince : now) : null,
+      criticalSince: severity === 'critical' ? (previous.criticalSince != null ? previous.criticalSince : now) : null,
+    };
+    const durationMs = rule.durationMinutes * 60 * 1000;
+    const sustained = ['critical', 'warning'].find(level => {
+      const since = pending[metric][`${level}Since`];
+      return since !== null && now - since >= durationMs;
+    }) || null;
+
+    if (open) {
+      const updated = { ...open, lastValue: value };
+      if (excess(value, rule.warning) > excess(open.peakValue, rule.warning)) updated.peakValue = value;
+      if (!classify(value, rule, rule.clearMargin)) {
+        updated.status = 'resolved';
+        updated.resolvedAt = now;
+      } else if (sustained && SEVERITY_RANK[sustained] > SEVERITY_RANK[open.severity]) {
+        const band = rule[sustained];
+        updated.severity = sustained;
+        updated.status = 'active'; // An acknowledged alert that gets worse needs attention again
+        updated.limit = getBrokenLimit(value, band);
+        updated.message = `${label} ${sustained}: ${value.toFixed(1)}${unit} (${describeLimit(value, band, unit)})`;
+        events.push({ type: 'escalated', alert: updated });
+      }
+      alerts[openIndex] = updated;
+    } else if (sustained) {
+      const band = rule[sustained];
+      const alert = {
+        id: `${metric}-${now}`,
+        metric,
+        severity: sustained,
+        status: 'active',
+        startedAt: pending[metric].warningSince,
+        raisedAt: now,
+        acknowledgedAt: null,
+        resolvedAt: null,
+        peakValue: value,
+        lastValue: value,
+        limit: getBrokenLimit(value, band),
+        message: `${label} ${sustained}: ${value.toFixed(1)}${unit} (${describeLimit(value, band, unit)} for ${rule.durationMinutes} min)`,
+      };
+      alerts = [alert, ...alerts];
+      events.push({ type: 'raised', alert });
+    }
+  });
+
+  // Keep every open alert but only the most recent resolved ones
+  let resolvedCount = 0;
+  alerts = alerts.filter(alert => alert.status !== 'resolved' || ++resolvedCount <= MAX_RESOLVED_ALERTS);
+  return { state: { pending, alerts }, events };
+};
+
+/**
+ * Marks an active alert as acknowledged.
+ * @param {Object} state
+ * @param {string} alertId
+ * @param {number} [now=Date.now()]
+ * @returns {Object} The next state.
+ */
+export const acknowledgeAlert = (state, alertId, now = Date.now()) => ({
+  ...state,
+  alerts: state.alerts.map(alert => (
+    alert.id === alertId && alert.status === 'active' ? { ...alert, status: 'acknowledged', acknowledgedAt: now } : alert
+  )),
+});
+
+/**
+ * Removes resolved alerts from the list.
+ * @param {Object} state
+ * @returns {Object} The next state.
+ */
+export const clearResolvedAlerts = (state) => ({ ...state, alerts: state.alerts.filter(alert => alert.status !== 'resolved') });
+
+/**
+ * Returns the highest severity among a metric's open alerts, for coloring sensor cards.
+ * @param {Array} alerts
+ * @param {string} metric
+ * @returns {?('warning'|'critical')}
+ */
+export const getMetricSeverity = (alerts, metric) => alerts
+  .filter(alert => alert.metric === metric && alert.status !== 'resolved')
+  .reduce((worst, alert) => (!worst || SEVERITY_RANK[alert.severity] > SEVERITY_RANK[worst] ? alert.severity : worst), null);
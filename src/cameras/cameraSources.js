@@ -0,0 +1,184 @@
+// src/cameras/cameraSources.js - Camera source model: local devices and network streams per house
+//
+// A house's camera is a local device (webcam or USB camera, picked by deviceId) or a network stream
+// from its Pi: MJPEG (shown as an <img>) or HLS (a <video>, through hls.js where the browser has no
+// native HLS). No React here: useCamera opens the sources, CameraFeed renders them,
+// clipRecorder turns any of them into snapshots and clips and auto-scan opens them off screen.
+
+import { message, MessageError } from '../i18n/i18n.js';
+
+export const CAMERA_TYPES = ['webcam', 'mjpeg', 'hls']; // Labelled 'editor.cameraType.<type>'
+
+// Before MJPEG and HLS were told apart, every network camera was a 'stream' (always MJPEG)
+const LEGACY_TYPES = { stream: 'mjpeg' };
+
+/**
+ * Fills in defaults and upgrades older camera configs.
+ * @param {Object} [source] - Partial camera source.
+ * @returns {{type: string, deviceId: string, url: string}}
+ */
+export const normalizeCameraSource = (source = {}) => {
+  const type = LEGACY_TYPES[source.type] || source.type || 'webcam';
+  return { deviceId: '', url: '', ...source, type };
+};
+
+/**
+ * Whether the camera is a network stream rather than a local device.
+ * @param {{type: string}} source
+ * @returns {boolean}
+ */
+export const isNetworkCamera = source => source.type === 'mjpeg' || source.type === 'hls';
+
+/**
+ * getUserMedia constraints for a local camera.
+ * @param {string} [deviceId] - Empty for the browser's default camera.
+ * @returns {MediaStreamConstraints}
+ */
+export const buildVideoConstraints = deviceId => ({ video: deviceId ? { deviceId: { exact: deviceId } } : true, audio: false });
+
+/**
+ * Lists the local video inputs. Browsers only reveal labels once camera access was granted.
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export const listVideoDevices = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+};
+
+/**
+ * Asks for camera access once so listVideoDevices returns real labels, then releases the camera.
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export const requestVideoDevices = async () => {
+  const stream = await navigator.mediaDevices.getUserMedia(buildVideoConstraints());
+  stream.getTracks().forEach(track => track.stop());
+  return listVideoDevices();
+};
+
+/**
+ * Plays an HLS stream in a <video>: natively where supported (Safari), otherwise through hls.js,
+ * which is loaded on demand so houses without an HLS camera never download it.
+ * @param {HTMLVideoElement} video
+ * @param {string} url - .m3u8 playlist URL.
+ * @param {function({key: string, params: Object})} onError - Called with a message when playback
+ *   fails for good.
+ * @returns {Promise<function()>} Detaches the stream from the video.
+ */
+export const attachHlsStream = async (video, url, onError) => {
+  if (video.canPlayType('application/vnd.apple.mpegurl')) {
+    video.src = url;
+    video.play().catch(() => {});
+    return () => {
+      video.removeAttribute('src');
+      video.load();
+    };
+  }
+  const { default: Hls } = await import('hls.js/light');
+  if (!Hls.isSupported()) {
+    onError(message('camera.hlsUnsupported'));
+    return () => {};
+  }
+  const hls = new Hls({ lowLatencyMode: true });
+  hls.on(Hls.Events.ERROR, (event, data) => {
+    if (data.fatal) onError(message('camera.streamFailedDetails', { url, details: data.details }));
+  });
+  hls.loadSource(url);
+  hls.attachMedia(video);
+  video.play().catch(() => {});
+  return () => hls.destroy();
+};
+
+const FRAME_TIMEOUT_MS = 15000;
+const FRAME_SETTLE_MS = 1000; // Lets a local camera adjust its exposure before the frame is taken
+
+/**
+ * Resolves once the element has a frame to capture, after a short settle time.
+ * @param {HTMLVideoElement|HTMLImageElement} element
+ * @param {function(): ?{key: string, params: Object}} getError - Returns the playback error, if any.
+ * @returns {Promise<void>}
+ */
+const waitForFrame = (element, getError) => new Promise((resolve, reject) => {
+  const startedAt = Date.now();
+  const check = () => {
+    const error = getError();
+    if (error) reject(new MessageError(error.key, error.params));
+    else if (element.videoWidth || element.naturalWidth) setTimeout(resolve, FRAME_SETTLE_MS);
+    else if (Date.now() - startedAt > FRAME_TIMEOUT_MS) reject(new MessageError('camera.noFrameInTime'));
+    else setTimeout(check, 200);
+  };
+  check();
+});
+
+/**
+ * Opens a camera source off screen, for scans that run whether or not its house is shown.
+ * Works like useCamera, but with an element of its own that the caller releases after capturing.
+ * @param {{type: string, deviceId: string, url: string}} source - A normalized camera source.
+ * @returns {Promise<{element: HTMLVideoElement|HTMLImageElement, release: function()}>} Rejects when
+ *   the camera cannot be opened or sends no frame.
+ */
+export const openCameraForCapture = async (source) => {
+  let error = null;
+  let element;
+  let release;
+  if (source.type === 'mjpeg') {
+    element = new Image();
+    element.crossOrigin = 'anonymous'; // Frames can only be captured from a stream that allows CORS
+    element.onerror = () => { error = message('camera.streamCorsError', { url: source.url }); };
+    element.src = source.url;
+    release = () => element.removeAttribute('src'); // Closes the stream connection
+  } else {
+    element = document.createElement('video');
+    element.muted = true;
+    element.playsInline = true;
+    if (source.type === 'hls') {
+      release = await attachHlsStream(element, source.url, (playbackError) => { error = playbackError; });
+    } else {
+      const stream = await navigator.mediaDevices.getUserMedia(buildVideoConstraints(source.deviceId));
+      element.srcObject = stream;
+      element.play().catch(() => {});
+      release = () => {
+        stream.getTracks().forEach(track => track.stop());
+        element.srcObject = null;
+      };
+    }
+  }
+  try {
+    await waitForFrame(element, () => error);
+  } catch (err) {
+    release();
+    throw err;
+  }
+  return { element, release };
+};
+
+// Preferred first; Safari only records MP4
+const RECORDER_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+/**
+ * Picks a MediaRecorder format the browser supports.
+ * @param {function(string): boolean} isTypeSupported - Usually MediaRecorder.isTypeSupported.
+ * @returns {string} A MIME type, or '' to let the browser choose.
+ */
+export const pickRecorderMimeType = isTypeSupported => RECORDER_MIME_TYPES.find(type => isTypeSupported(type)) || '';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'video/webm': 'webm', 'video/mp4': 'mp4' };
+
+/**
+ * File name for a snapshot or clip, e.g. "house-2_clip_2024-05-01_14-03-22.webm".
+ * @param {string} houseName
+ * @param {'snapshot'|'clip'} kind
+ * @param {number} timestamp - Epoch ms.
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export const buildRecordingFilename = (houseName, kind, timestamp, mimeType) => {
+  const slug = houseName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'house';
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  const extension = EXTENSIONS[mimeType.split(';')[0]] || 'bin';
+  return `${slug}_${kind}_${stamp}.${extension}`;
+};
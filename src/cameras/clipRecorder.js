@@ -0,0 +1,96 @@
+// src/cameras/clipRecorder.js - Short video clips from any camera feed with MediaRecorder
+//
+// Local cameras are recorded from their MediaStream, HLS <video> elements through captureStream(),
+// and MJPEG <img> feeds by redrawing frames onto a canvas. Streams from another origin can only
+// be recorded when they are served with CORS, like captureFrame.
+
+import { MessageError, messageFromError } from '../i18n/i18n.js';
+import { pickRecorderMimeType } from './cameraSources.js';
+
+const CANVAS_FPS = 10; // MJPEG feeds from the Pi rarely run faster
+
+/**
+ * A MediaStream showing what the element displays, plus a function that releases what was
+ * created for it (never the camera's own tracks).
+ * @param {HTMLVideoElement|HTMLImageElement} element
+ * @returns {{stream: MediaStream, release: function()}}
+ */
+const getRecordableStream = (element) => {
+  if (element.srcObject) return { stream: element.srcObject, release: () => {} };
+  if (element instanceof HTMLVideoElement) {
+    const capture = element.captureStream || element.mozCaptureStream;
+    if (!capture) throw new MessageError('recordings.streamUnsupported');
+    const stream = capture.call(element);
+    return { stream, release: () => stream.getTracks().forEach(track => track.stop()) };
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = element.naturalWidth;
+  canvas.height = element.naturalHeight;
+  const context = canvas.getContext('2d');
+  const draw = () => context.drawImage(element, 0, 0, canvas.width, canvas.height);
+  draw();
+  const stream = canvas.captureStream(CANVAS_FPS);
+  const timer = setInterval(draw, 1000 / CANVAS_FPS);
+  return {
+    stream,
+    release: () => {
+      clearInterval(timer);
+      stream.getTracks().forEach(track => track.stop());
+    },
+  };
+};
+
+/**
+ * Starts recording a clip of a camera feed. Recording stops by itself after maxDurationMs.
+ * @param {HTMLVideoElement|HTMLImageElement} element - From useCamera's getElement().
+ * @param {Object} options
+ * @param {number} options.maxDurationMs
+ * @returns {{stop: function(): Promise<Object>, done: Promise<{blob: Blob, mimeType: string, durationMs: number}>}}
+ *   stop() ends the clip early and resolves like done.
+ * @throws {MessageError} When the browser or the stream does not allow recording.
+ */
+export const startClipRecording = (element, { maxDurationMs }) => {
+  if (!element || !(element.videoWidth || element.naturalWidth)) {
+    throw new MessageError('camera.noFrameAvailable');
+  }
+  if (typeof MediaRecorder === 'undefined') throw new MessageError('recordings.browserUnsupported');
+
+  let recordable;
+  try {
+    recordable = getRecordableStream(element);
+  } catch (error) {
+    // SecurityError: the camera stream is served from another origin without CORS headers
+    throw new MessageError('recordings.corsError', { error: messageFromError(error) });
+  }
+  const mimeType = pickRecorderMimeType(type => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(recordable.stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const startedAt = Date.now();
+  let timer = null;
+
+  const done = new Promise((resolve, reject) => {
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      clearTimeout(timer);
+      recordable.release();
+      const type = (recorder.mimeType || mimeType || 'video/webm').split(';')[0];
+      resolve({ blob: new Blob(chunks, { type }), mimeType: type, durationMs: Date.now() - startedAt });
+    };
+    recorder.onerror = (event) => {
+      clearTimeout(timer);
+      recordable.release();
+      reject(event.error || new MessageError('recordings.failed'));
+    };
+  });
+
+  const stop = () => {
+    if (recorder.state !== 'inactive') recorder.stop();
+    return done;
+  };
+
+  recorder.start(1000);
+  timer = setTimeout(stop, maxDurationMs);
+  return { stop, done };
+};
@@ -0,0 +1,60 @@
+// src/cameras/recordings.js - Camera snapshots and clips saved in the browser (IndexedDB)
+//
+// Snapshots (JPEG) and short clips (WebM/MP4) are kept per house with the time they were taken,
+// so a farmer can save what the camera showed and download it later. They expire after the
+// retention period because video fills browser storage quickly.
+
+import { getConfig } from '../config.js';
+import { createDatabase, createHouseTimeStore, deleteExpired, promisify } from '../indexedDb.js';
+
+const DB_NAME = 'poultry-camera-recordings';
+const DB_VERSION = 1;
+const STORE = 'recordings';
+const DAY = 24 * 60 * 60 * 1000;
+
+const RETENTION_MS = (getConfig('camera').recordingRetentionDays || 14) * DAY;
+
+const openDatabase = createDatabase(DB_NAME, DB_VERSION, db => createHouseTimeStore(db, STORE));
+
+/**
+ * Stores a snapshot or clip.
+ * @param {{houseId: string, houseName: string, kind: ('snapshot'|'clip'), timestamp: number, blob: Blob, mimeType: string, durationMs: ?number}} recording
+ * @returns {Promise<Object>} The recording with its generated id.
+ */
+export const addRecording = async (recording) => {
+  const db = await openDatabase();
+  const id = await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).add(recording));
+  return { ...recording, id };
+};
+
+/**
+ * Loads a house's recordings, newest first.
+ * @param {string} houseId
+ * @returns {Promise<Array<Object>>}
+ */
+export const getRecordings = async (houseId) => {
+  const db = await openDatabase();
+  const range = IDBKeyRange.bound([houseId, 0], [houseId, Infinity]);
+  const recordings = await promisify(db.transaction(STORE).objectStore(STORE).index('houseTime').getAll(range));
+  return recordings.reverse();
+};
+
+/**
+ * Deletes one recording.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export const deleteRecording = async (id) => {
+  const db = await openDatabase();
+  await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).delete(id));
+};
+
+/**
+ * Deletes recordings (for all houses) older than the retention period.
+ * @param {number} [retentionMs=RETENTION_MS]
+ * @returns {Promise<number>} Number of recordings deleted.
+ */
+export const pruneRecordings = async (retentionMs = RETENTION_MS) => {
+  const db = await openDatabase();
+  return deleteExpired(db, STORE, retentionMs);
+};
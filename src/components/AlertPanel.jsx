@@ -0,0 +1,116 @@
+// src/components/AlertPanel.jsx - Open alerts, bird-age profile and notification opt-in
+
+import React from 'react';
+import { AlertTriangle, Bell, BellOff, CheckCircle, AlertOctagon } from 'lucide-react';
+import { AGE_PROFILES, getProfileIdForPlacement } from '../alerts/alertRules.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { describeAlert } from '../hooks/useAlertEngine.js';
+
+// Card classes for sensor cards with an open alert; the dashboard falls back to its normal card colors.
+export const SEVERITY_CARD_CLASSES = {
+  warning: 'bg-yellow-900 border-yellow-500 ring-2 ring-yellow-500',
+  critical: 'bg-red-900 border-red-500 ring-2 ring-red-500 animate-pulse',
+};
+
+const STATUS_BADGES = {
+  active: 'bg-red-700 text-red-100',
+  acknowledged: 'bg-yellow-700 text-yellow-100',
+  resolved: 'bg-gray-600 text-gray-200',
+};
+
+/**
+ * Alert panel with bird-age profile selection, notification opt-in and the alert list.
+ * Active alerts are repeated in an assertive live region so screen readers announce new ones.
+ */
+export const AlertPanel = ({ alerts, onAcknowledge, onClearResolved, profileId, placementDate, onProfileChange, notificationPermission, onEnableNotifications }) => {
+  const i18n = useI18n();
+  const { t, formatMetric, locale } = i18n;
+  const autoProfile = AGE_PROFILES.find(profile => profile.id === getProfileIdForPlacement(placementDate));
+  const openAlerts = alerts.filter(alert => alert.status !== 'resolved');
+  const hasResolved = alerts.length > openAlerts.length;
+  const formatTime = timestamp => new Date(timestamp).toLocaleString(locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <section aria-labelledby="alerts-title" className="bg-gray-800 rounded-xl shadow-2xl p-6 md:p-8 border border-gray-700 mb-12 custom-shadow">
+      <div role="alert" className="sr-only">
+        {alerts.filter(alert => alert.status === 'active').map(alert => describeAlert(alert, i18n)).join('. ')}
+      </div>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6 border-b pb-4 border-gray-700">
+        <h2 id="alerts-title" className="text-2xl font-semibold text-gray-100 flex items-center">
+          <AlertTriangle size={24} className={`mr-3 ${openAlerts.length ? 'text-red-400' : 'text-green-400'}`} aria-hidden="true" /> {t('alerts.title')}
+          {openAlerts.length > 0 && (
+            <span className="ml-3 px-2 py-0.5 rounded-full bg-red-600 text-white text-sm">
+              {openAlerts.length}<span className="sr-only"> {t('alerts.count', { count: openAlerts.length })}</span>
+            </span>
+          )}
+        </h2>
+        <div className="flex flex-wrap items-center gap-3">
+          {onProfileChange && (
+            <label className="text-sm text-gray-400 flex items-center">
+              {t('alerts.profile')}
+              <select
+                value={profileId}
+                onChange={event => onProfileChange(event.target.value)}
+                className="ml-2 bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="auto">{t('alerts.profileAuto', { profile: t(`profile.${autoProfile.id}`) })}</option>
+                {AGE_PROFILES.map(profile => <option key={profile.id} value={profile.id}>{t(`profile.${profile.id}`)} – {formatMetric(profile.targetTemperature, 'temperature', 0)}</option>)}
+              </select>
+            </label>
+          )}
+          {notificationPermission === 'default' && (
+            <button onClick={onEnableNotifications} className="py-1 px-3 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold flex items-center transition-colors">
+              <Bell size={16} className="mr-1" aria-hidden="true" /> {t('alerts.enableNotifications')}
+            </button>
+          )}
+          {notificationPermission === 'denied' && (
+            <span className="text-xs text-gray-500 flex items-center"><BellOff size={14} className="mr-1" aria-hidden="true" /> {t('alerts.notificationsBlocked')}</span>
+          )}
+          {hasResolved && (
+            <button onClick={onClearResolved} className="py-1 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm transition-colors">
+              {t('alerts.clearResolved')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {alerts.length === 0 ? (
+        <p className="text-green-300 flex items-center"><CheckCircle size={20} className="mr-2" aria-hidden="true" /> {t('alerts.allClear')}</p>
+      ) : (
+        <ul className="space-y-3">
+          {alerts.map(alert => (
+            <li
+              key={alert.id}
+              className={`p-4 rounded-lg border flex flex-wrap items-center justify-between gap-3 ${
+                alert.status === 'resolved' ? 'bg-gray-900 border-gray-700 opacity-70'
+                  : alert.severity === 'critical' ? 'bg-red-900 border-red-600' : 'bg-yellow-900 border-yellow-600'
+              }`}
+            >
+              <div className="flex items-start">
+                {alert.severity === 'critical'
+                  ? <AlertOctagon size={20} className="mr-3 mt-0.5 flex-shrink-0 text-red-300" aria-hidden="true" />
+                  : <AlertTriangle size={20} className="mr-3 mt-0.5 flex-shrink-0 text-yellow-300" aria-hidden="true" />}
+                <div>
+                  <p className="font-semibold text-gray-100">{describeAlert(alert, i18n)}</p>
+                  <p className="text-xs text-gray-300 mt-1">
+                    {t('alerts.since', { time: formatTime(alert.startedAt) })} · {t('alerts.now', { value: formatMetric(alert.lastValue, alert.metric) })} · {t('alerts.worst', { value: formatMetric(alert.peakValue, alert.metric) })}
+                    {alert.acknowledgedAt && ` · ${t('alerts.acknowledgedAt', { time: formatTime(alert.acknowledgedAt) })}`}
+                    {alert.resolvedAt && ` · ${t('alerts.resolvedAt', { time: formatTime(alert.resolvedAt) })}`}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold uppercase ${STATUS_BADGES[alert.status]}`}>{t(`alerts.status.${alert.status}`)}</span>
+                {alert.status === 'active' && (
+                  <button onClick={() => onAcknowledge(alert.id)} className="py-1 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-100 text-sm font-semibold transition-colors">
+                    {t('alerts.acknowledge')}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
@@ -0,0 +1,31 @@
+// src/components/CameraFeed.jsx - The video (or MJPEG image) of a house camera
+
+import React from 'react';
+import { useI18n } from '../hooks/useI18n.js';
+import { message } from '../i18n/i18n.js';
+
+/**
+ * Shows a camera opened with useCamera, with paused and error states.
+ * @param {Object} props
+ * @param {{type: string, url: string}} props.source - The house's camera source.
+ * @param {Object} props.camera - Output of useCamera.
+ * @param {string} props.title - Alt text, e.g. "House 2 camera".
+ * @param {string} [props.className] - Frame classes (size and border).
+ * @param {React.ReactNode} [props.children] - Overlays such as the recording indicator.
+ */
+export const CameraFeed = ({ source, camera, title, className = 'aspect-video rounded-lg border-2 border-gray-700', children }) => {
+  const { t, formatMessage } = useI18n();
+  return (
+    <div className={`relative w-full bg-gray-900 overflow-hidden shadow-inner ${className}`}>
+      {source.type === 'mjpeg' ? (
+        // crossOrigin lets frames be captured and recorded; the stream server must send CORS headers
+        camera.active && <img ref={camera.imageRef} src={source.url} crossOrigin="anonymous" alt={title} className="w-full h-full object-cover" onError={() => camera.setError(message('camera.streamCorsError', { url: source.url }))} />
+      ) : (
+        <video ref={camera.videoRef} className="w-full h-full object-cover" autoPlay playsInline muted></video>
+      )}
+      {!camera.active && !camera.error && <div className="absolute inset-0 flex items-center justify-center text-gray-500 font-bold">{t('camera.paused')}</div>}
+      {camera.error && <div className="absolute inset-0 flex items-center justify-center text-red-400 font-bold p-4 text-center">{formatMessage(camera.error)}</div>}
+      {children}
+    </div>
+  );
+};
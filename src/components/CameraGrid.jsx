@@ -0,0 +1,82 @@
+// src/components/CameraGrid.jsx - Fullscreen camera wall with every house camera side by side
+
+import React, { useEffect, useRef } from 'react';
+import { X, Image as ImageIcon } from 'lucide-react';
+import { useCamera } from '../hooks/useCamera.js';
+import { useCameraRecorder } from '../hooks/useCameraRecorder.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { CameraFeed } from './CameraFeed.jsx';
+
+/**
+ * One house's live camera in the grid, with a snapshot button.
+ */
+const CameraGridTile = ({ house }) => {
+  const { t, formatMessage, formatTime } = useI18n();
+  const camera = useCamera(house.cameraSource, true);
+  const recorder = useCameraRecorder(house, camera.getElement);
+  const lastSaved = recorder.recordings[0];
+
+  return (
+    <CameraFeed source={house.cameraSource} camera={camera} title={t('house.cameraTitle', { name: house.name })} className="h-full min-h-0 rounded-lg border border-gray-700">
+      <div className="absolute inset-x-0 bottom-0 flex items-center justify-between gap-2 bg-gradient-to-t from-black/80 to-transparent px-3 py-2">
+        <span className="text-white font-semibold truncate">{house.name}</span>
+        <span className="flex items-center gap-2 text-xs text-gray-300">
+          {recorder.error ? <span className="text-red-400">{formatMessage(recorder.error)}</span>
+            : lastSaved && <span>{t('camera.savedAt', { time: formatTime(lastSaved.timestamp) })}</span>}
+          <button onClick={recorder.takeSnapshot} disabled={!camera.active || !!camera.error} className="p-2 rounded-full bg-gray-700/80 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed" title={t('camera.saveSnapshot')} aria-label={t('camera.saveSnapshot')}>
+            <ImageIcon size={16} className="text-white" aria-hidden="true" />
+          </button>
+        </span>
+      </div>
+    </CameraFeed>
+  );
+};
+
+/**
+ * Shows all house cameras in a grid and takes the screen over. Leaving fullscreen (Esc) or the
+ * close button closes it.
+ * @param {Object} props
+ * @param {Array<Object>} props.houses
+ * @param {Function} props.onClose
+ */
+export const CameraGrid = ({ houses, onClose }) => {
+  const { t } = useI18n();
+  const gridRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const element = gridRef.current;
+    const handleFullscreenChange = () => {
+      if (document.fullscreenElement !== element) onCloseRef.current();
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onCloseRef.current();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    if (element.requestFullscreen) {
+      element.requestFullscreen()
+        .then(() => document.addEventListener('fullscreenchange', handleFullscreenChange))
+        .catch(err => console.error(`Camera wall shown without fullscreen: ${err.message}`));
+    }
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      if (document.fullscreenElement === element) document.exitFullscreen().catch(() => {});
+    };
+  }, []);
+
+  const columns = Math.ceil(Math.sqrt(houses.length));
+  const rows = Math.ceil(houses.length / columns);
+
+  return (
+    <div ref={gridRef} className="fixed inset-0 z-50 bg-black p-2 flex flex-col">
+      <button onClick={onClose} className="absolute top-3 right-3 z-10 p-2 rounded-full bg-gray-800/80 hover:bg-gray-700" title={t('camera.closeWall')} aria-label={t('camera.closeWall')}>
+        <X size={24} className="text-gray-200" aria-hidden="true" />
+      </button>
+      <div className="grid gap-2 flex-1 min-h-0" style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, gridTemplateRows: `repeat(${rows}, minmax(0, 1fr))` }}>
+        {houses.map(house => <CameraGridTile key={house.id} house={house} />)}
+      </div>
+    </div>
+  );
+};
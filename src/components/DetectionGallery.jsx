@@ -0,0 +1,136 @@
+// src/components/DetectionGallery.jsx - Browsable detection history with filters and export
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Images, Download, FileJson, Filter } from 'lucide-react';
+import { summarizeClasses } from '../detection/responseParser.js';
+import { classColor } from '../detection/classColors.js';
+import { getDetections, listClasses, filterDetections, detectionsToCsv, detectionsToJson } from '../detection/detectionHistory.js';
+import { DetectionOverlay } from './DetectionOverlay.jsx';
+import { downloadFile } from '../downloads.js';
+import { useResponseMapping } from '../hooks/useResponseMapping.js';
+import { useI18n } from '../hooks/useI18n.js';
+
+const GALLERY_PAGE_SIZE = 24;
+
+const SOURCES = ['upload', 'capture', 'auto-scan']; // Labelled 'gallery.source.<source>'
+
+// <input type="date"> values are local dates
+const startOfDay = value => new Date(`${value}T00:00:00`).getTime();
+const endOfDay = value => new Date(`${value}T23:59:59.999`).getTime();
+
+/**
+ * Browsable detection history for one house, with class/date/confidence filters and export.
+ * @param {Object} props
+ * @param {Object} props.house
+ * @param {*} props.refreshKey - Reloads when this changes (e.g. id of the latest detection).
+ */
+export const DetectionGallery = ({ house, refreshKey }) => {
+  const { t, formatMetric, formatDateTime } = useI18n();
+  const mapping = useResponseMapping();
+  const [records, setRecords] = useState([]);
+  const [className, setClassName] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [minConfidence, setMinConfidence] = useState(0.4);
+  const [visibleCount, setVisibleCount] = useState(GALLERY_PAGE_SIZE);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getDetections(house.id, {
+      from: fromDate ? startOfDay(fromDate) : 0,
+      to: toDate ? endOfDay(toDate) : Date.now(),
+    })
+      .then(loaded => {
+        if (cancelled) return;
+        setRecords(loaded);
+        setError('');
+      })
+      .catch(err => { if (!cancelled) setError(t('gallery.loadFailed', { error: err.message })); });
+    return () => { cancelled = true; };
+  }, [house.id, fromDate, toDate, refreshKey]);
+
+  const classes = useMemo(() => listClasses(records, mapping), [records, mapping]);
+  const filtered = useMemo(() => filterDetections(records, { className, minConfidence }, mapping), [records, className, minConfidence, mapping]);
+  const fileStem = `detections-${house.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}`;
+
+  return (
+    <div className="mt-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 className="text-lg font-semibold text-gray-300 flex items-center"><Images size={20} className="mr-2 text-orange-400" aria-hidden="true" /> {t('gallery.title')}</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={() => downloadFile(detectionsToCsv(filtered, minConfidence, mapping), `${fileStem}.csv`, 'text/csv')}
+            disabled={filtered.length === 0}
+            className="py-1 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm text-gray-200 font-semibold flex items-center transition-colors"
+          >
+            <Download size={16} className="mr-1" aria-hidden="true" /> CSV
+          </button>
+          <button
+            onClick={() => downloadFile(detectionsToJson(filtered), `${fileStem}.json`, 'application/json')}
+            disabled={filtered.length === 0}
+            className="py-1 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm text-gray-200 font-semibold flex items-center transition-colors"
+          >
+            <FileJson size={16} className="mr-1" aria-hidden="true" /> JSON
+          </button>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm text-gray-400">
+        <Filter size={18} className="text-gray-500 mb-2" aria-hidden="true" />
+        <label className="flex flex-col">
+          {t('gallery.class')}
+          <select value={className} onChange={event => setClassName(event.target.value)} className="mt-1 bg-gray-700 text-gray-200 rounded-md px-2 py-1">
+            <option value="">{t('gallery.allClasses')}</option>
+            {classes.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          {t('gallery.from')}
+          <input type="date" value={fromDate} onChange={event => setFromDate(event.target.value)} className="mt-1 bg-gray-700 text-gray-200 rounded-md px-2 py-1" />
+        </label>
+        <label className="flex flex-col">
+          {t('gallery.to')}
+          <input type="date" value={toDate} onChange={event => setToDate(event.target.value)} className="mt-1 bg-gray-700 text-gray-200 rounded-md px-2 py-1" />
+        </label>
+        <label className="flex flex-col">
+          {t('summary.minConfidence')}: <span className="text-gray-200 font-semibold">{Math.round(minConfidence * 100)}%</span>
+          <input type="range" min="0" max="100" step="5" value={Math.round(minConfidence * 100)} onChange={event => setMinConfidence(Number(event.target.value) / 100)} className="mt-1 w-40" />
+        </label>
+      </div>
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+      <p className="text-xs text-gray-500 mb-4">{t('gallery.matching', { matching: filtered.length, count: records.length })}</p>
+      {filtered.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+          {filtered.slice(0, visibleCount).map(record => {
+            const classSummary = summarizeClasses(record.predictions, minConfidence, mapping);
+            return (
+              <div key={record.id} className="bg-gray-900 rounded-lg border border-gray-700 p-3">
+                {record.thumbnail && (
+                  <DetectionOverlay imageUrl={record.thumbnail} predictions={record.predictions} imageSize={record.image} threshold={minConfidence} />
+                )}
+                <div className="flex flex-wrap gap-1 mb-2">
+                  {classSummary.map(entry => (
+                    <span key={entry.class} className="px-2 py-0.5 rounded-full text-xs font-semibold text-white" style={{ backgroundColor: classColor(entry.class, mapping) }}>
+                      {entry.count} {entry.class} · {Math.round(entry.maxConfidence * 100)}%
+                    </span>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-400">{formatDateTime(record.timestamp)} · {SOURCES.includes(record.source) ? t(`gallery.source.${record.source}`) : record.source}</p>
+                {record.sensor && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {formatMetric(record.sensor.temperature, 'temperature')} · {formatMetric(record.sensor.humidity, 'humidity')} · {formatMetric(record.sensor.ammonia, 'ammonia')} {t('tile.ammonia')}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {filtered.length > visibleCount && (
+        <button onClick={() => setVisibleCount(count => count + GALLERY_PAGE_SIZE)} className="mt-4 w-full py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm text-gray-200 font-semibold transition-colors">
+          {t('gallery.showMore', { count: filtered.length - visibleCount })}
+        </button>
+      )}
+    </div>
+  );
+};
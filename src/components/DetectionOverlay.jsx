@@ -0,0 +1,51 @@
+// src/components/DetectionOverlay.jsx - Analysed image with bounding boxes and confidence labels
+
+import React, { useState } from 'react';
+import { classColor, formatConfidence } from '../detection/classColors.js';
+import { useResponseMapping } from '../hooks/useResponseMapping.js';
+
+/**
+ * Image with an SVG overlay of bounding boxes and confidence labels.
+ * @param {Object} props
+ * @param {string} props.imageUrl
+ * @param {Array<Object>} props.predictions - From Detection.parseWorkflowPredictions.
+ * @param {?{width: number, height: number}} props.imageSize - Size the boxes refer to; falls back to the image's own size.
+ * @param {number} props.threshold - Hide boxes below this confidence (0-1).
+ */
+export const DetectionOverlay = ({ imageUrl, predictions, imageSize, threshold }) => {
+  const mapping = useResponseMapping();
+  const [naturalSize, setNaturalSize] = useState(null);
+  const size = imageSize || naturalSize;
+  const boxes = predictions.filter(prediction => prediction.box && prediction.confidence >= threshold);
+  const labelSize = size ? Math.max(12, Math.round(size.width / 45)) : 12;
+
+  return (
+    <div className="relative inline-block max-w-full mb-4">
+      <img
+        src={imageUrl}
+        alt="Analysed image"
+        className="block max-w-full max-h-96 rounded-md shadow-lg"
+        onLoad={event => setNaturalSize({ width: event.target.naturalWidth, height: event.target.naturalHeight })}
+      />
+      {size && (
+        <svg viewBox={`0 0 ${size.width} ${size.height}`} preserveAspectRatio="none" className="absolute inset-0 w-full h-full pointer-events-none">
+          {boxes.map(prediction => {
+            const { x, y, width, height } = prediction.box;
+            const color = classColor(prediction.class, mapping);
+            const label = `${prediction.class} ${formatConfidence(prediction.confidence)}`;
+            const left = x - width / 2;
+            const top = y - height / 2;
+            const labelTop = top > labelSize * 1.4 ? top - labelSize * 1.4 : top; // Keep labels inside the image
+            return (
+              <g key={prediction.id}>
+                <rect x={left} y={top} width={width} height={height} fill="none" stroke={color} strokeWidth={Math.max(2, size.width / 300)} />
+                <rect x={left} y={labelTop} width={label.length * labelSize * 0.6 + labelSize * 0.6} height={labelSize * 1.4} fill={color} />
+                <text x={left + labelSize * 0.3} y={labelTop + labelSize * 1.05} fontSize={labelSize} fontWeight="bold" fill="#fff">{label}</text>
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </div>
+  );
+};
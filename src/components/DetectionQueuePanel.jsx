@@ -0,0 +1,136 @@
+// src/components/DetectionQueuePanel.jsx - Queue progress, per-item status and batch summary
+
+import React from 'react';
+import { ListOrdered, RotateCcw, Trash2, Loader2, CheckCircle, XCircle, Clock, CloudOff } from 'lucide-react';
+import { parseWorkflowPredictions, summarizeClasses, formatClassCounts } from '../detection/responseParser.js';
+import { summarizeBatch } from '../detection/batchSummary.js';
+import { classColor } from '../detection/classColors.js';
+import { useResponseMapping } from '../hooks/useResponseMapping.js';
+import { useI18n } from '../hooks/useI18n.js';
+
+// Labelled 'queue.status.<status>'
+const STATUS_STYLES = {
+  queued: { icon: Clock, className: 'bg-gray-600 text-gray-200' },
+  running: { icon: Loader2, className: 'bg-blue-600 text-white' },
+  done: { icon: CheckCircle, className: 'bg-green-600 text-white' },
+  failed: { icon: XCircle, className: 'bg-red-600 text-white' },
+  waiting: { icon: CloudOff, className: 'bg-yellow-700 text-yellow-100' },
+};
+
+const StatusBadge = ({ item }) => {
+  const { t } = useI18n();
+  const { icon: Icon, className } = STATUS_STYLES[item.status];
+  const label = t(`queue.status.${item.status}`);
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold flex items-center ${className}`}>
+      <Icon size={12} className={`mr-1 ${item.status === 'running' ? 'animate-spin' : ''}`} aria-hidden="true" />
+      {item.attempts > 1 ? t('queue.attempt', { status: label, attempt: item.attempts }) : label}
+    </span>
+  );
+};
+
+/**
+ * Aggregated result of a finished batch.
+ * @param {Object} props
+ * @param {Object} props.summary - From summarizeBatch.
+ * @param {Object} props.mapping - Response mapping, for the class colors.
+ */
+const BatchSummary = ({ summary, mapping }) => {
+  const { t } = useI18n();
+  return (
+    <div className="p-4 mb-4 rounded-lg bg-gray-900 border border-gray-700">
+      <p className="text-gray-200 font-semibold">
+        {t(summary.failed ? 'queue.batchCompleteFailed' : 'queue.batchComplete', { done: summary.done, count: summary.total, failed: summary.failed })}
+      </p>
+      {summary.done > 0 && (
+        <p className={`text-sm mt-1 ${summary.imagesWithDisease ? 'text-red-300' : 'text-green-300'}`}>
+          {summary.imagesWithDisease ? t('queue.imagesWithDisease', { count: summary.imagesWithDisease }) : t('queue.noDisease')}
+          {summary.classSummary.length > 0 && <span className="text-gray-400"> {t('queue.birds', { counts: formatClassCounts(summary.classSummary) })}</span>}
+        </p>
+      )}
+      {summary.classSummary.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {summary.classSummary.map(entry => (
+            <span key={entry.class} className="px-3 py-1 rounded-full text-sm font-semibold text-white" style={{ backgroundColor: classColor(entry.class, mapping) }}>
+              {entry.class}: {entry.count}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Queue progress, per-item status and the batch summary. Clicking an item selects it for the
+ * detailed view.
+ * @param {Object} props
+ * @param {Object} props.queue - Output of useDetectionQueue.
+ * @param {?string} props.selectedId
+ * @param {Function} props.onSelect - Called with an item id.
+ * @param {number} props.threshold - Minimum confidence for result summaries, 0-1.
+ */
+export const DetectionQueuePanel = ({ queue, selectedId, onSelect, threshold }) => {
+  const { t, formatMessage } = useI18n();
+  const mapping = useResponseMapping();
+  const { items } = queue;
+  if (items.length === 0) return null;
+  const summary = summarizeBatch(items, threshold, mapping);
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 className="text-lg font-semibold text-gray-300 flex items-center">
+          <ListOrdered size={20} className="mr-2 text-orange-400" aria-hidden="true" /> {t('queue.title')}
+          <span className="ml-3 text-sm font-normal text-gray-400">{t('queue.finished', { finished: summary.done + summary.failed, count: summary.total })}</span>
+        </h3>
+        <div className="flex gap-2">
+          {summary.failed > 0 && (
+            <button onClick={queue.retryFailed} className="py-1 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm text-gray-200 font-semibold flex items-center transition-colors">
+              <RotateCcw size={16} className="mr-1" aria-hidden="true" /> {t('queue.retryFailed')}
+            </button>
+          )}
+          <button onClick={queue.clearFinished} disabled={summary.pending === summary.total} className="py-1 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm text-gray-200 font-semibold flex items-center transition-colors">
+            <Trash2 size={16} className="mr-1" aria-hidden="true" /> {t('queue.clearFinished')}
+          </button>
+        </div>
+      </div>
+      <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden mb-4">
+        <div className="h-full bg-indigo-500 transition-all" style={{ width: `${((summary.done + summary.failed) / summary.total) * 100}%` }}></div>
+      </div>
+      {summary.waiting > 0 && (
+        <p className="p-3 mb-4 rounded-lg bg-yellow-900/40 border border-yellow-700 text-sm text-yellow-200 flex items-center">
+          <CloudOff size={16} className="mr-2 shrink-0" aria-hidden="true" />
+          {t(queue.online ? 'queue.waitingRetrying' : 'queue.waiting', { count: summary.waiting })}
+        </p>
+      )}
+      {summary.pending === 0 && <BatchSummary summary={summary} mapping={mapping} />}
+      <ul className="max-h-72 overflow-y-auto divide-y divide-gray-700 rounded-lg border border-gray-700">
+        {items.map(item => {
+          const result = item.status === 'done' ? formatClassCounts(summarizeClasses(parseWorkflowPredictions(item.data, mapping).predictions, threshold, mapping)) : '';
+          return (
+            <li
+              key={item.id}
+              onClick={() => onSelect(item.id)}
+              className={`flex items-center gap-3 p-2 cursor-pointer transition-colors ${item.id === selectedId ? 'bg-gray-700' : 'hover:bg-gray-700/50'}`}
+            >
+              <img src={item.previewUrl} alt="" className="w-12 h-12 object-cover rounded" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-gray-200 truncate">{item.name}</p>
+                <p className={`text-xs truncate ${item.error ? 'text-red-400' : 'text-gray-400'}`}>
+                  {(item.error && formatMessage(item.error)) || result || (item.status === 'done' ? t('queue.noClassifiedBirds') : '')}
+                </p>
+              </div>
+              <StatusBadge item={item} />
+              {item.status === 'failed' && (
+                <button onClick={event => { event.stopPropagation(); queue.retry(item.id); }} className="p-1 rounded-full bg-gray-700 hover:bg-gray-600 text-gray-300" title={t('queue.retry')} aria-label={t('queue.retry')}>
+                  <RotateCcw size={14} aria-hidden="true" />
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
@@ -0,0 +1,80 @@
+// src/components/DetectionSummary.jsx - Confidence slider, per-class counts and prediction table
+
+import React from 'react';
+import { ListChecks } from 'lucide-react';
+import { summarizeClasses, formatClassCounts } from '../detection/responseParser.js';
+import { classColor, formatConfidence } from '../detection/classColors.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { useResponseMapping } from '../hooks/useResponseMapping.js';
+
+/**
+ * Confidence slider, per-class counts and a table of every prediction above the threshold.
+ * @param {Object} props
+ * @param {Array<Object>} props.predictions
+ * @param {number} props.threshold - 0-1.
+ * @param {Function} props.onThresholdChange
+ */
+export const DetectionSummary = ({ predictions, threshold, onThresholdChange }) => {
+  const { t } = useI18n();
+  const mapping = useResponseMapping();
+  const classSummary = summarizeClasses(predictions, threshold, mapping);
+  const visible = predictions
+    .filter(prediction => prediction.confidence >= threshold)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 className="text-lg font-semibold text-gray-300 flex items-center"><ListChecks size={20} className="mr-2 text-orange-400" aria-hidden="true" /> {t('summary.title')}</h3>
+        <label className="flex items-center text-sm text-gray-400">
+          {t('summary.minConfidence')}
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="5"
+            value={Math.round(threshold * 100)}
+            onChange={event => onThresholdChange(Number(event.target.value) / 100)}
+            className="mx-3 w-40"
+          />
+          <span className="w-10 text-gray-200 font-semibold">{formatConfidence(threshold)}</span>
+        </label>
+      </div>
+      <p className="text-gray-200 font-medium mb-4">
+        {classSummary.length ? formatClassCounts(classSummary) : t('summary.none')}
+      </p>
+      {classSummary.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {classSummary.map(entry => (
+            <span key={entry.class} className="px-3 py-1 rounded-full text-sm font-semibold text-white" style={{ backgroundColor: classColor(entry.class, mapping) }}>
+              {entry.class}: {entry.count} · {t('summary.average', { confidence: formatConfidence(entry.avgConfidence) })}
+            </span>
+          ))}
+        </div>
+      )}
+      {visible.length > 0 && (
+        <div className="overflow-x-auto max-h-64 overflow-y-auto rounded-lg border border-gray-700">
+          <table className="w-full text-sm text-left text-gray-300">
+            <thead className="bg-gray-900 text-gray-400 sticky top-0">
+              <tr><th className="px-3 py-2">#</th><th className="px-3 py-2">{t('summary.class')}</th><th className="px-3 py-2">{t('summary.confidence')}</th><th className="px-3 py-2">{t('summary.position')}</th><th className="px-3 py-2">{t('summary.size')}</th></tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {visible.map((prediction, index) => (
+                <tr key={prediction.id}>
+                  <td className="px-3 py-2 text-gray-500">{index + 1}</td>
+                  <td className="px-3 py-2">
+                    <span className="inline-block w-3 h-3 rounded-sm mr-2 align-middle" aria-hidden="true" style={{ backgroundColor: classColor(prediction.class, mapping) }}></span>
+                    {prediction.class}
+                  </td>
+                  <td className="px-3 py-2">{formatConfidence(prediction.confidence)}</td>
+                  <td className="px-3 py-2">{prediction.box ? `${Math.round(prediction.box.x)}, ${Math.round(prediction.box.y)}` : '–'}</td>
+                  <td className="px-3 py-2">{prediction.box ? `${Math.round(prediction.box.width)}×${Math.round(prediction.box.height)}` : t('summary.wholeImage')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,158 @@
+// src/components/FlockReport.jsx - Print layout of a flock health report (preview and window.print())
+
+import React from 'react';
+import { buildPath } from '../sensors/sensorHistory.js';
+import { formatBand } from '../reports/flockReport.js';
+import { formatConfidence } from '../detection/classColors.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { DetectionOverlay } from './DetectionOverlay.jsx';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 100;
+
+const formatShare = (count, total) => (total ? `${count} (${((count / total) * 100).toFixed(0)}%)` : '–');
+const roundTenth = value => Math.round(value * 10) / 10;
+
+/**
+ * Line chart of a metric's bucketed values with the target band dashed, in the display unit.
+ */
+const ReportChart = ({ metric }) => {
+  const { t, convert } = useI18n();
+  const buckets = metric.buckets.map(value => (value === null ? null : convert(value, metric.metric)));
+  const values = buckets.filter(value => value !== null);
+  if (values.length === 0) return <p className="text-sm text-gray-500 py-6 text-center border border-gray-300">{t('report.noReadings')}</p>;
+  const bandValues = [metric.warning.min, metric.warning.max].filter(value => typeof value === 'number').map(value => convert(value, metric.metric));
+  const padding = Math.max(0.5, (Math.max(...values) - Math.min(...values)) * 0.1);
+  const min = Math.min(...values, ...bandValues) - padding;
+  const max = Math.max(...values, ...bandValues) + padding;
+  const toY = value => CHART_HEIGHT - ((value - min) / (max - min)) * CHART_HEIGHT;
+  return (
+    <div className="flex text-xs text-gray-600">
+      <div className="flex flex-col justify-between pr-2 text-right w-10"><span>{max.toFixed(1)}</span><span>{min.toFixed(1)}</span></div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="flex-1 h-24 border border-gray-300" preserveAspectRatio="none">
+        {bandValues.map(value => (
+          <line key={value} x1="0" x2={CHART_WIDTH} y1={toY(value)} y2={toY(value)} stroke="#f59e0b" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+        ))}
+        <path d={buildPath(buckets, min, max, CHART_WIDTH, CHART_HEIGHT)} fill="none" stroke="#2563eb" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * The report as a light, print-friendly document.
+ * @param {Object} props
+ * @param {Object} props.report - From buildFlockReport.
+ */
+export const FlockReport = ({ report }) => {
+  const { house, health, detections } = report;
+  const { t, formatMessage, formatMetric, formatDateTime, convert, unit, locale } = useI18n();
+  const formatDate = timestamp => new Date(timestamp).toLocaleDateString(locale);
+  const displayBand = (band, metric) => formatBand({
+    min: typeof band.min === 'number' ? roundTenth(convert(band.min, metric)) : undefined,
+    max: typeof band.max === 'number' ? roundTenth(convert(band.max, metric)) : undefined,
+  }, unit(metric));
+  const flock = [
+    house.breed && t('report.breed', { breed: house.breed }),
+    house.birdCount ? t('tile.birds', { count: house.birdCount }) : null,
+    house.placementDate && t('report.placed', { date: house.placementDate }),
+    report.profile && t('report.profile', { profile: t(`profile.${report.profile.id}`) }),
+  ].filter(Boolean);
+  const classCounts = Object.entries(detections.classes).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <article className="bg-white text-gray-900 p-8">
+      <header className="border-b-2 border-gray-800 pb-4 mb-6">
+        <h1 className="text-3xl font-bold">{t('report.title')}</h1>
+        <p className="text-xl mt-1">{house.name}</p>
+        <p className="text-sm text-gray-600 mt-2">{t('report.period', { from: formatDate(report.from), to: formatDate(report.to), generated: formatDateTime(report.generatedAt) })}</p>
+        {flock.length > 0 && <p className="text-sm text-gray-600">{flock.join(' · ')}</p>}
+      </header>
+
+      <section className="mb-6 break-inside-avoid">
+        <h2 className="text-lg font-bold border-b border-gray-400 mb-2">{t('report.healthScore')}</h2>
+        <p className="font-semibold">
+          {health.score === null ? t('report.noScore') : t('report.score', { score: health.score, grade: t(`health.grade.${health.grade}`) })}
+        </p>
+        <ul className="text-sm mt-1 list-disc pl-5">
+          {health.factors.filter(factor => factor.available && factor.penalty > 0).map(factor => (
+            <li key={factor.id}>{t('report.factor', { factor: t(`health.factor.${factor.id}`), penalty: factor.penalty, max: factor.maxPenalty, detail: formatMessage(factor.detail) })}</li>
+          ))}
+          {health.advisories.map(advisory => (
+            <li key={advisory.id} className={advisory.severity === 'critical' ? 'text-red-700' : 'text-yellow-800'}>{formatMessage(advisory.message)}</li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="mb-6">
+        <h2 className="text-lg font-bold border-b border-gray-400 mb-2">{t('report.sensorSummary')}</h2>
+        <p className="text-sm text-gray-600 mb-2">{t('report.readingCount', { count: report.readingCount })}</p>
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-left border-b border-gray-400">
+              <th className="py-1">{t('editor.metric')}</th><th>{t('chart.min')}</th><th>{t('chart.avg')}</th><th>{t('chart.max')}</th>
+              <th>{t('report.target')}</th><th>{t('report.outOfTarget')}</th><th>{t('severity.critical')}</th><th>{t('alerts.title')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.metrics.map(({ metric, stats, warning, breaches }) => (
+              <tr key={metric} className="border-b border-gray-200">
+                <td className="py-1 font-semibold">{t(`metric.${metric}`)}</td>
+                <td>{stats ? formatMetric(stats.min, metric) : '–'}</td>
+                <td>{stats ? formatMetric(stats.avg, metric) : '–'}</td>
+                <td>{stats ? formatMetric(stats.max, metric) : '–'}</td>
+                <td>{displayBand(warning, metric)}</td>
+                <td>{formatShare(breaches.warning + breaches.critical, breaches.samples)}</td>
+                <td>{formatShare(breaches.critical, breaches.samples)}</td>
+                <td>{breaches.criticalAlerts ? t('report.alertsCritical', { count: breaches.alerts, critical: breaches.criticalAlerts }) : breaches.alerts}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {report.metrics.map(metric => (
+          <div key={metric.metric} className="mb-4 break-inside-avoid">
+            <h3 className="text-sm font-semibold mb-1">{t(`metric.${metric.metric}`)} ({unit(metric.metric).trim()})</h3>
+            <ReportChart metric={metric} />
+            <div className="flex justify-between text-xs text-gray-600 pl-10"><span>{formatDate(report.from)}</span><span>{formatDate(report.to)}</span></div>
+          </div>
+        ))}
+      </section>
+
+      <section className="mb-6">
+        <h2 className="text-lg font-bold border-b border-gray-400 mb-2">{t('health.factor.disease')}</h2>
+        <p className="text-sm mb-3">
+          {detections.total
+            ? t('report.scans', { count: detections.total, diseased: detections.diseased, percent: (detections.rate * 100).toFixed(0), confidence: formatConfidence(report.threshold) })
+            : t('report.noScans')}
+          {classCounts.length > 0 && ` ${t('report.byClass', { classes: classCounts.map(([name, count]) => `${name} ${count}`).join(', ') })}`}
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-4 print:grid-cols-4 gap-4">
+          {detections.findings.map(({ record, classes }) => (
+            <figure key={record.id || record.timestamp} className="break-inside-avoid text-xs">
+              {record.thumbnail && (
+                <DetectionOverlay
+                  imageUrl={record.thumbnail}
+                  predictions={record.predictions.map((prediction, index) => ({ ...prediction, id: index }))}
+                  imageSize={record.image}
+                  threshold={report.threshold}
+                />
+              )}
+              <figcaption>
+                <span className="block text-gray-600">{formatDateTime(record.timestamp)}</span>
+                <span className="font-semibold">{classes.join(', ')}</span>
+              </figcaption>
+            </figure>
+          ))}
+        </div>
+        {detections.omittedFindings > 0 && <p className="text-sm text-gray-600 mt-2">{t('report.omittedFindings', { count: detections.omittedFindings })}</p>}
+      </section>
+
+      {report.notes && (
+        <section className="break-inside-avoid">
+          <h2 className="text-lg font-bold border-b border-gray-400 mb-2">{t('report.notes')}</h2>
+          <p className="text-sm whitespace-pre-wrap">{report.notes}</p>
+        </section>
+      )}
+    </article>
+  );
+};
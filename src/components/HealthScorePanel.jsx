@@ -0,0 +1,95 @@
+// src/components/HealthScorePanel.jsx - House health score with its trend, factors and advisories
+
+import React from 'react';
+import { HeartPulse, ArrowUpRight, ArrowDownRight, ArrowRight, Lightbulb, AlertTriangle } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n.js';
+
+const GRADE_CLASSES = {
+  good: 'bg-green-700 text-green-100 border-green-500',
+  fair: 'bg-yellow-700 text-yellow-100 border-yellow-500',
+  poor: 'bg-red-700 text-red-100 border-red-500',
+};
+
+const TREND_ICONS = {
+  up: { Icon: ArrowUpRight, className: 'text-green-300' },
+  down: { Icon: ArrowDownRight, className: 'text-red-300' },
+  flat: { Icon: ArrowRight, className: 'text-gray-300' },
+};
+
+const ADVISORY_CLASSES = {
+  critical: 'bg-red-900 border-red-600 text-red-100',
+  warning: 'bg-yellow-900 border-yellow-600 text-yellow-100',
+};
+
+/**
+ * Compact score with the trend arrow, for tile and page headers. The grade and trend are also
+ * given as text (visible on the large badge), not only as colors and arrows.
+ * @param {Object} props
+ * @param {Object} props.health - From useHealthScore.
+ * @param {string} [props.size='md'] - 'md' or 'lg'.
+ */
+export const HealthScoreBadge = ({ health, size = 'md' }) => {
+  const { t } = useI18n();
+  const trend = TREND_ICONS[health.trend];
+  const description = health.score === null
+    ? t('health.badgeNoData')
+    : `${t('health.badge', { score: health.score, grade: t(`health.grade.${health.grade}`) })}${trend ? ` · ${t('health.trend', { trend: t(`health.trend.${health.trend}`), score: health.previousScore })}` : ''}`;
+  return (
+    <span className={`inline-flex items-center rounded-full border font-bold ${size === 'lg' ? 'text-2xl px-4 py-1' : 'text-sm px-3 py-1'} ${GRADE_CLASSES[health.grade] || 'bg-gray-700 text-gray-300 border-gray-600'}`} title={description}>
+      <span className="sr-only">{description}</span>
+      <HeartPulse size={size === 'lg' ? 24 : 16} className="mr-2" aria-hidden="true" />
+      <span aria-hidden="true">{health.score === null ? '–' : health.score}</span>
+      {size === 'lg' && health.grade && <span className="ml-2 text-base font-semibold" aria-hidden="true">{t(`health.grade.${health.grade}`)}</span>}
+      {trend && <trend.Icon size={size === 'lg' ? 24 : 16} className={`ml-1 ${trend.className}`} aria-hidden="true" />}
+    </span>
+  );
+};
+
+/**
+ * The score explained: what each factor cost, and advisories for the combinations found.
+ * @param {Object} props
+ * @param {Object} props.health - From useHealthScore.
+ */
+export const HealthScorePanel = ({ health }) => {
+  const { t, formatMessage } = useI18n();
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-2xl p-6 border border-gray-700 mb-8 custom-shadow">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-semibold text-gray-100 flex items-center"><HeartPulse size={24} className="mr-3 text-pink-400" aria-hidden="true" /> {t('health.title')}</h2>
+        <HealthScoreBadge health={health} size="lg" />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <ul className="space-y-2">
+          {health.factors.map(factor => (
+            <li key={factor.id} className={`text-sm ${factor.available ? '' : 'opacity-50'}`}>
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-gray-200">{t(`health.factor.${factor.id}`)}</span>
+                <span className={factor.penalty > 0 ? 'text-red-300' : 'text-gray-400'}>
+                  {factor.available ? `−${factor.penalty} / ${factor.maxPenalty}` : t('health.notScored')}
+                </span>
+              </div>
+              <div className="h-1.5 bg-gray-700 rounded-full mt-1 overflow-hidden">
+                <div className="h-full bg-red-500" style={{ width: `${(factor.penalty / factor.maxPenalty) * 100}%` }}></div>
+              </div>
+              <p className="text-xs text-gray-400 mt-1">{formatMessage(factor.detail)}</p>
+            </li>
+          ))}
+        </ul>
+        <div>
+          <h3 className="text-sm font-semibold text-gray-300 mb-2 flex items-center"><Lightbulb size={16} className="mr-2 text-yellow-300" aria-hidden="true" /> {t('health.advisories')}</h3>
+          {health.advisories.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('health.noAdvisories')}</p>
+          ) : (
+            <ul className="space-y-2">
+              {health.advisories.map(advisory => (
+                <li key={advisory.id} className={`text-sm border rounded-lg p-3 flex items-start ${ADVISORY_CLASSES[advisory.severity]}`}>
+                  <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" aria-hidden="true" /> <span><span className="sr-only">{t(`severity.${advisory.severity}`)}: </span>{formatMessage(advisory.message)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,284 @@
+// src/components/HouseDashboardView.jsx - The single-house dashboard layout
+
+import React, { useState, useMemo } from 'react';
+import { Thermometer, Droplets, CloudFog, UploadCloud, Camera, CheckCircle, XCircle, Play, Pause, ScanLine, Aperture, Clock, CloudOff, Image as ImageIcon, Video, Square, AlertTriangle, AlertOctagon } from 'lucide-react';
+import { getMetricSeverity } from '../alerts/alertRules.js';
+import { captureFrame } from '../detection/detectionService.js';
+import { parseWorkflowPredictions } from '../detection/responseParser.js';
+import { isNetworkCamera } from '../cameras/cameraSources.js';
+import { message, messageFromError } from '../i18n/i18n.js';
+import { useCamera } from '../hooks/useCamera.js';
+import { useCameraRecorder } from '../hooks/useCameraRecorder.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { useResponseMapping } from '../hooks/useResponseMapping.js';
+import { DEFAULT_CONFIDENCE_THRESHOLD, summarizeDetection } from '../hooks/useHouseMonitor.js';
+import { SensorStatusBadge } from './SensorStatusBadge.jsx';
+import { SensorHistoryChart } from './SensorHistoryChart.jsx';
+import { SEVERITY_CARD_CLASSES, AlertPanel } from './AlertPanel.jsx';
+import { HealthScorePanel } from './HealthScorePanel.jsx';
+import { DetectionOverlay } from './DetectionOverlay.jsx';
+import { DetectionSummary } from './DetectionSummary.jsx';
+import { DetectionGallery } from './DetectionGallery.jsx';
+import { DetectionQueuePanel } from './DetectionQueuePanel.jsx';
+import { CameraFeed } from './CameraFeed.jsx';
+import { RecordingsPanel } from './RecordingsPanel.jsx';
+
+const AUTO_SCAN_INTERVALS = [5, 15, 30, 60]; // Minutes
+
+const SENSOR_CARDS = [
+  { metric: 'temperature', Icon: Thermometer, iconClass: 'text-blue-300', labelClass: 'text-blue-200', valueClass: 'text-blue-100', chartClass: 'text-blue-300' },
+  { metric: 'humidity', Icon: Droplets, iconClass: 'text-green-300', labelClass: 'text-green-200', valueClass: 'text-green-100', chartClass: 'text-green-300' },
+  { metric: 'ammonia', Icon: CloudFog, iconClass: 'text-yellow-300', labelClass: 'text-yellow-200', valueClass: 'text-yellow-100', chartClass: 'text-yellow-300' },
+];
+
+/**
+ * The single-house dashboard: health score, alerts, live sensor cards with history, camera and disease detection.
+ * @param {Object} props
+ * @param {Object} props.house
+ * @param {Object} props.monitor - Output of useHouseMonitor for this house.
+ * @param {Function} props.onUpdateHouse - Persists changes to the house (e.g. age profile).
+ * @param {Object} props.notifications - Output of useNotificationPermission.
+ */
+export const HouseDashboardView = ({ house, monitor, onUpdateHouse, notifications }) => {
+  const { sensor, history, alertEngine, detections, detectionError, detectionQueue, autoScan, health } = monitor;
+  const { t, formatMetric, formatMessage, formatDateTime, formatTime } = useI18n();
+  const mapping = useResponseMapping();
+
+  // State for disease detection
+  const [stagedFiles, setStagedFiles] = useState([]); // Chosen or dropped, not yet queued
+  const [isDragging, setIsDragging] = useState(false);
+  const [selectedItemId, setSelectedItemId] = useState(null); // Queue item shown in detail
+  const [confidenceThreshold, setConfidenceThreshold] = useState(DEFAULT_CONFIDENCE_THRESHOLD);
+  const [errorMessage, setErrorMessage] = useState(null); // A message for formatMessage
+
+  // The camera (local device or the house's network stream), with snapshots and clips
+  const isStream = isNetworkCamera(house.cameraSource);
+  const camera = useCamera(house.cameraSource);
+  const recorder = useCameraRecorder(house, camera.getElement);
+  const autoScanSettings = house.autoScan; // Scans run in the house's monitor, also while this view is closed
+  const setAutoScan = changes => onUpdateHouse({ autoScan: { ...autoScanSettings, ...changes } });
+
+  const selectedItem = detectionQueue.items.find(item => item.id === selectedItemId) || null;
+  const workflowResponse = selectedItem && selectedItem.data;
+  const parsedDetection = useMemo(() => (workflowResponse ? parseWorkflowPredictions(workflowResponse, mapping) : null), [workflowResponse, mapping]);
+  const rawApiResponse = workflowResponse ? JSON.stringify(workflowResponse, null, 2) : (selectedItem && selectedItem.errorBody) || ''; // For debugging
+  const detectionSummary = workflowResponse ? summarizeDetection(workflowResponse, confidenceThreshold, mapping) : null;
+  const detectionResult = !workflowResponse ? ''
+    : detectionSummary ? t('detection.detected', { summary: detectionSummary }) : t('detection.noClassification');
+
+  // Without live data the last known values stay on screen, flagged as stale
+  const shownReading = sensor.lastKnownReading;
+
+  // Sensor cards turn yellow/red while their metric has an open alert, and name the severity
+  const sensorCardClass = severity => (
+    `p-5 rounded-lg shadow-lg border flex flex-col items-center justify-center transition-all duration-200 custom-shadow-sm ${SEVERITY_CARD_CLASSES[severity] || 'bg-gray-700 border-gray-600 hover:bg-gray-600'}`
+  );
+
+  const stageFiles = (fileList) => {
+    const images = Array.from(fileList).filter(file => file.type.startsWith('image/'));
+    setStagedFiles(images);
+    setErrorMessage(images.length || !fileList.length ? null : message('detection.noImageFiles'));
+  };
+
+  const handleImageChange = (event) => {
+    stageFiles(event.target.files);
+    event.target.value = ''; // Allow choosing the same files again
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    stageFiles(event.dataTransfer.files);
+  };
+
+  /**
+   * Queues images for detection and shows the first one in detail. Results are logged by the queue.
+   * @param {Array<Blob>} images - Uploaded files or a captured camera frame.
+   * @param {string} source - 'upload' | 'capture'.
+   */
+  const detectImages = (images, source) => {
+    const [firstId] = detectionQueue.enqueue(images, source);
+    setSelectedItemId(firstId);
+    setErrorMessage(null);
+  };
+
+  const handleDetectDisease = () => {
+    if (stagedFiles.length === 0) {
+      setErrorMessage(message('detection.selectImage'));
+      return;
+    }
+    detectImages(stagedFiles, 'upload');
+    setStagedFiles([]);
+  };
+
+  // A clip cannot outlive the camera it records
+  const toggleCamera = () => {
+    if (recorder.recordingSince) recorder.toggleClip();
+    camera.toggle();
+  };
+
+  // Grab the current camera frame and send it through the same pipeline as uploads
+  const handleCaptureAndDetect = async () => {
+    try {
+      detectImages([await captureFrame(camera.getElement())], 'capture');
+    } catch (error) {
+      setErrorMessage(messageFromError(error));
+    }
+  };
+
+  return (
+    <>
+      <HealthScorePanel health={health} />
+      <AlertPanel
+        alerts={alertEngine.alerts}
+        onAcknowledge={alertEngine.acknowledge}
+        onClearResolved={alertEngine.clearResolved}
+        profileId={house.thresholds.profileId}
+        placementDate={house.placementDate}
+        onProfileChange={profileId => onUpdateHouse({ thresholds: { ...house.thresholds, profileId } })}
+        notificationPermission={notifications.permission}
+        onEnableNotifications={notifications.request}
+      />
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-12">
+        <div className="lg:col-span-2 bg-gray-800 rounded-xl shadow-2xl p-6 md:p-8 border border-gray-700 transition-all duration-300 hover:shadow-3xl transform hover:-translate-y-1 custom-shadow">
+          <div className="flex items-center justify-between mb-6 border-b pb-4 border-gray-700">
+            <h2 className="text-2xl font-semibold text-gray-100 flex items-center"><Thermometer size={24} className="mr-3 text-blue-400" aria-hidden="true" /> {t('house.liveData')}</h2>
+            <SensorStatusBadge status={sensor.status} lastUpdated={sensor.lastUpdated} label={sensor.label} error={sensor.error} />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-center">
+            {SENSOR_CARDS.map(({ metric, Icon, iconClass, labelClass, valueClass, chartClass }) => {
+              const severity = getMetricSeverity(alertEngine.alerts, metric);
+              const SeverityIcon = severity === 'critical' ? AlertOctagon : AlertTriangle;
+              return (
+                <div key={metric} className={sensorCardClass(severity)}>
+                  <Icon size={32} className={`${iconClass} mb-2`} aria-hidden="true" />
+                  <p className={`text-md font-medium ${labelClass} mb-1`}>{t(`metric.${metric}`)}</p>
+                  <p className={`text-4xl font-extrabold ${valueClass}`}>{formatMetric(shownReading && shownReading[metric], metric)}</p>
+                  {severity && (
+                    <span className="mt-2 inline-flex items-center px-2 py-0.5 rounded-full bg-gray-900 text-gray-100 text-xs font-bold uppercase">
+                      <SeverityIcon size={14} className="mr-1" aria-hidden="true" /> {t(`severity.${severity}`)}
+                    </span>
+                  )}
+                  <SensorHistoryChart houseId={house.id} metric={metric} colorClass={chartClass} refreshKey={history.lastRecordedAt} />
+                </div>
+              );
+            })}
+          </div>
+          {sensor.staleSince && shownReading && (
+            <p className="text-sm text-yellow-300 text-center mt-6 flex items-center justify-center">
+              <Clock size={16} className="mr-2" aria-hidden="true" /> {t('house.lastKnown', { time: formatDateTime(sensor.staleSince) })}
+            </p>
+          )}
+          {sensor.error && <p className="text-sm text-red-400 text-center mt-6">{sensor.error}</p>}
+          {history.error && <p className="text-sm text-red-400 text-center mt-2">{formatMessage(history.error)}</p>}
+          {sensor.isDemo && <p className="text-sm text-gray-400 text-center mt-6">{t('house.simulated')}</p>}
+        </div>
+        <div className="bg-gray-800 rounded-xl shadow-2xl p-6 md:p-8 border border-gray-700 transition-all duration-300 hover:shadow-3xl transform hover:-translate-y-1 custom-shadow">
+          <h2 className="text-2xl font-semibold text-gray-100 mb-6 flex items-center border-b pb-4 border-gray-700 w-full"><Camera size={24} className="mr-3 text-purple-400" aria-hidden="true" /> {t(isStream ? 'house.cameraStream' : 'house.webcam')}</h2>
+          <CameraFeed source={house.cameraSource} camera={camera} title={t('house.cameraTitle', { name: house.name })}>
+            {recorder.recordingSince && (
+              <span className="absolute top-2 left-2 flex items-center bg-red-600 text-white text-xs font-bold px-2 py-1 rounded-full animate-pulse">
+                <span className="w-2 h-2 bg-white rounded-full mr-1"></span> {t('house.recording')}
+              </span>
+            )}
+          </CameraFeed>
+          <button onClick={toggleCamera} className={`mt-4 w-full py-2 px-5 rounded-lg text-white font-semibold flex items-center justify-center transition-all ${camera.active ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}>
+            {camera.active
+              ? <><Pause size={20} className="mr-2" aria-hidden="true" /> {t(isStream ? 'house.stopStream' : 'house.stopWebcam')}</>
+              : <><Play size={20} className="mr-2" aria-hidden="true" /> {t(isStream ? 'house.startStream' : 'house.startWebcam')}</>}
+          </button>
+          <button onClick={handleCaptureAndDetect} disabled={!camera.active} className="mt-3 w-full py-2 px-5 rounded-lg text-white font-semibold flex items-center justify-center transition-all bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-900 disabled:cursor-not-allowed">
+            <Aperture size={20} className="mr-2" aria-hidden="true" /> {t('house.captureDetect')}
+          </button>
+          <div className="mt-3 grid grid-cols-2 gap-3">
+            <button onClick={recorder.takeSnapshot} disabled={!camera.active} className="py-2 px-3 rounded-lg text-white font-semibold flex items-center justify-center transition-all bg-gray-600 hover:bg-gray-500 disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed">
+              <ImageIcon size={18} className="mr-2" aria-hidden="true" /> {t('house.snapshot')}
+            </button>
+            <button onClick={recorder.toggleClip} disabled={!camera.active} className={`py-2 px-3 rounded-lg text-white font-semibold flex items-center justify-center transition-all disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed ${recorder.recordingSince ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-600 hover:bg-gray-500'}`}>
+              {recorder.recordingSince
+                ? <><Square size={18} className="mr-2" aria-hidden="true" /> {t('house.stopClip')}</>
+                : <><Video size={18} className="mr-2" aria-hidden="true" /> {t('house.recordClip')}</>}
+            </button>
+          </div>
+          {recorder.error && <p className="text-xs text-red-400 mt-2">{formatMessage(recorder.error)}</p>}
+          <RecordingsPanel recordings={recorder.recordings} onDelete={recorder.remove} />
+          <div className="mt-4 p-3 bg-gray-900 rounded-lg border border-gray-700 text-sm">
+            <label className="flex items-center justify-between text-gray-300">
+              <span className="flex items-center font-semibold"><ScanLine size={16} className="mr-2 text-purple-400" aria-hidden="true" /> {t('house.autoScan')}</span>
+              <input type="checkbox" checked={autoScanSettings.enabled} onChange={event => setAutoScan({ enabled: event.target.checked })} className="h-4 w-4" />
+            </label>
+            <label className="flex items-center justify-between text-gray-400 mt-2">
+              {t('house.autoScanEvery')}
+              <select
+                value={autoScanSettings.intervalMinutes}
+                onChange={event => setAutoScan({ intervalMinutes: Number(event.target.value) })}
+                className="bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {AUTO_SCAN_INTERVALS.map(minutes => <option key={minutes} value={minutes}>{t('house.minutes', { count: minutes })}</option>)}
+              </select>
+            </label>
+            {autoScanSettings.enabled && (
+              <p className="text-xs text-gray-500 mt-2">
+                {autoScan.isScanning ? t('house.scanning')
+                  : `${t('house.lastScan', { time: autoScan.lastRunAt ? formatTime(autoScan.lastRunAt) : t('house.scanPending') })}${autoScan.nextRunAt ? ` · ${t('house.nextScan', { time: formatTime(autoScan.nextRunAt) })}` : ''}`}
+              </p>
+            )}
+            {autoScan.error && <p className="text-xs text-red-400 mt-2">{formatMessage(autoScan.error)}</p>}
+          </div>
+        </div>
+      </div>
+      <div className="bg-gray-800 rounded-xl shadow-2xl p-6 md:p-8 border border-gray-700 transition-all duration-300 hover:shadow-3xl transform hover:-translate-y-1 custom-shadow">
+        <h2 className="text-2xl font-semibold text-gray-100 mb-6 flex items-center border-b pb-4 border-gray-700"><UploadCloud size={24} className="mr-3 text-orange-400" aria-hidden="true" /> {t('detection.title')}</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-8 items-start">
+          <div>
+            {/* Visually hidden rather than display:none so the file picker is reachable with Tab */}
+            <input id="image-upload" type="file" accept="image/*" multiple onChange={handleImageChange} className="peer sr-only" />
+            <label
+              htmlFor="image-upload"
+              onDragOver={event => { event.preventDefault(); setIsDragging(true); }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={handleDrop}
+              className={`cursor-pointer w-full flex flex-col items-center justify-center p-6 border-2 border-dashed rounded-lg hover:bg-gray-700 transition-colors peer-focus-visible:ring-2 peer-focus-visible:ring-blue-400 ${isDragging ? 'border-indigo-400 bg-gray-700' : 'border-gray-600'}`}
+            >
+              <UploadCloud size={48} className="text-gray-500 mb-3" aria-hidden="true" />
+              <span className="text-gray-400 font-semibold">{t(stagedFiles.length ? 'detection.changeImages' : 'detection.chooseImages')}</span>
+              <span className="text-xs text-gray-500 mt-1">
+                {stagedFiles.length === 1 ? stagedFiles[0].name
+                  : stagedFiles.length > 1 ? t('detection.imagesSelected', { count: stagedFiles.length })
+                  : t('detection.fileHint')}
+              </span>
+            </label>
+            <button onClick={handleDetectDisease} disabled={stagedFiles.length === 0} className="mt-4 w-full py-3 px-5 rounded-lg text-white font-bold text-lg bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-900 disabled:cursor-not-allowed transition-all flex items-center justify-center">
+              {stagedFiles.length > 1 ? t('detection.detectBatch', { count: stagedFiles.length }) : t('detection.detect')}
+            </button>
+          </div>
+          {/* Live region: status changes and the result are announced as they arrive */}
+          <div className="flex flex-col items-center justify-center min-h-[200px] bg-gray-900 p-4 rounded-lg border border-gray-700" role="status" aria-live="polite">
+            {selectedItem && (parsedDetection
+              ? <DetectionOverlay imageUrl={selectedItem.previewUrl} predictions={parsedDetection.predictions} imageSize={parsedDetection.image} threshold={confidenceThreshold} />
+              : <img src={selectedItem.previewUrl} alt={t('detection.preview')} className="max-h-48 rounded-md mb-4 shadow-lg"/>)}
+            {selectedItem && selectedItem.status === 'queued' && <p className="text-gray-400 font-semibold text-center">{t('detection.queued')}</p>}
+            {selectedItem && selectedItem.status === 'running' && <p className="text-gray-300 font-semibold text-center">{t('detection.analyzing')}{selectedItem.error && <span className="block text-xs text-yellow-400 mt-1">{formatMessage(selectedItem.error)}</span>}</p>}
+            {selectedItem && selectedItem.status === 'waiting' && <p className="text-yellow-300 font-semibold text-center"><CloudOff className="inline mr-2" aria-hidden="true" /> {t('detection.waitingConnection')}</p>}
+            {selectedItem && selectedItem.status === 'failed' && <p className="text-red-400 font-bold text-center"><XCircle className="inline mr-2" aria-hidden="true" /> {t('detection.failed', { error: formatMessage(selectedItem.error) })}</p>}
+            {errorMessage && <p className="text-red-400 font-bold text-center"><XCircle className="inline mr-2" aria-hidden="true" /> {formatMessage(errorMessage)}</p>}
+            {detectionResult && <p className="text-green-300 font-bold text-xl text-center"><CheckCircle className="inline mr-2" aria-hidden="true" /> {detectionResult}</p>}
+            {!selectedItem && !errorMessage && <p className="text-gray-500 text-center">{t('detection.placeholder')}</p>}
+          </div>
+        </div>
+        <DetectionQueuePanel queue={detectionQueue} selectedId={selectedItemId} onSelect={setSelectedItemId} threshold={confidenceThreshold} />
+        {parsedDetection && parsedDetection.predictions.length > 0 && (
+          <DetectionSummary predictions={parsedDetection.predictions} threshold={confidenceThreshold} onThresholdChange={setConfidenceThreshold} />
+        )}
+        {rawApiResponse && (
+          <details className="mt-6">
+            <summary className="cursor-pointer text-sm font-semibold text-gray-500 hover:text-gray-400">{t('detection.rawResponse')}</summary>
+            <pre className="bg-gray-900 text-xs text-gray-300 p-4 rounded-lg mt-2 max-h-48 overflow-auto">{rawApiResponse}</pre>
+          </details>
+        )}
+        {detectionError && <p className="text-xs text-red-400 mt-4">{formatMessage(detectionError)}</p>}
+        <DetectionGallery house={house} refreshKey={detections.length ? detections[0].id : null} />
+      </div>
+    </>
+  );
+};
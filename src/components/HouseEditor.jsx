@@ -0,0 +1,254 @@
+// src/components/HouseEditor.jsx - Add/edit dialog for a house: flock details, sources and thresholds
+
+import React, { useState, useEffect } from 'react';
+import { Trash2, X, RefreshCw } from 'lucide-react';
+import { SOURCE_TYPES, DEFAULT_SENSOR_CONFIG } from '../sensors/sensorSources.js';
+import { AGE_PROFILES, buildRules, resolveProfileId } from '../alerts/alertRules.js';
+import { createHouse, validateHouse } from '../houses/houseModel.js';
+import { CAMERA_TYPES, isNetworkCamera, listVideoDevices, requestVideoDevices } from '../cameras/cameraSources.js';
+import { useModalDialog } from '../hooks/useModalDialog.js';
+import { useI18n } from '../hooks/useI18n.js';
+
+const METRICS = ['temperature', 'humidity', 'ammonia'];
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-md px-3 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+const labelClass = 'block text-sm font-medium text-gray-300 mb-1';
+
+// Temperatures are edited in the display unit and stored in °C; one decimal is enough to show
+const roundForInput = value => Math.round(value * 10) / 10;
+
+/**
+ * Optional number input: empty means "use the default" and is stored as undefined.
+ * @param {Object} props
+ * @param {?number} props.value - Stored value.
+ * @param {?number} props.placeholder - Stored default.
+ * @param {Function} props.onChange - Called with the stored value, or undefined when cleared.
+ * @param {string} props.label - Accessible name.
+ * @param {string} [props.metric] - Converts to and from the display unit; omit for plain numbers.
+ */
+const OptionalNumber = ({ value, placeholder, onChange, label, metric }) => {
+  const { convert, convertBack } = useI18n();
+  const show = number => (metric ? roundForInput(convert(number, metric)) : number);
+  return (
+    <input
+      type="number"
+      step="0.1"
+      value={value === undefined ? '' : show(value)}
+      placeholder={placeholder === undefined ? '–' : String(show(placeholder))}
+      onChange={event => onChange(event.target.value === '' ? undefined : (metric ? convertBack(Number(event.target.value), metric) : Number(event.target.value)))}
+      aria-label={label}
+      className="w-20 bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+    />
+  );
+};
+
+const BOUNDS = [['warning', 'min'], ['warning', 'max'], ['critical', 'min'], ['critical', 'max']];
+
+/**
+ * Modal form for adding or editing a house.
+ */
+export const HouseEditor = ({ house, onSave, onDelete, onCancel }) => {
+  const { t, unit, formatMetric } = useI18n();
+  const [draft, setDraft] = useState(() => createHouse(house));
+  const [error, setError] = useState('');
+  const [videoDevices, setVideoDevices] = useState([]);
+  const dialogProps = useModalDialog(onCancel, 'house-editor-title');
+  const set = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const setSensor = (changes) => set({ sensorSource: { ...draft.sensorSource, ...changes } });
+  const setCamera = (changes) => set({ cameraSource: { ...draft.cameraSource, ...changes } });
+  const defaults = buildRules(resolveProfileId(draft.thresholds.profileId, draft.placementDate));
+  const overrides = draft.thresholds.rules || {};
+
+  const setRule = (metric, band, bound, value) => {
+    const metricOverride = { ...overrides[metric] };
+    if (band === 'durationMinutes') {
+      metricOverride.durationMinutes = value;
+    } else {
+      metricOverride[band] = { ...metricOverride[band], [bound]: value };
+    }
+    // JSON round-trip drops cleared (undefined) fields so they fall back to the profile default
+    set({ thresholds: { ...draft.thresholds, rules: { ...overrides, [metric]: JSON.parse(JSON.stringify(metricOverride)) } } });
+  };
+
+  useEffect(() => {
+    listVideoDevices().then(setVideoDevices).catch(() => {});
+  }, []);
+
+  const detectCameras = () => {
+    requestVideoDevices()
+      .then(setVideoDevices)
+      .catch(err => setError(t('editor.cameraListFailed', { error: err.message })));
+  };
+
+  const handleSave = () => {
+    if (isNetworkCamera(draft.cameraSource) && !draft.cameraSource.url.trim()) {
+      setError(t('editor.streamUrlRequired'));
+      return;
+    }
+    try {
+      onSave(validateHouse({ ...draft, birdCount: Number(draft.birdCount) || 0 }, 0));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-70 p-4">
+      <div {...dialogProps} className="bg-gray-800 rounded-xl shadow-2xl border border-gray-700 w-full max-w-2xl max-h-full overflow-y-auto p-6 md:p-8 focus:outline-none">
+        <div className="flex items-center justify-between mb-6 border-b pb-4 border-gray-700">
+          <h2 id="house-editor-title" className="text-2xl font-semibold text-gray-100">{house ? t('editor.editTitle', { name: house.name }) : t('editor.addTitle')}</h2>
+          <button onClick={onCancel} className="p-1 rounded-full hover:bg-gray-700 text-gray-400" title={t('common.close')} aria-label={t('common.close')}><X size={20} aria-hidden="true" /></button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="house-name" className={labelClass}>{t('editor.name')}</label>
+            <input id="house-name" className={inputClass} value={draft.name} onChange={event => set({ name: event.target.value })} />
+          </div>
+          <div>
+            <label htmlFor="house-breed" className={labelClass}>{t('editor.breed')}</label>
+            <input id="house-breed" className={inputClass} value={draft.breed} placeholder={t('editor.breedPlaceholder')} onChange={event => set({ breed: event.target.value })} />
+          </div>
+          <div>
+            <label htmlFor="house-bird-count" className={labelClass}>{t('editor.birdCount')}</label>
+            <input id="house-bird-count" type="number" min="0" className={inputClass} value={draft.birdCount} onChange={event => set({ birdCount: event.target.value === '' ? '' : parseInt(event.target.value, 10) })} />
+          </div>
+          <div>
+            <label htmlFor="house-placement-date" className={labelClass}>{t('editor.placementDate')}</label>
+            <input id="house-placement-date" type="date" className={inputClass} value={draft.placementDate} onChange={event => set({ placementDate: event.target.value })} />
+          </div>
+        </div>
+
+        <h3 className="text-lg font-semibold text-gray-200 mt-6 mb-3">{t('editor.sensorSource')}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="house-sensor-type" className={labelClass}>{t('editor.type')}</label>
+            <select id="house-sensor-type" className={inputClass} value={draft.sensorSource.type} onChange={event => setSensor({ type: event.target.value })}>
+              {SOURCE_TYPES.map(type => <option key={type} value={type}>{t(`editor.sensorType.${type}`)}</option>)}
+            </select>
+          </div>
+          {draft.sensorSource.type !== 'demo' && (
+            <div className="md:col-span-2">
+              <label htmlFor="house-sensor-url" className={labelClass}>{t('editor.baseUrl')}</label>
+              <input id="house-sensor-url" className={inputClass} value={draft.sensorSource.baseUrl || ''} placeholder="http://raspberrypi.local:5000" onChange={event => setSensor({ baseUrl: event.target.value })} />
+            </div>
+          )}
+          {(draft.sensorSource.type === 'http' || draft.sensorSource.type === 'websocket') && (
+            <div>
+              <label htmlFor="house-sensor-path" className={labelClass}>{t('editor.path')}</label>
+              <input id="house-sensor-path" className={inputClass} value={draft.sensorSource.path !== undefined ? draft.sensorSource.path : DEFAULT_SENSOR_CONFIG.path} onChange={event => setSensor({ path: event.target.value })} />
+            </div>
+          )}
+          {draft.sensorSource.type === 'mqtt' && (
+            <div>
+              <label htmlFor="house-sensor-topic" className={labelClass}>{t('editor.topic')}</label>
+              <input id="house-sensor-topic" className={inputClass} value={draft.sensorSource.topic || ''} placeholder={DEFAULT_SENSOR_CONFIG.topic} onChange={event => setSensor({ topic: event.target.value || undefined })} />
+            </div>
+          )}
+        </div>
+
+        <h3 className="text-lg font-semibold text-gray-200 mt-6 mb-3">{t('editor.cameraSource')}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="house-camera-type" className={labelClass}>{t('editor.type')}</label>
+            <select id="house-camera-type" className={inputClass} value={draft.cameraSource.type} onChange={event => setCamera({ type: event.target.value })}>
+              {CAMERA_TYPES.map(type => <option key={type} value={type}>{t(`editor.cameraType.${type}`)}</option>)}
+            </select>
+          </div>
+          {draft.cameraSource.type === 'webcam' && (
+            <div className="md:col-span-2">
+              <label htmlFor="house-camera-device" className={labelClass}>{t('editor.device')}</label>
+              <div className="flex gap-2">
+                <select id="house-camera-device" className={inputClass} value={draft.cameraSource.deviceId} onChange={event => setCamera({ deviceId: event.target.value })}>
+                  <option value="">{t('editor.defaultCamera')}</option>
+                  {videoDevices.filter(device => device.deviceId).map(device => <option key={device.deviceId} value={device.deviceId}>{device.label}</option>)}
+                  {draft.cameraSource.deviceId && !videoDevices.some(device => device.deviceId === draft.cameraSource.deviceId) && (
+                    <option value={draft.cameraSource.deviceId}>{t('editor.savedCamera')}</option>
+                  )}
+                </select>
+                <button type="button" onClick={detectCameras} className="px-3 rounded-md bg-gray-600 hover:bg-gray-500 text-gray-100 flex items-center whitespace-nowrap" title={t('editor.detectCamerasHint')}>
+                  <RefreshCw size={16} className="mr-2" aria-hidden="true" /> {t('editor.detectCameras')}
+                </button>
+              </div>
+            </div>
+          )}
+          {isNetworkCamera(draft.cameraSource) && (
+            <div className="md:col-span-2">
+              <label htmlFor="house-camera-url" className={labelClass}>{t('editor.streamUrl')}</label>
+              <input
+                id="house-camera-url"
+                className={inputClass}
+                value={draft.cameraSource.url}
+                placeholder={draft.cameraSource.type === 'hls' ? 'http://raspberrypi.local:8080/hls/stream.m3u8' : 'http://raspberrypi.local:8080/stream.mjpg'}
+                onChange={event => setCamera({ url: event.target.value })}
+              />
+            </div>
+          )}
+        </div>
+
+        <h3 className="text-lg font-semibold text-gray-200 mt-6 mb-3">{t('editor.thresholds')}</h3>
+        <label htmlFor="house-profile" className={labelClass}>{t('editor.profile')}</label>
+        <select
+          id="house-profile"
+          className={`${inputClass} mb-4`}
+          value={draft.thresholds.profileId}
+          onChange={event => set({ thresholds: { ...draft.thresholds, profileId: event.target.value } })}
+        >
+          <option value="auto">{t('editor.profileAuto')}</option>
+          {AGE_PROFILES.map(profile => <option key={profile.id} value={profile.id}>{t(`profile.${profile.id}`)} – {formatMetric(profile.targetTemperature, 'temperature', 0)}</option>)}
+        </select>
+        <p className="text-xs text-gray-400 mb-2">{t('editor.thresholdsHint')}</p>
+        <div className="overflow-x-auto">
+          <table className="text-sm text-gray-300">
+            <thead>
+              <tr className="text-left text-gray-400">
+                <th className="pr-3 py-1">{t('editor.metric')}</th>
+                {BOUNDS.map(([band, bound]) => <th key={`${band}-${bound}`} className="pr-2">{t(`editor.${band}.${bound}`)}</th>)}
+                <th>{t('editor.minutes')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {METRICS.map(metric => {
+                const override = overrides[metric] || {};
+                const metricLabel = t(`metric.${metric}`);
+                return (
+                  <tr key={metric}>
+                    <td className="pr-3">{metricLabel} ({unit(metric).trim()})</td>
+                    {BOUNDS.map(([band, bound]) => (
+                      <td key={`${band}-${bound}`} className="pr-2 py-1">
+                        <OptionalNumber
+                          value={override[band] && override[band][bound]}
+                          placeholder={defaults[metric][band][bound]}
+                          onChange={value => setRule(metric, band, bound, value)}
+                          label={`${metricLabel}: ${t(`editor.${band}.${bound}`)}`}
+                          metric={metric}
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1">
+                      <OptionalNumber value={override.durationMinutes} placeholder={defaults[metric].durationMinutes} onChange={value => setRule(metric, 'durationMinutes', null, value)} label={`${metricLabel}: ${t('editor.minutes')}`} />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {error && <p className="mt-4 text-red-400 font-medium">{error}</p>}
+
+        <div className="flex flex-wrap justify-between gap-3 mt-8">
+          {onDelete ? (
+            <button onClick={onDelete} className="py-2 px-4 rounded-lg bg-red-700 hover:bg-red-800 text-white font-semibold flex items-center transition-colors">
+              <Trash2 size={18} className="mr-2" aria-hidden="true" /> {t('editor.deleteHouse')}
+            </button>
+          ) : <span />}
+          <div className="flex gap-3">
+            <button onClick={onCancel} className="py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold transition-colors">{t('common.cancel')}</button>
+            <button onClick={handleSave} className="py-2 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold transition-colors">{t('common.save')}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,88 @@
+// src/components/HouseTile.jsx - One house in the overview grid
+
+import React from 'react';
+import { Home, Pencil, AlertTriangle, AlertOctagon, Bird, Clock } from 'lucide-react';
+import { getFlockAgeDays } from '../houses/houseModel.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { SensorStatusBadge } from './SensorStatusBadge.jsx';
+import { HealthScoreBadge } from './HealthScorePanel.jsx';
+
+// Records saved before the summary was left empty hold this English text instead
+const LEGACY_EMPTY_SUMMARY = 'No disease classification';
+
+const TILE_SEVERITY_CLASSES = {
+  critical: 'border-red-500 ring-2 ring-red-500',
+  warning: 'border-yellow-500 ring-2 ring-yellow-500',
+};
+
+/**
+ * One house in the overview grid: health score, live readings, connection status, open alerts and last detection.
+ * The whole tile opens the house on click; the house name is the button for keyboard and screen reader users.
+ * @param {Object} props
+ * @param {Object} props.house
+ * @param {Object} props.monitor - Output of useHouseMonitor for this house.
+ * @param {?Object} props.lastDetection - Latest detection log entry.
+ * @param {Function} props.onOpen - Drill into the house.
+ * @param {Function} props.onEdit - Open the house editor.
+ */
+export const HouseTile = ({ house, monitor, lastDetection, onOpen, onEdit }) => {
+  const { t, formatMetric, formatDateTime } = useI18n();
+  const { sensor, alertEngine } = monitor;
+  const openAlerts = alertEngine.alerts.filter(alert => alert.status !== 'resolved');
+  const worst = openAlerts.some(alert => alert.severity === 'critical') ? 'critical' : openAlerts.length ? 'warning' : null;
+  const ageDays = getFlockAgeDays(house.placementDate);
+  const reading = sensor.lastKnownReading || {};
+  const AlertIcon = worst === 'critical' ? AlertOctagon : AlertTriangle;
+
+  return (
+    <div
+      onClick={onOpen}
+      className={`cursor-pointer bg-gray-800 rounded-xl shadow-2xl p-6 border border-gray-700 transition-all duration-300 hover:shadow-3xl transform hover:-translate-y-1 custom-shadow ${TILE_SEVERITY_CLASSES[worst] || ''}`}
+    >
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-semibold text-gray-100">
+            <button onClick={event => { event.stopPropagation(); onOpen(); }} className="flex items-center text-left rounded hover:underline" aria-label={t('tile.open', { name: house.name })}>
+              <Home size={20} className="mr-2 text-blue-400" aria-hidden="true" /> {house.name}
+            </button>
+          </h3>
+          <p className="text-sm text-gray-400 mt-1">
+            {[house.breed, house.birdCount ? t('tile.birds', { count: house.birdCount }) : null, ageDays !== null ? t('tile.day', { day: ageDays }) : null].filter(Boolean).join(' · ') || t('tile.noFlock')}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <HealthScoreBadge health={monitor.health} />
+          <button
+            onClick={event => { event.stopPropagation(); onEdit(); }}
+            className="p-2 rounded-full bg-gray-700 hover:bg-gray-600 text-gray-300 transition-colors"
+            title={t('app.editHouse')}
+            aria-label={t('app.editHouse')}
+          >
+            <Pencil size={16} aria-hidden="true" />
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-3 gap-2 text-center mb-4">
+        <div className="bg-gray-700 rounded-lg p-2"><p className="text-xs text-blue-200">{t('tile.temperature')}</p><p className="text-lg font-bold text-blue-100">{formatMetric(reading.temperature, 'temperature')}</p></div>
+        <div className="bg-gray-700 rounded-lg p-2"><p className="text-xs text-green-200">{t('metric.humidity')}</p><p className="text-lg font-bold text-green-100">{formatMetric(reading.humidity, 'humidity')}</p></div>
+        <div className="bg-gray-700 rounded-lg p-2"><p className="text-xs text-yellow-200">{t('tile.ammonia')}</p><p className="text-lg font-bold text-yellow-100">{formatMetric(reading.ammonia, 'ammonia')}</p></div>
+      </div>
+      {sensor.staleSince && sensor.lastKnownReading && (
+        <p className="text-xs text-yellow-300 -mt-2 mb-3 flex items-center">
+          <Clock size={12} className="mr-1" aria-hidden="true" /> {t('tile.staleSince', { time: formatDateTime(sensor.staleSince) })}
+        </p>
+      )}
+      <div className="flex items-center justify-between">
+        <p className={`text-sm font-semibold flex items-center ${worst === 'critical' ? 'text-red-300' : worst ? 'text-yellow-300' : 'text-green-300'}`} aria-live="polite">
+          <AlertIcon size={16} className="mr-1" aria-hidden="true" />
+          {openAlerts.length ? `${t('tile.openAlerts', { count: openAlerts.length })} · ${t(`severity.${worst}`)}` : t('tile.noAlerts')}
+        </p>
+        <SensorStatusBadge status={sensor.status} lastUpdated={sensor.lastUpdated} label={sensor.label} error={sensor.error} />
+      </div>
+      <p className="text-xs text-gray-400 mt-3 truncate">
+        <Bird size={12} className="inline mr-1" aria-hidden="true" />
+        {lastDetection ? t('tile.lastDetection', { summary: lastDetection.summary && lastDetection.summary !== LEGACY_EMPTY_SUMMARY ? lastDetection.summary : t('tile.noClassification'), time: formatDateTime(lastDetection.timestamp) }) : t('tile.noDetections')}
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,55 @@
+// src/components/HouseToolbar.jsx - Overview toolbar: add houses, reports, export and import the setup
+
+import React, { useState } from 'react';
+import { Home, Plus, Download, Upload, FileText } from 'lucide-react';
+import { exportHousesJson, importHousesJson } from '../houses/houseModel.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { downloadFile } from '../downloads.js';
+
+/**
+ * Toolbar above the overview grid: add house, flock reports, export and import configuration.
+ */
+export const HouseToolbar = ({ houses, onAdd, onReport, onImport }) => {
+  const { t } = useI18n();
+  const [message, setMessage] = useState('');
+
+  const handleExport = () => {
+    downloadFile(exportHousesJson(houses), `poultry-houses-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    file.text()
+      .then(text => {
+        const imported = importHousesJson(text);
+        if (!window.confirm(t('toolbar.importConfirm', { current: houses.length, count: imported.length, file: file.name }))) return;
+        onImport(imported);
+        setMessage(t('toolbar.imported', { count: imported.length }));
+      })
+      .catch(error => setMessage(t('toolbar.importFailed', { error: error.message })));
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+      <h2 className="text-2xl font-semibold text-gray-100 flex items-center"><Home size={24} className="mr-3 text-blue-400" aria-hidden="true" /> {t('toolbar.title')}</h2>
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm text-gray-400" role="status">{message}</span>
+        <button onClick={onAdd} className="py-2 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold flex items-center transition-colors">
+          <Plus size={18} className="mr-2" aria-hidden="true" /> {t('toolbar.addHouse')}
+        </button>
+        <button onClick={onReport} className="py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold flex items-center transition-colors">
+          <FileText size={18} className="mr-2" aria-hidden="true" /> {t('app.report')}
+        </button>
+        <button onClick={handleExport} className="py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold flex items-center transition-colors">
+          <Download size={18} className="mr-2" aria-hidden="true" /> {t('toolbar.exportJson')}
+        </button>
+        <label className="cursor-pointer py-2 px-4 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold flex items-center transition-colors focus-within:ring-2 focus-within:ring-blue-400">
+          <Upload size={18} className="mr-2" aria-hidden="true" /> {t('toolbar.importJson')}
+          <input type="file" accept="application/json,.json" onChange={handleImport} className="sr-only" />
+        </label>
+      </div>
+    </div>
+  );
+};
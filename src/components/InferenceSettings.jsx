@@ -0,0 +1,306 @@
+// src/components/InferenceSettings.jsx - Dialog for registering inference backends and mapping their responses
+
+import React, { useState } from 'react';
+import { X, Plus, Pencil, Trash2, CheckCircle, PlugZap, Loader2, KeyRound } from 'lucide-react';
+import {
+  BACKEND_URL_PLACEHOLDERS,
+  createBackendDraft,
+  getDefaultPredictionsPath,
+  testBackend,
+} from '../detection/inferenceBackends.js';
+import { fileToBase64 } from '../detection/detectionService.js';
+import { useModalDialog } from '../hooks/useModalDialog.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { parseWorkflowPredictions, getTopPrediction, summarizeClasses, formatClassCounts } from '../detection/responseParser.js';
+
+const EDITABLE_TYPES = ['roboflow-workflow', 'roboflow-model', 'http'];
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-md px-3 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+const labelClass = 'block text-sm font-medium text-gray-300 mb-1';
+const buttonClass = 'py-2 px-4 rounded-lg font-semibold flex items-center transition-colors disabled:opacity-50';
+
+// The form edits class lists as comma-separated text
+const toForm = backend => ({
+  ...backend,
+  apiKey: '',
+  authorization: '',
+  imageField: backend.imageField || 'image',
+  timeoutMs: backend.timeoutMs || 30000,
+  mapping: {
+    ...backend.mapping,
+    healthyClasses: backend.mapping.healthyClasses.join(', '),
+    ignoredClasses: backend.mapping.ignoredClasses.join(', '),
+  },
+});
+
+const toClassList = text => text.split(',').map(name => name.trim()).filter(Boolean);
+
+const fromForm = form => ({
+  ...form,
+  timeoutMs: Number(form.timeoutMs) || undefined,
+  mapping: { ...form.mapping, healthyClasses: toClassList(form.mapping.healthyClasses), ignoredClasses: toClassList(form.mapping.ignoredClasses) },
+});
+
+/**
+ * Result of "Test connection", read with the form's mapping so a wrong path shows up before saving.
+ */
+const TestResult = ({ result, mapping }) => {
+  const { t } = useI18n();
+  if (!result.ok) {
+    return <p className="text-sm text-red-400">{t(result.status ? 'inference.testFailedStatus' : 'inference.testFailed', { status: result.status, error: result.error })}</p>;
+  }
+  const { predictions } = parseWorkflowPredictions(result.response, mapping);
+  const top = getTopPrediction(result.response, mapping);
+  const classes = formatClassCounts(summarizeClasses(predictions, 0, mapping));
+  return (
+    <div className="text-sm text-gray-300 space-y-1">
+      <p className="text-green-400 font-semibold">{t('inference.connected', { ms: result.latencyMs })}</p>
+      <p>
+        {classes ? t('inference.predictionsFoundClasses', { count: predictions.length, classes }) : t('inference.predictionsFound', { count: predictions.length })}
+        {top && ` ${t('inference.topPrediction', { name: top.class, confidence: (top.confidence * 100).toFixed(1) })}`}
+      </p>
+      {predictions.length === 0 && (
+        <p className="text-yellow-300">{t('inference.noPredictionsHint')}</p>
+      )}
+      <details>
+        <summary className="cursor-pointer text-gray-400">{t('inference.rawResponse')}</summary>
+        <pre className="mt-2 max-h-48 overflow-auto bg-gray-900 rounded p-2 text-xs">{JSON.stringify(result.response, null, 2)}</pre>
+      </details>
+    </div>
+  );
+};
+
+/**
+ * Form for one backend: connection, secrets, response mapping and the connection test.
+ */
+const BackendForm = ({ initial, onSave, onCancel }) => {
+  const { t } = useI18n();
+  const [form, setForm] = useState(initial);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [testFile, setTestFile] = useState(null);
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+  const readOnly = !!form.builtIn;
+  const set = changes => setForm(prev => ({ ...prev, ...changes }));
+  const setMapping = changes => set({ mapping: { ...form.mapping, ...changes } });
+
+  const changeType = (type) => {
+    // Follow the type's usual predictions path unless the user already changed it
+    const keepPath = form.mapping.predictionsPath !== getDefaultPredictionsPath(form.type);
+    set({ type, mapping: { ...form.mapping, predictionsPath: keepPath ? form.mapping.predictionsPath : getDefaultPredictionsPath(type) } });
+  };
+
+  const runTest = async () => {
+    setTesting(true);
+    setTestResult(null);
+    setError('');
+    try {
+      const image = testFile ? await fileToBase64(testFile) : null;
+      setTestResult(await testBackend(fromForm(form), image));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleSave = () => {
+    setSaving(true);
+    onSave(fromForm(form))
+      .catch(err => setError(err.message))
+      .finally(() => setSaving(false));
+  };
+
+  // The server only reuses a saved secret for the same type and URL
+  const sameTarget = form.type === initial.type && form.url.trim() === initial.url;
+  const secretPlaceholder = isSet => (isSet && sameTarget ? t('inference.secretSaved') : '');
+
+  return (
+    <div className="border border-gray-700 rounded-lg p-4 mt-4">
+      <h3 className="text-lg font-semibold text-gray-200 mb-3">{readOnly ? form.name : form.id ? t('inference.editTitle', { name: initial.name }) : t('inference.newBackend')}</h3>
+      {readOnly ? (
+        <p className="text-sm text-gray-400 mb-3">{t('inference.builtInHint')}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="backend-name" className={labelClass}>{t('inference.name')}</label>
+              <input id="backend-name" className={inputClass} value={form.name} placeholder={t('inference.namePlaceholder')} onChange={event => set({ name: event.target.value })} />
+            </div>
+            <div>
+              <label htmlFor="backend-type" className={labelClass}>{t('inference.typeLabel')}</label>
+              <select id="backend-type" className={inputClass} value={form.type} onChange={event => changeType(event.target.value)}>
+                {EDITABLE_TYPES.map(type => <option key={type} value={type}>{t(`inference.type.${type}`)}</option>)}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label htmlFor="backend-url" className={labelClass}>{t('inference.url')}</label>
+              <input id="backend-url" className={inputClass} value={form.url} placeholder={BACKEND_URL_PLACEHOLDERS[form.type]} onChange={event => set({ url: event.target.value })} />
+            </div>
+            {form.type === 'http' ? (
+              <>
+                <div>
+                  <label htmlFor="backend-authorization" className={labelClass}>{t('inference.authorization')}</label>
+                  <input id="backend-authorization" type="password" autoComplete="off" className={inputClass} value={form.authorization} placeholder={secretPlaceholder(form.hasAuthorization) || t('inference.authorizationPlaceholder')} onChange={event => set({ authorization: event.target.value })} />
+                </div>
+                <div>
+                  <label htmlFor="backend-image-field" className={labelClass}>{t('inference.imageField')}</label>
+                  <input id="backend-image-field" className={inputClass} value={form.imageField} onChange={event => set({ imageField: event.target.value })} />
+                  <p className="text-xs text-gray-400 mt-1">{t('inference.imageFieldHint', { body: `{ "${form.imageField || 'image'}": "<base64>" }` })}</p>
+                </div>
+              </>
+            ) : (
+              <div>
+                <label htmlFor="backend-api-key" className={labelClass}>{t('inference.apiKey')}</label>
+                <input id="backend-api-key" type="password" autoComplete="off" className={inputClass} value={form.apiKey} placeholder={secretPlaceholder(form.hasApiKey)} onChange={event => set({ apiKey: event.target.value })} />
+              </div>
+            )}
+            <div>
+              <label htmlFor="backend-timeout" className={labelClass}>{t('inference.timeout')}</label>
+              <input id="backend-timeout" type="number" min="1000" max="120000" step="1000" className={inputClass} value={form.timeoutMs} onChange={event => set({ timeoutMs: event.target.value })} />
+            </div>
+          </div>
+
+          <h4 className="text-md font-semibold text-gray-200 mt-6 mb-1">{t('inference.mapping')}</h4>
+          <p className="text-xs text-gray-400 mb-3">{t('inference.mappingHint', { example: 'outputs.*.predictions.predictions' })}</p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="backend-predictions-path" className={labelClass}>{t('inference.predictionsPath')}</label>
+              <input id="backend-predictions-path" className={inputClass} value={form.mapping.predictionsPath} placeholder={t('inference.predictionsPathPlaceholder')} onChange={event => setMapping({ predictionsPath: event.target.value })} />
+            </div>
+            <div>
+              <label htmlFor="backend-class-key" className={labelClass}>{t('inference.classField')}</label>
+              <input id="backend-class-key" className={inputClass} value={form.mapping.classKey} onChange={event => setMapping({ classKey: event.target.value })} />
+            </div>
+            <div>
+              <label htmlFor="backend-confidence-key" className={labelClass}>{t('inference.confidenceField')}</label>
+              <input id="backend-confidence-key" className={inputClass} value={form.mapping.confidenceKey} onChange={event => setMapping({ confidenceKey: event.target.value })} />
+            </div>
+            <div className="md:col-span-2">
+              <label htmlFor="backend-healthy-classes" className={labelClass}>{t('inference.healthyClasses')}</label>
+              <input id="backend-healthy-classes" className={inputClass} value={form.mapping.healthyClasses} placeholder="healthy" onChange={event => setMapping({ healthyClasses: event.target.value })} />
+              <p className="text-xs text-gray-400 mt-1">{t('inference.healthyClassesHint')}</p>
+            </div>
+            <div>
+              <label htmlFor="backend-ignored-classes" className={labelClass}>{t('inference.ignoredClasses')}</label>
+              <input id="backend-ignored-classes" className={inputClass} value={form.mapping.ignoredClasses} placeholder="chicken" onChange={event => setMapping({ ignoredClasses: event.target.value })} />
+              <p className="text-xs text-gray-400 mt-1">{t('inference.ignoredClassesHint')}</p>
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mt-6">
+        <button onClick={runTest} disabled={testing} className={`${buttonClass} bg-gray-600 hover:bg-gray-500 text-gray-100`}>
+          {testing ? <Loader2 size={18} className="mr-2 animate-spin" aria-hidden="true" /> : <PlugZap size={18} className="mr-2" aria-hidden="true" />} {t('inference.test')}
+        </button>
+        <label className="text-sm text-gray-400">
+          {t('inference.testImage')} <input type="file" accept="image/*" className="text-sm" onChange={event => setTestFile(event.target.files[0] || null)} />
+        </label>
+        {!testFile && <span className="text-xs text-gray-500">{t('inference.testImageNone')}</span>}
+      </div>
+      {testResult && <div className="mt-3"><TestResult result={testResult} mapping={fromForm(form).mapping} /></div>}
+      {error && <p className="mt-4 text-red-400 font-medium">{error}</p>}
+
+      <div className="flex justify-end gap-3 mt-6">
+        <button onClick={onCancel} className={`${buttonClass} bg-gray-700 hover:bg-gray-600 text-gray-200`}>{t(readOnly ? 'common.close' : 'common.cancel')}</button>
+        {!readOnly && <button onClick={handleSave} disabled={saving} className={`${buttonClass} bg-blue-600 hover:bg-blue-700 text-white`}>{t('common.save')}</button>}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Modal listing the inference backends: pick the active one, add, edit, delete and test them.
+ * @param {Object} props
+ * @param {Object} props.inference - From useInferenceBackends.
+ * @param {Function} props.onClose
+ */
+export const InferenceSettings = ({ inference, onClose }) => {
+  const { t } = useI18n();
+  const [editing, setEditing] = useState(null); // Form state of the backend being edited
+  const [error, setError] = useState('');
+  const [adminToken, setAdminTokenInput] = useState('');
+  const dialogProps = useModalDialog(onClose, 'inference-settings-title');
+
+  const run = promise => promise.then(() => setError('')).catch(err => setError(err.message));
+
+  const handleDelete = (backend) => {
+    if (!window.confirm(t('inference.deleteConfirm', { name: backend.name }))) return;
+    if (editing && editing.id === backend.id) setEditing(null);
+    run(inference.remove(backend.id));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-70 p-4">
+      <div {...dialogProps} className="bg-gray-800 rounded-xl shadow-2xl border border-gray-700 w-full max-w-3xl max-h-full overflow-y-auto p-6 md:p-8 focus:outline-none">
+        <div className="flex items-center justify-between mb-6 border-b pb-4 border-gray-700">
+          <h2 id="inference-settings-title" className="text-2xl font-semibold text-gray-100">{t('app.detectionModels')}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-700 text-gray-400" title={t('common.close')} aria-label={t('common.close')}><X size={20} aria-hidden="true" /></button>
+        </div>
+        <p className="text-sm text-gray-400 mb-4">{t('inference.intro')}</p>
+
+        {inference.error && <p className="mb-4 text-red-400 font-medium">{t('inference.loadFailed', { error: inference.error })}</p>}
+        {inference.locked && (
+          <form
+            className="flex flex-wrap items-end gap-3 mb-4"
+            onSubmit={(event) => {
+              event.preventDefault();
+              inference.unlock(adminToken);
+            }}
+          >
+            <div className="flex-1 min-w-[12rem]">
+              <label htmlFor="inference-admin-token" className={labelClass}>{t('inference.adminToken')}</label>
+              <input id="inference-admin-token" type="password" autoComplete="off" className={inputClass} value={adminToken} onChange={event => setAdminTokenInput(event.target.value)} />
+            </div>
+            <button type="submit" disabled={!adminToken.trim()} className={`${buttonClass} bg-blue-600 hover:bg-blue-700 text-white`}>
+              <KeyRound size={18} className="mr-2" aria-hidden="true" /> {t('inference.unlock')}
+            </button>
+          </form>
+        )}
+        <ul className="space-y-2">
+          {inference.backends.map(backend => {
+            const isActive = backend.id === inference.activeId;
+            return (
+              <li key={backend.id} className={`flex flex-wrap items-center gap-3 p-3 rounded-lg border ${isActive ? 'border-green-600 bg-gray-700' : 'border-gray-700'}`}>
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold text-gray-100 truncate">{backend.name}</p>
+                  <p className="text-xs text-gray-400 truncate">
+                    {t(`inference.type.${backend.type}`)}{backend.url ? ` · ${backend.url}` : ''}
+                    {(backend.hasApiKey || backend.hasAuthorization) && <KeyRound size={12} className="inline ml-2" aria-label={t('inference.hasSecret')} />}
+                  </p>
+                </div>
+                {isActive ? (
+                  <span className="text-sm text-green-400 flex items-center"><CheckCircle size={16} className="mr-1" aria-hidden="true" /> {t('inference.active')}</span>
+                ) : (
+                  <button onClick={() => run(inference.activate(backend.id))} className="text-sm py-1 px-3 rounded-md bg-green-700 hover:bg-green-600 text-white">{t('inference.use')}</button>
+                )}
+                <button onClick={() => setEditing(toForm(backend))} className="p-1 rounded-full hover:bg-gray-600 text-gray-300" title={t(backend.builtIn ? 'inference.testBackend' : 'inference.editBackend', { name: backend.name })} aria-label={t(backend.builtIn ? 'inference.testBackend' : 'inference.editBackend', { name: backend.name })}>
+                  {backend.builtIn ? <PlugZap size={18} aria-hidden="true" /> : <Pencil size={18} aria-hidden="true" />}
+                </button>
+                {!backend.builtIn && (
+                  <button onClick={() => handleDelete(backend)} className="p-1 rounded-full hover:bg-gray-600 text-red-400" title={t('inference.deleteBackend', { name: backend.name })} aria-label={t('inference.deleteBackend', { name: backend.name })}><Trash2 size={18} aria-hidden="true" /></button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+        {error && <p className="mt-4 text-red-400 font-medium">{error}</p>}
+
+        {editing ? (
+          <BackendForm
+            key={editing.id || 'new'}
+            initial={editing}
+            onSave={backend => inference.save(backend).then(() => setEditing(null))}
+            onCancel={() => setEditing(null)}
+          />
+        ) : !inference.locked && (
+          <button onClick={() => setEditing(toForm(createBackendDraft()))} className={`${buttonClass} mt-4 bg-blue-600 hover:bg-blue-700 text-white`}>
+            <Plus size={18} className="mr-2" aria-hidden="true" /> {t('inference.add')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
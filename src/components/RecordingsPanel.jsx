@@ -0,0 +1,72 @@
+// src/components/RecordingsPanel.jsx - Saved camera snapshots and clips of a house
+
+import React, { useState, useEffect } from 'react';
+import { Film, Image as ImageIcon, Download, Trash2 } from 'lucide-react';
+import { buildRecordingFilename } from '../cameras/cameraSources.js';
+import { useI18n } from '../hooks/useI18n.js';
+
+const VISIBLE_LIMIT = 6;
+
+/**
+ * One saved recording: a preview (snapshots) or icon (clips), download and delete.
+ */
+const RecordingItem = ({ recording, onDelete }) => {
+  const { t, formatDateTime } = useI18n();
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(recording.blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [recording.blob]);
+
+  const isClip = recording.kind === 'clip';
+  return (
+    <li className="flex items-center gap-3 bg-gray-900 rounded-lg p-2 border border-gray-700">
+      {!isClip && url ? (
+        <img src={url} alt="" className="w-16 h-10 object-cover rounded" />
+      ) : (
+        <div className="w-16 h-10 rounded bg-gray-800 flex items-center justify-center">{isClip ? <Film size={20} className="text-purple-300" /> : <ImageIcon size={20} className="text-gray-500" />}</div>
+      )}
+      <div className="flex-1 min-w-0 text-xs">
+        <p className="text-gray-200 font-semibold">{isClip ? t('recordings.clip', { seconds: Math.round(recording.durationMs / 1000) }) : t('recordings.snapshot')}</p>
+        <p className="text-gray-500">{formatDateTime(recording.timestamp)}</p>
+      </div>
+      {url && (
+        <a href={url} download={buildRecordingFilename(recording.houseName, recording.kind, recording.timestamp, recording.mimeType)} className="p-1 text-gray-400 hover:text-gray-100" title={t('recordings.download')} aria-label={t('recordings.download')}>
+          <Download size={16} aria-hidden="true" />
+        </a>
+      )}
+      <button onClick={() => onDelete(recording.id)} className="p-1 text-gray-400 hover:text-red-400" title={t('recordings.delete')} aria-label={t('recordings.delete')}>
+        <Trash2 size={16} aria-hidden="true" />
+      </button>
+    </li>
+  );
+};
+
+/**
+ * The newest snapshots and clips of a house, expandable to all of them.
+ * @param {Object} props
+ * @param {Array<Object>} props.recordings - From useCameraRecorder, newest first.
+ * @param {Function} props.onDelete - Called with a recording id.
+ */
+export const RecordingsPanel = ({ recordings, onDelete }) => {
+  const { t } = useI18n();
+  const [showAll, setShowAll] = useState(false);
+  if (recordings.length === 0) return null;
+  const visible = showAll ? recordings : recordings.slice(0, VISIBLE_LIMIT);
+
+  return (
+    <div className="mt-4">
+      <h3 className="text-sm font-semibold text-gray-300 mb-2">{t('recordings.title', { count: recordings.length })}</h3>
+      <ul className="space-y-2">
+        {visible.map(recording => <RecordingItem key={recording.id} recording={recording} onDelete={onDelete} />)}
+      </ul>
+      {recordings.length > VISIBLE_LIMIT && (
+        <button onClick={() => setShowAll(previous => !previous)} className="mt-2 text-xs text-blue-400 hover:text-blue-300">
+          {showAll ? t('recordings.showFewer') : t('recordings.showAll', { count: recordings.length })}
+        </button>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,154 @@
+// src/components/ReportDialog.jsx - Generates a flock health report: pick house, period and notes, then print or download a PDF
+
+import React, { useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { X, FileText, Printer, Download, Loader2, AlertTriangle } from 'lucide-react';
+import { getReadings, RETENTION_MS } from '../sensors/sensorHistory.js';
+import { getDetections } from '../detection/detectionHistory.js';
+import { buildFlockReport, buildReportFilename } from '../reports/flockReport.js';
+import { renderReportPdf, findUnsupportedPdfText } from '../reports/reportPdf.js';
+import { DEFAULT_CONFIDENCE_THRESHOLD } from '../hooks/useHouseMonitor.js';
+import { useModalDialog } from '../hooks/useModalDialog.js';
+import { FlockReport } from './FlockReport.jsx';
+import { downloadFile } from '../downloads.js';
+import { useResponseMapping } from '../hooks/useResponseMapping.js';
+import { useI18n } from '../hooks/useI18n.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const PERIOD_PRESETS = [7, 14, 30];
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-md px-3 py-2 text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+const labelClass = 'block text-sm font-medium text-gray-300 mb-1';
+const buttonClass = 'py-2 px-4 rounded-lg font-semibold flex items-center transition-colors disabled:opacity-50';
+
+// <input type="date"> values are local dates
+const toDateInput = timestamp => new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+const startOfDay = value => new Date(`${value}T00:00:00`).getTime();
+const endOfDay = value => new Date(`${value}T23:59:59.999`).getTime();
+
+/**
+ * Modal for generating a flock health report. The printed page is a portal outside the app,
+ * which the print stylesheet hides, so window.print() prints only the report.
+ * @param {Object} props
+ * @param {Array<Object>} props.houses
+ * @param {string} props.initialHouseId
+ * @param {Function} props.onClose
+ */
+export const ReportDialog = ({ houses, initialHouseId, onClose }) => {
+  const [houseId, setHouseId] = useState(initialHouseId || houses[0].id);
+  const [fromDate, setFromDate] = useState(() => toDateInput(Date.now() - 6 * DAY));
+  const [toDate, setToDate] = useState(() => toDateInput(Date.now()));
+  const [notes, setNotes] = useState('');
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(''); // 'generate' | 'pdf' while working
+  const [error, setError] = useState('');
+  const dialogProps = useModalDialog(onClose, 'report-dialog-title');
+  const mapping = useResponseMapping();
+  const i18n = useI18n();
+  const { t } = i18n;
+  const pdfUnsupported = useMemo(() => !!report && findUnsupportedPdfText(report, t).length > 0, [report, t]);
+
+  const setPreset = (days) => {
+    setFromDate(toDateInput(Date.now() - (days - 1) * DAY));
+    setToDate(toDateInput(Date.now()));
+  };
+
+  const generate = async () => {
+    const house = houses.find(entry => entry.id === houseId);
+    const from = startOfDay(fromDate);
+    const to = Math.min(endOfDay(toDate), Date.now());
+    if (!(from < to)) {
+      setError(t('report.periodInvalid'));
+      return;
+    }
+    setBusy('generate');
+    setError('');
+    try {
+      const [readings, detections] = await Promise.all([getReadings(house.id, from, to), getDetections(house.id, { from, to })]);
+      setReport(buildFlockReport({ house, from, to, readings, detections, threshold: DEFAULT_CONFIDENCE_THRESHOLD, notes, mapping }));
+    } catch (err) {
+      setError(t('report.loadFailed', { error: err.message }));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const downloadPdf = async () => {
+    setBusy('pdf');
+    try {
+      downloadFile(await renderReportPdf(report, i18n), buildReportFilename(report));
+    } catch (err) {
+      setError(t('report.pdfFailed', { error: err.message }));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  // Any change makes the preview out of date
+  const change = setter => (event) => {
+    setter(event.target.value);
+    setReport(null);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-70 p-4">
+      <div {...dialogProps} className="bg-gray-800 rounded-xl shadow-2xl border border-gray-700 w-full max-w-5xl max-h-full overflow-y-auto p-6 md:p-8 focus:outline-none">
+        <div className="flex items-center justify-between mb-6 border-b pb-4 border-gray-700">
+          <h2 id="report-dialog-title" className="text-2xl font-semibold text-gray-100 flex items-center"><FileText size={24} className="mr-3 text-blue-400" aria-hidden="true" /> {t('report.title')}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-700 text-gray-400" title={t('common.close')} aria-label={t('common.close')}><X size={20} aria-hidden="true" /></button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="report-house" className={labelClass}>{t('report.house')}</label>
+            <select id="report-house" className={inputClass} value={houseId} onChange={change(setHouseId)}>
+              {houses.map(house => <option key={house.id} value={house.id}>{house.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="report-from" className={labelClass}>{t('gallery.from')}</label>
+            <input id="report-from" type="date" className={inputClass} value={fromDate} max={toDate} onChange={change(setFromDate)} />
+          </div>
+          <div>
+            <label htmlFor="report-to" className={labelClass}>{t('gallery.to')}</label>
+            <input id="report-to" type="date" className={inputClass} value={toDate} min={fromDate} max={toDateInput(Date.now())} onChange={change(setToDate)} />
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-sm text-gray-400">
+          {t('report.last')}
+          {PERIOD_PRESETS.map(days => (
+            <button key={days} onClick={() => { setPreset(days); setReport(null); }} className="px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200">{t('report.days', { count: days })}</button>
+          ))}
+          <span className="text-xs text-gray-500">{t('report.retention', { count: Math.round(RETENTION_MS / DAY) })}</span>
+        </div>
+        <label htmlFor="report-notes" className={`${labelClass} mt-4`}>{t('report.notes')}</label>
+        <textarea id="report-notes" className={`${inputClass} h-24`} value={notes} placeholder={t('report.notesPlaceholder')} onChange={change(setNotes)} />
+
+        <div className="flex flex-wrap gap-3 mt-4">
+          <button onClick={generate} disabled={!!busy} className={`${buttonClass} bg-blue-600 hover:bg-blue-700 text-white`}>
+            {busy === 'generate' ? <Loader2 size={18} className="mr-2 animate-spin" aria-hidden="true" /> : <FileText size={18} className="mr-2" aria-hidden="true" />} {t('report.generate')}
+          </button>
+          <button onClick={() => window.print()} disabled={!report || !!busy} className={`${buttonClass} bg-gray-700 hover:bg-gray-600 text-gray-200`}>
+            <Printer size={18} className="mr-2" aria-hidden="true" /> {t('report.print')}
+          </button>
+          <button onClick={downloadPdf} disabled={!report || !!busy || pdfUnsupported} aria-describedby={pdfUnsupported ? 'report-pdf-unsupported' : undefined} className={`${buttonClass} bg-gray-700 hover:bg-gray-600 text-gray-200`}>
+            {busy === 'pdf' ? <Loader2 size={18} className="mr-2 animate-spin" aria-hidden="true" /> : <Download size={18} className="mr-2" aria-hidden="true" />} {t('report.downloadPdf')}
+          </button>
+          {pdfUnsupported && (
+            <p id="report-pdf-unsupported" className="basis-full md:basis-auto md:flex-1 text-yellow-300 text-sm flex items-start self-center" role="status">
+              <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" aria-hidden="true" /> {t('report.pdfUnsupported')}
+            </p>
+          )}
+        </div>
+        {error && <p className="mt-4 text-red-400 font-medium" role="alert">{error}</p>}
+
+        {report && (
+          <div className="mt-6 rounded-lg overflow-hidden border border-gray-600">
+            <FlockReport report={report} />
+          </div>
+        )}
+      </div>
+      {report && createPortal(<div className="hidden print:block"><FlockReport report={report} /></div>, document.body)}
+    </div>
+  );
+};
@@ -0,0 +1,83 @@
+// src/components/SensorHistoryChart.jsx - Trend chart with range selector for one sensor metric
+
+import React, { useState, useEffect } from 'react';
+import { RANGES, getReadings, summarize, bucketize, buildPath } from '../sensors/sensorHistory.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { message, messageFromError } from '../i18n/i18n.js';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+
+/**
+ * Trend chart with range selector and min/max/avg summary for one metric of one house.
+ * @param {Object} props
+ * @param {string} props.houseId
+ * @param {string} props.metric - 'temperature' | 'humidity' | 'ammonia'; values are shown in the chosen display unit.
+ * @param {string} props.colorClass - Text color class for the line, e.g. 'text-blue-300', so themes can restyle it.
+ * @param {*} props.refreshKey - Reloads the chart when it changes (e.g. last recorded timestamp).
+ */
+export const SensorHistoryChart = ({ houseId, metric, colorClass, refreshKey }) => {
+  const { t, formatMetric, formatMessage } = useI18n();
+  const [range, setRange] = useState('24h');
+  const [readings, setReadings] = useState([]);
+  const [chartWindow, setChartWindow] = useState({ from: Date.now() - RANGES['24h'], to: Date.now() });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const to = Date.now();
+    const from = to - RANGES[range];
+    getReadings(houseId, from, to)
+      .then(result => {
+        if (cancelled) return;
+        setReadings(result);
+        setChartWindow({ from, to });
+        setError(null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(message('chart.loadFailed', { error: messageFromError(err) }));
+      });
+    return () => { cancelled = true; };
+  }, [houseId, range, refreshKey]);
+
+  const stats = summarize(readings, metric);
+  const buckets = bucketize(readings, metric, chartWindow.from, chartWindow.to);
+  const padding = stats ? Math.max(0.5, (stats.max - stats.min) * 0.1) : 0;
+  const path = stats ? buildPath(buckets, stats.min - padding, stats.max + padding, CHART_WIDTH, CHART_HEIGHT) : '';
+  // The line is the same shape in °C and °F, so only the labels are converted
+
+  return (
+    <div className="w-full mt-4">
+      <div className="flex justify-center gap-1 mb-2" role="group" aria-label={t('chart.range', { metric: t(`metric.${metric}`) })}>
+        {Object.keys(RANGES).map(key => (
+          <button
+            key={key}
+            onClick={() => setRange(key)}
+            aria-pressed={range === key}
+            className={`px-2 py-0.5 rounded text-xs font-semibold transition-colors ${range === key ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-900'}`}
+          >
+            {key}
+          </button>
+        ))}
+      </div>
+      <div className="bg-gray-800 rounded-md border border-gray-600 p-2">
+        {error ? (
+          <p className="text-xs text-red-400 h-20 flex items-center justify-center">{formatMessage(error)}</p>
+        ) : stats ? (
+          <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className={`w-full h-20 ${colorClass}`} preserveAspectRatio="none" aria-hidden="true">
+            <path d={path} fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" vectorEffect="non-scaling-stroke" />
+          </svg>
+        ) : (
+          <p className="text-xs text-gray-500 h-20 flex items-center justify-center">{t('chart.noHistory')}</p>
+        )}
+      </div>
+      {stats && (
+        <div className="flex justify-between text-xs text-gray-400 mt-2">
+          <span>{t('chart.min')} <span className="text-gray-200 font-semibold">{formatMetric(stats.min, metric)}</span></span>
+          <span>{t('chart.avg')} <span className="text-gray-200 font-semibold">{formatMetric(stats.avg, metric)}</span></span>
+          <span>{t('chart.max')} <span className="text-gray-200 font-semibold">{formatMetric(stats.max, metric)}</span></span>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,46 @@
+// src/components/SensorStatusBadge.jsx - Sensor connection status pill
+
+import React from 'react';
+import { Wifi, WifiOff, Clock } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n.js';
+
+const STATUS_STYLES = {
+  connected: { className: 'bg-green-900 text-green-200 border-green-700', dot: 'bg-green-400' },
+  stale: { className: 'bg-yellow-900 text-yellow-200 border-yellow-700', dot: 'bg-yellow-400' },
+  disconnected: { className: 'bg-red-900 text-red-200 border-red-700', dot: 'bg-red-400' },
+};
+
+/**
+ * Formats how long ago a reading arrived, e.g. "12s ago".
+ * @param {?number} timestamp - Epoch ms.
+ * @param {Function} t - From useI18n.
+ * @returns {string}
+ */
+const formatAge = (timestamp, t) => {
+  if (!timestamp) return t('sensor.noData');
+  const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+  if (seconds < 60) return t('sensor.secondsAgo', { count: seconds });
+  if (seconds < 3600) return t('sensor.minutesAgo', { count: Math.floor(seconds / 60) });
+  return t('sensor.hoursAgo', { count: Math.floor(seconds / 3600) });
+};
+
+/**
+ * Connection status pill for the Live Environment Data card.
+ */
+export const SensorStatusBadge = ({ status, lastUpdated, label, error }) => {
+  const { t } = useI18n();
+  const style = STATUS_STYLES[status];
+  const Icon = status === 'disconnected' ? WifiOff : status === 'stale' ? Clock : Wifi;
+  return (
+    <div className="flex flex-col items-end">
+      <span
+        className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium border ${style.className}`}
+        title={error || label}
+      >
+        <span className={`w-2 h-2 rounded-full mr-2 ${style.dot}`} aria-hidden="true"></span>
+        <Icon size={14} className="mr-1" aria-hidden="true" /> {t(`sensor.${status}`)}
+      </span>
+      <span className="text-xs text-gray-400 mt-1">{label} · {formatAge(lastUpdated, t)}</span>
+    </div>
+  );
+};
@@ -0,0 +1,14 @@
+// src/config.js - Runtime settings
+//
+// config.js at the site root sets window.POULTRY_DASHBOARD_CONFIG before the bundle loads, so a
+// deployment can be reconfigured without rebuilding. Outside the browser (unit tests) every
+// section is empty and modules fall back to their defaults.
+
+const runtimeConfig = globalThis.POULTRY_DASHBOARD_CONFIG || {};
+
+/**
+ * Returns one section of the runtime config, e.g. getConfig('detection').
+ * @param {string} section
+ * @returns {Object} Empty if the section is not configured.
+ */
+export const getConfig = section => runtimeConfig[section] || {};
@@ -0,0 +1,32 @@
+// src/detection/batchSummary.js - Aggregated results of a batch of queued detections
+
+import { DEFAULT_RESPONSE_MAPPING, parseWorkflowPredictions, summarizeClasses, isHealthyClass } from './responseParser.js';
+
+// 'waiting' items are held back until the connection returns
+export const isPending = item => item.status === 'queued' || item.status === 'running' || item.status === 'waiting';
+
+/**
+ * Aggregates the results of a batch.
+ * @param {Array<Object>} items - Queue items.
+ * @param {number} [threshold=0] - Minimum prediction confidence, 0-1.
+ * @param {Object} [mapping] - Response mapping of the backend that answered.
+ * @returns {{total: number, done: number, failed: number, pending: number, waiting: number, classSummary: Array<Object>, imagesWithDisease: number}}
+ */
+export const summarizeBatch = (items, threshold = 0, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const predictions = [];
+  let imagesWithDisease = 0;
+  items.filter(item => item.status === 'done').forEach(item => {
+    const itemPredictions = parseWorkflowPredictions(item.data, mapping).predictions;
+    predictions.push(...itemPredictions);
+    if (summarizeClasses(itemPredictions, threshold, mapping).some(entry => !isHealthyClass(entry.class, mapping))) imagesWithDisease += 1;
+  });
+  return {
+    total: items.length,
+    done: items.filter(item => item.status === 'done').length,
+    failed: items.filter(item => item.status === 'failed').length,
+    pending: items.filter(isPending).length,
+    waiting: items.filter(item => item.status === 'waiting').length,
+    classSummary: summarizeClasses(predictions, threshold, mapping),
+    imagesWithDisease,
+  };
+};
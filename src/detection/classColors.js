@@ -0,0 +1,25 @@
+// src/detection/classColors.js - Consistent colors per predicted class (boxes, chips, tables)
+
+import { DEFAULT_RESPONSE_MAPPING, isGenericClass, isHealthyClass } from './responseParser.js';
+
+const CLASS_PALETTE = ['#f97316', '#ef4444', '#a855f7', '#eab308', '#ec4899', '#06b6d4', '#84cc16', '#f43f5e'];
+const HEALTHY_COLOR = '#22c55e';
+const GENERIC_COLOR = '#9ca3af';
+
+/**
+ * Stable color per class name: green for healthy, gray for the generic bird detector,
+ * otherwise a palette color picked by hashing the name.
+ * @param {string} className
+ * @param {Object} [mapping] - Response mapping with the healthy and ignored classes.
+ * @returns {string} CSS color.
+ */
+export const classColor = (className, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const name = String(className).toLowerCase();
+  if (isHealthyClass(name, mapping)) return HEALTHY_COLOR;
+  if (isGenericClass(name, mapping)) return GENERIC_COLOR;
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+  return CLASS_PALETTE[hash % CLASS_PALETTE.length];
+};
+
+export const formatConfidence = confidence => `${(confidence * 100).toFixed(0)}%`;
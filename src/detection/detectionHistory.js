@@ -0,0 +1,196 @@
+// src/detection/detectionHistory.js - Detection records (IndexedDB), filters and CSV/JSON export
+//
+// Every detection (upload, camera capture or auto-scan) is stored with a small JPEG thumbnail,
+// the house, all predictions and the sensor reading at that moment, so cases can be reviewed
+// later and disease incidence tracked over time. Records expire after the retention period.
+
+import { getConfig } from '../config.js';
+import { createDatabase, createHouseTimeStore, deleteExpired, promisify } from '../indexedDb.js';
+import { DEFAULT_RESPONSE_MAPPING, parseWorkflowPredictions, getTopPrediction, isGenericClass, summarizeClasses } from './responseParser.js';
+
+const DB_NAME = 'poultry-detection-history';
+const DB_VERSION = 1;
+const STORE = 'detections';
+const METRICS = ['temperature', 'humidity', 'ammonia'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const config = getConfig('detection');
+const RETENTION_MS = (config.historyRetentionDays || 180) * DAY;
+const THUMBNAIL_SIZE = 320;   // Longest side, px
+export const RECENT_LIMIT = 20;      // Records kept in memory for the overview tile and house page
+
+const openDatabase = createDatabase(DB_NAME, DB_VERSION, db => createHouseTimeStore(db, STORE));
+
+/**
+ * Scales an image down to a JPEG data URL for storage.
+ * @param {Blob} image
+ * @param {number} [maxSize=THUMBNAIL_SIZE] - Longest side in px.
+ * @returns {Promise<string>}
+ */
+export const createThumbnail = (image, maxSize = THUMBNAIL_SIZE) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(image);
+  const img = new Image();
+  img.onload = () => {
+    const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL('image/jpeg', 0.7));
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read the image for its thumbnail.'));
+  };
+  img.src = url;
+});
+
+/**
+ * Builds the stored record for one detection. Boxes stay in source-image pixels; `image` holds
+ * that size so the overlay can be drawn on the thumbnail.
+ * @param {Object} entry
+ * @param {string} entry.houseId
+ * @param {string} entry.houseName
+ * @param {number} entry.timestamp - Epoch ms.
+ * @param {string} entry.source - 'upload', 'capture' or 'auto-scan'.
+ * @param {?string} entry.summary - One-line result (class names and counts), null when nothing was classified.
+ * @param {Object} entry.data - Workflow response.
+ * @param {?string} entry.thumbnail - Data URL.
+ * @param {?Object} entry.reading - Sensor reading at detection time.
+ * @param {Object} [mapping] - Response mapping of the backend that answered.
+ * @returns {Object}
+ */
+export const buildDetectionRecord = ({ houseId, houseName, timestamp, source, summary, data, thumbnail, reading }, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const parsed = parseWorkflowPredictions(data, mapping);
+  let predictions = parsed.predictions.map(({ class: className, confidence, box }) => ({ class: className, confidence, box }));
+  if (predictions.length === 0) {
+    // Classification-only workflows: keep the top class so the record is still filterable
+    const top = getTopPrediction(data, mapping);
+    if (top) predictions = [{ ...top, box: null }];
+  }
+  let sensor = null;
+  if (reading) {
+    sensor = { timestamp: reading.timestamp };
+    METRICS.forEach(metric => { sensor[metric] = typeof reading[metric] === 'number' ? reading[metric] : null; });
+  }
+  return { houseId, houseName, timestamp, source, summary, thumbnail, image: parsed.image, predictions, sensor };
+};
+
+/**
+ * Stores one detection record.
+ * @param {Object} record - From buildDetectionRecord.
+ * @returns {Promise<Object>} The record with its generated id.
+ */
+export const addDetection = async (record) => {
+  const db = await openDatabase();
+  const id = await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).add(record));
+  return { ...record, id };
+};
+
+/**
+ * Loads a house's detections in a time window, newest first.
+ * @param {string} houseId
+ * @param {Object} [options]
+ * @param {number} [options.from=0] - Epoch ms (inclusive).
+ * @param {number} [options.to=Date.now()] - Epoch ms (inclusive).
+ * @param {number} [options.limit] - Maximum number of records.
+ * @returns {Promise<Array<Object>>}
+ */
+export const getDetections = async (houseId, { from = 0, to = Date.now(), limit = Infinity } = {}) => {
+  const db = await openDatabase();
+  const range = IDBKeyRange.bound([houseId, from], [houseId, to]);
+  const request = db.transaction(STORE).objectStore(STORE).index('houseTime').openCursor(range, 'prev');
+  return new Promise((resolve, reject) => {
+    const records = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || records.length >= limit) {
+        resolve(records);
+        return;
+      }
+      records.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Deletes detections (for all houses) older than the retention period.
+ * @param {number} [retentionMs=RETENTION_MS]
+ * @returns {Promise<number>} Number of records deleted.
+ */
+export const pruneDetections = async (retentionMs = RETENTION_MS) => {
+  const db = await openDatabase();
+  return deleteExpired(db, STORE, retentionMs);
+};
+
+/**
+ * Disease classes present in a set of records, ignoring generic detector classes.
+ * @param {Array<Object>} records
+ * @param {Object} [mapping] - Response mapping with the ignored classes.
+ * @returns {Array<string>} Sorted.
+ */
+export const listClasses = (records, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const classes = new Set();
+  records.forEach(record => record.predictions.forEach(prediction => {
+    if (!isGenericClass(prediction.class, mapping)) classes.add(prediction.class);
+  }));
+  return [...classes].sort();
+};
+
+/**
+ * Keeps records with at least one prediction of the class (any disease class when className
+ * is empty) at or above the confidence.
+ * @param {Array<Object>} records
+ * @param {{className: string, minConfidence: number}} filters
+ * @param {Object} [mapping] - Response mapping with the ignored classes.
+ * @returns {Array<Object>}
+ */
+export const filterDetections = (records, { className, minConfidence }, mapping = DEFAULT_RESPONSE_MAPPING) => records.filter(record => (
+  record.predictions.some(prediction => (
+    (className ? prediction.class === className : !isGenericClass(prediction.class, mapping)) && prediction.confidence >= minConfidence
+  ))
+));
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats records as CSV (one row per detection, no images).
+ * @param {Array<Object>} records
+ * @param {number} [threshold=0] - Minimum confidence for the class counts.
+ * @param {Object} [mapping] - Response mapping with the ignored classes.
+ * @returns {string}
+ */
+export const detectionsToCsv = (records, threshold = 0, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const header = ['timestamp', 'house', 'source', 'classes', 'max_confidence', 'temperature_c', 'humidity_pct', 'ammonia_ppm', 'sensor_timestamp'];
+  const rows = records.map(record => {
+    const classSummary = summarizeClasses(record.predictions, threshold, mapping);
+    const maxConfidence = classSummary.reduce((max, entry) => Math.max(max, entry.maxConfidence), 0);
+    const sensor = record.sensor || {};
+    return [
+      new Date(record.timestamp).toISOString(),
+      record.houseName,
+      record.source,
+      classSummary.map(entry => `${entry.class}:${entry.count}`).join('; '),
+      classSummary.length ? maxConfidence.toFixed(3) : '',
+      sensor.temperature,
+      sensor.humidity,
+      sensor.ammonia,
+      sensor.timestamp ? new Date(sensor.timestamp).toISOString() : '',
+    ].map(csvCell).join(',');
+  });
+  return [header.join(','), ...rows].join('\n');
+};
+
+/**
+ * Formats records as JSON, including thumbnails and every prediction.
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+export const detectionsToJson = records => JSON.stringify({ exportedAt: new Date().toISOString(), detections: records }, null, 2);
@@ -0,0 +1,188 @@
+// src/detection/detectionService.js - Disease detection requests and camera frame capture
+//
+// Shared by manual uploads, "Capture & Detect" on the live camera and the periodic auto-scan.
+// Images go to the dashboard server's /api/detect (server/index.js), which holds the Roboflow
+// key and forwards to the workflow (or answers with canned responses in mock mode). Responses
+// are returned raw; src/detection/responseParser.js turns them into predictions.
+
+import { getConfig } from '../config.js';
+import { MessageError, messageFromError } from '../i18n/i18n.js';
+
+const config = getConfig('detection');
+const DETECT_ENDPOINT = config.endpoint || 'api/detect'; // Relative, so it also works under a sub-path
+const MAX_IMAGE_SIZE = config.maxImageSize || 1280;     // Longest side sent for detection, px
+const MAX_RETRIES = config.maxRetries ?? 3;             // Extra attempts after a 429/5xx
+const RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * Error thrown when the detection endpoint responds with a non-2xx status.
+ */
+export class DetectionApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'DetectionApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Error thrown when the detection endpoint cannot be reached at all (no Wi-Fi, server down).
+ * The detection queue keeps such images and sends them once the connection is back.
+ */
+export class DetectionNetworkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DetectionNetworkError';
+  }
+}
+
+/**
+ * Scales an image down so its longest side is at most maxSize, re-encoded as JPEG.
+ * Images already small enough, and anything the browser cannot decode, are returned unchanged.
+ * @param {Blob} file
+ * @param {number} [maxSize=MAX_IMAGE_SIZE]
+ * @returns {Promise<Blob>}
+ */
+export const downscaleImage = async (file, maxSize = MAX_IMAGE_SIZE) => {
+  if (!window.createImageBitmap) return file;
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    return file;
+  }
+  const scale = maxSize / Math.max(bitmap.width, bitmap.height);
+  if (scale >= 1) {
+    bitmap.close();
+    return file;
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return new Promise(resolve => canvas.toBlob(blob => resolve(blob || file), 'image/jpeg', 0.85));
+};
+
+/**
+ * Converts a File or Blob to a Base64 string, downscaling large images first so phone
+ * photos don't blow up the request size.
+ * @param {Blob} file - The image to convert.
+ * @param {number} [maxSize=MAX_IMAGE_SIZE] - Longest side in px.
+ * @returns {Promise<string>} A promise that resolves with the base64 string (no data: prefix).
+ */
+export const fileToBase64 = async (file, maxSize = MAX_IMAGE_SIZE) => {
+  const image = await downscaleImage(file, maxSize);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.readAsDataURL(image);
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = error => reject(error);
+  });
+};
+
+/**
+ * Grabs the current frame of a <video> (webcam) or <img> (MJPEG stream) element as a JPEG.
+ * @param {HTMLVideoElement|HTMLImageElement} element
+ * @returns {Promise<File>} The frame, named with its capture time.
+ * @throws {MessageError} If nothing is playing, or the stream is cross-origin without CORS (tainted canvas).
+ */
+export const captureFrame = (element) => new Promise((resolve, reject) => {
+  const width = element && (element.videoWidth || element.naturalWidth);
+  const height = element && (element.videoHeight || element.naturalHeight);
+  if (!width || !height) {
+    reject(new MessageError('camera.noFrameAvailable'));
+    return;
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(element, 0, 0, width, height);
+  try {
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new MessageError('camera.encodeFailed'));
+        return;
+      }
+      const capturedAt = new Date();
+      resolve(new File([blob], `capture-${capturedAt.toISOString().replace(/[:.]/g, '-')}.jpg`, { type: 'image/jpeg', lastModified: capturedAt.getTime() }));
+    }, 'image/jpeg', 0.9);
+  } catch (error) {
+    // SecurityError: the camera stream is served from another origin without CORS headers
+    reject(new MessageError('camera.frameCorsError', { error: messageFromError(error) }));
+  }
+});
+
+/**
+ * Sends an image to the detection endpoint.
+ * @param {Blob} image
+ * @returns {Promise<Object>} The raw workflow response.
+ * @throws {DetectionApiError} On a non-2xx response; the message is the server's error text when it sent one.
+ * @throws {DetectionNetworkError} When the browser is offline or the request never got a response.
+ */
+export const runWorkflow = async (image) => {
+  if (!navigator.onLine) throw new DetectionNetworkError('No network connection.');
+  const base64Image = await fileToBase64(image);
+  let response;
+  try {
+    response = await fetch(DETECT_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ image: base64Image }),
+    });
+  } catch (error) {
+    throw new DetectionNetworkError(`Cannot reach the detection server (${error.message}).`);
+  }
+  if (!response.ok) {
+    const body = await response.text();
+    let message = `API Error: ${response.status} ${response.statusText}`;
+    try {
+      const { error } = JSON.parse(body);
+      if (error) message = `API Error: ${error}`;
+    } catch (parseError) {
+      // Not JSON (e.g. a static host without the API), keep the status text
+    }
+    throw new DetectionApiError(message, response.status, body);
+  }
+  return response.json();
+};
+
+/**
+ * Whether a failed detection is worth retrying: rate limiting (429) or a server error (5xx).
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isRetryableError = error => error instanceof DetectionApiError && (error.status === 429 || error.status >= 500);
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential backoff with jitter.
+ * @param {number} attempt
+ * @param {number} [baseDelayMs=RETRY_BASE_DELAY_MS]
+ * @returns {number} Milliseconds.
+ */
+export const getRetryDelay = (attempt, baseDelayMs = RETRY_BASE_DELAY_MS) => baseDelayMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.5);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * runWorkflow with automatic retries on 429/5xx.
+ * @param {Blob} image
+ * @param {Object} [options]
+ * @param {number} [options.retries=MAX_RETRIES]
+ * @param {Function} [options.onRetry] - Called with ({ attempt, delayMs, error }) before each retry.
+ * @returns {Promise<Object>} The raw workflow response.
+ * @throws {DetectionApiError} The last error once retries are exhausted, or any non-retryable error.
+ */
+export const runWorkflowWithRetry = async (image, { retries = MAX_RETRIES, onRetry } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runWorkflow(image);
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) throw error;
+      const delayMs = getRetryDelay(attempt);
+      if (onRetry) onRetry({ attempt, delayMs, error });
+      await sleep(delayMs);
+    }
+  }
+};
@@ -0,0 +1,171 @@
+// src/detection/inferenceBackends.js - Client for the server's inference backend settings
+//
+// The dashboard server (server/backends.js) keeps the registered backends and their API keys;
+// the browser only sees them without secrets. The active backend's response mapping tells
+// responseParser.js how to read detection responses, so it is cached here for offline starts.
+// Only a browser holding the server's admin token (or the server itself, with ALLOW_LOOPBACK_ADMIN)
+// may manage the backends; every other device reads the active mapping from /api/health.
+
+import { getConfig } from '../config.js';
+import { DetectionApiError, DetectionNetworkError } from './detectionService.js';
+import { DEFAULT_RESPONSE_MAPPING, normalizeResponseMapping } from './responseParser.js';
+
+const config = getConfig('detection');
+// Next to the detection endpoint, e.g. api/detect -> api/backends
+const BACKENDS_ENDPOINT = config.backendsEndpoint || (config.endpoint || 'api/detect').replace(/detect\/?$/, 'backends');
+const HEALTH_ENDPOINT = BACKENDS_ENDPOINT.replace(/backends\/?$/, 'health');
+const MAPPING_STORAGE_KEY = 'poultry-dashboard-response-mapping';
+const ADMIN_TOKEN_STORAGE_KEY = 'poultry-dashboard-admin-token';
+
+// URL hints for the settings form, which labels the types 'inference.type.<type>'
+export const BACKEND_URL_PLACEHOLDERS = {
+  'roboflow-workflow': 'https://serverless.roboflow.com/infer/workflows/<workspace>/<workflow>',
+  'roboflow-model': 'https://detect.roboflow.com/<project>/<version>',
+  http: 'http://raspberrypi.local:9001/predict',
+};
+
+// Where each type's predictions usually are (server/backends.js TYPE_MAPPINGS)
+const DEFAULT_PREDICTIONS_PATHS = { 'roboflow-workflow': '', 'roboflow-model': 'predictions', http: 'predictions' };
+
+/**
+ * A new backend for the settings form, with the default response mapping for its type.
+ * @param {string} [type='roboflow-model']
+ * @returns {Object}
+ */
+export const createBackendDraft = (type = 'roboflow-model') => ({
+  name: '',
+  type,
+  url: '',
+  apiKey: '',
+  authorization: '',
+  imageField: 'image',
+  timeoutMs: 30000,
+  mapping: { ...DEFAULT_RESPONSE_MAPPING, predictionsPath: DEFAULT_PREDICTIONS_PATHS[type] },
+});
+
+/**
+ * The predictions path a backend type starts with.
+ * @param {string} type
+ * @returns {string}
+ */
+export const getDefaultPredictionsPath = type => DEFAULT_PREDICTIONS_PATHS[type] || '';
+
+/**
+ * The last known response mapping of the active backend, to parse with until the server answers
+ * (or while offline).
+ * @returns {Object}
+ */
+export const loadResponseMapping = () => {
+  try {
+    return normalizeResponseMapping(JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY)));
+  } catch (error) {
+    console.error('Error loading the saved response mapping:', error);
+    return normalizeResponseMapping(null);
+  }
+};
+
+/**
+ * Remembers the active backend's response mapping for the next start.
+ * @param {Object} mapping
+ */
+export const saveResponseMapping = (mapping) => {
+  try {
+    localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(mapping));
+  } catch (error) {
+    console.error('Error saving the response mapping:', error);
+  }
+};
+
+const getAdminToken = () => {
+  try {
+    return localStorage.getItem(ADMIN_TOKEN_STORAGE_KEY) || '';
+  } catch (error) {
+    console.error('Error loading the admin token:', error);
+    return '';
+  }
+};
+
+/**
+ * Remembers the server's admin token (ADMIN_TOKEN) in this browser, so it can manage the backends.
+ * @param {string} token - Empty to forget it.
+ */
+export const setAdminToken = (token) => {
+  try {
+    if (token) localStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, token);
+    else localStorage.removeItem(ADMIN_TOKEN_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error saving the admin token:', error);
+  }
+};
+
+const request = async (path, method = 'GET', body = undefined) => {
+  const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+  const token = getAdminToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let response;
+  try {
+    response = await fetch(`${BACKENDS_ENDPOINT}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new DetectionNetworkError(`Cannot reach the detection server (${error.message}).`);
+  }
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    // Not JSON (e.g. a static host without the API)
+  }
+  if (!response.ok) {
+    throw new DetectionApiError(data && data.error ? data.error : `API Error: ${response.status} ${response.statusText}`, response.status, text);
+  }
+  return data;
+};
+
+/**
+ * The active backend's response mapping, which the server reports to every device.
+ * @returns {Promise<?Object>} Null when the server does not report one.
+ */
+export const fetchActiveMapping = async () => {
+  const response = await fetch(HEALTH_ENDPOINT);
+  if (!response.ok) throw new DetectionApiError(`API Error: ${response.status} ${response.statusText}`, response.status, '');
+  const data = await response.json();
+  return data.mapping || null;
+};
+
+/**
+ * Lists the registered backends.
+ * @returns {Promise<{activeId: string, backends: Array<Object>}>} Backends without secrets (hasApiKey/hasAuthorization instead).
+ */
+export const fetchBackends = () => request('');
+
+/**
+ * Creates a backend, or updates it when it has an id. Secrets left empty keep their saved value.
+ * @param {Object} backend
+ * @returns {Promise<Object>} The saved backend.
+ */
+export const saveBackend = ({ id, ...backend }) => (id ? request(`/${encodeURIComponent(id)}`, 'PUT', backend) : request('', 'POST', backend));
+
+/**
+ * @param {string} id
+ * @returns {Promise<{activeId: string, backends: Array<Object>}>}
+ */
+export const deleteBackend = id => request(`/${encodeURIComponent(id)}`, 'DELETE');
+
+/**
+ * Makes /api/detect use a backend.
+ * @param {string} id
+ * @returns {Promise<{activeId: string, backends: Array<Object>}>}
+ */
+export const activateBackend = id => request(`/${encodeURIComponent(id)}/activate`, 'POST');
+
+/**
+ * Sends one image through a backend without saving or activating it.
+ * @param {Object} backend - Draft from the settings form; its id (if any) fills in saved secrets.
+ * @param {?string} [image] - Base64 image; the server's generated sample image when omitted.
+ * @returns {Promise<{ok: boolean, latencyMs: number, response?: Object, status?: number, error?: string}>}
+ */
+export const testBackend = ({ id, ...backend }, image = null) => request('/test', 'POST', { id, backend, image: image || undefined });
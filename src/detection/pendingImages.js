@@ -0,0 +1,45 @@
+// src/detection/pendingImages.js - Images waiting for detection, kept across reloads (IndexedDB)
+//
+// Uploads and captures are stored here as soon as they are queued and removed once they have a
+// result (or failed for good), so an image taken while a barn has no Wi-Fi is still sent after the
+// tab was closed or the tablet restarted.
+
+import { createDatabase, promisify } from '../indexedDb.js';
+
+const DB_NAME = 'poultry-pending-detections';
+const DB_VERSION = 1;
+const STORE = 'images';
+
+const openDatabase = createDatabase(DB_NAME, DB_VERSION, (db) => {
+  db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('houseId', 'houseId');
+});
+
+/**
+ * Stores (or replaces) a pending image.
+ * @param {{id: string, houseId: string, source: string, name: string, file: Blob, createdAt: number}} entry
+ * @returns {Promise<void>}
+ */
+export const savePendingImage = async (entry) => {
+  const db = await openDatabase();
+  await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).put(entry));
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deletePendingImage = async (id) => {
+  const db = await openDatabase();
+  await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).delete(id));
+};
+
+/**
+ * Returns a house's pending images, oldest first.
+ * @param {string} houseId
+ * @returns {Promise<Array<Object>>}
+ */
+export const getPendingImages = async (houseId) => {
+  const db = await openDatabase();
+  const entries = await promisify(db.transaction(STORE).objectStore(STORE).index('houseId').getAll(houseId));
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
@@ -0,0 +1,25 @@
+// src/detection/rateLimiter.js - Sliding-window limiter for inference API calls
+
+/**
+ * Sliding-window rate limiter for API calls.
+ * @param {{maxCalls: number, windowMs: number}} options
+ * @returns {{tryAcquire: Function, nextAvailableAt: Function}}
+ */
+export const createRateLimiter = ({ maxCalls, windowMs }) => {
+  let calls = [];
+  const prune = (now) => { calls = calls.filter(time => now - time < windowMs); };
+  return {
+    /** Records a call and returns true, or returns false if the limit is reached. */
+    tryAcquire: (now = Date.now()) => {
+      prune(now);
+      if (calls.length >= maxCalls) return false;
+      calls.push(now);
+      return true;
+    },
+    /** Epoch ms when the next call will be allowed. */
+    nextAvailableAt: (now = Date.now()) => {
+      prune(now);
+      return calls.length < maxCalls ? now : calls[0] + windowMs;
+    },
+  };
+};
@@ -0,0 +1,185 @@
+// src/detection/responseParser.js - Turns inference responses into predictions
+//
+// Workflow outputs are keyed by block name and nest differently between workflows, so by default
+// the parser looks for prediction sets anywhere in the response instead of relying on fixed paths.
+// Other backends (Roboflow hosted models, custom HTTP endpoints) come with a response mapping
+// from the inference settings that says where their predictions are and what the fields are called.
+
+// Detector classes that only mean "a bird is here", not a diagnosis
+export const GENERIC_CLASSES = ['chicken'];
+
+// Matches server/backends.js DEFAULT_MAPPING: the Roboflow workflow layout
+export const DEFAULT_RESPONSE_MAPPING = {
+  predictionsPath: '',                 // Dot path to the predictions array, '*' for every item; '' searches the response
+  classKey: 'class',
+  confidenceKey: 'confidence',
+  healthyClasses: ['healthy'],         // Classifier classes for a bird with no disease (whole words, e.g. 'healthy_chicken')
+  ignoredClasses: GENERIC_CLASSES,     // Detector classes that are not a diagnosis (exact match)
+};
+
+/**
+ * Fills in a backend's response mapping; every parser function takes the result explicitly (the
+ * app passes the active backend's through ResponseMappingContext).
+ * @param {?Object} mapping - Missing fields keep their defaults; null gives the default mapping.
+ * @returns {Object}
+ */
+export const normalizeResponseMapping = mapping => ({ ...DEFAULT_RESPONSE_MAPPING, ...mapping });
+
+const lowerCase = names => (names || []).map(name => String(name).toLowerCase());
+
+// Lowercase words separated by single spaces, so 'Healthy_Chicken' reads as 'healthy chicken'
+const toWords = name => ` ${String(name).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(' ')} `;
+
+export const isGenericClass = (className, mapping = DEFAULT_RESPONSE_MAPPING) => lowerCase(mapping.ignoredClasses).includes(String(className).toLowerCase());
+
+/**
+ * Whether a class means "no disease": it contains one of the mapping's healthy classes as whole
+ * words, ignoring case, so 'healthy_chicken' is healthy but 'Unhealthy' is not.
+ * @param {string} className
+ * @param {Object} [mapping]
+ * @returns {boolean}
+ */
+export const isHealthyClass = (className, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const words = toWords(className);
+  return (mapping.healthyClasses || []).some(healthy => toWords(healthy).trim() && words.includes(toWords(healthy)));
+};
+
+/**
+ * Finds every object with a `predictions` array anywhere in a workflow response.
+ * Workflow outputs are keyed by block name, so the exact nesting varies between workflows.
+ * @param {*} node
+ * @param {Array} [sets]
+ * @returns {Array<Object>}
+ */
+const collectPredictionSets = (node, sets = []) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectPredictionSets(child, sets));
+  } else if (node && typeof node === 'object') {
+    if (Array.isArray(node.predictions)) sets.push(node);
+    Object.keys(node).forEach(key => {
+      if (key !== 'predictions') collectPredictionSets(node[key], sets);
+    });
+    if (Array.isArray(node.predictions)) node.predictions.forEach(child => collectPredictionSets(child, sets));
+  }
+  return sets;
+};
+
+/**
+ * Follows a mapping's predictionsPath, e.g. 'predictions' or 'outputs.*.detections.predictions'.
+ * @param {*} data
+ * @param {string} path
+ * @returns {Array<{predictions: Array, image: ?Object}>} One set per array found; image is the size
+ *   next to the array, as in Roboflow's { image, predictions } responses.
+ */
+const followPredictionsPath = (data, path) => {
+  let nodes = [{ value: data, parent: null }];
+  path.split('.').filter(Boolean).forEach(key => {
+    nodes = nodes.flatMap(({ value }) => {
+      if (!value || typeof value !== 'object') return [];
+      if (key === '*') return Object.values(value).map(child => ({ value: child, parent: value }));
+      return key in value ? [{ value: value[key], parent: value }] : [];
+    });
+  });
+  return nodes
+    .filter(({ value }) => Array.isArray(value))
+    .map(({ value, parent }) => ({ predictions: value, image: parent && parent.image }));
+};
+
+/**
+ * Extracts every prediction from an inference response.
+ * Boxes use Roboflow's convention: x/y are the box center in source-image pixels.
+ * Crop classifications that reference a detection (parent_id + top) relabel that detection's box.
+ * @param {Object} data - Inference response.
+ * @param {Object} [mapping] - Response mapping; defaults to the Roboflow workflow layout.
+ * @returns {{predictions: Array<{id: string, class: string, confidence: number, box: ?{x: number, y: number, width: number, height: number}}>, image: ?{width: number, height: number}}}
+ */
+export const parseWorkflowPredictions = (data, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const { classKey, confidenceKey } = mapping;
+  const sets = mapping.predictionsPath
+    ? followPredictionsPath(data, mapping.predictionsPath)
+    : collectPredictionSets(data && data.outputs);
+  const predictions = [];
+  const cropClasses = {};
+  let image = null;
+
+  sets.forEach(set => {
+    if (!image && set.image && set.image.width && set.image.height) {
+      image = { width: set.image.width, height: set.image.height };
+    }
+    if (set.parent_id && typeof set.top === 'string' && typeof set.confidence === 'number') {
+      // A crop classification lists every class's score; only its top class matters
+      cropClasses[set.parent_id] = { class: set.top, confidence: set.confidence };
+      return;
+    }
+    set.predictions.forEach((prediction, index) => {
+      if (!prediction || typeof prediction[classKey] !== 'string' || typeof prediction[confidenceKey] !== 'number') return;
+      const hasBox = ['x', 'y', 'width', 'height'].every(key => typeof prediction[key] === 'number');
+      predictions.push({
+        id: prediction.detection_id || `${predictions.length}-${index}`,
+        class: prediction[classKey],
+        confidence: prediction[confidenceKey],
+        box: hasBox ? { x: prediction.x, y: prediction.y, width: prediction.width, height: prediction.height } : null,
+      });
+    });
+  });
+
+  predictions.forEach(prediction => {
+    const crop = cropClasses[prediction.id];
+    if (crop && prediction.box) Object.assign(prediction, crop);
+  });
+  return { predictions, image };
+};
+
+/**
+ * Picks the top disease classification from an inference response, skipping generic detector classes.
+ * Workflows report it as the first prediction of a model_predictions block; with a predictionsPath
+ * it is the most confident prediction found there.
+ * @param {Object} data - Inference response.
+ * @param {Object} [mapping] - Response mapping; defaults to the Roboflow workflow layout.
+ * @returns {?{class: string, confidence: number}} Null when no classification was found.
+ */
+export const getTopPrediction = (data, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  if (mapping.predictionsPath) {
+    const top = parseWorkflowPredictions(data, mapping).predictions
+      .filter(prediction => !isGenericClass(prediction.class, mapping))
+      .reduce((best, prediction) => (!best || prediction.confidence > best.confidence ? prediction : best), null);
+    return top && { class: top.class, confidence: top.confidence };
+  }
+  if (!data || !Array.isArray(data.outputs)) return null;
+  for (const output of data.outputs) {
+    const topPrediction = output.model_predictions?.predictions?.[0];
+    if (topPrediction && topPrediction.class && typeof topPrediction.confidence === 'number' && !isGenericClass(topPrediction.class, mapping)) {
+      return { class: topPrediction.class, confidence: topPrediction.confidence };
+    }
+  }
+  return null;
+};
+
+/**
+ * Counts predictions per class above a confidence threshold, ignoring generic detector classes.
+ * @param {Array<Object>} predictions - From parseWorkflowPredictions.
+ * @param {number} [threshold=0] - Minimum confidence, 0-1.
+ * @param {Object} [mapping] - Response mapping with the ignored classes; defaults to the Roboflow workflow layout.
+ * @returns {Array<{class: string, count: number, avgConfidence: number, maxConfidence: number}>} Most frequent first.
+ */
+export const summarizeClasses = (predictions, threshold = 0, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const byClass = {};
+  predictions
+    .filter(prediction => prediction.confidence >= threshold && !isGenericClass(prediction.class, mapping))
+    .forEach(prediction => {
+      const entry = byClass[prediction.class] || (byClass[prediction.class] = { class: prediction.class, count: 0, total: 0, maxConfidence: 0 });
+      entry.count += 1;
+      entry.total += prediction.confidence;
+      entry.maxConfidence = Math.max(entry.maxConfidence, prediction.confidence);
+    });
+  return Object.values(byClass)
+    .map(({ total, ...entry }) => ({ ...entry, avgConfidence: total / entry.count }))
+    .sort((a, b) => b.count - a.count || b.maxConfidence - a.maxConfidence);
+};
+
+/**
+ * Formats class counts as e.g. "3 healthy, 1 coccidiosis".
+ * @param {Array<{class: string, count: number}>} classSummary - From summarizeClasses.
+ * @returns {string}
+ */
+export const formatClassCounts = classSummary => classSummary.map(entry => `${entry.count} ${entry.class}`).join(', ');
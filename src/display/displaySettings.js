@@ -0,0 +1,61 @@
+// src/display/displaySettings.js - Per-browser display preferences: language, temperature unit and theme
+//
+// Each phone or barn screen keeps its own choice in localStorage. Until something is chosen the
+// deployment's `display` config applies, then the browser's language. The wall display mode is
+// not saved: it lasts as long as the fullscreen session it starts.
+
+import { getConfig } from '../config.js';
+import { LOCALES, TEMPERATURE_UNITS, pickLocale } from '../i18n/i18n.js';
+
+export const THEMES = ['dark', 'daylight']; // 'daylight' is the high-contrast light theme for bright barns
+
+const STORAGE_KEY = 'poultry-dashboard-display';
+
+/**
+ * Fills in and validates display settings; unknown values fall back to the defaults.
+ * @param {?Object} saved - Stored or partial settings.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - The `display` config section ({locale, temperatureUnit, theme}).
+ * @param {Array<string>} [options.languages] - Browser languages, used when neither picks a locale.
+ * @returns {{locale: string, temperatureUnit: string, theme: string}}
+ */
+export const normalizeDisplaySettings = (saved, { config = {}, languages = [] } = {}) => {
+  const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+  const localeIds = LOCALES.map(locale => locale.id);
+  const defaults = {
+    locale: pick(config.locale, localeIds, pickLocale(languages)),
+    temperatureUnit: pick(config.temperatureUnit, TEMPERATURE_UNITS, 'C'),
+    theme: pick(config.theme, THEMES, 'dark'),
+  };
+  const settings = saved || {};
+  return {
+    locale: pick(settings.locale, localeIds, defaults.locale),
+    temperatureUnit: pick(settings.temperatureUnit, TEMPERATURE_UNITS, defaults.temperatureUnit),
+    theme: pick(settings.theme, THEMES, defaults.theme),
+  };
+};
+
+/**
+ * Loads this browser's display settings.
+ * @returns {{locale: string, temperatureUnit: string, theme: string}}
+ */
+export const loadDisplaySettings = () => {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    console.error('Error loading display settings:', error);
+  }
+  return normalizeDisplaySettings(saved, { config: getConfig('display'), languages: navigator.languages || [navigator.language] });
+};
+
+/**
+ * @param {{locale: string, temperatureUnit: string, theme: string}} settings
+ */
+export const saveDisplaySettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving display settings:', error);
+  }
+};
@@ -0,0 +1,19 @@
+// src/downloads.js - Saves generated content (exports, CSV, PDF reports) as a file download
+
+// Some browsers start the download after click() returns; revoking the object URL right away cancels it
+const REVOKE_DELAY_MS = 60000;
+
+/**
+ * Downloads a Blob, or content wrapped in one, under the given file name.
+ * @param {(Blob|string)} content
+ * @param {string} filename
+ * @param {string} [type] - MIME type when content is a string.
+ */
+export const downloadFile = (content, filename, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), REVOKE_DELAY_MS);
+};
@@ -0,0 +1,284 @@
+// src/health/healthScore.js - House health score: one 0–100 number from sensors and detections
+//
+// The score starts at 100 and loses points per factor: thermal comfort against the flock's
+// temperature band, humidity, heat stress (heat index), ammonia exposure and the share of recent
+// detections that found disease. Every factor reports its penalty and a short reason (a message key
+// with params, translated by the components) so the number can be explained. Factors without data are left out and the rest are scaled to 100. Advisory
+// rules combine factors into actions, e.g. high humidity with coccidiosis detections. Pure, like
+// alertRules; useHealthScore feeds it the house's live state.
+
+import { DEFAULT_RESPONSE_MAPPING, isGenericClass, isHealthyClass } from '../detection/responseParser.js';
+import { message } from '../i18n/i18n.js';
+import { summarize } from '../sensors/sensorHistory.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Points each factor can take off; they add up to 100
+export const FACTOR_WEIGHTS = {
+  temperature: 20,
+  humidity: 10,
+  heatStress: 15,
+  ammonia: 25,
+  disease: 30,
+};
+
+export const DETECTION_WINDOW_MS = 7 * DAY;
+const AMMONIA_SAFE_PPM = 10;         // No effect on birds below this
+const HEAT_INDEX_SPAN = 10;          // °C above the temperature band's upper limit for the full heat penalty
+const DISEASE_RATE_FULL_PENALTY = 0.5; // Disease in half of the recent scans takes all disease points
+const BAND_PENALTY_AT_CRITICAL = 0.7;  // Share of a factor's points lost at the critical limit
+const TREND_TOLERANCE = 3;           // Score points before the trend counts as up or down
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+/**
+ * Heat index ("feels like" temperature) from the NWS Rothfusz regression.
+ * @param {number} temperature - °C.
+ * @param {number} humidity - Relative humidity, %.
+ * @returns {number} °C.
+ */
+export const heatIndex = (temperature, humidity) => {
+  const t = temperature * 9 / 5 + 32;
+  const rh = humidity;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh - 0.00683783 * t * t
+      - 0.05481717 * rh * rh + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    else if (rh > 85 && t >= 80 && t <= 87) hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return (hi - 32) * 5 / 9;
+};
+
+/**
+ * How far a value is past a rule's warning band, as a 0–1 share of the factor's points:
+ * 0 inside the band, BAND_PENALTY_AT_CRITICAL at the critical limit, 1 further out.
+ * @param {number} value
+ * @param {Object} rule - A metric rule from buildRules.
+ * @returns {number}
+ */
+const bandPenalty = (value, rule) => {
+  const { warning, critical } = rule;
+  if (typeof warning.max === 'number' && value > warning.max) {
+    const span = typeof critical.max === 'number' ? Math.max(critical.max - warning.max, 1) : 5;
+    return clamp01(((value - warning.max) / span) * BAND_PENALTY_AT_CRITICAL);
+  }
+  if (typeof warning.min === 'number' && value < warning.min) {
+    const span = typeof critical.min === 'number' ? Math.max(warning.min - critical.min, 1) : 5;
+    return clamp01(((warning.min - value) / span) * BAND_PENALTY_AT_CRITICAL);
+  }
+  return 0;
+};
+
+/**
+ * Disease classes (confident, not healthy, not the generic bird detector) in a detection record.
+ * @param {Object} record - A stored detection record.
+ * @param {number} threshold - Minimum confidence.
+ * @param {Object} [mapping] - Response mapping with the healthy and ignored classes.
+ * @returns {Array<string>}
+ */
+export const diseaseClasses = (record, threshold, mapping = DEFAULT_RESPONSE_MAPPING) => [...new Set((record.predictions || [])
+  .filter(prediction => prediction.confidence >= threshold && !isGenericClass(prediction.class, mapping) && !isHealthyClass(prediction.class, mapping))
+  .map(prediction => prediction.class))];
+
+/**
+ * Share of recent detections that found disease, with a count per disease class.
+ * @param {Array<Object>} records - Stored detection records of one house.
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @param {number} [options.windowMs=DETECTION_WINDOW_MS]
+ * @param {number} [options.threshold=0] - Minimum confidence.
+ * @param {Object} [options.mapping] - Response mapping with the healthy and ignored classes.
+ * @returns {{total: number, diseased: number, rate: number, classes: Object<string, number>}}
+ */
+export const summarizeDiseaseRate = (records, { now = Date.now(), windowMs = DETECTION_WINDOW_MS, threshold = 0, mapping = DEFAULT_RESPONSE_MAPPING } = {}) => {
+  const recent = records.filter(record => record.timestamp <= now && record.timestamp > now - windowMs);
+  const classes = {};
+  let diseased = 0;
+  recent.forEach(record => {
+    const found = diseaseClasses(record, threshold, mapping);
+    if (found.length) diseased += 1;
+    found.forEach(name => { classes[name] = (classes[name] || 0) + 1; });
+  });
+  return { total: recent.length, diseased, rate: recent.length ? diseased / recent.length : 0, classes };
+};
+
+// A sensor value inside a message; components format it in the display unit (formatMessage in i18n.js)
+const metricParam = (metric, value, digits) => ({ metric, value, digits });
+const limitParam = (metric, limit) => metricParam(metric, limit, Number.isInteger(limit) ? 0 : 1);
+
+/**
+ * Scores each factor. Factors without data have available: false and no penalty.
+ * @returns {Array<{id: string, available: boolean, penalty: number, maxPenalty: number, detail: {key: string, params: Object}}>}
+ *   detail is a message key under 'health.detail.' with its placeholder values.
+ */
+const scoreFactors = ({ reading, rules, disease }) => {
+  const has = metric => !!reading && typeof reading[metric] === 'number';
+  const factor = (id, available, share, detail) => ({
+    id,
+    available,
+    penalty: available ? Math.round(share * FACTOR_WEIGHTS[id] * 10) / 10 : 0,
+    maxPenalty: FACTOR_WEIGHTS[id],
+    detail,
+  });
+  const describeBand = (metric) => {
+    const value = metricParam(metric, reading[metric]);
+    const { warning } = rules[metric];
+    if (typeof warning.max === 'number' && reading[metric] > warning.max) return message('health.detail.above', { value, limit: limitParam(metric, warning.max) });
+    if (typeof warning.min === 'number' && reading[metric] < warning.min) return message('health.detail.below', { value, limit: limitParam(metric, warning.min) });
+    return message('health.detail.withinRange', { value });
+  };
+
+  const factors = [];
+  factors.push(has('temperature')
+    ? factor('temperature', true, bandPenalty(reading.temperature, rules.temperature), describeBand('temperature'))
+    : factor('temperature', false, 0, message('health.detail.noTemperature')));
+  factors.push(has('humidity')
+    ? factor('humidity', true, bandPenalty(reading.humidity, rules.humidity), describeBand('humidity'))
+    : factor('humidity', false, 0, message('health.detail.noHumidity')));
+
+  if (has('temperature') && has('humidity')) {
+    const index = metricParam('temperature', heatIndex(reading.temperature, reading.humidity));
+    const limit = rules.temperature.warning.max;
+    const share = clamp01((index.value - limit) / HEAT_INDEX_SPAN);
+    factors.push(factor('heatStress', true, share, share > 0
+      ? message('health.detail.heatIndexAbove', { value: index, limit: limitParam('temperature', limit) })
+      : message('health.detail.heatIndex', { value: index })));
+  } else {
+    factors.push(factor('heatStress', false, 0, message('health.detail.needsTemperatureHumidity')));
+  }
+
+  if (has('ammonia')) {
+    const value = reading.ammonia;
+    const limit = rules.ammonia.warning.max;
+    // Ammonia harms birds well before the alert limit, so exposure between the safe level and the limit already costs points
+    const belowLimitShare = 1 - BAND_PENALTY_AT_CRITICAL;
+    const share = value > limit
+      ? clamp01(belowLimitShare + bandPenalty(value, rules.ammonia))
+      : clamp01((value - AMMONIA_SAFE_PPM) / Math.max(limit - AMMONIA_SAFE_PPM, 1)) * belowLimitShare;
+    const shown = metricParam('ammonia', value);
+    factors.push(factor('ammonia', true, share, value > AMMONIA_SAFE_PPM
+      ? message('health.detail.above', { value: shown, limit: limitParam('ammonia', value > limit ? limit : AMMONIA_SAFE_PPM) })
+      : message('health.detail.low', { value: shown })));
+  } else {
+    factors.push(factor('ammonia', false, 0, message('health.detail.noAmmonia')));
+  }
+
+  const days = Math.round(DETECTION_WINDOW_MS / DAY);
+  factors.push(disease.total
+    ? factor('disease', true, clamp01(disease.rate / DISEASE_RATE_FULL_PENALTY), disease.diseased
+      ? message('health.detail.diseaseScans', { count: disease.total, diseased: disease.diseased, days, classes: Object.keys(disease.classes).join(', ') })
+      : message('health.detail.scans', { count: disease.total, days }))
+    : factor('disease', false, 0, message('health.detail.noScans', { count: days })));
+  return factors;
+};
+
+const hasClass = (disease, pattern) => Object.keys(disease.classes).some(name => pattern.test(name));
+
+// Checked in order; each adds its message ('health.advisory.<id>') when it applies, with the params it returns
+const ADVISORY_RULES = [
+  {
+    id: 'newcastle',
+    severity: 'critical',
+    applies: ({ disease }) => hasClass(disease, /newcastle|new castle|\bncd\b/i),
+  },
+  {
+    id: 'salmonella',
+    severity: 'critical',
+    applies: ({ disease }) => hasClass(disease, /salmo/i),
+  },
+  {
+    id: 'humid-coccidiosis',
+    severity: 'warning',
+    applies: ({ reading, rules, disease }) => hasClass(disease, /cocci/i) && reading && reading.humidity > rules.humidity.warning.max,
+  },
+  {
+    id: 'wet-litter',
+    severity: 'warning',
+    applies: ({ reading, rules }) => reading && reading.ammonia > rules.ammonia.warning.max && reading.humidity > rules.humidity.warning.max,
+  },
+  {
+    id: 'ammonia-respiratory',
+    severity: 'warning',
+    applies: ({ reading, rules, disease }) => reading && reading.ammonia > AMMONIA_SAFE_PPM && reading.ammonia <= rules.ammonia.warning.max && disease.diseased > 0,
+    params: ({ reading }) => ({ value: metricParam('ammonia', reading.ammonia), safe: limitParam('ammonia', AMMONIA_SAFE_PPM) }),
+  },
+  {
+    id: 'heat-stress',
+    severity: 'warning',
+    applies: ({ factors }) => factors.some(factor => factor.id === 'heatStress' && factor.penalty > 0),
+    params: ({ reading }) => ({ value: metricParam('temperature', heatIndex(reading.temperature, reading.humidity)) }),
+  },
+  {
+    id: 'too-cold',
+    severity: 'warning',
+    applies: ({ reading, rules }) => reading && reading.temperature < rules.temperature.warning.min,
+    params: ({ rules }) => ({ limit: limitParam('temperature', rules.temperature.warning.min) }),
+  },
+  {
+    id: 'disease-rate',
+    severity: 'warning',
+    applies: ({ disease }) => disease.total >= 3 && disease.rate >= 0.2,
+    params: ({ disease }) => ({ percent: Math.round(disease.rate * 100) }),
+  },
+];
+
+/**
+ * Computes a house's health score.
+ * @param {Object} input
+ * @param {?Object} input.reading - Latest reading (may be missing metrics).
+ * @param {Object} input.rules - Output of buildRules for the house.
+ * @param {Array<Object>} input.detections - Stored detection records of the house.
+ * @param {number} [input.threshold=0] - Minimum confidence for a disease detection.
+ * @param {number} [input.now=Date.now()]
+ * @param {Object} [input.mapping] - Response mapping with the healthy and ignored classes.
+ * @returns {{score: ?number, grade: ?('good'|'fair'|'poor'), factors: Array<Object>, advisories: Array<{id: string, severity: string, message: {key: string, params: Object}}>}}
+ *   score is null when there is no data at all.
+ */
+export const computeHealthScore = ({ reading, rules, detections, threshold = 0, now = Date.now(), mapping = DEFAULT_RESPONSE_MAPPING }) => {
+  const disease = summarizeDiseaseRate(detections, { now, threshold, mapping });
+  const factors = scoreFactors({ reading, rules, disease });
+  const available = factors.filter(factor => factor.available);
+  const advisories = ADVISORY_RULES
+    .filter(rule => rule.applies({ reading, rules, disease, factors }))
+    .map(rule => ({
+      id: rule.id,
+      severity: rule.severity,
+      message: message(`health.advisory.${rule.id}`, rule.params ? rule.params({ reading, rules, disease, factors }) : {}),
+    }));
+  if (available.length === 0) return { score: null, grade: null, factors, advisories };
+
+  const maxPenalty = available.reduce((total, factor) => total + factor.maxPenalty, 0);
+  const penalty = available.reduce((total, factor) => total + factor.penalty, 0);
+  const score = Math.round(100 * (1 - penalty / maxPenalty));
+  const grade = score >= 80 ? 'good' : score >= 60 ? 'fair' : 'poor';
+  return { score, grade, factors, advisories };
+};
+
+/**
+ * Average of each metric over a set of readings, e.g. the history window used for the trend.
+ * @param {Array<Object>} readings
+ * @returns {?Object} Null when there are no readings.
+ */
+export const averageReading = (readings) => {
+  if (readings.length === 0) return null;
+  const reading = { timestamp: readings[readings.length - 1].timestamp };
+  ['temperature', 'humidity', 'ammonia'].forEach(metric => {
+    const summary = summarize(readings, metric);
+    reading[metric] = summary ? summary.avg : null;
+  });
+  return reading;
+};
+
+/**
+ * Direction of the score compared with an earlier one.
+ * @param {?number} current
+ * @param {?number} previous
+ * @returns {?('up'|'down'|'flat')} Null when either score is unknown.
+ */
+export const scoreTrend = (current, previous) => {
+  if (current === null || previous === null || current === undefined || previous === undefined) return null;
+  if (current - previous >= TREND_TOLERANCE) return 'up';
+  if (previous - current >= TREND_TOLERANCE) return 'down';
+  return 'flat';
+};
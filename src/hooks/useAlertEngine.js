@@ -0,0 +1,95 @@
+// src/hooks/useAlertEngine.js - Runs the alert engine on live readings for one house
+
+import { useState, useEffect, useRef } from 'react';
+import { createEmptyState, evaluateAlerts, acknowledgeAlert, clearResolvedAlerts } from '../alerts/alertRules.js';
+import { useI18n } from './useI18n.js';
+
+const storageKey = houseId => `poultry-dashboard-alerts:${houseId}`;
+
+const loadState = (houseId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(houseId)));
+    return saved && Array.isArray(saved.alerts) ? saved : createEmptyState();
+  } catch (error) {
+    console.error('Error loading saved alerts:', error);
+    return createEmptyState();
+  }
+};
+
+/**
+ * The alert's message in the chosen language and temperature unit. Alerts stored before limits
+ * were recorded keep their English message.
+ * @param {Object} alert
+ * @param {Object} i18n - From useI18n.
+ * @returns {string}
+ */
+export const describeAlert = (alert, { t, formatMetric }) => {
+  if (!alert.limit) return alert.message;
+  return t('alerts.message', {
+    metric: t(`metric.${alert.metric}`),
+    severity: t(`severity.${alert.severity}`),
+    value: formatMetric(alert.lastValue, alert.metric),
+    limit: t(`alerts.${alert.limit.direction}`, { limit: formatMetric(alert.limit.value, alert.metric, 0) }),
+  });
+};
+
+/**
+ * Shows a browser notification for a raised or escalated alert, if permission was granted.
+ * @param {{type: string, alert: Object}} event
+ * @param {string} houseName - Shown in the notification title.
+ * @param {Object} i18n - From useI18n; notifications use the display language and temperature unit.
+ */
+const notify = ({ type, alert }, houseName, i18n) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  try {
+    const severity = i18n.t(`severity.${alert.severity}`);
+    const title = i18n.t(type === 'escalated' ? 'alerts.notificationEscalated' : 'alerts.notification', {
+      house: houseName,
+      severity: alert.severity === 'critical' ? severity.toLocaleUpperCase(i18n.locale) : severity,
+    });
+    new Notification(title, {
+      body: describeAlert(alert, i18n),
+      tag: `${houseName}-${alert.metric}`, // Replace rather than stack notifications for the same metric
+      requireInteraction: alert.severity === 'critical',
+    });
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Error showing notification:', error);
+  }
+};
+
+/**
+ * React hook that evaluates live readings against the rules and manages the alert lifecycle.
+ * @param {?Object} reading - Latest validated reading.
+ * @param {Object} rules - Output of buildRules.
+ * @param {{houseId: string, houseName: string}} options
+ * @returns {{alerts: Array, acknowledge: Function, clearResolved: Function}}
+ */
+export const useAlertEngine = (reading, rules, { houseId, houseName }) => {
+  const i18n = useI18n();
+  const [state, setState] = useState(() => loadState(houseId));
+  const stateRef = useRef(state);
+
+  const commit = (next) => {
+    stateRef.current = next;
+    setState(next);
+    try {
+      localStorage.setItem(storageKey(houseId), JSON.stringify(next));
+    } catch (error) {
+      console.error('Error saving alerts:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (!reading) return;
+    const { state: next, events } = evaluateAlerts(stateRef.current, reading, rules);
+    commit(next);
+    events.forEach(event => notify(event, houseName, i18n));
+  }, [reading]);
+
+  return {
+    alerts: state.alerts,
+    acknowledge: alertId => commit(acknowledgeAlert(stateRef.current, alertId)),
+    clearResolved: () => commit(clearResolvedAlerts(stateRef.current)),
+  };
+};
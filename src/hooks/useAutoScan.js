@@ -0,0 +1,117 @@
+// src/hooks/useAutoScan.js - Periodic detection on camera frames, rate limited across houses
+
+import { useState, useEffect, useRef } from 'react';
+import { getConfig } from '../config.js';
+import { captureFrame, runWorkflow, DetectionNetworkError } from '../detection/detectionService.js';
+import { createRateLimiter } from '../detection/rateLimiter.js';
+import { openCameraForCapture } from '../cameras/cameraSources.js';
+import { DEFAULT_AUTO_SCAN_INTERVAL_MINUTES } from '../houses/houseModel.js';
+import { message, messageFromError } from '../i18n/i18n.js';
+
+const AUTO_SCAN_MAX_CALLS_PER_HOUR = getConfig('detection').autoScanMaxCallsPerHour || 12;
+
+// One limiter for every house's auto-scan, since they share the same API quota
+const autoScanLimiter = createRateLimiter({ maxCalls: AUTO_SCAN_MAX_CALLS_PER_HOUR, windowMs: 60 * 60 * 1000 });
+
+const MIN_INTERVAL_MS = 60 * 1000;
+const MAX_INTERVAL_MS = 2 ** 31 - 1; // setInterval runs longer delays at once
+
+/**
+ * The scan interval in ms, kept between a minute and setInterval's maximum. A value that is not a
+ * positive number (a hand-edited saved house) falls back to the default.
+ * @param {*} intervalMinutes
+ * @returns {number}
+ */
+const toIntervalMs = (intervalMinutes) => {
+  const minutes = Number.isFinite(intervalMinutes) && intervalMinutes > 0 ? intervalMinutes : DEFAULT_AUTO_SCAN_INTERVAL_MINUTES;
+  return Math.min(Math.max(minutes * 60 * 1000, MIN_INTERVAL_MS), MAX_INTERVAL_MS);
+};
+
+/**
+ * React hook that samples a camera frame every intervalMinutes and runs detection on it. Each scan
+ * opens the camera off screen and releases it after the capture, so scans go on whether or not
+ * the house is shown (useHouseMonitor runs it for every house).
+ * @param {Object} options
+ * @param {boolean} options.enabled - Scan only while enabled.
+ * @param {number} options.intervalMinutes
+ * @param {{type: string, deviceId: string, url: string}} options.source - The house's camera source.
+ * @param {Function} options.onResult - Called with ({ image, data, timestamp }) after each scan.
+ * @param {Function} [options.onOffline] - Called with the captured frame when the server cannot be
+ *   reached, so it can be queued until the connection is back.
+ * @returns {{lastRunAt: ?number, nextRunAt: ?number, isScanning: boolean, error: ?{key: string, params: Object}}}
+ *   error is a message for formatMessage.
+ */
+export const useAutoScan = ({ enabled, intervalMinutes, source, onResult, onOffline }) => {
+  const [lastRunAt, setLastRunAt] = useState(null);
+  const [nextRunAt, setNextRunAt] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState(null);
+  const callbacksRef = useRef({ onResult, onOffline });
+  callbacksRef.current = { onResult, onOffline };
+  const { type, deviceId, url } = source;
+
+  useEffect(() => {
+    if (!enabled) {
+      setNextRunAt(null);
+      return undefined;
+    }
+    const intervalMs = toIntervalMs(intervalMinutes);
+    let cancelled = false;
+
+    const rateLimited = () => setError(message('house.autoScanRateLimited', { max: AUTO_SCAN_MAX_CALLS_PER_HOUR, time: { time: autoScanLimiter.nextAvailableAt() } }));
+
+    const scan = async () => {
+      setNextRunAt(Date.now() + intervalMs);
+      // Checked here so a used-up quota does not open the camera; the call is only counted once a
+      // frame is captured and about to be sent
+      if (autoScanLimiter.nextAvailableAt() > Date.now()) {
+        rateLimited();
+        return;
+      }
+      setIsScanning(true);
+      let image = null;
+      try {
+        const camera = await openCameraForCapture({ type, deviceId, url });
+        try {
+          image = await captureFrame(camera.element);
+        } finally {
+          camera.release();
+        }
+        if (cancelled) return;
+        // Another house may have taken the last call while this one was opening its camera
+        if (!autoScanLimiter.tryAcquire()) {
+          rateLimited();
+          return;
+        }
+        const data = await runWorkflow(image);
+        if (cancelled) return;
+        const timestamp = Date.now();
+        setLastRunAt(timestamp);
+        setError(null);
+        callbacksRef.current.onResult({ image, data, timestamp });
+      } catch (err) {
+        if (err instanceof DetectionNetworkError && callbacksRef.current.onOffline) {
+          callbacksRef.current.onOffline(image);
+          if (!cancelled) setError(message('house.autoScanOffline'));
+          return;
+        }
+        console.error('Auto-scan failed:', err);
+        if (!cancelled) setError(message('house.autoScanFailed', { error: messageFromError(err) }));
+      } finally {
+        if (!cancelled) setIsScanning(false);
+      }
+    };
+
+    // First scan shortly after enabling or loading the page
+    const firstScan = setTimeout(scan, 3000);
+    const interval = setInterval(scan, intervalMs);
+    return () => {
+      cancelled = true;
+      clearTimeout(firstScan);
+      clearInterval(interval);
+      setIsScanning(false); // A scan still running is dropped, and its finally leaves the flag alone
+    };
+  }, [enabled, intervalMinutes, type, deviceId, url]);
+
+  return { lastRunAt, nextRunAt, isScanning, error };
+};
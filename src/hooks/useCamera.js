@@ -0,0 +1,77 @@
+// src/hooks/useCamera.js - A house's camera: a local device or its network stream
+
+import { useState, useEffect, useRef } from 'react';
+import { buildVideoConstraints, attachHlsStream } from '../cameras/cameraSources.js';
+import { message } from '../i18n/i18n.js';
+
+/**
+ * React hook that opens a camera source while active: a local device or an HLS stream into a
+ * <video>, or an MJPEG stream, which is a plain <img> shown only while active. Tracks and
+ * players are released when paused, when the source changes or on unmount.
+ * @param {{type: string, deviceId: string, url: string}} source - A normalized camera source.
+ * @param {boolean} [initiallyActive=false]
+ * @returns {{videoRef: Object, imageRef: Object, active: boolean, error: ?{key: string, params: Object}, setError: Function, toggle: Function, getElement: Function}}
+ *   error is a message for formatMessage; getElement() returns the element frames are captured from.
+ */
+export const useCamera = (source, initiallyActive = false) => {
+  const videoRef = useRef(null); // Reference to the video element
+  const imageRef = useRef(null); // Reference to the MJPEG stream <img>
+  const [active, setActive] = useState(initiallyActive);
+  const [error, setError] = useState(null);
+  const { type, deviceId, url } = source;
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!active || type === 'mjpeg' || !video) return undefined; // MJPEG streams need nothing opened
+    let cancelled = false;
+    let release = () => {};
+
+    if (type === 'hls') {
+      attachHlsStream(video, url, playbackError => { if (!cancelled) setError(playbackError); })
+        .then(detach => {
+          if (cancelled) detach();
+          else release = detach;
+        })
+        .catch(err => {
+          console.error('Error loading the HLS player:', err);
+          if (!cancelled) setError(message('camera.streamFailed', { url }));
+        });
+    } else {
+      navigator.mediaDevices.getUserMedia(buildVideoConstraints(deviceId))
+        .then(stream => {
+          const stopTracks = () => stream.getTracks().forEach(track => track.stop());
+          if (cancelled) {
+            stopTracks();
+            return;
+          }
+          video.srcObject = stream;
+          video.play().catch(() => {});
+          release = () => {
+            stopTracks();
+            video.srcObject = null;
+          };
+        })
+        .catch(err => {
+          console.error("Error accessing camera:", err);
+          if (cancelled) return;
+          setError(err.name === 'OverconstrainedError' || err.name === 'NotFoundError'
+            ? message('camera.notConnected')
+            : message('camera.accessDenied'));
+          setActive(false);
+        });
+    }
+    return () => {
+      cancelled = true;
+      release();
+    };
+  }, [active, type, deviceId, url]);
+
+  const toggle = () => {
+    setActive(previous => !previous);
+    setError(null);
+  };
+
+  const getElement = () => (type === 'mjpeg' ? imageRef.current : videoRef.current);
+
+  return { videoRef, imageRef, active, error, setError, toggle, getElement };
+};
@@ -0,0 +1,101 @@
+// src/hooks/useCameraRecorder.js - Snapshots and clips of a house camera, saved in the browser
+
+import { useState, useEffect, useRef } from 'react';
+import { getConfig } from '../config.js';
+import { captureFrame } from '../detection/detectionService.js';
+import { startClipRecording } from '../cameras/clipRecorder.js';
+import { addRecording, getRecordings, deleteRecording, pruneRecordings } from '../cameras/recordings.js';
+import { message, messageFromError } from '../i18n/i18n.js';
+
+const CLIP_MAX_MS = (getConfig('camera').clipMaxSeconds || 30) * 1000;
+
+/**
+ * React hook that saves snapshots and short clips of a camera feed and lists the house's
+ * saved recordings. A clip in progress is stopped when the component unmounts.
+ * @param {{id: string, name: string}} house
+ * @param {function(): ?Element} getElement - From useCamera.
+ * @returns {{recordings: Array<Object>, recordingSince: ?number, error: ?{key: string, params: Object}, takeSnapshot: Function, toggleClip: Function, remove: Function}}
+ *   recordingSince is when the current clip started, null when not recording; error is a message
+ *   for formatMessage.
+ */
+export const useCameraRecorder = (house, getElement) => {
+  const [recordings, setRecordings] = useState([]);
+  const [recordingSince, setRecordingSince] = useState(null);
+  const [error, setError] = useState(null);
+  const clipRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    pruneRecordings().catch(err => console.error('Error pruning camera recordings:', err));
+    getRecordings(house.id)
+      .then(stored => { if (!cancelled) setRecordings(stored); })
+      .catch(err => {
+        console.error('Error loading camera recordings:', err);
+        if (!cancelled) setError(message('recordings.unavailable', { error: messageFromError(err) }));
+      });
+    return () => { cancelled = true; };
+  }, [house.id]);
+
+  useEffect(() => () => {
+    if (clipRef.current) clipRef.current.stop();
+  }, []);
+
+  const save = async (recording) => {
+    try {
+      const stored = await addRecording({ houseId: house.id, houseName: house.name, ...recording });
+      setRecordings(previous => [stored, ...previous]);
+      setError(null);
+    } catch (err) {
+      console.error('Error saving camera recording:', err);
+      setError(message('recordings.notSaved', { error: messageFromError(err) }));
+    }
+  };
+
+  const takeSnapshot = async () => {
+    try {
+      const image = await captureFrame(getElement());
+      await save({ kind: 'snapshot', timestamp: image.lastModified, blob: image, mimeType: image.type, durationMs: null });
+    } catch (err) {
+      setError(messageFromError(err));
+    }
+  };
+
+  const toggleClip = () => {
+    if (clipRef.current) {
+      clipRef.current.stop();
+      return;
+    }
+    let clip;
+    try {
+      clip = startClipRecording(getElement(), { maxDurationMs: CLIP_MAX_MS });
+    } catch (err) {
+      setError(messageFromError(err));
+      return;
+    }
+    const timestamp = Date.now();
+    clipRef.current = clip;
+    setRecordingSince(timestamp);
+    setError(null);
+    clip.done
+      .then(({ blob, mimeType, durationMs }) => save({ kind: 'clip', timestamp, blob, mimeType, durationMs }))
+      .catch(err => {
+        console.error('Error recording clip:', err);
+        setError(message('recordings.recordFailed', { error: messageFromError(err) }));
+      })
+      .finally(() => {
+        clipRef.current = null;
+        setRecordingSince(null);
+      });
+  };
+
+  const remove = async (id) => {
+    try {
+      await deleteRecording(id);
+      setRecordings(previous => previous.filter(recording => recording.id !== id));
+    } catch (err) {
+      setError(message('recordings.notDeleted', { error: messageFromError(err) }));
+    }
+  };
+
+  return { recordings, recordingSince, error, takeSnapshot, toggleClip, remove };
+};
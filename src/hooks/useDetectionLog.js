@@ -0,0 +1,47 @@
+// src/hooks/useDetectionLog.js - A house's recent detections and recording of new ones
+
+import { useState, useEffect } from 'react';
+import { RECENT_LIMIT, createThumbnail, buildDetectionRecord, addDetection, getDetections, pruneDetections } from '../detection/detectionHistory.js';
+import { message, messageFromError } from '../i18n/i18n.js';
+
+/**
+ * React hook with a house's most recent detections and a function to record a new one.
+ * Prunes expired records on mount.
+ * @param {string} houseId
+ * @param {Object} mapping - Response mapping of the active backend, to read new results with.
+ * @returns {{recent: Array<Object>, record: Function, error: ?{key: string, params: Object}}} record(entry, image)
+ *   builds the thumbnail from the analysed image, stores the record and resolves with it. error is
+ *   a message for formatMessage.
+ */
+export const useDetectionLog = (houseId, mapping) => {
+  const [recent, setRecent] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    pruneDetections().catch(err => console.error('Error pruning detection history:', err));
+    getDetections(houseId, { limit: RECENT_LIMIT })
+      .then(records => { if (!cancelled) setRecent(records); })
+      .catch(err => {
+        console.error('Error loading detection history:', err);
+        if (!cancelled) setError(message('detection.historyUnavailable', { error: messageFromError(err) }));
+      });
+    return () => { cancelled = true; };
+  }, [houseId]);
+
+  const record = async (entry, image) => {
+    try {
+      const thumbnail = await createThumbnail(image).catch(() => null);
+      const stored = await addDetection(buildDetectionRecord({ ...entry, thumbnail }, mapping));
+      setRecent(previous => [stored, ...previous].slice(0, RECENT_LIMIT));
+      setError(null);
+      return stored;
+    } catch (err) {
+      console.error('Error storing detection:', err);
+      setError(message('detection.notSaved', { error: messageFromError(err) }));
+      return null;
+    }
+  };
+
+  return { recent, record, error };
+};
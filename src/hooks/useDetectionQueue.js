@@ -0,0 +1,162 @@
+// src/hooks/useDetectionQueue.js - Batch detection queue with bounded concurrency and retries
+//
+// Uploads (one photo or a whole house walk) and camera captures are queued and sent to
+// /api/detect a few at a time. Each item shows queued/running/done/failed; 429/5xx responses are
+// retried with backoff (runWorkflowWithRetry). Once nothing is pending the panel shows
+// an aggregated summary of the batch.
+//
+// Without a connection items wait ('waiting') and are sent once the browser is back online. Queued
+// images are also kept in IndexedDB until they have a result, so they survive a reload.
+
+import { useState, useEffect, useRef } from 'react';
+import { getConfig } from '../config.js';
+import { runWorkflowWithRetry, DetectionNetworkError } from '../detection/detectionService.js';
+import { isPending } from '../detection/batchSummary.js';
+import { savePendingImage, deletePendingImage, getPendingImages } from '../detection/pendingImages.js';
+import { message, messageFromError } from '../i18n/i18n.js';
+import { useOnlineStatus } from './useOnlineStatus.js';
+
+const MAX_CONCURRENT = getConfig('detection').maxConcurrentRequests || 3;
+const WAITING_RETRY_MS = 30 * 1000; // "Online" but the server unreachable (e.g. router without uplink)
+
+const OFFLINE_MESSAGE = message('queue.offline');
+
+let nextItemId = 1;
+
+/**
+ * @param {Blob} file
+ * @param {string} source - 'upload' | 'capture' | 'auto-scan'.
+ * @param {Object} [options] - id and createdAt of a restored item, and its initial status.
+ * @returns {Object} A queued item.
+ */
+const createQueueItem = (file, source, { id, createdAt = Date.now(), status = 'queued' } = {}) => ({
+  id: id || `detection-${createdAt.toString(36)}-${nextItemId++}`,
+  file,
+  name: file.name || 'Camera frame',
+  source,
+  previewUrl: URL.createObjectURL(file),
+  status,
+  attempts: 0,
+  error: status === 'waiting' ? OFFLINE_MESSAGE : null, // A message for formatMessage
+  errorBody: '',
+  data: null,
+  createdAt,
+  finishedAt: null,
+});
+
+/**
+ * React hook running queued images through detection, at most `concurrency` at a time.
+ * @param {Object} options
+ * @param {string} options.houseId - Pending images are saved and restored per house.
+ * @param {Function} options.onDone - Called with the finished item ({ file, source, data, finishedAt, ... }).
+ * @param {number} [options.concurrency=MAX_CONCURRENT]
+ * @returns {{items: Array<Object>, online: boolean, enqueue: Function, retry: Function, retryFailed: Function, clearFinished: Function}}
+ *   enqueue(files, source) returns the new item ids.
+ */
+export const useDetectionQueue = ({ houseId, onDone, concurrency = MAX_CONCURRENT }) => {
+  const [items, setItems] = useState([]);
+  const online = useOnlineStatus();
+  const startedRef = useRef(new Set()); // Ids handed to run(), ahead of the 'running' re-render
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const onDoneRef = useRef(onDone);
+  onDoneRef.current = onDone;
+
+  const update = (id, changes) => setItems(previous => previous.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+  const save = item => savePendingImage({ id: item.id, houseId, source: item.source, name: item.name, file: item.file, createdAt: item.createdAt })
+    .catch(error => console.error('Error saving pending image:', error));
+  const forget = id => deletePendingImage(id).catch(error => console.error('Error removing pending image:', error));
+
+  const run = async (item) => {
+    update(item.id, { status: 'running', attempts: 1, error: null, errorBody: '' });
+    try {
+      const data = await runWorkflowWithRetry(item.file, {
+        onRetry: ({ attempt, delayMs, error }) => update(item.id, {
+          attempts: attempt + 1,
+          error: message('queue.retrying', { error: messageFromError(error), seconds: Math.ceil(delayMs / 1000) }),
+        }),
+      });
+      const finishedAt = Date.now();
+      update(item.id, { status: 'done', data, error: null, finishedAt });
+      forget(item.id);
+      onDoneRef.current({ ...item, data, finishedAt });
+    } catch (error) {
+      if (error instanceof DetectionNetworkError) {
+        update(item.id, { status: 'waiting', error: OFFLINE_MESSAGE });
+      } else {
+        update(item.id, { status: 'failed', error: messageFromError(error), errorBody: error.body || '', finishedAt: Date.now() });
+        forget(item.id);
+      }
+    } finally {
+      startedRef.current.delete(item.id);
+    }
+  };
+
+  // Images queued during an earlier visit (e.g. captured offline before the tab was closed)
+  useEffect(() => {
+    let cancelled = false;
+    getPendingImages(houseId)
+      .then(entries => {
+        if (cancelled || entries.length === 0) return;
+        const status = navigator.onLine ? 'queued' : 'waiting';
+        const restored = entries.map(entry => createQueueItem(entry.file, entry.source, { id: entry.id, createdAt: entry.createdAt, status }));
+        setItems(previous => [...restored.filter(item => !previous.some(existing => existing.id === item.id)), ...previous]);
+      })
+      .catch(error => console.error('Error loading pending images:', error));
+    return () => { cancelled = true; };
+  }, [houseId]);
+
+  useEffect(() => {
+    let free = concurrency - startedRef.current.size;
+    items.forEach(item => {
+      if (free <= 0 || item.status !== 'queued' || startedRef.current.has(item.id)) return;
+      startedRef.current.add(item.id);
+      free -= 1;
+      run(item);
+    });
+  }, [items, concurrency]);
+
+  // Send waiting items as soon as the connection is back, and periodically while it only seems to be
+  const resumeWaiting = () => setItems(previous => previous.map(item => (item.status === 'waiting' ? { ...item, status: 'queued', error: null } : item)));
+  const hasWaiting = items.some(item => item.status === 'waiting');
+  useEffect(() => {
+    if (online) resumeWaiting();
+  }, [online]);
+  useEffect(() => {
+    if (!online || !hasWaiting) return undefined;
+    const timer = setInterval(resumeWaiting, WAITING_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [online, hasWaiting]);
+
+  useEffect(() => () => itemsRef.current.forEach(item => URL.revokeObjectURL(item.previewUrl)), []);
+
+  const enqueue = (files, source) => {
+    const status = navigator.onLine ? 'queued' : 'waiting';
+    const added = Array.from(files).map(file => createQueueItem(file, source, { status }));
+    added.forEach(save);
+    setItems(previous => [...previous, ...added]);
+    return added.map(item => item.id);
+  };
+
+  // Failed items were dropped from the pending store, so save them again
+  const retry = (id) => {
+    itemsRef.current.filter(item => item.id === id).forEach(save);
+    update(id, { status: 'queued', attempts: 0, error: null, errorBody: '', finishedAt: null });
+  };
+
+  const retryFailed = () => {
+    itemsRef.current.filter(item => item.status === 'failed').forEach(save);
+    setItems(previous => previous.map(item => (
+      item.status === 'failed' ? { ...item, status: 'queued', attempts: 0, error: null, errorBody: '', finishedAt: null } : item
+    )));
+  };
+
+  const clearFinished = () => setItems(previous => previous.filter(item => {
+    if (isPending(item)) return true;
+    URL.revokeObjectURL(item.previewUrl);
+    return false;
+  }));
+
+  return { items, online, enqueue, retry, retryFailed, clearFinished };
+};
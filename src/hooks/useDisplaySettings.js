@@ -0,0 +1,31 @@
+// src/hooks/useDisplaySettings.js - The persisted display settings, applied to the page
+
+import { useState, useEffect, useMemo } from 'react';
+import { loadDisplaySettings, saveDisplaySettings } from '../display/displaySettings.js';
+import { createI18n } from '../i18n/i18n.js';
+
+/**
+ * React hook holding this browser's display settings. Sets the page language (for screen readers
+ * and hyphenation) and the theme class on <html>, so dialogs and portals follow the theme too.
+ * @returns {{settings: Object, i18n: Object, update: Function}} update(changes) merges and saves.
+ */
+export const useDisplaySettings = () => {
+  const [settings, setSettings] = useState(loadDisplaySettings);
+  const i18n = useMemo(() => createI18n(settings), [settings]);
+
+  useEffect(() => {
+    const root = document.documentElement;
+    root.lang = settings.locale;
+    root.classList.toggle('theme-daylight', settings.theme === 'daylight');
+  }, [settings.locale, settings.theme]);
+
+  return {
+    settings,
+    i18n,
+    update: (changes) => {
+      const next = { ...settings, ...changes };
+      setSettings(next);
+      saveDisplaySettings(next);
+    },
+  };
+};
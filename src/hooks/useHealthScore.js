@@ -0,0 +1,48 @@
+// src/hooks/useHealthScore.js - A house's health score with its trend
+
+import { useState, useEffect, useMemo } from 'react';
+import { getReadings } from '../sensors/sensorHistory.js';
+import { computeHealthScore, averageReading, scoreTrend } from '../health/healthScore.js';
+
+const TREND_LOOKBACK_MS = 3 * 60 * 60 * 1000;    // The trend compares with the score 3 hours ago
+const TREND_WINDOW_MS = 60 * 60 * 1000;          // ...from the readings averaged over an hour around then
+const TREND_REFRESH_MS = 15 * 60 * 1000;
+
+/**
+ * React hook that scores a house from its latest reading and recent detections, and compares the
+ * score with the one from stored history TREND_LOOKBACK_MS ago for the trend arrow.
+ * @param {Object} options
+ * @param {string} options.houseId
+ * @param {?Object} options.reading - Latest (or last known) reading.
+ * @param {Object} options.rules - Output of buildRules for the house.
+ * @param {Array<Object>} options.detections - Recent detection records.
+ * @param {number} options.threshold - Minimum confidence for a disease detection.
+ * @param {?number} options.lastRecordedAt - From useSensorHistoryRecorder; the trend reloads as history grows.
+ * @param {Object} options.mapping - Response mapping with the healthy and ignored classes.
+ * @returns {{score: ?number, grade: ?string, factors: Array, advisories: Array, previousScore: ?number, trend: ?string}}
+ */
+export const useHealthScore = ({ houseId, reading, rules, detections, threshold, lastRecordedAt, mapping }) => {
+  const [previousReading, setPreviousReading] = useState(null);
+  const refreshSlot = Math.floor((lastRecordedAt || Date.now()) / TREND_REFRESH_MS);
+
+  useEffect(() => {
+    let cancelled = false;
+    const center = Date.now() - TREND_LOOKBACK_MS;
+    getReadings(houseId, center - TREND_WINDOW_MS / 2, center + TREND_WINDOW_MS / 2)
+      .then(readings => { if (!cancelled) setPreviousReading(averageReading(readings)); })
+      .catch(err => console.error('Error loading history for the health trend:', err));
+    return () => { cancelled = true; };
+  }, [houseId, refreshSlot]);
+
+  const health = useMemo(
+    () => computeHealthScore({ reading, rules, detections, threshold, mapping }),
+    [reading, rules, detections, threshold, mapping],
+  );
+  const previousScore = useMemo(() => (
+    previousReading
+      ? computeHealthScore({ reading: previousReading, rules, detections, threshold, now: previousReading.timestamp, mapping }).score
+      : null
+  ), [previousReading, rules, detections, threshold, mapping]);
+
+  return { ...health, previousScore, trend: scoreTrend(health.score, previousScore) };
+};
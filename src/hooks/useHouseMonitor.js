@@ -0,0 +1,95 @@
+// src/hooks/useHouseMonitor.js - Everything that keeps running for a house while it is off screen
+//
+// That is the sensor source, history recording, alert evaluation, camera auto-scan and health
+// score. The App mounts one HouseMonitor per house so the overview grid and the drill-in
+// HouseDashboardView share the same live state.
+
+import { useMemo } from 'react';
+import { resolveSensorConfig } from '../sensors/sensorSources.js';
+import { buildRules, resolveProfileId } from '../alerts/alertRules.js';
+import { DEFAULT_RESPONSE_MAPPING, getTopPrediction, parseWorkflowPredictions, summarizeClasses, formatClassCounts } from '../detection/responseParser.js';
+import { useSensorSource } from './useSensorSource.js';
+import { useSensorHistoryRecorder } from './useSensorHistoryRecorder.js';
+import { useAlertEngine } from './useAlertEngine.js';
+import { useDetectionLog } from './useDetectionLog.js';
+import { useDetectionQueue } from './useDetectionQueue.js';
+import { useAutoScan } from './useAutoScan.js';
+import { useHealthScore } from './useHealthScore.js';
+import { useResponseMapping } from './useResponseMapping.js';
+
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.4;
+
+/**
+ * One-line summary of a workflow response: per-class counts when the workflow returns
+ * per-bird predictions, otherwise the top classification.
+ * @param {Object} data - Workflow response.
+ * @param {number} [threshold=DEFAULT_CONFIDENCE_THRESHOLD]
+ * @param {Object} [mapping] - Response mapping of the backend that answered.
+ * @returns {?string} Null when nothing was classified.
+ */
+export const summarizeDetection = (data, threshold = DEFAULT_CONFIDENCE_THRESHOLD, mapping = DEFAULT_RESPONSE_MAPPING) => {
+  const classSummary = summarizeClasses(parseWorkflowPredictions(data, mapping).predictions, threshold, mapping);
+  if (classSummary.length) return formatClassCounts(classSummary);
+  const prediction = getTopPrediction(data, mapping);
+  return prediction ? `${prediction.class} (${(prediction.confidence * 100).toFixed(0)}%)` : null;
+};
+
+/**
+ * React hook with a house's live state: sensor source, history recorder, alert engine, detection log,
+ * detection queue (so a batch keeps running while the overview is shown), camera auto-scan and health score.
+ * recordDetection({ timestamp, source, image, data }) stores the result with the current sensor reading.
+ * @param {Object} house
+ * @returns {{sensor: Object, history: Object, alertEngine: Object, profileId: string, detections: Array, detectionError: string, recordDetection: Function, detectionQueue: Object, autoScan: Object, health: Object}}
+ */
+export const useHouseMonitor = (house) => {
+  const sensorConfig = useMemo(() => resolveSensorConfig(house.sensorSource), [JSON.stringify(house.sensorSource)]);
+  const sensor = useSensorSource(sensorConfig, house.id);
+  const history = useSensorHistoryRecorder(sensor.reading, house.id);
+
+  const profileId = resolveProfileId(house.thresholds.profileId, house.placementDate);
+  const rules = useMemo(() => buildRules(profileId, house.thresholds.rules), [profileId, JSON.stringify(house.thresholds.rules)]);
+  const alertEngine = useAlertEngine(sensor.reading, rules, { houseId: house.id, houseName: house.name });
+
+  const mapping = useResponseMapping();
+  const detectionLog = useDetectionLog(house.id, mapping);
+  const recordDetection = ({ timestamp, source, image, data }) => detectionLog.record({
+    houseId: house.id,
+    houseName: house.name,
+    timestamp,
+    source,
+    data,
+    summary: summarizeDetection(data, DEFAULT_CONFIDENCE_THRESHOLD, mapping), // Null when nothing was classified; worded at display time
+    reading: sensor.reading,
+  }, image);
+  const detectionQueue = useDetectionQueue({
+    houseId: house.id,
+    // Logged at capture time, which matters for images that waited offline
+    onDone: item => recordDetection({ timestamp: item.createdAt, source: item.source, image: item.file, data: item.data }),
+  });
+
+  // Periodic scans of the camera, saved with the house so they survive reloads and other views
+  const autoScan = useAutoScan({
+    enabled: house.autoScan.enabled,
+    intervalMinutes: house.autoScan.intervalMinutes,
+    source: house.cameraSource,
+    onResult: ({ image, data, timestamp }) => recordDetection({ timestamp, source: 'auto-scan', image, data }),
+    onOffline: image => detectionQueue.enqueue([image], 'auto-scan'),
+  });
+
+  const health = useHealthScore({
+    houseId: house.id,
+    reading: sensor.lastKnownReading,
+    rules,
+    detections: detectionLog.recent,
+    threshold: DEFAULT_CONFIDENCE_THRESHOLD,
+    lastRecordedAt: history.lastRecordedAt,
+    mapping,
+  });
+
+  return { sensor, history, alertEngine, profileId, detections: detectionLog.recent, detectionError: detectionLog.error, recordDetection, detectionQueue, autoScan, health };
+};
+
+/**
+ * Headless component that keeps a house's monitor running and renders children(monitor).
+ */
+export const HouseMonitor = ({ house, children }) => children(useHouseMonitor(house));
@@ -0,0 +1,23 @@
+// src/hooks/useHouses.js - The persisted house list
+
+import { useState } from 'react';
+import { createHouse, loadHouses, saveHouses } from '../houses/houseModel.js';
+
+/**
+ * React hook holding the persisted house list.
+ * @returns {{houses: Array, addHouse: Function, updateHouse: Function, removeHouse: Function, replaceHouses: Function}}
+ */
+export const useHouses = () => {
+  const [houses, setHouses] = useState(loadHouses);
+  const commit = (next) => {
+    setHouses(next);
+    saveHouses(next);
+  };
+  return {
+    houses,
+    addHouse: house => commit([...houses, createHouse(house)]),
+    updateHouse: (id, changes) => commit(houses.map(house => (house.id === id ? { ...house, ...changes } : house))),
+    removeHouse: id => commit(houses.filter(house => house.id !== id)),
+    replaceHouses: commit,
+  };
+};
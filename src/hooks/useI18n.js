@@ -0,0 +1,13 @@
+// src/hooks/useI18n.js - The active translations and display units for every component
+
+import { createContext, useContext } from 'react';
+import { createI18n, DEFAULT_LOCALE } from '../i18n/i18n.js';
+
+// App provides the user's choice; the default lets components render outside it (e.g. in tests)
+export const I18nContext = createContext(createI18n({ locale: DEFAULT_LOCALE, temperatureUnit: 'C' }));
+
+/**
+ * React hook returning the helpers from createI18n: t, tParts, formatMetric, unit, convert, formatDateTime, formatTime.
+ * @returns {Object}
+ */
+export const useI18n = () => useContext(I18nContext);
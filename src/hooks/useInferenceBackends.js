@@ -0,0 +1,65 @@
+// src/hooks/useInferenceBackends.js - The server's inference backends and which one is active
+
+import { useState, useEffect, useCallback } from 'react';
+import { fetchBackends, fetchActiveMapping, saveBackend, deleteBackend, activateBackend, loadResponseMapping, saveResponseMapping, setAdminToken } from '../detection/inferenceBackends.js';
+import { normalizeResponseMapping } from '../detection/responseParser.js';
+
+/**
+ * React hook that loads the registered backends and the active backend's response mapping, which
+ * App hands to every component through ResponseMappingContext. Without a server (static hosting,
+ * offline) the list stays empty and the cached mapping is used. On devices the server does not
+ * let manage the backends (`locked`) the list stays empty too, and the mapping comes from /api/health.
+ * @returns {{backends: Array<Object>, activeId: ?string, active: ?Object, mapping: Object, error: string, locked: boolean, reload: Function, unlock: Function, save: Function, remove: Function, activate: Function}}
+ */
+export const useInferenceBackends = () => {
+  const [state, setState] = useState({ backends: [], activeId: null });
+  const [error, setError] = useState('');
+  const [locked, setLocked] = useState(false);
+  const [mapping, setMapping] = useState(loadResponseMapping);
+
+  const applyMapping = useCallback((next) => {
+    const normalized = normalizeResponseMapping(next);
+    // Keep the same object while nothing changed, so memoized parses are not redone on every reload
+    setMapping(previous => (JSON.stringify(previous) === JSON.stringify(normalized) ? previous : normalized));
+    saveResponseMapping(normalized);
+  }, []);
+
+  const apply = useCallback((next) => {
+    setState(next);
+    setError('');
+    setLocked(false);
+    const active = next.backends.find(backend => backend.id === next.activeId);
+    if (active) applyMapping(active.mapping);
+  }, [applyMapping]);
+
+  const reload = useCallback(() => fetchBackends().then(apply).catch((err) => {
+    setError(err.message);
+    if (err.status !== 403) return undefined;
+    setLocked(true);
+    setState({ backends: [], activeId: null });
+    return fetchActiveMapping()
+      .then((activeMapping) => { if (activeMapping) applyMapping(activeMapping); })
+      .catch(mappingError => console.error('Error loading the response mapping:', mappingError));
+  }), [apply, applyMapping]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return {
+    ...state,
+    active: state.backends.find(backend => backend.id === state.activeId) || null,
+    mapping,
+    error,
+    locked,
+    reload,
+    unlock: (token) => {
+      setAdminToken(token.trim());
+      return reload();
+    },
+    // These reject on failure so the settings form can show the server's message
+    save: backend => saveBackend(backend).then(saved => reload().then(() => saved)),
+    remove: id => deleteBackend(id).then(apply),
+    activate: id => activateBackend(id).then(apply),
+  };
+};
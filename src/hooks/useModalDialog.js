@@ -0,0 +1,76 @@
+// src/hooks/useModalDialog.js - Keyboard handling shared by the modal dialogs
+
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'summary',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+/**
+ * The dialog's tabbable controls in document order, skipping hidden ones.
+ * @param {HTMLElement} panel
+ * @returns {Array<HTMLElement>}
+ */
+const getFocusable = panel => Array.from(panel.querySelectorAll(FOCUSABLE)).filter(element => element.getClientRects().length > 0);
+
+/**
+ * React hook for a modal dialog: moves focus into it on open, keeps Tab and Shift+Tab cycling
+ * inside it, closes it on Escape and gives focus back to the control that opened it. Spread the
+ * returned props on the dialog panel.
+ * @param {Function} onClose
+ * @param {string} labelId - Id of the dialog's heading.
+ * @returns {Object} ref, role, aria-modal, aria-labelledby and tabIndex.
+ */
+export const useModalDialog = (onClose, labelId) => {
+  const ref = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+  // Read during the first render, before anything inside the dialog can take focus
+  const openerRef = useRef(undefined);
+  if (openerRef.current === undefined) openerRef.current = typeof document === 'undefined' ? null : document.activeElement;
+
+  useEffect(() => {
+    const opener = openerRef.current;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onCloseRef.current();
+        return;
+      }
+      const panel = ref.current;
+      if (event.key !== 'Tab' || !panel) return;
+      const focusable = getFocusable(panel);
+      if (focusable.length === 0) {
+        event.preventDefault();
+        panel.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = document.activeElement;
+      if (!panel.contains(active)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+      } else if (event.shiftKey && (active === first || active === panel)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+    if (ref.current && !ref.current.contains(document.activeElement)) ref.current.focus();
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      if (opener && typeof opener.focus === 'function' && document.contains(opener)) opener.focus();
+    };
+  }, []);
+
+  return { ref, role: 'dialog', 'aria-modal': true, 'aria-labelledby': labelId, tabIndex: -1 };
+};
@@ -0,0 +1,17 @@
+// src/hooks/useNotificationPermission.js - Browser notification opt-in, shared by every house
+
+import { useState } from 'react';
+
+/**
+ * React hook exposing the browser Notification permission and a function to request it.
+ * @returns {{permission: string, request: Function}} permission is 'unsupported' when the API is missing.
+ */
+export const useNotificationPermission = () => {
+  const supported = 'Notification' in window;
+  const [permission, setPermission] = useState(supported ? Notification.permission : 'unsupported');
+  const request = () => {
+    if (!supported) return;
+    Notification.requestPermission().then(setPermission).catch(error => console.error('Error requesting notification permission:', error));
+  };
+  return { permission, request };
+};
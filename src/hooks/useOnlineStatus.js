@@ -0,0 +1,24 @@
+// src/hooks/useOnlineStatus.js - Tracks whether the browser has a network connection
+
+import { useState, useEffect } from 'react';
+
+/**
+ * React hook returning navigator.onLine, updated on the online/offline events.
+ * "Online" only means a network is up; requests can still fail (e.g. the router has no uplink).
+ * @returns {boolean}
+ */
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
@@ -0,0 +1,13 @@
+// src/hooks/useResponseMapping.js - How detection responses are read, for every component and house monitor
+
+import { createContext, useContext } from 'react';
+import { DEFAULT_RESPONSE_MAPPING } from '../detection/responseParser.js';
+
+// App provides the active backend's mapping (useInferenceBackends); changing backends re-renders every reader
+export const ResponseMappingContext = createContext(DEFAULT_RESPONSE_MAPPING);
+
+/**
+ * React hook returning the active backend's response mapping, for the responseParser.js functions.
+ * @returns {Object}
+ */
+export const useResponseMapping = () => useContext(ResponseMappingContext);
@@ -0,0 +1,44 @@
+// src/hooks/useSensorHistoryRecorder.js - Samples live readings into the history store
+
+import { useState, useEffect, useRef } from 'react';
+import { SAMPLE_INTERVAL_MS, addReading, pruneReadings } from '../sensors/sensorHistory.js';
+import { message, messageFromError } from '../i18n/i18n.js';
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * React hook that records live readings into the history store, throttled to SAMPLE_INTERVAL_MS,
+ * and prunes expired data on mount and hourly.
+ * @param {?Object} reading - Latest validated reading.
+ * @param {string} houseId
+ * @returns {{lastRecordedAt: ?number, error: ?{key: string, params: Object}}} lastRecordedAt changes
+ *   whenever a sample is stored; error is a message for formatMessage.
+ */
+export const useSensorHistoryRecorder = (reading, houseId) => {
+  const [lastRecordedAt, setLastRecordedAt] = useState(null);
+  const [error, setError] = useState(null);
+  const lastRecordedRef = useRef(0);
+
+  useEffect(() => {
+    const prune = () => pruneReadings().catch(err => console.error('Error pruning sensor history:', err));
+    prune();
+    const interval = setInterval(prune, PRUNE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (!reading || reading.timestamp - lastRecordedRef.current < SAMPLE_INTERVAL_MS) return;
+    lastRecordedRef.current = reading.timestamp;
+    addReading(houseId, reading)
+      .then(() => {
+        setLastRecordedAt(reading.timestamp);
+        setError(null);
+      })
+      .catch(err => {
+        console.error('Error storing sensor reading:', err);
+        setError(message('house.historyUnavailable', { error: messageFromError(err) }));
+      });
+  }, [reading, houseId]);
+
+  return { lastRecordedAt, error };
+};
@@ -0,0 +1,92 @@
+// src/hooks/useSensorSource.js - Runs a house's sensor source and tracks its connection state
+
+import { useState, useEffect } from 'react';
+import { DEFAULT_SENSOR_CONFIG, createSensorSource, getSensorStatus } from '../sensors/sensorSources.js';
+
+// The last reading is kept per house so it can be shown (marked stale) after a reload without a connection
+const storageKey = houseId => `poultry-dashboard-last-reading:${houseId}`;
+
+const loadLastReading = (houseId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(houseId)));
+    return saved && saved.reading && typeof saved.receivedAt === 'number' ? saved : null;
+  } catch (error) {
+    console.error('Error loading last sensor reading:', error);
+    return null;
+  }
+};
+
+/**
+ * React hook that runs a sensor source and exposes its latest validated reading.
+ * `reading` only holds readings received since the source started (alerts and history use it);
+ * `lastKnownReading` falls back to the last one saved for the house, for display. `staleSince` is
+ * set whenever the shown values are not live.
+ * @param {Object} config - Sensor config (see DEFAULT_SENSOR_CONFIG).
+ * @param {string} houseId - Key for the saved last reading.
+ * @returns {{reading: ?Object, lastKnownReading: ?Object, status: string, lastUpdated: ?number, staleSince: ?number, error: string, label: string, isDemo: boolean}}
+ */
+export const useSensorSource = (config, houseId) => {
+  const [saved] = useState(() => loadLastReading(houseId));
+  const [reading, setReading] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(saved ? saved.receivedAt : null);
+  const [connected, setConnected] = useState(false);
+  const [error, setError] = useState('');
+  const [label, setLabel] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const configKey = JSON.stringify(config);
+  const fullConfig = { ...DEFAULT_SENSOR_CONFIG, ...config };
+
+  useEffect(() => {
+    setReading(null);
+    setConnected(false);
+    setError('');
+
+    let source;
+    try {
+      source = createSensorSource(fullConfig);
+    } catch (err) {
+      console.error('Invalid sensor source config:', err);
+      setLabel(fullConfig.type);
+      setError(err.message);
+      return undefined;
+    }
+    setLabel(source.label);
+    source.start({
+      onReading: (next) => {
+        const receivedAt = Date.now();
+        setReading(next);
+        setLastUpdated(receivedAt);
+        setError('');
+        try {
+          localStorage.setItem(storageKey(houseId), JSON.stringify({ reading: next, receivedAt }));
+        } catch (err) {
+          console.error('Error saving last sensor reading:', err);
+        }
+      },
+      onConnectionChange: setConnected,
+      onError: (message) => {
+        console.error('Sensor source error:', message);
+        setError(message);
+      },
+    });
+    return () => source.stop(); // Cleanup source on unmount or config change
+  }, [configKey]);
+
+  // Re-evaluate staleness even when no new readings arrive
+  useEffect(() => {
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(tick);
+  }, []);
+
+  const status = getSensorStatus(connected, lastUpdated, fullConfig.staleAfterMs, now);
+  return {
+    reading,
+    lastKnownReading: reading || (saved && saved.reading),
+    lastUpdated,
+    staleSince: status !== 'connected' && lastUpdated ? lastUpdated : null,
+    error,
+    label,
+    isDemo: fullConfig.type === 'demo',
+    status,
+  };
+};
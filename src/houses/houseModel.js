@@ -0,0 +1,179 @@
+// src/houses/houseModel.js - House/flock model for multi-house operations
+//
+// Each house has a name, bird count, placement date and breed, plus its own sensor source,
+// camera source and alert thresholds. The list is persisted in localStorage and can be
+// exported/imported as JSON to copy a setup between devices.
+
+import { getConfig } from '../config.js';
+import { SOURCE_TYPES } from '../sensors/sensorSources.js';
+import { AGE_PROFILES } from '../alerts/alertRules.js';
+import { CAMERA_TYPES, normalizeCameraSource } from '../cameras/cameraSources.js';
+
+const STORAGE_KEY = 'poultry-dashboard-houses';
+const EXPORT_VERSION = 1;
+const DAY = 24 * 60 * 60 * 1000;
+export const DEFAULT_AUTO_SCAN_INTERVAL_MINUTES = 15;
+
+/**
+ * Error thrown when a house config (typically an imported JSON file) is invalid.
+ */
+export class HouseConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HouseConfigError';
+  }
+}
+
+const generateId = () => `house-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Creates a house with defaults for every missing field.
+ * @param {Object} [fields] - Partial house.
+ * @returns {Object} A complete house.
+ */
+export const createHouse = (fields = {}) => ({
+  id: fields.id || generateId(),
+  name: fields.name || 'New House',
+  birdCount: fields.birdCount || 0,
+  placementDate: fields.placementDate || '',
+  breed: fields.breed || '',
+  sensorSource: { type: 'demo', ...fields.sensorSource },
+  cameraSource: normalizeCameraSource(fields.cameraSource),
+  thresholds: { profileId: 'auto', rules: {}, ...fields.thresholds },
+  autoScan: { enabled: false, intervalMinutes: DEFAULT_AUTO_SCAN_INTERVAL_MINUTES, ...fields.autoScan },
+});
+
+/**
+ * Validates and normalizes one house, e.g. from an imported file.
+ * @param {Object} house
+ * @param {number} index - Position in the list, used in error messages.
+ * @returns {Object} The normalized house.
+ * @throws {HouseConfigError}
+ */
+export const validateHouse = (house, index) => {
+  const where = `House ${index + 1}`;
+  if (!house || typeof house !== 'object') throw new HouseConfigError(`${where} is not an object.`);
+  if (typeof house.name !== 'string' || !house.name.trim()) throw new HouseConfigError(`${where} needs a name.`);
+  if (house.birdCount !== undefined && (!Number.isInteger(house.birdCount) || house.birdCount < 0)) {
+    throw new HouseConfigError(`${where} ("${house.name}") has an invalid bird count.`);
+  }
+  if (house.placementDate && Number.isNaN(Date.parse(house.placementDate))) {
+    throw new HouseConfigError(`${where} ("${house.name}") has an invalid placement date.`);
+  }
+  if (house.sensorSource && !SOURCE_TYPES.includes(house.sensorSource.type)) {
+    throw new HouseConfigError(`${where} ("${house.name}") has an unknown sensor source type "${house.sensorSource.type}".`);
+  }
+  if (house.cameraSource && !CAMERA_TYPES.includes(normalizeCameraSource(house.cameraSource).type)) {
+    throw new HouseConfigError(`${where} ("${house.name}") has an unknown camera source type "${house.cameraSource.type}".`);
+  }
+  const profileId = house.thresholds && house.thresholds.profileId;
+  if (profileId && profileId !== 'auto' && !AGE_PROFILES.some(profile => profile.id === profileId)) {
+    throw new HouseConfigError(`${where} ("${house.name}") has an unknown age profile "${profileId}".`);
+  }
+  const { autoScan } = house;
+  if (autoScan !== undefined && (!autoScan || typeof autoScan !== 'object')) {
+    throw new HouseConfigError(`${where} ("${house.name}") has invalid auto-scan settings.`);
+  }
+  const intervalMinutes = autoScan && autoScan.intervalMinutes;
+  if (intervalMinutes !== undefined && !(typeof intervalMinutes === 'number' && Number.isFinite(intervalMinutes) && intervalMinutes > 0)) {
+    throw new HouseConfigError(`${where} ("${house.name}") has an invalid auto-scan interval.`);
+  }
+  return createHouse({ ...house, name: house.name.trim() });
+};
+
+/**
+ * The house list used on first start: a single house built from config.js, so existing
+ * single-house setups keep their sensor source, thresholds and stored history ('default' id).
+ * @returns {Array<Object>}
+ */
+export const getInitialHouses = () => {
+  const alertConfig = getConfig('alerts');
+  return [createHouse({
+    id: 'default',
+    name: 'House 1',
+    placementDate: alertConfig.placementDate || '',
+    sensorSource: getConfig('sensorSource'),
+    thresholds: { profileId: 'auto', rules: alertConfig.rules || {} },
+  })];
+};
+
+/**
+ * Restores the saved house list, dropping only the entries that no longer validate (e.g. a
+ * source type removed in a later version), so one bad house does not cost the user the rest.
+ * @param {*} saved - Parsed localStorage value.
+ * @returns {Array<Object>} The valid houses; empty if nothing usable was saved.
+ */
+export const restoreSavedHouses = (saved) => {
+  if (!Array.isArray(saved)) return [];
+  return saved.flatMap((house, index) => {
+    try {
+      return [validateHouse(house, index)];
+    } catch (error) {
+      if (!(error instanceof HouseConfigError)) throw error;
+      console.error('Skipping invalid saved house:', error.message);
+      return [];
+    }
+  });
+};
+
+export const loadHouses = () => {
+  try {
+    const houses = restoreSavedHouses(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    if (houses.length > 0) return houses;
+  } catch (error) {
+    console.error('Error loading saved houses, using defaults:', error);
+  }
+  return getInitialHouses();
+};
+
+export const saveHouses = (houses) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(houses));
+  } catch (error) {
+    console.error('Error saving houses:', error);
+  }
+};
+
+/**
+ * Serializes the house list for download.
+ * @param {Array<Object>} houses
+ * @returns {string} Pretty-printed JSON.
+ */
+export const exportHousesJson = (houses) => JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), houses }, null, 2);
+
+/**
+ * Parses an exported house list. Accepts the export format or a bare array of houses.
+ * @param {string} text - File contents.
+ * @returns {Array<Object>} Validated houses.
+ * @throws {HouseConfigError} If the JSON is malformed, empty, or any house is invalid.
+ */
+export const importHousesJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new HouseConfigError(`Not a valid JSON file: ${error.message}`);
+  }
+  const houses = Array.isArray(data) ? data : data && data.houses;
+  if (!Array.isArray(houses) || houses.length === 0) {
+    throw new HouseConfigError('The file does not contain any houses.');
+  }
+  const validated = houses.map(validateHouse);
+  const ids = new Set();
+  validated.forEach(house => {
+    if (ids.has(house.id)) throw new HouseConfigError(`Duplicate house id "${house.id}".`);
+    ids.add(house.id);
+  });
+  return validated;
+};
+
+/**
+ * Flock age in days, or null when the placement date is unknown.
+ * @param {string} placementDate
+ * @param {number} [now=Date.now()]
+ * @returns {?number}
+ */
+export const getFlockAgeDays = (placementDate, now = Date.now()) => {
+  const placed = Date.parse(placementDate);
+  return Number.isNaN(placed) ? null : Math.max(0, Math.floor((now - placed) / DAY));
+};
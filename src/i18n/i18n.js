@@ -0,0 +1,187 @@
+// src/i18n/i18n.js - UI translations and display units
+//
+// Each locale is one flat message table (locales/*.js) keyed like 'tile.noAlerts'. Messages can
+// hold {name} placeholders; a message that depends on a count has '.one' / '.other' variants
+// picked with Intl.PluralRules (a message without variants is used for any count). Keys missing
+// from a locale fall back to English. Modules and hooks that build text outside React (health
+// factors, camera and storage errors) return {key, params} messages for formatMessage. Sensor
+// values are stored in °C; °F is only a display conversion. Pure, so components and tests share it.
+
+import { METRIC_LABELS } from '../alerts/alertRules.js';
+import { en } from './locales/en.js';
+import { es } from './locales/es.js';
+import { hi } from './locales/hi.js';
+
+export const LOCALES = [
+  { id: 'en', label: 'English' },
+  { id: 'es', label: 'Español' },
+  { id: 'hi', label: 'हिन्दी' },
+];
+export const DEFAULT_LOCALE = 'en';
+export const TEMPERATURE_UNITS = ['C', 'F'];
+
+const MESSAGES = { en, es, hi };
+
+/**
+ * Picks the first supported locale from the browser's preferred languages.
+ * @param {Array<string>} languages - e.g. navigator.languages, ['es-MX', 'en'].
+ * @returns {string} A LOCALES id.
+ */
+export const pickLocale = (languages = []) => {
+  const match = languages.map(language => String(language).toLowerCase().split('-')[0]).find(language => MESSAGES[language]);
+  return match || DEFAULT_LOCALE;
+};
+
+const lookup = (locale, key, count) => {
+  const table = MESSAGES[locale];
+  if (typeof count !== 'number') return table[key];
+  const category = new Intl.PluralRules(locale).select(count);
+  return table[`${key}.${category}`] ?? table[`${key}.other`] ?? table[key];
+};
+
+const formatParam = (value, locale) => (typeof value === 'number' ? value.toLocaleString(locale) : value);
+
+/**
+ * Splits a translated message into text and the values of its placeholders, which may be React
+ * elements (e.g. links inside a sentence).
+ * @param {string} locale
+ * @param {string} key
+ * @param {Object} [params] - Placeholder values; `count` also selects the plural form.
+ * @returns {Array<*>}
+ */
+export const translateParts = (locale, key, params = {}) => {
+  const id = MESSAGES[locale] ? locale : DEFAULT_LOCALE;
+  const message = lookup(id, key, params.count) ?? lookup(DEFAULT_LOCALE, key, params.count) ?? key;
+  return message.split(/\{(\w+)\}/).map((part, index) => {
+    if (index % 2 === 0) return part;
+    return part in params ? formatParam(params[part], id) : `{${part}}`;
+  });
+};
+
+/**
+ * Translates a key, e.g. translate('es', 'tile.openAlerts', { count: 2 }) -> "2 alertas abiertas".
+ * @param {string} locale
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string} The English message, or the key itself, when the locale lacks it.
+ */
+export const translate = (locale, key, params) => translateParts(locale, key, params).join('');
+
+/**
+ * A message for formatMessage, built where no translator is at hand (hooks, pure modules).
+ * Params may be plain values, sensor values ({metric, value, digits}), times ({time}: epoch ms)
+ * or other messages.
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {{key: string, params: Object}}
+ */
+export const message = (key, params = {}) => ({ key, params });
+
+const isMessage = param => Boolean(param && typeof param === 'object' && 'key' in param);
+
+// English text of a message, for thrown errors and the console
+const toEnglish = ({ key, params = {} }) => translate(DEFAULT_LOCALE, key, Object.fromEntries(Object.entries(params).map(([name, param]) => [
+  name,
+  isMessage(param) ? toEnglish(param) : param && typeof param === 'object' && 'time' in param ? new Date(param.time).toLocaleTimeString(DEFAULT_LOCALE) : param,
+])));
+
+/**
+ * Error shown to the user, e.g. a camera that sends no frame. `detail` is the message to
+ * translate; `message` is its English text.
+ */
+export class MessageError extends Error {
+  constructor(key, params = {}) {
+    super(toEnglish({ key, params }));
+    this.name = 'MessageError';
+    this.detail = message(key, params);
+  }
+}
+
+/**
+ * The message for any caught error: a MessageError's own, otherwise the error's text as it is
+ * (e.g. from the browser or the server).
+ * @param {Error} error
+ * @returns {{key: string, params: Object}}
+ */
+export const messageFromError = error => (error && error.detail) || message('common.error', { error: error && error.message ? error.message : String(error) });
+
+export const celsiusToFahrenheit = celsius => (celsius * 9) / 5 + 32;
+export const fahrenheitToCelsius = fahrenheit => ((fahrenheit - 32) * 5) / 9;
+
+/**
+ * Converts a stored value to the display unit; only temperatures change.
+ * @param {number} value
+ * @param {string} metric
+ * @param {string} temperatureUnit - 'C' | 'F'.
+ * @returns {number}
+ */
+export const toDisplayValue = (value, metric, temperatureUnit) => (
+  metric === 'temperature' && temperatureUnit === 'F' ? celsiusToFahrenheit(value) : value
+);
+
+/**
+ * Converts a value entered in the display unit back to the stored unit (°C for temperatures).
+ * @param {number} value
+ * @param {string} metric
+ * @param {string} temperatureUnit - 'C' | 'F'.
+ * @returns {number}
+ */
+export const fromDisplayValue = (value, metric, temperatureUnit) => (
+  metric === 'temperature' && temperatureUnit === 'F' ? fahrenheitToCelsius(value) : value
+);
+
+/**
+ * Unit suffix for a metric, e.g. '°F', '%' or ' ppm'.
+ * @param {string} metric
+ * @param {string} temperatureUnit
+ * @returns {string}
+ */
+export const displayUnit = (metric, temperatureUnit) => (
+  metric === 'temperature' ? `°${temperatureUnit === 'F' ? 'F' : 'C'}` : METRIC_LABELS[metric].unit
+);
+
+/**
+ * Binds the helpers to the chosen locale and temperature unit. Components get this from useI18n.
+ * @param {{locale: string, temperatureUnit: string}} settings
+ * @returns {Object}
+ */
+export const createI18n = ({ locale, temperatureUnit }) => {
+  const t = (key, params) => translate(locale, key, params);
+  const formatNumber = (value, digits) => value.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  /**
+   * Formats a stored sensor value in the display unit, e.g. formatMetric(21.5, 'temperature') -> "70.7°F".
+   * @param {?number} value
+   * @param {string} metric
+   * @param {number} [digits=1]
+   * @returns {string} 'N/A' (translated) without a value.
+   */
+  const formatMetric = (value, metric, digits = 1) => (typeof value === 'number'
+    ? `${formatNumber(toDisplayValue(value, metric, temperatureUnit), digits)}${displayUnit(metric, temperatureUnit)}`
+    : t('common.na'));
+  const formatTime = timestamp => new Date(timestamp).toLocaleTimeString(locale);
+  /**
+   * Translates a message built by a pure module or a hook, e.g. a health score factor or a camera
+   * error. Sensor values are formatted with formatMetric, times with formatTime.
+   * @param {{key: string, params: Object}} entry
+   * @returns {string}
+   */
+  const formatMessage = ({ key, params = {} }) => t(key, Object.fromEntries(Object.entries(params).map(([name, param]) => {
+    if (isMessage(param)) return [name, formatMessage(param)];
+    if (param && typeof param === 'object' && 'metric' in param) return [name, formatMetric(param.value, param.metric, param.digits ?? 1)];
+    if (param && typeof param === 'object' && 'time' in param) return [name, formatTime(param.time)];
+    return [name, param];
+  })));
+  return {
+    locale,
+    temperatureUnit,
+    t,
+    tParts: (key, params) => translateParts(locale, key, params),
+    unit: metric => displayUnit(metric, temperatureUnit),
+    convert: (value, metric) => toDisplayValue(value, metric, temperatureUnit),
+    convertBack: (value, metric) => fromDisplayValue(value, metric, temperatureUnit),
+    formatMetric,
+    formatMessage,
+    formatDateTime: timestamp => new Date(timestamp).toLocaleString(locale),
+    formatTime,
+  };
+};
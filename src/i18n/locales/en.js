@@ -0,0 +1,420 @@
+// src/i18n/locales/en.js - English UI strings, the reference table every other locale falls back to
+
+export const en = {
+  'common.na': 'N/A',
+
+  'app.title': 'Poultry Health Dashboard',
+  'app.tagline': 'Real-time monitoring and AI-powered disease detection for optimal poultry care.',
+  'app.skipToContent': 'Skip to main content',
+  'app.enterFullscreen': 'Enter fullscreen',
+  'app.exitFullscreen': 'Exit fullscreen',
+  'app.wallDisplay': 'Wall display (large type, fullscreen)',
+  'app.exitWallDisplay': 'Leave wall display',
+  'app.cameraWall': 'Camera wall (all houses)',
+  'app.detectionModels': 'Detection models',
+  'app.detectionModelsActive': 'Detection models (using {name})',
+  'app.offline': 'Offline – showing the last known data. Images you capture or upload are kept and sent when the connection is back.',
+  'app.allHouses': 'All houses',
+  'app.report': 'Report',
+  'app.editHouse': 'Edit house',
+  'app.deleteConfirm': 'Delete {name}? Its settings will be removed from this browser.',
+  'app.footer.rights': '© {year} Poultry Health Dashboard. All rights reserved.',
+  'app.footer.builtWith': 'Built with {react} and {tailwind}.',
+  'app.footer.backend': 'Live data and video streams require a Raspberry Pi backend.',
+
+  'display.language': 'Language',
+  'display.temperatureUnit': 'Show temperatures in {unit}',
+  'display.daylight': 'Daylight theme (high contrast)',
+  'display.dark': 'Dark theme',
+
+  'metric.temperature': 'Temperature',
+  'metric.humidity': 'Humidity',
+  'metric.ammonia': 'Ammonia',
+  'severity.warning': 'Warning',
+  'severity.critical': 'Critical',
+
+  'profile.brooding': 'Brooding (days 0–7)',
+  'profile.week2': 'Week 2 (days 8–14)',
+  'profile.week3': 'Week 3 (days 15–21)',
+  'profile.week4': 'Week 4 (days 22–28)',
+  'profile.grower': 'Grower (day 29+)',
+
+  'toolbar.title': 'All Houses',
+  'toolbar.addHouse': 'Add house',
+  'toolbar.exportJson': 'Export JSON',
+  'toolbar.importJson': 'Import JSON',
+  'toolbar.importConfirm': 'Replace the current {current} house(s) with {count} house(s) from {file}?',
+  'toolbar.imported.one': 'Imported {count} house.',
+  'toolbar.imported.other': 'Imported {count} houses.',
+  'toolbar.importFailed': 'Import failed: {error}',
+
+  'tile.open': 'Open {name}',
+  'tile.birds.one': '{count} bird',
+  'tile.birds.other': '{count} birds',
+  'tile.day': 'day {day}',
+  'tile.noFlock': 'No flock details',
+  'tile.temperature': 'Temp',
+  'tile.ammonia': 'NH₃',
+  'tile.staleSince': 'Stale since {time}',
+  'tile.openAlerts.one': '{count} open alert',
+  'tile.openAlerts.other': '{count} open alerts',
+  'tile.noAlerts': 'No alerts',
+  'tile.lastDetection': 'Last detection: {summary} ({time})',
+  'tile.noClassification': 'no disease classification',
+  'tile.noDetections': 'No detections yet',
+
+  'sensor.connected': 'Connected',
+  'sensor.stale': 'Stale',
+  'sensor.disconnected': 'Disconnected',
+  'sensor.noData': 'no data yet',
+  'sensor.secondsAgo': '{count}s ago',
+  'sensor.minutesAgo': '{count}m ago',
+  'sensor.hoursAgo': '{count}h ago',
+
+  'chart.range': '{metric} history range',
+  'chart.min': 'Min',
+  'chart.avg': 'Avg',
+  'chart.max': 'Max',
+  'chart.noHistory': 'No history for this range yet.',
+  'chart.loadFailed': 'Cannot load the history: {error}',
+
+  'health.title': 'House Health Score',
+  'health.badge': 'Health score {score}/100 ({grade})',
+  'health.badgeNoData': 'Health score: no data yet',
+  'health.trend': '{trend} ({score} three hours ago)',
+  'health.trend.up': 'Improving',
+  'health.trend.down': 'Worsening',
+  'health.trend.flat': 'Steady',
+  'health.grade.good': 'Good',
+  'health.grade.fair': 'Fair',
+  'health.grade.poor': 'Poor',
+  'health.factor.temperature': 'Thermal comfort',
+  'health.factor.humidity': 'Humidity',
+  'health.factor.heatStress': 'Heat stress',
+  'health.factor.ammonia': 'Ammonia exposure',
+  'health.factor.disease': 'Disease detections',
+  'health.notScored': 'not scored',
+  'health.advisories': 'Advisories',
+  'health.noAdvisories': 'Nothing to act on right now.',
+  'health.detail.above': '{value}, above {limit}',
+  'health.detail.below': '{value}, below {limit}',
+  'health.detail.withinRange': '{value}, within range',
+  'health.detail.low': '{value}, low',
+  'health.detail.noTemperature': 'No temperature reading',
+  'health.detail.noHumidity': 'No humidity reading',
+  'health.detail.noAmmonia': 'No ammonia reading',
+  'health.detail.heatIndex': 'Heat index {value}',
+  'health.detail.heatIndexAbove': 'Heat index {value}, above {limit}',
+  'health.detail.needsTemperatureHumidity': 'Needs temperature and humidity',
+  'health.detail.scans.one': '0 of {count} scan in the last {days} days',
+  'health.detail.scans.other': '0 of {count} scans in the last {days} days',
+  'health.detail.diseaseScans.one': '{diseased} of {count} scan in the last {days} days ({classes})',
+  'health.detail.diseaseScans.other': '{diseased} of {count} scans in the last {days} days ({classes})',
+  'health.detail.noScans.one': 'No scans in the last day',
+  'health.detail.noScans.other': 'No scans in the last {count} days',
+  'health.advisory.newcastle': 'Newcastle disease detections: call your vet now, restrict visitors and stop bird movements. It is notifiable in many countries.',
+  'health.advisory.salmonella': 'Salmonella detections: isolate affected birds, tighten biosecurity and send samples to a lab.',
+  'health.advisory.humid-coccidiosis': 'High humidity + coccidiosis detections: check litter moisture and drinker leaks, and replace wet litter.',
+  'health.advisory.wet-litter': 'Ammonia rising with high humidity: litter is probably wet. Increase minimum ventilation and add dry litter.',
+  'health.advisory.ammonia-respiratory': 'Ammonia at {value} while disease is being detected: ammonia weakens the airways, so ventilate to keep it under {safe}.',
+  'health.advisory.heat-stress': 'Heat stress risk (heat index {value}): increase air speed, check drinkers and avoid handling birds in the heat of the day.',
+  'health.advisory.too-cold': 'Below the temperature band for the flock age ({limit}): check heaters or brooders and close drafts.',
+  'health.advisory.disease-rate': '{percent}% of recent scans show disease: ask a vet to examine the flock.',
+
+  'alerts.title': 'Alerts',
+  'alerts.count.one': '{count} open alert',
+  'alerts.count.other': '{count} open alerts',
+  'alerts.profile': 'Bird age profile:',
+  'alerts.profileAuto': 'Auto from placement date ({profile})',
+  'alerts.enableNotifications': 'Enable notifications',
+  'alerts.notificationsBlocked': 'Notifications blocked',
+  'alerts.notification': '{house}: {severity}',
+  'alerts.notificationEscalated': '{house}: {severity} (escalated)',
+  'alerts.clearResolved': 'Clear resolved',
+  'alerts.allClear': 'All readings within limits.',
+  'alerts.message': '{metric} – {severity}: {value} ({limit})',
+  'alerts.above': 'above {limit}',
+  'alerts.below': 'below {limit}',
+  'alerts.since': 'Since {time}',
+  'alerts.now': 'now {value}',
+  'alerts.worst': 'worst {value}',
+  'alerts.acknowledgedAt': 'acknowledged {time}',
+  'alerts.resolvedAt': 'resolved {time}',
+  'alerts.acknowledge': 'Acknowledge',
+  'alerts.status.active': 'Active',
+  'alerts.status.acknowledged': 'Acknowledged',
+  'alerts.status.resolved': 'Resolved',
+
+  'house.liveData': 'Live Environment Data',
+  'house.lastKnown': 'Last known readings · stale since {time}',
+  'house.simulated': '(Data is simulated for demonstration)',
+  'house.cameraStream': 'Live Camera Stream',
+  'house.webcam': 'Live Webcam Feed',
+  'house.cameraTitle': '{name} camera',
+  'house.startStream': 'Start Stream',
+  'house.stopStream': 'Stop Stream',
+  'house.startWebcam': 'Start Webcam',
+  'house.stopWebcam': 'Stop Webcam',
+  'house.recording': 'REC',
+  'house.captureDetect': 'Capture & Detect',
+  'house.snapshot': 'Snapshot',
+  'house.recordClip': 'Record Clip',
+  'house.stopClip': 'Stop Clip',
+  'house.autoScan': 'Auto-scan',
+  'house.autoScanEvery': 'Every',
+  'house.minutes': '{count} min',
+  'house.scanning': 'Scanning…',
+  'house.lastScan': 'Last scan {time}',
+  'house.scanPending': 'pending',
+  'house.nextScan': 'next {time}',
+  'house.autoScanRateLimited': 'Auto-scan rate limit reached ({max}/hour); next scan allowed at {time}.',
+  'house.autoScanOffline': 'Offline: the frame was queued and will be analysed when the connection is back.',
+  'house.autoScanFailed': 'Auto-scan failed: {error}',
+  'house.historyUnavailable': 'History unavailable: {error}',
+
+  'detection.title': 'Disease Detection',
+  'detection.chooseImages': 'Click or Drop Images',
+  'detection.changeImages': 'Change Images',
+  'detection.imagesSelected': '{count} images selected',
+  'detection.fileHint': 'PNG, JPG, GIF – select several for a batch',
+  'detection.detect': 'Detect Disease',
+  'detection.detectBatch': 'Detect Disease ({count} Images)',
+  'detection.preview': 'Preview',
+  'detection.queued': 'Waiting in queue...',
+  'detection.analyzing': 'Analyzing...',
+  'detection.waitingConnection': 'Waiting for a connection. The image is saved and will be analysed automatically.',
+  'detection.failed': 'Failed to detect disease: {error}.',
+  'detection.noImageFiles': 'No image files selected.',
+  'detection.selectImage': 'Please select an image first.',
+  'detection.detected': 'Detected: {summary}',
+  'detection.noClassification': 'No clear disease classification found.',
+  'detection.placeholder': 'Analysis result will appear here.',
+  'detection.rawResponse': 'Raw API Response (for debugging)',
+  'detection.historyUnavailable': 'Detection history unavailable: {error}',
+  'detection.notSaved': 'Detection not saved: {error}',
+
+  'summary.title': 'Detection Summary',
+  'summary.minConfidence': 'Min. confidence',
+  'summary.none': 'No classified birds above this confidence.',
+  'summary.average': 'avg {confidence}',
+  'summary.class': 'Class',
+  'summary.confidence': 'Confidence',
+  'summary.position': 'Position (x, y)',
+  'summary.size': 'Size',
+  'summary.wholeImage': 'whole image',
+
+  'common.close': 'Close',
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+  'common.error': '{error}',
+
+  'camera.paused': 'Camera Paused',
+  'camera.streamCorsError': 'Cannot load stream {url} (it must allow CORS).',
+  'camera.savedAt': 'Saved {time}',
+  'camera.saveSnapshot': 'Save snapshot',
+  'camera.closeWall': 'Close camera wall',
+  'camera.notConnected': 'The selected camera is not connected. Pick another one in Edit house.',
+  'camera.accessDenied': 'Cannot access the camera. Please ensure permissions are granted.',
+  'camera.hlsUnsupported': 'This browser cannot play HLS streams.',
+  'camera.streamFailed': 'Cannot play stream {url}.',
+  'camera.streamFailedDetails': 'Cannot play stream {url} ({details}).',
+  'camera.noFrameInTime': 'The camera sent no frame in time.',
+  'camera.noFrameAvailable': 'No camera frame available. Start the camera first.',
+  'camera.encodeFailed': 'Could not encode the camera frame.',
+  'camera.frameCorsError': 'Cannot read frames from this camera stream ({error}). Serve it with CORS enabled.',
+
+  'recordings.title.one': 'Saved snapshots & clips ({count})',
+  'recordings.title.other': 'Saved snapshots & clips ({count})',
+  'recordings.clip': 'Clip · {seconds}s',
+  'recordings.snapshot': 'Snapshot',
+  'recordings.download': 'Download',
+  'recordings.delete': 'Delete',
+  'recordings.showFewer': 'Show fewer',
+  'recordings.showAll.one': 'Show all {count}',
+  'recordings.showAll.other': 'Show all {count}',
+  'recordings.unavailable': 'Recordings unavailable: {error}',
+  'recordings.notSaved': 'Recording not saved: {error}',
+  'recordings.notDeleted': 'Recording not deleted: {error}',
+  'recordings.recordFailed': 'Recording failed: {error}',
+  'recordings.failed': 'Recording failed.',
+  'recordings.browserUnsupported': 'This browser cannot record video.',
+  'recordings.streamUnsupported': 'This browser cannot record this camera stream.',
+  'recordings.corsError': 'Cannot record this camera stream ({error}). Serve it with CORS enabled.',
+
+  'gallery.title': 'Detection History',
+  'gallery.loadFailed': 'Could not load detections: {error}',
+  'gallery.class': 'Disease class',
+  'gallery.allClasses': 'All classes',
+  'gallery.from': 'From',
+  'gallery.to': 'To',
+  'gallery.matching.one': '{matching} of {count} detection matches.',
+  'gallery.matching.other': '{matching} of {count} detections match.',
+  'gallery.showMore.one': 'Show more ({count} remaining)',
+  'gallery.showMore.other': 'Show more ({count} remaining)',
+  'gallery.source.upload': 'Upload',
+  'gallery.source.capture': 'Camera capture',
+  'gallery.source.auto-scan': 'Auto-scan',
+
+  'queue.title': 'Detection Queue',
+  'queue.finished.one': '{finished}/{count} finished',
+  'queue.finished.other': '{finished}/{count} finished',
+  'queue.retryFailed': 'Retry failed',
+  'queue.clearFinished': 'Clear finished',
+  'queue.retry': 'Retry',
+  'queue.status.queued': 'Queued',
+  'queue.status.running': 'Running',
+  'queue.status.done': 'Done',
+  'queue.status.failed': 'Failed',
+  'queue.status.waiting': 'Offline',
+  'queue.attempt': '{status} (try {attempt})',
+  'queue.batchComplete.one': 'Batch complete: {done} of {count} image analysed.',
+  'queue.batchComplete.other': 'Batch complete: {done} of {count} images analysed.',
+  'queue.batchCompleteFailed.one': 'Batch complete: {done} of {count} image analysed, {failed} failed.',
+  'queue.batchCompleteFailed.other': 'Batch complete: {done} of {count} images analysed, {failed} failed.',
+  'queue.imagesWithDisease.one': '{count} image shows signs of disease.',
+  'queue.imagesWithDisease.other': '{count} images show signs of disease.',
+  'queue.noDisease': 'No disease classes found.',
+  'queue.birds': 'Birds: {counts}.',
+  'queue.noClassifiedBirds': 'No classified birds',
+  'queue.waiting.one': '{count} image waiting for a connection. It is kept on this device and sent automatically.',
+  'queue.waiting.other': '{count} images waiting for a connection. They are kept on this device and sent automatically.',
+  'queue.waitingRetrying.one': '{count} image waiting for a connection – retrying shortly. It is kept on this device and sent automatically.',
+  'queue.waitingRetrying.other': '{count} images waiting for a connection – retrying shortly. They are kept on this device and sent automatically.',
+  'queue.offline': 'No connection – will be sent automatically when it is back.',
+  'queue.retrying': '{error} – retrying in {seconds}s',
+
+  'editor.addTitle': 'Add House',
+  'editor.editTitle': 'Edit {name}',
+  'editor.name': 'Name',
+  'editor.breed': 'Breed',
+  'editor.breedPlaceholder': 'e.g. Ross 308',
+  'editor.birdCount': 'Bird count',
+  'editor.placementDate': 'Placement date',
+  'editor.sensorSource': 'Sensor source',
+  'editor.type': 'Type',
+  'editor.sensorType.demo': 'Demo',
+  'editor.sensorType.http': 'HTTP',
+  'editor.sensorType.websocket': 'WebSocket',
+  'editor.sensorType.mqtt': 'MQTT',
+  'editor.baseUrl': 'Base URL',
+  'editor.path': 'Path',
+  'editor.topic': 'Topic',
+  'editor.cameraSource': 'Camera source',
+  'editor.cameraType.webcam': 'Local camera',
+  'editor.cameraType.mjpeg': 'Network stream (MJPEG)',
+  'editor.cameraType.hls': 'Network stream (HLS)',
+  'editor.device': 'Device',
+  'editor.defaultCamera': 'Default camera',
+  'editor.savedCamera': 'Saved camera (not connected)',
+  'editor.detectCameras': 'Detect cameras',
+  'editor.detectCamerasHint': 'Ask for camera access to list every connected camera by name',
+  'editor.streamUrl': 'Stream URL',
+  'editor.streamUrlRequired': 'Enter the stream URL of the network camera.',
+  'editor.cameraListFailed': 'Cannot list cameras: {error}',
+  'editor.thresholds': 'Thresholds',
+  'editor.profile': 'Bird age profile',
+  'editor.profileAuto': 'Auto from placement date',
+  'editor.thresholdsHint': 'Leave a field empty to use the profile default shown as placeholder.',
+  'editor.metric': 'Metric',
+  'editor.warning.min': 'Warn min',
+  'editor.warning.max': 'Warn max',
+  'editor.critical.min': 'Crit min',
+  'editor.critical.max': 'Crit max',
+  'editor.minutes': 'Minutes',
+  'editor.deleteHouse': 'Delete house',
+
+  'inference.intro': 'Detection requests go through the dashboard server to the active backend. API keys are stored on the server and never sent back to the browser.',
+  'inference.loadFailed': 'Cannot load the backends: {error}',
+  'inference.adminToken': 'Admin token',
+  'inference.unlock': 'Unlock',
+  'inference.hasSecret': 'Credentials saved',
+  'inference.active': 'Active',
+  'inference.use': 'Use',
+  'inference.add': 'Add backend',
+  'inference.testBackend': 'Test {name}',
+  'inference.editBackend': 'Edit {name}',
+  'inference.deleteBackend': 'Delete {name}',
+  'inference.deleteConfirm': 'Delete the backend "{name}"?',
+  'inference.newBackend': 'New backend',
+  'inference.editTitle': 'Edit {name}',
+  'inference.builtInHint': 'Set in the server config (ROBOFLOW_* environment variables or server/config.json). It can be tested and activated here but not edited.',
+  'inference.name': 'Name',
+  'inference.namePlaceholder': 'e.g. Pi inference server',
+  'inference.typeLabel': 'Type',
+  'inference.type.roboflow-workflow': 'Roboflow workflow',
+  'inference.type.roboflow-model': 'Roboflow hosted model',
+  'inference.type.http': 'HTTP endpoint',
+  'inference.type.mock': 'Mock responses',
+  'inference.url': 'URL',
+  'inference.authorization': 'Authorization header',
+  'inference.authorizationPlaceholder': 'Optional, e.g. Bearer <token>',
+  'inference.secretSaved': 'Saved – leave empty to keep it',
+  'inference.imageField': 'Image field',
+  'inference.imageFieldHint': 'Sent as {body}',
+  'inference.apiKey': 'Roboflow API key',
+  'inference.timeout': 'Timeout (ms)',
+  'inference.mapping': 'Response mapping',
+  'inference.mappingHint': 'Where the predictions are in the response. Use dots for nesting and * for every item, e.g. {example}. Leave the path empty to search a workflow response.',
+  'inference.predictionsPath': 'Predictions path',
+  'inference.predictionsPathPlaceholder': '(search the response)',
+  'inference.classField': 'Class field',
+  'inference.confidenceField': 'Confidence field',
+  'inference.healthyClasses': 'Healthy classes',
+  'inference.healthyClassesHint': 'Comma-separated; a class counts as healthy when one of these appears in it as a whole word.',
+  'inference.ignoredClasses': 'Ignored classes',
+  'inference.ignoredClassesHint': 'Detector classes that are not a diagnosis.',
+  'inference.test': 'Test connection',
+  'inference.testImage': 'Image:',
+  'inference.testImageNone': '(none chosen: a generated sample image is sent)',
+  'inference.testFailed': 'Failed: {error}',
+  'inference.testFailedStatus': 'Failed ({status}): {error}',
+  'inference.connected': 'Connected in {ms} ms.',
+  'inference.predictionsFound.one': '{count} prediction found',
+  'inference.predictionsFound.other': '{count} predictions found',
+  'inference.predictionsFoundClasses.one': '{count} prediction found: {classes}',
+  'inference.predictionsFoundClasses.other': '{count} predictions found: {classes}',
+  'inference.topPrediction': '. Top: {name} ({confidence}%)',
+  'inference.noPredictionsHint': 'The generated sample image has no disease to find, so try one of your own photos. If that finds nothing either, check the predictions path and field names against the raw response below.',
+  'inference.rawResponse': 'Raw response',
+
+  'report.title': 'Flock health report',
+  'report.house': 'House',
+  'report.last': 'Last',
+  'report.days.one': '{count} day',
+  'report.days.other': '{count} days',
+  'report.retention.one': 'Sensor history is kept for {count} day in this browser.',
+  'report.retention.other': 'Sensor history is kept for {count} days in this browser.',
+  'report.notes': 'Notes',
+  'report.notesPlaceholder': 'Observations, treatments, vet visit findings…',
+  'report.generate': 'Generate report',
+  'report.print': 'Print',
+  'report.downloadPdf': 'Download PDF',
+  'report.periodInvalid': 'The period must start before it ends.',
+  'report.loadFailed': 'Could not load the house history: {error}',
+  'report.pdfFailed': 'Could not create the PDF: {error}',
+  'report.pdfUnsupported': 'The PDF fonts cannot show some of this report\'s text (another script or special characters), so it cannot be downloaded as a PDF. Use Print and choose "Save as PDF" as the printer.',
+  'report.period': 'Period: {from} – {to} · Generated {generated}',
+  'report.breed': 'Breed: {breed}',
+  'report.placed': 'Placed: {date}',
+  'report.profile': 'Age profile at period end: {profile}',
+  'report.healthScore': 'Health score',
+  'report.noScore': 'Not enough data to score this period.',
+  'report.score': '{score}/100 ({grade}) for the period\'s average conditions and detections.',
+  'report.factor': '{factor}: −{penalty} of {max}. {detail}',
+  'report.advice': 'Advice',
+  'report.sensorSummary': 'Sensor summary',
+  'report.readingCount.one': '{count} stored reading in the period.',
+  'report.readingCount.other': '{count} stored readings in the period.',
+  'report.target': 'Target',
+  'report.outOfTarget': 'Out of target',
+  'report.alertsCritical': '{count} ({critical} critical)',
+  'report.noReadings': 'No readings in this period.',
+  'report.scans.one': '{count} scan, {diseased} with disease ({percent}%) at {confidence} confidence or more.',
+  'report.scans.other': '{count} scans, {diseased} with disease ({percent}%) at {confidence} confidence or more.',
+  'report.noScans': 'No scans in this period.',
+  'report.byClass': 'By class: {classes}.',
+  'report.omittedFindings.one': '{count} more detection with disease is not shown.',
+  'report.omittedFindings.other': '{count} more detections with disease are not shown.',
+  'report.page.one': 'Page {page} of {count}',
+  'report.page.other': 'Page {page} of {count}',
+};
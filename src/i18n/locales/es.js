@@ -0,0 +1,420 @@
+// src/i18n/locales/es.js - Spanish UI strings; missing keys fall back to English
+
+export const es = {
+  'common.na': 'N/D',
+
+  'app.title': 'Panel de salud avícola',
+  'app.tagline': 'Monitoreo en tiempo real y detección de enfermedades con IA para el cuidado de las aves.',
+  'app.skipToContent': 'Saltar al contenido principal',
+  'app.enterFullscreen': 'Pantalla completa',
+  'app.exitFullscreen': 'Salir de pantalla completa',
+  'app.wallDisplay': 'Pantalla mural (letra grande, pantalla completa)',
+  'app.exitWallDisplay': 'Salir de la pantalla mural',
+  'app.cameraWall': 'Mural de cámaras (todos los galpones)',
+  'app.detectionModels': 'Modelos de detección',
+  'app.detectionModelsActive': 'Modelos de detección (usando {name})',
+  'app.offline': 'Sin conexión: se muestran los últimos datos conocidos. Las imágenes que capture o suba se guardan y se envían cuando vuelva la conexión.',
+  'app.allHouses': 'Todos los galpones',
+  'app.report': 'Informe',
+  'app.editHouse': 'Editar galpón',
+  'app.deleteConfirm': '¿Eliminar {name}? Su configuración se borrará de este navegador.',
+  'app.footer.rights': '© {year} Panel de salud avícola. Todos los derechos reservados.',
+  'app.footer.builtWith': 'Hecho con {react} y {tailwind}.',
+  'app.footer.backend': 'Los datos en vivo y el video requieren un servidor Raspberry Pi.',
+
+  'display.language': 'Idioma',
+  'display.temperatureUnit': 'Mostrar temperaturas en {unit}',
+  'display.daylight': 'Tema de día (alto contraste)',
+  'display.dark': 'Tema oscuro',
+
+  'metric.temperature': 'Temperatura',
+  'metric.humidity': 'Humedad',
+  'metric.ammonia': 'Amoníaco',
+  'severity.warning': 'Aviso',
+  'severity.critical': 'Crítico',
+
+  'profile.brooding': 'Cría (días 0–7)',
+  'profile.week2': 'Semana 2 (días 8–14)',
+  'profile.week3': 'Semana 3 (días 15–21)',
+  'profile.week4': 'Semana 4 (días 22–28)',
+  'profile.grower': 'Engorde (día 29+)',
+
+  'toolbar.title': 'Todos los galpones',
+  'toolbar.addHouse': 'Agregar galpón',
+  'toolbar.exportJson': 'Exportar JSON',
+  'toolbar.importJson': 'Importar JSON',
+  'toolbar.importConfirm': '¿Reemplazar los {current} galpón(es) actuales por {count} galpón(es) de {file}?',
+  'toolbar.imported.one': 'Se importó {count} galpón.',
+  'toolbar.imported.other': 'Se importaron {count} galpones.',
+  'toolbar.importFailed': 'Error al importar: {error}',
+
+  'tile.open': 'Abrir {name}',
+  'tile.birds.one': '{count} ave',
+  'tile.birds.other': '{count} aves',
+  'tile.day': 'día {day}',
+  'tile.noFlock': 'Sin datos del lote',
+  'tile.temperature': 'Temp.',
+  'tile.ammonia': 'NH₃',
+  'tile.staleSince': 'Sin actualizar desde {time}',
+  'tile.openAlerts.one': '{count} alerta abierta',
+  'tile.openAlerts.other': '{count} alertas abiertas',
+  'tile.noAlerts': 'Sin alertas',
+  'tile.lastDetection': 'Última detección: {summary} ({time})',
+  'tile.noClassification': 'sin clasificación de enfermedad',
+  'tile.noDetections': 'Aún no hay detecciones',
+
+  'sensor.connected': 'Conectado',
+  'sensor.stale': 'Desactualizado',
+  'sensor.disconnected': 'Desconectado',
+  'sensor.noData': 'aún sin datos',
+  'sensor.secondsAgo': 'hace {count} s',
+  'sensor.minutesAgo': 'hace {count} min',
+  'sensor.hoursAgo': 'hace {count} h',
+
+  'chart.range': 'Periodo del historial de {metric}',
+  'chart.min': 'Mín',
+  'chart.avg': 'Prom',
+  'chart.max': 'Máx',
+  'chart.noHistory': 'Aún no hay historial para este periodo.',
+  'chart.loadFailed': 'No se puede cargar el historial: {error}',
+
+  'health.title': 'Puntaje de salud del galpón',
+  'health.badge': 'Puntaje de salud {score}/100 ({grade})',
+  'health.badgeNoData': 'Puntaje de salud: aún sin datos',
+  'health.trend': '{trend} ({score} hace tres horas)',
+  'health.trend.up': 'Mejorando',
+  'health.trend.down': 'Empeorando',
+  'health.trend.flat': 'Estable',
+  'health.grade.good': 'Bueno',
+  'health.grade.fair': 'Regular',
+  'health.grade.poor': 'Malo',
+  'health.factor.temperature': 'Confort térmico',
+  'health.factor.humidity': 'Humedad',
+  'health.factor.heatStress': 'Estrés por calor',
+  'health.factor.ammonia': 'Exposición a amoníaco',
+  'health.factor.disease': 'Detecciones de enfermedad',
+  'health.notScored': 'sin puntaje',
+  'health.advisories': 'Recomendaciones',
+  'health.noAdvisories': 'Nada que atender por ahora.',
+  'health.detail.above': '{value}, por encima de {limit}',
+  'health.detail.below': '{value}, por debajo de {limit}',
+  'health.detail.withinRange': '{value}, dentro del rango',
+  'health.detail.low': '{value}, bajo',
+  'health.detail.noTemperature': 'Sin lectura de temperatura',
+  'health.detail.noHumidity': 'Sin lectura de humedad',
+  'health.detail.noAmmonia': 'Sin lectura de amoníaco',
+  'health.detail.heatIndex': 'Índice de calor {value}',
+  'health.detail.heatIndexAbove': 'Índice de calor {value}, por encima de {limit}',
+  'health.detail.needsTemperatureHumidity': 'Requiere temperatura y humedad',
+  'health.detail.scans.one': '0 de {count} escaneo en los últimos {days} días',
+  'health.detail.scans.other': '0 de {count} escaneos en los últimos {days} días',
+  'health.detail.diseaseScans.one': '{diseased} de {count} escaneo en los últimos {days} días ({classes})',
+  'health.detail.diseaseScans.other': '{diseased} de {count} escaneos en los últimos {days} días ({classes})',
+  'health.detail.noScans.one': 'Sin escaneos en el último día',
+  'health.detail.noScans.other': 'Sin escaneos en los últimos {count} días',
+  'health.advisory.newcastle': 'Detecciones de enfermedad de Newcastle: llame a su veterinario ahora, restrinja las visitas y detenga el movimiento de aves. Es de declaración obligatoria en muchos países.',
+  'health.advisory.salmonella': 'Detecciones de salmonela: aísle las aves afectadas, refuerce la bioseguridad y envíe muestras a un laboratorio.',
+  'health.advisory.humid-coccidiosis': 'Humedad alta + detecciones de coccidiosis: revise la humedad de la cama y las fugas de los bebederos, y reemplace la cama mojada.',
+  'health.advisory.wet-litter': 'Amoníaco en aumento con humedad alta: la cama probablemente está mojada. Aumente la ventilación mínima y añada cama seca.',
+  'health.advisory.ammonia-respiratory': 'Amoníaco en {value} mientras se detecta enfermedad: el amoníaco debilita las vías respiratorias, así que ventile para mantenerlo por debajo de {safe}.',
+  'health.advisory.heat-stress': 'Riesgo de estrés por calor (índice de calor {value}): aumente la velocidad del aire, revise los bebederos y evite manejar las aves en las horas de más calor.',
+  'health.advisory.too-cold': 'Por debajo del rango de temperatura para la edad del lote ({limit}): revise calefactores o criadoras y cierre las corrientes de aire.',
+  'health.advisory.disease-rate': 'El {percent}% de los escaneos recientes muestra enfermedad: pida a un veterinario que examine el lote.',
+
+  'alerts.title': 'Alertas',
+  'alerts.count.one': '{count} alerta abierta',
+  'alerts.count.other': '{count} alertas abiertas',
+  'alerts.profile': 'Perfil de edad de las aves:',
+  'alerts.profileAuto': 'Automático según la fecha de ingreso ({profile})',
+  'alerts.enableNotifications': 'Activar notificaciones',
+  'alerts.notificationsBlocked': 'Notificaciones bloqueadas',
+  'alerts.notification': '{house}: {severity}',
+  'alerts.notificationEscalated': '{house}: {severity} (escalada)',
+  'alerts.clearResolved': 'Borrar resueltas',
+  'alerts.allClear': 'Todas las lecturas dentro de los límites.',
+  'alerts.message': '{metric} – {severity}: {value} ({limit})',
+  'alerts.above': 'por encima de {limit}',
+  'alerts.below': 'por debajo de {limit}',
+  'alerts.since': 'Desde {time}',
+  'alerts.now': 'ahora {value}',
+  'alerts.worst': 'peor {value}',
+  'alerts.acknowledgedAt': 'confirmada {time}',
+  'alerts.resolvedAt': 'resuelta {time}',
+  'alerts.acknowledge': 'Confirmar',
+  'alerts.status.active': 'Activa',
+  'alerts.status.acknowledged': 'Confirmada',
+  'alerts.status.resolved': 'Resuelta',
+
+  'house.liveData': 'Datos ambientales en vivo',
+  'house.lastKnown': 'Últimas lecturas conocidas · sin actualizar desde {time}',
+  'house.simulated': '(Datos simulados para demostración)',
+  'house.cameraStream': 'Transmisión de cámara en vivo',
+  'house.webcam': 'Cámara web en vivo',
+  'house.cameraTitle': 'Cámara de {name}',
+  'house.startStream': 'Iniciar transmisión',
+  'house.stopStream': 'Detener transmisión',
+  'house.startWebcam': 'Iniciar cámara',
+  'house.stopWebcam': 'Detener cámara',
+  'house.recording': 'GRAB',
+  'house.captureDetect': 'Capturar y detectar',
+  'house.snapshot': 'Foto',
+  'house.recordClip': 'Grabar clip',
+  'house.stopClip': 'Detener clip',
+  'house.autoScan': 'Escaneo automático',
+  'house.autoScanEvery': 'Cada',
+  'house.minutes': '{count} min',
+  'house.scanning': 'Escaneando…',
+  'house.lastScan': 'Último escaneo {time}',
+  'house.scanPending': 'pendiente',
+  'house.nextScan': 'siguiente {time}',
+  'house.autoScanRateLimited': 'Se alcanzó el límite de escaneos automáticos ({max}/hora); el siguiente se permite a las {time}.',
+  'house.autoScanOffline': 'Sin conexión: la imagen quedó en cola y se analizará cuando vuelva la conexión.',
+  'house.autoScanFailed': 'Falló el escaneo automático: {error}',
+  'house.historyUnavailable': 'Historial no disponible: {error}',
+
+  'detection.title': 'Detección de enfermedades',
+  'detection.chooseImages': 'Haga clic o suelte imágenes',
+  'detection.changeImages': 'Cambiar imágenes',
+  'detection.imagesSelected': '{count} imágenes seleccionadas',
+  'detection.fileHint': 'PNG, JPG, GIF: seleccione varias para un lote',
+  'detection.detect': 'Detectar enfermedad',
+  'detection.detectBatch': 'Detectar enfermedad ({count} imágenes)',
+  'detection.preview': 'Vista previa',
+  'detection.queued': 'En cola...',
+  'detection.analyzing': 'Analizando...',
+  'detection.waitingConnection': 'Esperando conexión. La imagen está guardada y se analizará automáticamente.',
+  'detection.failed': 'No se pudo detectar la enfermedad: {error}.',
+  'detection.noImageFiles': 'No se seleccionaron imágenes.',
+  'detection.selectImage': 'Primero seleccione una imagen.',
+  'detection.detected': 'Detectado: {summary}',
+  'detection.noClassification': 'No se encontró una clasificación clara de enfermedad.',
+  'detection.placeholder': 'El resultado del análisis aparecerá aquí.',
+  'detection.rawResponse': 'Respuesta cruda de la API (para depuración)',
+  'detection.historyUnavailable': 'Historial de detecciones no disponible: {error}',
+  'detection.notSaved': 'La detección no se guardó: {error}',
+
+  'summary.title': 'Resumen de detección',
+  'summary.minConfidence': 'Confianza mín.',
+  'summary.none': 'No hay aves clasificadas por encima de esta confianza.',
+  'summary.average': 'prom. {confidence}',
+  'summary.class': 'Clase',
+  'summary.confidence': 'Confianza',
+  'summary.position': 'Posición (x, y)',
+  'summary.size': 'Tamaño',
+  'summary.wholeImage': 'imagen completa',
+
+  'common.close': 'Cerrar',
+  'common.cancel': 'Cancelar',
+  'common.save': 'Guardar',
+  'common.error': '{error}',
+
+  'camera.paused': 'Cámara en pausa',
+  'camera.streamCorsError': 'No se puede cargar la transmisión {url} (debe permitir CORS).',
+  'camera.savedAt': 'Guardado {time}',
+  'camera.saveSnapshot': 'Guardar captura',
+  'camera.closeWall': 'Cerrar el muro de cámaras',
+  'camera.notConnected': 'La cámara elegida no está conectada. Elige otra en Editar casa.',
+  'camera.accessDenied': 'No se puede acceder a la cámara. Comprueba que se concedieron los permisos.',
+  'camera.hlsUnsupported': 'Este navegador no puede reproducir transmisiones HLS.',
+  'camera.streamFailed': 'No se puede reproducir la transmisión {url}.',
+  'camera.streamFailedDetails': 'No se puede reproducir la transmisión {url} ({details}).',
+  'camera.noFrameInTime': 'La cámara no envió ninguna imagen a tiempo.',
+  'camera.noFrameAvailable': 'No hay imagen de la cámara. Inicia la cámara primero.',
+  'camera.encodeFailed': 'No se pudo codificar la imagen de la cámara.',
+  'camera.frameCorsError': 'No se pueden leer imágenes de esta transmisión ({error}). Sírvela con CORS activado.',
+
+  'recordings.title.one': 'Capturas y clips guardados ({count})',
+  'recordings.title.other': 'Capturas y clips guardados ({count})',
+  'recordings.clip': 'Clip · {seconds} s',
+  'recordings.snapshot': 'Captura',
+  'recordings.download': 'Descargar',
+  'recordings.delete': 'Eliminar',
+  'recordings.showFewer': 'Mostrar menos',
+  'recordings.showAll.one': 'Mostrar {count}',
+  'recordings.showAll.other': 'Mostrar los {count}',
+  'recordings.unavailable': 'Grabaciones no disponibles: {error}',
+  'recordings.notSaved': 'La grabación no se guardó: {error}',
+  'recordings.notDeleted': 'La grabación no se eliminó: {error}',
+  'recordings.recordFailed': 'Falló la grabación: {error}',
+  'recordings.failed': 'Falló la grabación.',
+  'recordings.browserUnsupported': 'Este navegador no puede grabar video.',
+  'recordings.streamUnsupported': 'Este navegador no puede grabar esta transmisión de cámara.',
+  'recordings.corsError': 'No se puede grabar esta transmisión ({error}). Sírvela con CORS activado.',
+
+  'gallery.title': 'Historial de detecciones',
+  'gallery.loadFailed': 'No se pudieron cargar las detecciones: {error}',
+  'gallery.class': 'Clase de enfermedad',
+  'gallery.allClasses': 'Todas las clases',
+  'gallery.from': 'Desde',
+  'gallery.to': 'Hasta',
+  'gallery.matching.one': '{matching} de {count} detección coincide.',
+  'gallery.matching.other': '{matching} de {count} detecciones coinciden.',
+  'gallery.showMore.one': 'Mostrar más (queda {count})',
+  'gallery.showMore.other': 'Mostrar más (quedan {count})',
+  'gallery.source.upload': 'Subida',
+  'gallery.source.capture': 'Captura de cámara',
+  'gallery.source.auto-scan': 'Escaneo automático',
+
+  'queue.title': 'Cola de detección',
+  'queue.finished.one': '{finished}/{count} terminada',
+  'queue.finished.other': '{finished}/{count} terminadas',
+  'queue.retryFailed': 'Reintentar fallidas',
+  'queue.clearFinished': 'Quitar terminadas',
+  'queue.retry': 'Reintentar',
+  'queue.status.queued': 'En cola',
+  'queue.status.running': 'En curso',
+  'queue.status.done': 'Hecho',
+  'queue.status.failed': 'Fallido',
+  'queue.status.waiting': 'Sin conexión',
+  'queue.attempt': '{status} (intento {attempt})',
+  'queue.batchComplete.one': 'Lote completo: {done} de {count} imagen analizada.',
+  'queue.batchComplete.other': 'Lote completo: {done} de {count} imágenes analizadas.',
+  'queue.batchCompleteFailed.one': 'Lote completo: {done} de {count} imagen analizada, {failed} con error.',
+  'queue.batchCompleteFailed.other': 'Lote completo: {done} de {count} imágenes analizadas, {failed} con error.',
+  'queue.imagesWithDisease.one': '{count} imagen muestra signos de enfermedad.',
+  'queue.imagesWithDisease.other': '{count} imágenes muestran signos de enfermedad.',
+  'queue.noDisease': 'No se encontraron clases de enfermedad.',
+  'queue.birds': 'Aves: {counts}.',
+  'queue.noClassifiedBirds': 'Ninguna ave clasificada',
+  'queue.waiting.one': '{count} imagen espera conexión. Se guarda en este dispositivo y se enviará automáticamente.',
+  'queue.waiting.other': '{count} imágenes esperan conexión. Se guardan en este dispositivo y se enviarán automáticamente.',
+  'queue.waitingRetrying.one': '{count} imagen espera conexión; se reintentará en breve. Se guarda en este dispositivo y se enviará automáticamente.',
+  'queue.waitingRetrying.other': '{count} imágenes esperan conexión; se reintentará en breve. Se guardan en este dispositivo y se enviarán automáticamente.',
+  'queue.offline': 'Sin conexión; se enviará automáticamente cuando vuelva.',
+  'queue.retrying': '{error}; se reintentará en {seconds} s',
+
+  'editor.addTitle': 'Añadir galpón',
+  'editor.editTitle': 'Editar {name}',
+  'editor.name': 'Nombre',
+  'editor.breed': 'Raza',
+  'editor.breedPlaceholder': 'p. ej. Ross 308',
+  'editor.birdCount': 'Número de aves',
+  'editor.placementDate': 'Fecha de ingreso',
+  'editor.sensorSource': 'Fuente de sensores',
+  'editor.type': 'Tipo',
+  'editor.sensorType.demo': 'Demo',
+  'editor.sensorType.http': 'HTTP',
+  'editor.sensorType.websocket': 'WebSocket',
+  'editor.sensorType.mqtt': 'MQTT',
+  'editor.baseUrl': 'URL base',
+  'editor.path': 'Ruta',
+  'editor.topic': 'Tema',
+  'editor.cameraSource': 'Fuente de cámara',
+  'editor.cameraType.webcam': 'Cámara local',
+  'editor.cameraType.mjpeg': 'Transmisión de red (MJPEG)',
+  'editor.cameraType.hls': 'Transmisión de red (HLS)',
+  'editor.device': 'Dispositivo',
+  'editor.defaultCamera': 'Cámara predeterminada',
+  'editor.savedCamera': 'Cámara guardada (no conectada)',
+  'editor.detectCameras': 'Detectar cámaras',
+  'editor.detectCamerasHint': 'Pedir acceso a la cámara para listar por nombre todas las cámaras conectadas',
+  'editor.streamUrl': 'URL de la transmisión',
+  'editor.streamUrlRequired': 'Introduce la URL de la transmisión de la cámara de red.',
+  'editor.cameraListFailed': 'No se pueden listar las cámaras: {error}',
+  'editor.thresholds': 'Umbrales',
+  'editor.profile': 'Perfil de edad de las aves',
+  'editor.profileAuto': 'Automático según la fecha de ingreso',
+  'editor.thresholdsHint': 'Deja un campo vacío para usar el valor del perfil que se muestra de ejemplo.',
+  'editor.metric': 'Medida',
+  'editor.warning.min': 'Aviso mín.',
+  'editor.warning.max': 'Aviso máx.',
+  'editor.critical.min': 'Crít. mín.',
+  'editor.critical.max': 'Crít. máx.',
+  'editor.minutes': 'Minutos',
+  'editor.deleteHouse': 'Eliminar galpón',
+
+  'inference.intro': 'Las solicitudes de detección pasan por el servidor del panel hacia el backend activo. Las claves de API se guardan en el servidor y nunca se devuelven al navegador.',
+  'inference.loadFailed': 'No se pueden cargar los backends: {error}',
+  'inference.adminToken': 'Token de administrador',
+  'inference.unlock': 'Desbloquear',
+  'inference.hasSecret': 'Credenciales guardadas',
+  'inference.active': 'Activo',
+  'inference.use': 'Usar',
+  'inference.add': 'Añadir backend',
+  'inference.testBackend': 'Probar {name}',
+  'inference.editBackend': 'Editar {name}',
+  'inference.deleteBackend': 'Eliminar {name}',
+  'inference.deleteConfirm': '¿Eliminar el backend "{name}"?',
+  'inference.newBackend': 'Nuevo backend',
+  'inference.editTitle': 'Editar {name}',
+  'inference.builtInHint': 'Definido en la configuración del servidor (variables de entorno ROBOFLOW_* o server/config.json). Se puede probar y activar aquí, pero no editar.',
+  'inference.name': 'Nombre',
+  'inference.namePlaceholder': 'p. ej. servidor de inferencia del Pi',
+  'inference.typeLabel': 'Tipo',
+  'inference.type.roboflow-workflow': 'Flujo de trabajo de Roboflow',
+  'inference.type.roboflow-model': 'Modelo alojado en Roboflow',
+  'inference.type.http': 'Endpoint HTTP',
+  'inference.type.mock': 'Respuestas simuladas',
+  'inference.url': 'URL',
+  'inference.authorization': 'Cabecera Authorization',
+  'inference.authorizationPlaceholder': 'Opcional, p. ej. Bearer <token>',
+  'inference.secretSaved': 'Guardado: déjalo vacío para conservarlo',
+  'inference.imageField': 'Campo de imagen',
+  'inference.imageFieldHint': 'Se envía como {body}',
+  'inference.apiKey': 'Clave de API de Roboflow',
+  'inference.timeout': 'Tiempo de espera (ms)',
+  'inference.mapping': 'Asignación de la respuesta',
+  'inference.mappingHint': 'Dónde están las predicciones en la respuesta. Usa puntos para anidar y * para cada elemento, p. ej. {example}. Deja la ruta vacía para buscar en una respuesta de flujo de trabajo.',
+  'inference.predictionsPath': 'Ruta de las predicciones',
+  'inference.predictionsPathPlaceholder': '(buscar en la respuesta)',
+  'inference.classField': 'Campo de clase',
+  'inference.confidenceField': 'Campo de confianza',
+  'inference.healthyClasses': 'Clases sanas',
+  'inference.healthyClassesHint': 'Separadas por comas; una clase cuenta como sana cuando una de estas aparece en ella como palabra completa.',
+  'inference.ignoredClasses': 'Clases ignoradas',
+  'inference.ignoredClassesHint': 'Clases del detector que no son un diagnóstico.',
+  'inference.test': 'Probar conexión',
+  'inference.testImage': 'Imagen:',
+  'inference.testImageNone': '(ninguna elegida: se envía una imagen de muestra generada)',
+  'inference.testFailed': 'Error: {error}',
+  'inference.testFailedStatus': 'Error ({status}): {error}',
+  'inference.connected': 'Conectado en {ms} ms.',
+  'inference.predictionsFound.one': '{count} predicción encontrada',
+  'inference.predictionsFound.other': '{count} predicciones encontradas',
+  'inference.predictionsFoundClasses.one': '{count} predicción encontrada: {classes}',
+  'inference.predictionsFoundClasses.other': '{count} predicciones encontradas: {classes}',
+  'inference.topPrediction': '. Principal: {name} ({confidence} %)',
+  'inference.noPredictionsHint': 'La imagen de muestra generada no tiene ninguna enfermedad que encontrar; prueba con una foto propia. Si tampoco encuentra nada, compara la ruta de las predicciones y los nombres de los campos con la respuesta sin procesar de abajo.',
+  'inference.rawResponse': 'Respuesta sin procesar',
+
+  'report.title': 'Informe de salud del lote',
+  'report.house': 'Galpón',
+  'report.last': 'Últimos',
+  'report.days.one': '{count} día',
+  'report.days.other': '{count} días',
+  'report.retention.one': 'El historial de sensores se guarda {count} día en este navegador.',
+  'report.retention.other': 'El historial de sensores se guarda {count} días en este navegador.',
+  'report.notes': 'Notas',
+  'report.notesPlaceholder': 'Observaciones, tratamientos, hallazgos de la visita veterinaria…',
+  'report.generate': 'Generar informe',
+  'report.print': 'Imprimir',
+  'report.downloadPdf': 'Descargar PDF',
+  'report.periodInvalid': 'El periodo debe empezar antes de terminar.',
+  'report.loadFailed': 'No se pudo cargar el historial del galpón: {error}',
+  'report.pdfFailed': 'No se pudo crear el PDF: {error}',
+  'report.pdfUnsupported': 'Las fuentes del PDF no pueden mostrar parte del texto de este informe (otra escritura o caracteres especiales), así que no se puede descargar como PDF. Usa Imprimir y elige "Guardar como PDF" como impresora.',
+  'report.period': 'Periodo: {from} – {to} · Generado {generated}',
+  'report.breed': 'Raza: {breed}',
+  'report.placed': 'Ingreso: {date}',
+  'report.profile': 'Perfil de edad al final del periodo: {profile}',
+  'report.healthScore': 'Puntuación de salud',
+  'report.noScore': 'No hay datos suficientes para puntuar este periodo.',
+  'report.score': '{score}/100 ({grade}) según las condiciones medias y las detecciones del periodo.',
+  'report.factor': '{factor}: −{penalty} de {max}. {detail}',
+  'report.advice': 'Consejo',
+  'report.sensorSummary': 'Resumen de sensores',
+  'report.readingCount.one': '{count} lectura guardada en el periodo.',
+  'report.readingCount.other': '{count} lecturas guardadas en el periodo.',
+  'report.target': 'Objetivo',
+  'report.outOfTarget': 'Fuera del objetivo',
+  'report.alertsCritical': '{count} ({critical} críticas)',
+  'report.noReadings': 'No hay lecturas en este periodo.',
+  'report.scans.one': '{count} escaneo, {diseased} con enfermedad ({percent} %) con una confianza de {confidence} o más.',
+  'report.scans.other': '{count} escaneos, {diseased} con enfermedad ({percent} %) con una confianza de {confidence} o más.',
+  'report.noScans': 'No hay escaneos en este periodo.',
+  'report.byClass': 'Por clase: {classes}.',
+  'report.omittedFindings.one': 'No se muestra {count} detección más con enfermedad.',
+  'report.omittedFindings.other': 'No se muestran {count} detecciones más con enfermedad.',
+  'report.page.one': 'Página {page} de {count}',
+  'report.page.other': 'Página {page} de {count}',
+};
@@ -0,0 +1,420 @@
+// src/i18n/locales/hi.js - Hindi UI strings; missing keys fall back to English
+
+export const hi = {
+  'common.na': 'उपलब्ध नहीं',
+
+  'app.title': 'पोल्ट्री स्वास्थ्य डैशबोर्ड',
+  'app.tagline': 'मुर्गियों की बेहतर देखभाल के लिए रीयल-टाइम निगरानी और AI से रोग पहचान।',
+  'app.skipToContent': 'मुख्य सामग्री पर जाएँ',
+  'app.enterFullscreen': 'फ़ुलस्क्रीन',
+  'app.exitFullscreen': 'फ़ुलस्क्रीन से बाहर निकलें',
+  'app.wallDisplay': 'वॉल डिस्प्ले (बड़े अक्षर, फ़ुलस्क्रीन)',
+  'app.exitWallDisplay': 'वॉल डिस्प्ले से बाहर निकलें',
+  'app.cameraWall': 'कैमरा वॉल (सभी शेड)',
+  'app.detectionModels': 'पहचान मॉडल',
+  'app.detectionModelsActive': 'पहचान मॉडल ({name} उपयोग में)',
+  'app.offline': 'ऑफ़लाइन – आख़िरी ज्ञात डेटा दिखाया जा रहा है। आपकी खींची या अपलोड की गई तस्वीरें सहेजी जाती हैं और कनेक्शन लौटने पर भेजी जाएँगी।',
+  'app.allHouses': 'सभी शेड',
+  'app.report': 'रिपोर्ट',
+  'app.editHouse': 'शेड संपादित करें',
+  'app.deleteConfirm': '{name} हटाएँ? इसकी सेटिंग्स इस ब्राउज़र से मिट जाएँगी।',
+  'app.footer.rights': '© {year} पोल्ट्री स्वास्थ्य डैशबोर्ड। सर्वाधिकार सुरक्षित।',
+  'app.footer.builtWith': '{react} और {tailwind} से बना।',
+  'app.footer.backend': 'लाइव डेटा और वीडियो के लिए Raspberry Pi बैकएंड चाहिए।',
+
+  'display.language': 'भाषा',
+  'display.temperatureUnit': 'तापमान {unit} में दिखाएँ',
+  'display.daylight': 'दिन की थीम (हाई कॉन्ट्रास्ट)',
+  'display.dark': 'डार्क थीम',
+
+  'metric.temperature': 'तापमान',
+  'metric.humidity': 'नमी',
+  'metric.ammonia': 'अमोनिया',
+  'severity.warning': 'चेतावनी',
+  'severity.critical': 'गंभीर',
+
+  'profile.brooding': 'ब्रूडिंग (दिन 0–7)',
+  'profile.week2': 'सप्ताह 2 (दिन 8–14)',
+  'profile.week3': 'सप्ताह 3 (दिन 15–21)',
+  'profile.week4': 'सप्ताह 4 (दिन 22–28)',
+  'profile.grower': 'ग्रोअर (दिन 29+)',
+
+  'toolbar.title': 'सभी शेड',
+  'toolbar.addHouse': 'शेड जोड़ें',
+  'toolbar.exportJson': 'JSON निर्यात करें',
+  'toolbar.importJson': 'JSON आयात करें',
+  'toolbar.importConfirm': 'मौजूदा {current} शेड को {file} के {count} शेड से बदलें?',
+  'toolbar.imported.one': '{count} शेड आयात हुआ।',
+  'toolbar.imported.other': '{count} शेड आयात हुए।',
+  'toolbar.importFailed': 'आयात विफल: {error}',
+
+  'tile.open': '{name} खोलें',
+  'tile.birds.one': '{count} पक्षी',
+  'tile.birds.other': '{count} पक्षी',
+  'tile.day': 'दिन {day}',
+  'tile.noFlock': 'झुंड का विवरण नहीं',
+  'tile.temperature': 'तापमान',
+  'tile.ammonia': 'NH₃',
+  'tile.staleSince': '{time} से अपडेट नहीं',
+  'tile.openAlerts.one': '{count} खुला अलर्ट',
+  'tile.openAlerts.other': '{count} खुले अलर्ट',
+  'tile.noAlerts': 'कोई अलर्ट नहीं',
+  'tile.lastDetection': 'आख़िरी पहचान: {summary} ({time})',
+  'tile.noClassification': 'रोग का कोई वर्गीकरण नहीं',
+  'tile.noDetections': 'अभी तक कोई पहचान नहीं',
+
+  'sensor.connected': 'जुड़ा है',
+  'sensor.stale': 'पुराना डेटा',
+  'sensor.disconnected': 'डिस्कनेक्ट',
+  'sensor.noData': 'अभी डेटा नहीं',
+  'sensor.secondsAgo': '{count} सेकंड पहले',
+  'sensor.minutesAgo': '{count} मिनट पहले',
+  'sensor.hoursAgo': '{count} घंटे पहले',
+
+  'chart.range': '{metric} इतिहास की अवधि',
+  'chart.min': 'न्यूनतम',
+  'chart.avg': 'औसत',
+  'chart.max': 'अधिकतम',
+  'chart.noHistory': 'इस अवधि का इतिहास अभी नहीं है।',
+  'chart.loadFailed': 'इतिहास लोड नहीं हो सका: {error}',
+
+  'health.title': 'शेड स्वास्थ्य स्कोर',
+  'health.badge': 'स्वास्थ्य स्कोर {score}/100 ({grade})',
+  'health.badgeNoData': 'स्वास्थ्य स्कोर: अभी डेटा नहीं',
+  'health.trend': '{trend} (तीन घंटे पहले {score})',
+  'health.trend.up': 'सुधर रहा है',
+  'health.trend.down': 'बिगड़ रहा है',
+  'health.trend.flat': 'स्थिर',
+  'health.grade.good': 'अच्छा',
+  'health.grade.fair': 'ठीक',
+  'health.grade.poor': 'ख़राब',
+  'health.factor.temperature': 'तापीय आराम',
+  'health.factor.humidity': 'नमी',
+  'health.factor.heatStress': 'गर्मी का तनाव',
+  'health.factor.ammonia': 'अमोनिया का असर',
+  'health.factor.disease': 'रोग की पहचान',
+  'health.notScored': 'स्कोर नहीं',
+  'health.advisories': 'सलाह',
+  'health.noAdvisories': 'अभी कुछ करने की ज़रूरत नहीं।',
+  'health.detail.above': '{value}, {limit} से ऊपर',
+  'health.detail.below': '{value}, {limit} से नीचे',
+  'health.detail.withinRange': '{value}, सीमा के भीतर',
+  'health.detail.low': '{value}, कम',
+  'health.detail.noTemperature': 'तापमान की रीडिंग नहीं',
+  'health.detail.noHumidity': 'नमी की रीडिंग नहीं',
+  'health.detail.noAmmonia': 'अमोनिया की रीडिंग नहीं',
+  'health.detail.heatIndex': 'ताप सूचकांक {value}',
+  'health.detail.heatIndexAbove': 'ताप सूचकांक {value}, {limit} से ऊपर',
+  'health.detail.needsTemperatureHumidity': 'तापमान और नमी दोनों चाहिए',
+  'health.detail.scans.one': 'पिछले {days} दिनों में {count} में से 0 स्कैन',
+  'health.detail.scans.other': 'पिछले {days} दिनों में {count} में से 0 स्कैन',
+  'health.detail.diseaseScans.one': 'पिछले {days} दिनों में {count} में से {diseased} स्कैन ({classes})',
+  'health.detail.diseaseScans.other': 'पिछले {days} दिनों में {count} में से {diseased} स्कैन ({classes})',
+  'health.detail.noScans.one': 'पिछले दिन कोई स्कैन नहीं',
+  'health.detail.noScans.other': 'पिछले {count} दिनों में कोई स्कैन नहीं',
+  'health.advisory.newcastle': 'रानीखेत (न्यूकैसल) रोग की पहचान: अभी पशु चिकित्सक को बुलाएँ, आगंतुकों को रोकें और पक्षियों की आवाजाही बंद करें। कई देशों में इसकी सूचना देना अनिवार्य है।',
+  'health.advisory.salmonella': 'साल्मोनेला की पहचान: प्रभावित पक्षियों को अलग करें, जैव-सुरक्षा कड़ी करें और नमूने प्रयोगशाला भेजें।',
+  'health.advisory.humid-coccidiosis': 'अधिक नमी + कॉक्सीडियोसिस की पहचान: बिछावन की नमी और ड्रिंकर के रिसाव जाँचें, और गीला बिछावन बदलें।',
+  'health.advisory.wet-litter': 'अधिक नमी के साथ अमोनिया बढ़ रहा है: बिछावन शायद गीला है। न्यूनतम वेंटिलेशन बढ़ाएँ और सूखा बिछावन डालें।',
+  'health.advisory.ammonia-respiratory': 'रोग की पहचान के दौरान अमोनिया {value} है: अमोनिया श्वसन मार्ग को कमज़ोर करता है, इसलिए इसे {safe} से नीचे रखने के लिए हवा चलाएँ।',
+  'health.advisory.heat-stress': 'गर्मी के तनाव का खतरा (ताप सूचकांक {value}): हवा की गति बढ़ाएँ, ड्रिंकर जाँचें और दिन की गर्मी में पक्षियों को न छुएँ।',
+  'health.advisory.too-cold': 'झुंड की उम्र के तापमान दायरे से नीचे ({limit}): हीटर या ब्रूडर जाँचें और ठंडी हवा के रास्ते बंद करें।',
+  'health.advisory.disease-rate': 'हाल के {percent}% स्कैन में रोग दिख रहा है: पशु चिकित्सक से झुंड की जाँच कराएँ।',
+
+  'alerts.title': 'अलर्ट',
+  'alerts.count.one': '{count} खुला अलर्ट',
+  'alerts.count.other': '{count} खुले अलर्ट',
+  'alerts.profile': 'पक्षियों की उम्र का प्रोफ़ाइल:',
+  'alerts.profileAuto': 'प्लेसमेंट तारीख़ से स्वतः ({profile})',
+  'alerts.enableNotifications': 'सूचनाएँ चालू करें',
+  'alerts.notificationsBlocked': 'सूचनाएँ अवरुद्ध',
+  'alerts.notification': '{house}: {severity}',
+  'alerts.notificationEscalated': '{house}: {severity} (बढ़ाया गया)',
+  'alerts.clearResolved': 'हल हुए हटाएँ',
+  'alerts.allClear': 'सभी रीडिंग सीमा के भीतर हैं।',
+  'alerts.message': '{metric} – {severity}: {value} ({limit})',
+  'alerts.above': '{limit} से ऊपर',
+  'alerts.below': '{limit} से नीचे',
+  'alerts.since': '{time} से',
+  'alerts.now': 'अभी {value}',
+  'alerts.worst': 'सबसे ख़राब {value}',
+  'alerts.acknowledgedAt': 'स्वीकार {time}',
+  'alerts.resolvedAt': 'हल {time}',
+  'alerts.acknowledge': 'स्वीकार करें',
+  'alerts.status.active': 'सक्रिय',
+  'alerts.status.acknowledged': 'स्वीकृत',
+  'alerts.status.resolved': 'हल',
+
+  'house.liveData': 'लाइव वातावरण डेटा',
+  'house.lastKnown': 'आख़िरी ज्ञात रीडिंग · {time} से अपडेट नहीं',
+  'house.simulated': '(डेमो के लिए नकली डेटा)',
+  'house.cameraStream': 'लाइव कैमरा स्ट्रीम',
+  'house.webcam': 'लाइव वेबकैम',
+  'house.cameraTitle': '{name} कैमरा',
+  'house.startStream': 'स्ट्रीम शुरू करें',
+  'house.stopStream': 'स्ट्रीम रोकें',
+  'house.startWebcam': 'वेबकैम शुरू करें',
+  'house.stopWebcam': 'वेबकैम रोकें',
+  'house.recording': 'REC',
+  'house.captureDetect': 'फ़ोटो लें और जाँचें',
+  'house.snapshot': 'स्नैपशॉट',
+  'house.recordClip': 'क्लिप रिकॉर्ड करें',
+  'house.stopClip': 'क्लिप रोकें',
+  'house.autoScan': 'ऑटो-स्कैन',
+  'house.autoScanEvery': 'हर',
+  'house.minutes': '{count} मिनट',
+  'house.scanning': 'स्कैन हो रहा है…',
+  'house.lastScan': 'आख़िरी स्कैन {time}',
+  'house.scanPending': 'बाक़ी',
+  'house.nextScan': 'अगला {time}',
+  'house.autoScanRateLimited': 'ऑटो-स्कैन की सीमा पूरी हो गई ({max}/घंटा); अगला स्कैन {time} पर हो सकेगा।',
+  'house.autoScanOffline': 'ऑफ़लाइन: फ़्रेम कतार में रखा गया है और कनेक्शन लौटने पर जाँचा जाएगा।',
+  'house.autoScanFailed': 'ऑटो-स्कैन विफल: {error}',
+  'house.historyUnavailable': 'इतिहास उपलब्ध नहीं: {error}',
+
+  'detection.title': 'रोग पहचान',
+  'detection.chooseImages': 'तस्वीरें चुनें या यहाँ छोड़ें',
+  'detection.changeImages': 'तस्वीरें बदलें',
+  'detection.imagesSelected': '{count} तस्वीरें चुनी गईं',
+  'detection.fileHint': 'PNG, JPG, GIF – बैच के लिए कई चुनें',
+  'detection.detect': 'रोग जाँचें',
+  'detection.detectBatch': 'रोग जाँचें ({count} तस्वीरें)',
+  'detection.preview': 'पूर्वावलोकन',
+  'detection.queued': 'कतार में...',
+  'detection.analyzing': 'विश्लेषण हो रहा है...',
+  'detection.waitingConnection': 'कनेक्शन का इंतज़ार। तस्वीर सहेजी गई है और अपने आप जाँची जाएगी।',
+  'detection.failed': 'रोग की पहचान विफल: {error}।',
+  'detection.noImageFiles': 'कोई तस्वीर नहीं चुनी गई।',
+  'detection.selectImage': 'पहले एक तस्वीर चुनें।',
+  'detection.detected': 'पहचाना गया: {summary}',
+  'detection.noClassification': 'रोग का स्पष्ट वर्गीकरण नहीं मिला।',
+  'detection.placeholder': 'विश्लेषण का परिणाम यहाँ दिखेगा।',
+  'detection.rawResponse': 'API का मूल जवाब (डिबगिंग के लिए)',
+  'detection.historyUnavailable': 'जाँच का इतिहास उपलब्ध नहीं: {error}',
+  'detection.notSaved': 'जाँच सहेजी नहीं गई: {error}',
+
+  'summary.title': 'पहचान सारांश',
+  'summary.minConfidence': 'न्यूनतम विश्वास',
+  'summary.none': 'इस विश्वास स्तर से ऊपर कोई वर्गीकृत पक्षी नहीं।',
+  'summary.average': 'औसत {confidence}',
+  'summary.class': 'वर्ग',
+  'summary.confidence': 'विश्वास',
+  'summary.position': 'स्थिति (x, y)',
+  'summary.size': 'आकार',
+  'summary.wholeImage': 'पूरी तस्वीर',
+
+  'common.close': 'बंद करें',
+  'common.cancel': 'रद्द करें',
+  'common.save': 'सहेजें',
+  'common.error': '{error}',
+
+  'camera.paused': 'कैमरा रुका है',
+  'camera.streamCorsError': 'स्ट्रीम {url} लोड नहीं हो सकी (इसे CORS की अनुमति देनी होगी)।',
+  'camera.savedAt': '{time} पर सहेजा गया',
+  'camera.saveSnapshot': 'स्नैपशॉट सहेजें',
+  'camera.closeWall': 'कैमरा वॉल बंद करें',
+  'camera.notConnected': 'चुना गया कैमरा जुड़ा नहीं है। घर संपादित करें में कोई दूसरा चुनें।',
+  'camera.accessDenied': 'कैमरा खोला नहीं जा सका। जाँचें कि अनुमति दी गई है।',
+  'camera.hlsUnsupported': 'यह ब्राउज़र HLS स्ट्रीम नहीं चला सकता।',
+  'camera.streamFailed': 'स्ट्रीम {url} नहीं चल सकी।',
+  'camera.streamFailedDetails': 'स्ट्रीम {url} नहीं चल सकी ({details})।',
+  'camera.noFrameInTime': 'कैमरे ने समय पर कोई फ़्रेम नहीं भेजा।',
+  'camera.noFrameAvailable': 'कैमरे का कोई फ़्रेम नहीं है। पहले कैमरा शुरू करें।',
+  'camera.encodeFailed': 'कैमरे का फ़्रेम सहेजा नहीं जा सका।',
+  'camera.frameCorsError': 'इस कैमरा स्ट्रीम से फ़्रेम नहीं पढ़े जा सकते ({error})। इसे CORS चालू करके चलाएँ।',
+
+  'recordings.title.one': 'सहेजे गए स्नैपशॉट और क्लिप ({count})',
+  'recordings.title.other': 'सहेजे गए स्नैपशॉट और क्लिप ({count})',
+  'recordings.clip': 'क्लिप · {seconds} सेकंड',
+  'recordings.snapshot': 'स्नैपशॉट',
+  'recordings.download': 'डाउनलोड करें',
+  'recordings.delete': 'हटाएँ',
+  'recordings.showFewer': 'कम दिखाएँ',
+  'recordings.showAll.one': 'सभी {count} दिखाएँ',
+  'recordings.showAll.other': 'सभी {count} दिखाएँ',
+  'recordings.unavailable': 'रिकॉर्डिंग उपलब्ध नहीं: {error}',
+  'recordings.notSaved': 'रिकॉर्डिंग सहेजी नहीं गई: {error}',
+  'recordings.notDeleted': 'रिकॉर्डिंग हटाई नहीं गई: {error}',
+  'recordings.recordFailed': 'रिकॉर्डिंग विफल: {error}',
+  'recordings.failed': 'रिकॉर्डिंग विफल।',
+  'recordings.browserUnsupported': 'यह ब्राउज़र वीडियो रिकॉर्ड नहीं कर सकता।',
+  'recordings.streamUnsupported': 'यह ब्राउज़र इस कैमरा स्ट्रीम को रिकॉर्ड नहीं कर सकता।',
+  'recordings.corsError': 'इस कैमरा स्ट्रीम को रिकॉर्ड नहीं किया जा सकता ({error})। इसे CORS चालू करके चलाएँ।',
+
+  'gallery.title': 'पहचान इतिहास',
+  'gallery.loadFailed': 'पहचान लोड नहीं हो सकीं: {error}',
+  'gallery.class': 'रोग वर्ग',
+  'gallery.allClasses': 'सभी वर्ग',
+  'gallery.from': 'से',
+  'gallery.to': 'तक',
+  'gallery.matching.one': '{count} में से {matching} पहचान मेल खाती है।',
+  'gallery.matching.other': '{count} में से {matching} पहचान मेल खाती हैं।',
+  'gallery.showMore.one': 'और दिखाएँ ({count} बाक़ी)',
+  'gallery.showMore.other': 'और दिखाएँ ({count} बाक़ी)',
+  'gallery.source.upload': 'अपलोड',
+  'gallery.source.capture': 'कैमरा फ़ोटो',
+  'gallery.source.auto-scan': 'ऑटो-स्कैन',
+
+  'queue.title': 'पहचान कतार',
+  'queue.finished.one': '{finished}/{count} पूरा',
+  'queue.finished.other': '{finished}/{count} पूरे',
+  'queue.retryFailed': 'विफल दोबारा चलाएँ',
+  'queue.clearFinished': 'पूरे हुए हटाएँ',
+  'queue.retry': 'दोबारा कोशिश करें',
+  'queue.status.queued': 'कतार में',
+  'queue.status.running': 'चल रहा है',
+  'queue.status.done': 'पूरा',
+  'queue.status.failed': 'विफल',
+  'queue.status.waiting': 'ऑफ़लाइन',
+  'queue.attempt': '{status} (प्रयास {attempt})',
+  'queue.batchComplete.one': 'बैच पूरा: {count} में से {done} तस्वीर जाँची गई।',
+  'queue.batchComplete.other': 'बैच पूरा: {count} में से {done} तस्वीरें जाँची गईं।',
+  'queue.batchCompleteFailed.one': 'बैच पूरा: {count} में से {done} तस्वीर जाँची गई, {failed} विफल।',
+  'queue.batchCompleteFailed.other': 'बैच पूरा: {count} में से {done} तस्वीरें जाँची गईं, {failed} विफल।',
+  'queue.imagesWithDisease.one': '{count} तस्वीर में रोग के लक्षण हैं।',
+  'queue.imagesWithDisease.other': '{count} तस्वीरों में रोग के लक्षण हैं।',
+  'queue.noDisease': 'कोई रोग वर्ग नहीं मिला।',
+  'queue.birds': 'पक्षी: {counts}।',
+  'queue.noClassifiedBirds': 'कोई वर्गीकृत पक्षी नहीं',
+  'queue.waiting.one': '{count} तस्वीर कनेक्शन का इंतज़ार कर रही है। यह इसी डिवाइस पर रखी है और अपने आप भेजी जाएगी।',
+  'queue.waiting.other': '{count} तस्वीरें कनेक्शन का इंतज़ार कर रही हैं। ये इसी डिवाइस पर रखी हैं और अपने आप भेजी जाएँगी।',
+  'queue.waitingRetrying.one': '{count} तस्वीर कनेक्शन का इंतज़ार कर रही है – जल्द दोबारा कोशिश होगी। यह इसी डिवाइस पर रखी है और अपने आप भेजी जाएगी।',
+  'queue.waitingRetrying.other': '{count} तस्वीरें कनेक्शन का इंतज़ार कर रही हैं – जल्द दोबारा कोशिश होगी। ये इसी डिवाइस पर रखी हैं और अपने आप भेजी जाएँगी।',
+  'queue.offline': 'कनेक्शन नहीं है – लौटने पर अपने आप भेजा जाएगा।',
+  'queue.retrying': '{error} – {seconds} सेकंड में दोबारा कोशिश',
+
+  'editor.addTitle': 'शेड जोड़ें',
+  'editor.editTitle': '{name} बदलें',
+  'editor.name': 'नाम',
+  'editor.breed': 'नस्ल',
+  'editor.breedPlaceholder': 'जैसे Ross 308',
+  'editor.birdCount': 'पक्षियों की संख्या',
+  'editor.placementDate': 'प्लेसमेंट तारीख़',
+  'editor.sensorSource': 'सेंसर स्रोत',
+  'editor.type': 'प्रकार',
+  'editor.sensorType.demo': 'डेमो',
+  'editor.sensorType.http': 'HTTP',
+  'editor.sensorType.websocket': 'WebSocket',
+  'editor.sensorType.mqtt': 'MQTT',
+  'editor.baseUrl': 'बेस URL',
+  'editor.path': 'पाथ',
+  'editor.topic': 'टॉपिक',
+  'editor.cameraSource': 'कैमरा स्रोत',
+  'editor.cameraType.webcam': 'लोकल कैमरा',
+  'editor.cameraType.mjpeg': 'नेटवर्क स्ट्रीम (MJPEG)',
+  'editor.cameraType.hls': 'नेटवर्क स्ट्रीम (HLS)',
+  'editor.device': 'डिवाइस',
+  'editor.defaultCamera': 'डिफ़ॉल्ट कैमरा',
+  'editor.savedCamera': 'सहेजा गया कैमरा (जुड़ा नहीं)',
+  'editor.detectCameras': 'कैमरे खोजें',
+  'editor.detectCamerasHint': 'जुड़े हुए सभी कैमरों को नाम से दिखाने के लिए कैमरे की अनुमति माँगें',
+  'editor.streamUrl': 'स्ट्रीम URL',
+  'editor.streamUrlRequired': 'नेटवर्क कैमरे का स्ट्रीम URL डालें।',
+  'editor.cameraListFailed': 'कैमरों की सूची नहीं मिली: {error}',
+  'editor.thresholds': 'सीमाएँ',
+  'editor.profile': 'पक्षियों की उम्र का प्रोफ़ाइल',
+  'editor.profileAuto': 'प्लेसमेंट तारीख़ से स्वतः',
+  'editor.thresholdsHint': 'प्रोफ़ाइल का डिफ़ॉल्ट (प्लेसहोल्डर में दिखाया गया) इस्तेमाल करने के लिए खाना ख़ाली छोड़ें।',
+  'editor.metric': 'माप',
+  'editor.warning.min': 'चेतावनी न्यून.',
+  'editor.warning.max': 'चेतावनी अधि.',
+  'editor.critical.min': 'गंभीर न्यून.',
+  'editor.critical.max': 'गंभीर अधि.',
+  'editor.minutes': 'मिनट',
+  'editor.deleteHouse': 'शेड हटाएँ',
+
+  'inference.intro': 'पहचान के अनुरोध डैशबोर्ड सर्वर से होकर सक्रिय बैकएंड तक जाते हैं। API कुंजियाँ सर्वर पर रखी जाती हैं और ब्राउज़र को कभी वापस नहीं भेजी जातीं।',
+  'inference.loadFailed': 'बैकएंड लोड नहीं हो सके: {error}',
+  'inference.adminToken': 'एडमिन टोकन',
+  'inference.unlock': 'अनलॉक करें',
+  'inference.hasSecret': 'क्रेडेंशियल सहेजे गए',
+  'inference.active': 'सक्रिय',
+  'inference.use': 'इस्तेमाल करें',
+  'inference.add': 'बैकएंड जोड़ें',
+  'inference.testBackend': '{name} जाँचें',
+  'inference.editBackend': '{name} बदलें',
+  'inference.deleteBackend': '{name} हटाएँ',
+  'inference.deleteConfirm': 'बैकएंड "{name}" हटाएँ?',
+  'inference.newBackend': 'नया बैकएंड',
+  'inference.editTitle': '{name} बदलें',
+  'inference.builtInHint': 'सर्वर कॉन्फ़िग (ROBOFLOW_* एनवायरनमेंट वेरिएबल या server/config.json) में तय है। इसे यहाँ जाँचा और सक्रिय किया जा सकता है, पर बदला नहीं जा सकता।',
+  'inference.name': 'नाम',
+  'inference.namePlaceholder': 'जैसे Pi इन्फ़रेंस सर्वर',
+  'inference.typeLabel': 'प्रकार',
+  'inference.type.roboflow-workflow': 'Roboflow वर्कफ़्लो',
+  'inference.type.roboflow-model': 'Roboflow होस्टेड मॉडल',
+  'inference.type.http': 'HTTP एंडपॉइंट',
+  'inference.type.mock': 'नकली जवाब',
+  'inference.url': 'URL',
+  'inference.authorization': 'Authorization हेडर',
+  'inference.authorizationPlaceholder': 'वैकल्पिक, जैसे Bearer <token>',
+  'inference.secretSaved': 'सहेजा गया – रखने के लिए ख़ाली छोड़ें',
+  'inference.imageField': 'तस्वीर फ़ील्ड',
+  'inference.imageFieldHint': '{body} के रूप में भेजा जाता है',
+  'inference.apiKey': 'Roboflow API कुंजी',
+  'inference.timeout': 'टाइमआउट (ms)',
+  'inference.mapping': 'जवाब की मैपिंग',
+  'inference.mappingHint': 'जवाब में अनुमान कहाँ हैं। नेस्टिंग के लिए बिंदु और हर आइटम के लिए * लिखें, जैसे {example}। वर्कफ़्लो जवाब में खोजने के लिए पाथ ख़ाली छोड़ें।',
+  'inference.predictionsPath': 'अनुमानों का पाथ',
+  'inference.predictionsPathPlaceholder': '(जवाब में खोजें)',
+  'inference.classField': 'वर्ग फ़ील्ड',
+  'inference.confidenceField': 'विश्वास फ़ील्ड',
+  'inference.healthyClasses': 'स्वस्थ वर्ग',
+  'inference.healthyClassesHint': 'अल्पविराम से अलग; कोई वर्ग स्वस्थ माना जाता है जब इनमें से कोई पूरे शब्द के रूप में उसमें हो।',
+  'inference.ignoredClasses': 'अनदेखे वर्ग',
+  'inference.ignoredClassesHint': 'डिटेक्टर के वे वर्ग जो निदान नहीं हैं।',
+  'inference.test': 'कनेक्शन जाँचें',
+  'inference.testImage': 'तस्वीर:',
+  'inference.testImageNone': '(कोई नहीं चुनी: एक बनाई गई नमूना तस्वीर भेजी जाती है)',
+  'inference.testFailed': 'विफल: {error}',
+  'inference.testFailedStatus': 'विफल ({status}): {error}',
+  'inference.connected': '{ms} ms में जुड़ा।',
+  'inference.predictionsFound.one': '{count} अनुमान मिला',
+  'inference.predictionsFound.other': '{count} अनुमान मिले',
+  'inference.predictionsFoundClasses.one': '{count} अनुमान मिला: {classes}',
+  'inference.predictionsFoundClasses.other': '{count} अनुमान मिले: {classes}',
+  'inference.topPrediction': '। सबसे ऊपर: {name} ({confidence}%)',
+  'inference.noPredictionsHint': 'बनाई गई नमूना तस्वीर में कोई रोग नहीं है, इसलिए अपनी कोई फ़ोटो आज़माएँ। अगर उसमें भी कुछ न मिले, तो नीचे दिए मूल जवाब से अनुमानों का पाथ और फ़ील्ड के नाम मिलाएँ।',
+  'inference.rawResponse': 'मूल जवाब',
+
+  'report.title': 'झुंड स्वास्थ्य रिपोर्ट',
+  'report.house': 'शेड',
+  'report.last': 'पिछले',
+  'report.days.one': '{count} दिन',
+  'report.days.other': '{count} दिन',
+  'report.retention.one': 'सेंसर इतिहास इस ब्राउज़र में {count} दिन रखा जाता है।',
+  'report.retention.other': 'सेंसर इतिहास इस ब्राउज़र में {count} दिन रखा जाता है।',
+  'report.notes': 'टिप्पणियाँ',
+  'report.notesPlaceholder': 'अवलोकन, उपचार, पशु चिकित्सक की जाँच के नतीजे…',
+  'report.generate': 'रिपोर्ट बनाएँ',
+  'report.print': 'प्रिंट करें',
+  'report.downloadPdf': 'PDF डाउनलोड करें',
+  'report.periodInvalid': 'अवधि की शुरुआत उसके अंत से पहले होनी चाहिए।',
+  'report.loadFailed': 'शेड का इतिहास लोड नहीं हो सका: {error}',
+  'report.pdfFailed': 'PDF नहीं बन सका: {error}',
+  'report.pdfUnsupported': 'PDF के फ़ॉन्ट इस रिपोर्ट का कुछ पाठ (दूसरी लिपि या विशेष अक्षर) नहीं दिखा सकते, इसलिए इसे PDF के रूप में डाउनलोड नहीं किया जा सकता। प्रिंट करें चुनें और प्रिंटर में "PDF के रूप में सहेजें" चुनें।',
+  'report.period': 'अवधि: {from} – {to} · {generated} को बनी',
+  'report.breed': 'नस्ल: {breed}',
+  'report.placed': 'प्लेसमेंट: {date}',
+  'report.profile': 'अवधि के अंत में उम्र का प्रोफ़ाइल: {profile}',
+  'report.healthScore': 'स्वास्थ्य स्कोर',
+  'report.noScore': 'इस अवधि का स्कोर बनाने के लिए पर्याप्त डेटा नहीं।',
+  'report.score': 'अवधि की औसत स्थितियों और पहचानों के आधार पर {score}/100 ({grade})।',
+  'report.factor': '{factor}: {max} में से −{penalty}। {detail}',
+  'report.advice': 'सलाह',
+  'report.sensorSummary': 'सेंसर सारांश',
+  'report.readingCount.one': 'अवधि में {count} सहेजी गई रीडिंग।',
+  'report.readingCount.other': 'अवधि में {count} सहेजी गई रीडिंग।',
+  'report.target': 'लक्ष्य',
+  'report.outOfTarget': 'लक्ष्य से बाहर',
+  'report.alertsCritical': '{count} ({critical} गंभीर)',
+  'report.noReadings': 'इस अवधि में कोई रीडिंग नहीं।',
+  'report.scans.one': '{count} स्कैन, {diseased} में रोग ({percent}%), {confidence} या अधिक विश्वास पर।',
+  'report.scans.other': '{count} स्कैन, {diseased} में रोग ({percent}%), {confidence} या अधिक विश्वास पर।',
+  'report.noScans': 'इस अवधि में कोई स्कैन नहीं।',
+  'report.byClass': 'वर्ग के अनुसार: {classes}।',
+  'report.omittedFindings.one': 'रोग वाली {count} और पहचान नहीं दिखाई गई।',
+  'report.omittedFindings.other': 'रोग वाली {count} और पहचान नहीं दिखाई गईं।',
+  'report.page.one': 'पृष्ठ {page} / {count}',
+  'report.page.other': 'पृष्ठ {page} / {count}',
+};
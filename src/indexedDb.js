@@ -0,0 +1,69 @@
+// src/indexedDb.js - Shared IndexedDB plumbing for the browser-side stores
+//
+// Sensor history, detection history, pending images and camera recordings each keep their own
+// database; this module opens them lazily and wraps requests in promises.
+
+/**
+ * Returns a function that opens (and on first use creates) a database. The connection is shared
+ * between calls; a failed open is retried on the next call.
+ * @param {string} name
+ * @param {number} version
+ * @param {function(IDBDatabase): void} upgrade - Creates the object stores and indexes.
+ * @returns {function(): Promise<IDBDatabase>}
+ */
+export const createDatabase = (name, version, upgrade) => {
+  let dbPromise = null;
+  return () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available in this browser.'));
+          return;
+        }
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  };
+};
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Creates a store of per-house, timestamped records with auto-increment ids, indexed by
+ * [houseId, timestamp] for one house's range and by timestamp for pruning.
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ */
+export const createHouseTimeStore = (db, storeName) => {
+  const store = db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+  store.createIndex('houseTime', ['houseId', 'timestamp']);
+  store.createIndex('timestamp', 'timestamp');
+};
+
+/**
+ * Deletes records (for all houses) older than the retention period from a store made by createHouseTimeStore.
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {number} retentionMs
+ * @returns {Promise<number>} Number of records deleted.
+ */
+export const deleteExpired = async (db, storeName, retentionMs) => {
+  const cutoff = IDBKeyRange.upperBound(Date.now() - retentionMs, true);
+  const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+  const keys = await promisify(store.index('timestamp').getAllKeys(cutoff));
+  keys.forEach(key => store.delete(key));
+  return keys.length;
+};
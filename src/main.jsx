@@ -0,0 +1,18 @@
+// src/main.jsx - Bundle entry: mounts the dashboard into #root and registers the service worker
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { App } from './App.jsx';
+
+createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);
+
+// Caches the app shell so the dashboard still opens in a barn without Wi-Fi (needs HTTPS or localhost)
+if ('serviceWorker' in navigator && window.isSecureContext) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+  });
+}
@@ -0,0 +1,145 @@
+// src/reports/flockReport.js - Flock health report for one house and date range
+//
+// The report dialog loads the house's stored readings and detections for the period, and
+// buildFlockReport turns them into what both the print layout (FlockReport.jsx) and the PDF
+// (reportPdf.js) show: sensor statistics with chart series, threshold breaches, the health score
+// over the period and the detections that found disease. Breaches are counted as samples outside
+// each band and as the alerts the alert engine raises for them, which need the metric to stay out
+// for the rule's duration. Pure, like alertRules and healthScore.
+
+import { METRIC_LABELS, AGE_PROFILES, buildRules, classify, createEmptyState, evaluateAlerts, getProfileIdForPlacement } from '../alerts/alertRules.js';
+import { summarize, bucketize } from '../sensors/sensorHistory.js';
+import { summarizeDiseaseRate, diseaseClasses, computeHealthScore, averageReading } from '../health/healthScore.js';
+import { DEFAULT_RESPONSE_MAPPING } from '../detection/responseParser.js';
+
+const METRICS = ['temperature', 'humidity', 'ammonia'];
+export const REPORT_CHART_BUCKETS = 60;
+export const REPORT_MAX_FINDINGS = 48; // Thumbnails in one report; the rest are only counted
+
+/**
+ * The house's age profile at a moment of the period; 'auto' follows the flock's age then.
+ * @param {Object} house
+ * @param {number} timestamp
+ * @returns {string} An AGE_PROFILES id.
+ */
+const profileAt = (house, timestamp) => {
+  const { profileId } = house.thresholds;
+  return !profileId || profileId === 'auto' ? getProfileIdForPlacement(house.placementDate, timestamp) : profileId;
+};
+
+/**
+ * Counts, per metric, the samples outside the warning and critical bands and replays the alert
+ * engine over the readings to count the alerts it raised.
+ * @param {Array<Object>} readings - Stored readings, oldest first.
+ * @param {Function} getRules - (timestamp) => rules from buildRules, as the temperature band moves with bird age.
+ * @returns {Object<string, {samples: number, warning: number, critical: number, alerts: number, criticalAlerts: number}>}
+ *   `warning` counts samples outside the warning band but inside the critical one.
+ */
+export const countBreaches = (readings, getRules) => {
+  const counts = {};
+  METRICS.forEach(metric => { counts[metric] = { samples: 0, warning: 0, critical: 0, alerts: 0, criticalAlerts: 0 }; });
+  let state = createEmptyState();
+  readings.forEach(reading => {
+    const rules = getRules(reading.timestamp);
+    METRICS.forEach(metric => {
+      if (typeof reading[metric] !== 'number') return;
+      counts[metric].samples += 1;
+      const severity = classify(reading[metric], rules[metric]);
+      if (severity) counts[metric][severity] += 1;
+    });
+    const result = evaluateAlerts(state, reading, rules);
+    state = result.state;
+    result.events.forEach(({ type, alert }) => {
+      if (type === 'raised') counts[alert.metric].alerts += 1;
+      if (alert.severity === 'critical') counts[alert.metric].criticalAlerts += 1;
+    });
+  });
+  return counts;
+};
+
+/**
+ * Builds the report.
+ * @param {Object} input
+ * @param {Object} input.house
+ * @param {number} input.from - Period start, epoch ms.
+ * @param {number} input.to - Period end, epoch ms.
+ * @param {Array<Object>} input.readings - Stored readings in the period, oldest first.
+ * @param {Array<Object>} input.detections - Stored detection records in the period.
+ * @param {number} [input.threshold=0] - Minimum confidence for a disease finding.
+ * @param {string} [input.notes='']
+ * @param {number} [input.generatedAt=Date.now()]
+ * @param {Object} [input.mapping] - Response mapping with the healthy and ignored classes; kept for coloring the findings.
+ * @returns {Object}
+ */
+export const buildFlockReport = ({ house, from, to, readings, detections, threshold = 0, notes = '', generatedAt = Date.now(), mapping = DEFAULT_RESPONSE_MAPPING }) => {
+  const rulesByProfile = {};
+  const getRules = (timestamp) => {
+    const profileId = profileAt(house, timestamp);
+    if (!rulesByProfile[profileId]) rulesByProfile[profileId] = buildRules(profileId, house.thresholds.rules);
+    return rulesByProfile[profileId];
+  };
+  const endProfileId = profileAt(house, to);
+  const rules = getRules(to);
+  const breaches = countBreaches(readings, getRules);
+
+  const metrics = METRICS.map(metric => ({
+    metric,
+    ...METRIC_LABELS[metric],
+    stats: summarize(readings, metric),
+    buckets: bucketize(readings, metric, from, to, REPORT_CHART_BUCKETS),
+    warning: rules[metric].warning,
+    critical: rules[metric].critical,
+    breaches: breaches[metric],
+  }));
+
+  const inPeriod = detections.filter(record => record.timestamp >= from && record.timestamp <= to);
+  const findings = inPeriod
+    .map(record => ({ record, classes: diseaseClasses(record, threshold, mapping) }))
+    .filter(finding => finding.classes.length > 0)
+    .sort((a, b) => a.record.timestamp - b.record.timestamp);
+  const health = computeHealthScore({ reading: averageReading(readings), rules, detections: inPeriod, threshold, now: to, mapping });
+
+  return {
+    house: { name: house.name, breed: house.breed, birdCount: house.birdCount, placementDate: house.placementDate },
+    from,
+    to,
+    generatedAt,
+    notes: notes.trim(),
+    threshold,
+    mapping,
+    profile: AGE_PROFILES.find(profile => profile.id === endProfileId),
+    readingCount: readings.length,
+    metrics,
+    health,
+    detections: {
+      ...summarizeDiseaseRate(inPeriod, { now: to, windowMs: to - from + 1, threshold, mapping }),
+      findings: findings.slice(0, REPORT_MAX_FINDINGS),
+      omittedFindings: Math.max(0, findings.length - REPORT_MAX_FINDINGS),
+    },
+  };
+};
+
+/**
+ * Describes a band for the report, e.g. "19–24°C" or "≤ 20 ppm".
+ * @param {{min?: number, max?: number}} band
+ * @param {string} unit
+ * @returns {string}
+ */
+export const formatBand = (band, unit) => {
+  const hasMin = typeof band.min === 'number';
+  const hasMax = typeof band.max === 'number';
+  if (hasMin && hasMax) return `${band.min}–${band.max}${unit}`;
+  if (hasMax) return `≤ ${band.max}${unit}`;
+  return hasMin ? `≥ ${band.min}${unit}` : '–';
+};
+
+/**
+ * File name for the downloaded PDF, e.g. "flock-report-house-1-2024-05-01-to-2024-05-07.pdf".
+ * @param {Object} report - From buildFlockReport.
+ * @returns {string}
+ */
+export const buildReportFilename = (report) => {
+  const day = timestamp => new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+  const slug = report.house.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'house';
+  return `flock-report-${slug}-${day(report.from)}-to-${day(report.to)}.pdf`;
+};
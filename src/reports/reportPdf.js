@@ -0,0 +1,278 @@
+// src/reports/reportPdf.js - Renders a flock health report (flockReport.js) as an A4 PDF in the browser
+//
+// jsPDF is imported on demand, so it only loads when a report is downloaded. Charts and boxes are
+// drawn as vectors; thumbnails are the JPEGs stored with each detection. The built-in PDF fonts
+// only cover Latin-1: a few typographic characters are replaced, and a report with other text
+// (Hindi, or a house name in another script) is not offered as a PDF download; the report dialog
+// points to Print, which uses the browser's fonts.
+
+import { classColor, formatConfidence } from '../detection/classColors.js';
+import { formatBand } from './flockReport.js';
+
+const MARGIN = 15;          // mm
+const CHART_HEIGHT = 32;    // mm
+const THUMBS_PER_ROW = 4;
+
+const pdfText = text => String(text).replace(/[–—−]/g, '-').replace(/≤/g, '<=').replace(/≥/g, '>=');
+
+const isLatin1 = text => !/[^\u0000-\u00ff]/.test(pdfText(text));
+
+/**
+ * The report's texts that the built-in PDF fonts cannot show: the house's name and breed, the
+ * notes, the class names and, through a few headings, the report's language.
+ * @param {Object} report - From buildFlockReport.
+ * @param {Function} t - From useI18n.
+ * @returns {Array<string>} Empty when the PDF can be rendered as is.
+ */
+export const findUnsupportedPdfText = (report, t) => {
+  const texts = [
+    report.house.name,
+    report.house.breed,
+    report.notes,
+    ...Object.keys(report.detections.classes),
+    ...report.detections.findings.flatMap(({ record }) => record.predictions.map(prediction => prediction.class)),
+    t('report.title'),
+    t('report.healthScore'),
+    t('report.sensorSummary'),
+    t('health.factor.disease'),
+  ];
+  return texts.filter(text => text && !isLatin1(text));
+};
+
+const roundTenth = value => Math.round(value * 10) / 10;
+const formatShare = (count, total) => (total ? `${count} (${((count / total) * 100).toFixed(0)}%)` : '-');
+
+/**
+ * Renders the report.
+ * @param {Object} report - From buildFlockReport.
+ * @param {Object} i18n - From useI18n: the report's language and temperature unit.
+ * @returns {Promise<Blob>} application/pdf
+ */
+export const renderReportPdf = async (report, i18n) => {
+  const { t, formatMessage, formatMetric, formatDateTime, convert, unit } = i18n;
+  const formatDate = timestamp => new Date(timestamp).toLocaleDateString(i18n.locale);
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - 2 * MARGIN;
+  let y = MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height <= pageHeight - MARGIN - 5) return;
+    doc.addPage();
+    y = MARGIN;
+  };
+  const write = (text, { size = 10, bold = false, color = '#111827', x = MARGIN, width = contentWidth } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lines = doc.splitTextToSize(pdfText(text), width);
+    const lineHeight = size * 0.45;
+    ensureSpace(lines.length * lineHeight);
+    doc.text(lines, x, y + lineHeight * 0.8);
+    y += lines.length * lineHeight;
+  };
+  const heading = (text) => {
+    ensureSpace(14);
+    y += 4;
+    write(text, { size: 13, bold: true });
+    doc.setDrawColor('#9ca3af');
+    doc.line(MARGIN, y + 1, pageWidth - MARGIN, y + 1);
+    y += 4;
+  };
+
+  // Title block
+  write(t('report.title'), { size: 20, bold: true });
+  write(report.house.name, { size: 14 });
+  y += 2;
+  write(t('report.period', { from: formatDate(report.from), to: formatDate(report.to), generated: formatDateTime(report.generatedAt) }), { color: '#4b5563' });
+  const flock = [
+    report.house.breed && t('report.breed', { breed: report.house.breed }),
+    report.house.birdCount ? t('tile.birds', { count: report.house.birdCount }) : null,
+    report.house.placementDate && t('report.placed', { date: report.house.placementDate }),
+    report.profile && t('report.profile', { profile: t(`profile.${report.profile.id}`) }),
+  ].filter(Boolean);
+  if (flock.length) write(flock.join(' · '), { color: '#4b5563' });
+
+  // Health score
+  heading(t('report.healthScore'));
+  const { health } = report;
+  write(health.score === null
+    ? t('report.noScore')
+    : t('report.score', { score: health.score, grade: t(`health.grade.${health.grade}`) }), { bold: true });
+  health.factors.filter(factor => factor.available && factor.penalty > 0).forEach(factor => {
+    write(t('report.factor', { factor: t(`health.factor.${factor.id}`), penalty: factor.penalty, max: factor.maxPenalty, detail: formatMessage(factor.detail) }), { size: 9, x: MARGIN + 4, width: contentWidth - 4 });
+  });
+  health.advisories.forEach(advisory => {
+    write(`${t(advisory.severity === 'critical' ? 'severity.critical' : 'report.advice')}: ${formatMessage(advisory.message)}`, { size: 9, x: MARGIN + 4, width: contentWidth - 4, color: advisory.severity === 'critical' ? '#b91c1c' : '#92400e' });
+  });
+
+  // Sensor statistics table
+  heading(t('report.sensorSummary'));
+  write(t('report.readingCount', { count: report.readingCount }), { size: 9, color: '#4b5563' });
+  y += 2;
+  const columns = [
+    { label: t('editor.metric'), x: 0 },
+    { label: t('chart.min'), x: 28 },
+    { label: t('chart.avg'), x: 48 },
+    { label: t('chart.max'), x: 68 },
+    { label: t('report.target'), x: 88 },
+    { label: t('report.outOfTarget'), x: 113 },
+    { label: t('severity.critical'), x: 140 },
+    { label: t('alerts.title'), x: 162 },
+  ];
+  const row = (cells, bold) => {
+    ensureSpace(6);
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor('#111827');
+    cells.forEach((cell, index) => doc.text(pdfText(cell), MARGIN + columns[index].x, y + 4));
+    y += 6;
+  };
+  row(columns.map(column => column.label), true);
+  report.metrics.forEach(metric => {
+    const { stats, breaches, warning } = metric;
+    const display = value => (typeof value === 'number' ? roundTenth(convert(value, metric.metric)) : undefined);
+    row([
+      t(`metric.${metric.metric}`),
+      stats ? formatMetric(stats.min, metric.metric) : '-',
+      stats ? formatMetric(stats.avg, metric.metric) : '-',
+      stats ? formatMetric(stats.max, metric.metric) : '-',
+      formatBand({ min: display(warning.min), max: display(warning.max) }, unit(metric.metric)),
+      formatShare(breaches.warning + breaches.critical, breaches.samples),
+      formatShare(breaches.critical, breaches.samples),
+      breaches.criticalAlerts ? t('report.alertsCritical', { count: breaches.alerts, critical: breaches.criticalAlerts }) : String(breaches.alerts),
+    ]);
+  });
+
+  // One chart per metric in the display unit, with the target band dashed
+  report.metrics.forEach(metric => {
+    const buckets = metric.buckets.map(value => (value === null ? null : convert(value, metric.metric)));
+    const values = buckets.filter(value => value !== null);
+    ensureSpace(CHART_HEIGHT + 12);
+    write(`${t(`metric.${metric.metric}`)} (${unit(metric.metric).trim()})`, { size: 10, bold: true });
+    const top = y + 1;
+    const left = MARGIN + 12;
+    const width = contentWidth - 12;
+    doc.setDrawColor('#d1d5db');
+    doc.rect(left, top, width, CHART_HEIGHT);
+    if (values.length) {
+      const bandValues = [metric.warning.min, metric.warning.max].filter(value => typeof value === 'number').map(value => convert(value, metric.metric));
+      const padding = Math.max(0.5, (Math.max(...values) - Math.min(...values)) * 0.1);
+      const min = Math.min(...values, ...bandValues) - padding;
+      const max = Math.max(...values, ...bandValues) + padding;
+      const toY = value => top + CHART_HEIGHT - ((value - min) / (max - min)) * CHART_HEIGHT;
+      const step = width / Math.max(1, buckets.length - 1);
+
+      doc.setLineDashPattern([1, 1], 0);
+      doc.setDrawColor('#f59e0b');
+      bandValues.forEach(value => doc.line(left, toY(value), left + width, toY(value)));
+      doc.setLineDashPattern([], 0);
+
+      doc.setDrawColor('#2563eb');
+      doc.setFillColor('#2563eb');
+      doc.setLineWidth(0.5);
+      buckets.forEach((value, index) => {
+        if (value === null) return;
+        const previous = buckets[index - 1];
+        if (previous !== null && previous !== undefined) {
+          doc.line(left + (index - 1) * step, toY(previous), left + index * step, toY(value));
+        } else {
+          doc.circle(left + index * step, toY(value), 0.3, 'F');
+        }
+      });
+      doc.setLineWidth(0.2);
+
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(7);
+      doc.setTextColor('#4b5563');
+      doc.text(max.toFixed(1), MARGIN, top + 3);
+      doc.text(min.toFixed(1), MARGIN, top + CHART_HEIGHT);
+    } else {
+      doc.setFontSize(8);
+      doc.setTextColor('#6b7280');
+      doc.text(pdfText(t('report.noReadings')), left + width / 2, top + CHART_HEIGHT / 2, { align: 'center' });
+    }
+    doc.setFontSize(7);
+    doc.setTextColor('#4b5563');
+    doc.text(pdfText(formatDate(report.from)), left, top + CHART_HEIGHT + 3.5);
+    doc.text(pdfText(formatDate(report.to)), left + width, top + CHART_HEIGHT + 3.5, { align: 'right' });
+    y = top + CHART_HEIGHT + 7;
+  });
+
+  // Disease detections
+  heading(t('health.factor.disease'));
+  const { detections } = report;
+  const classCounts = Object.entries(detections.classes).sort((a, b) => b[1] - a[1]).map(([name, count]) => `${name} ${count}`);
+  write(detections.total
+    ? `${t('report.scans', { count: detections.total, diseased: detections.diseased, percent: (detections.rate * 100).toFixed(0), confidence: formatConfidence(report.threshold) })}${classCounts.length ? ` ${t('report.byClass', { classes: classCounts.join(', ') })}` : ''}`
+    : t('report.noScans'));
+  y += 2;
+
+  const gap = 4;
+  const thumbWidth = (contentWidth - gap * (THUMBS_PER_ROW - 1)) / THUMBS_PER_ROW;
+  let rowHeight = 0;
+  detections.findings.forEach(({ record, classes }, index) => {
+    const column = index % THUMBS_PER_ROW;
+    let thumbHeight = thumbWidth * 0.75;
+    if (record.thumbnail) {
+      const properties = doc.getImageProperties(record.thumbnail);
+      thumbHeight = thumbWidth * (properties.height / properties.width);
+    }
+    if (column === 0) {
+      ensureSpace(thumbHeight + 12);
+      rowHeight = 0;
+    }
+    rowHeight = Math.max(rowHeight, thumbHeight);
+    const left = MARGIN + column * (thumbWidth + gap);
+    if (record.thumbnail) {
+      doc.addImage(record.thumbnail, 'JPEG', left, y, thumbWidth, thumbHeight);
+      // Boxes are in source-image pixels; the thumbnail is the same image scaled down
+      const scaleX = record.image ? thumbWidth / record.image.width : 0;
+      const scaleY = record.image ? thumbHeight / record.image.height : 0;
+      record.predictions
+        .filter(prediction => scaleX && prediction.box && prediction.confidence >= report.threshold)
+        .forEach(prediction => {
+          const { x, y: centerY, width, height } = prediction.box;
+          const boxLeft = left + (x - width / 2) * scaleX;
+          const boxTop = y + (centerY - height / 2) * scaleY;
+          const color = classColor(prediction.class, report.mapping);
+          doc.setDrawColor(color);
+          doc.setLineWidth(0.4);
+          doc.rect(boxLeft, boxTop, width * scaleX, height * scaleY);
+          doc.setFontSize(5);
+          doc.setTextColor(color);
+          doc.text(pdfText(`${prediction.class} ${formatConfidence(prediction.confidence)}`), boxLeft, Math.max(y + 2, boxTop - 0.5));
+        });
+      doc.setLineWidth(0.2);
+    } else {
+      doc.setDrawColor('#d1d5db');
+      doc.rect(left, y, thumbWidth, thumbHeight);
+    }
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor('#111827');
+    doc.text(doc.splitTextToSize(pdfText(`${formatDateTime(record.timestamp)}\n${classes.join(', ')}`), thumbWidth), left, y + thumbHeight + 3);
+    const rowEnds = column === THUMBS_PER_ROW - 1 || index === detections.findings.length - 1;
+    if (rowEnds) y += rowHeight + 11;
+  });
+  if (detections.omittedFindings) write(t('report.omittedFindings', { count: detections.omittedFindings }), { size: 9, color: '#4b5563' });
+
+  if (report.notes) {
+    heading(t('report.notes'));
+    write(report.notes);
+  }
+
+  // Footer on every page
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor('#6b7280');
+    doc.text(pdfText(`${report.house.name} · ${formatDate(report.from)} - ${formatDate(report.to)}`), MARGIN, pageHeight - 8);
+    doc.text(pdfText(t('report.page', { page, count: pageCount })), pageWidth - MARGIN, pageHeight - 8, { align: 'right' });
+  }
+  return doc.output('blob');
+};
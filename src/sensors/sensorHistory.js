@@ -0,0 +1,129 @@
+// src/sensors/sensorHistory.js - Client-side sensor time-series storage (IndexedDB) and chart helpers
+//
+// Readings are stored as numbers with timestamps, at most one sample per house per
+// SAMPLE_INTERVAL_MS, and pruned after the retention period. Charts bucket the stored
+// samples and show min/max/avg over the selected range.
+
+import { getConfig } from '../config.js';
+import { createDatabase, createHouseTimeStore, deleteExpired, promisify } from '../indexedDb.js';
+
+const DB_NAME = 'poultry-sensor-history';
+const DB_VERSION = 1;
+const STORE = 'readings';
+const METRICS = ['temperature', 'humidity', 'ammonia'];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+export const RANGES = {
+  '1h': HOUR,
+  '24h': DAY,
+  '7d': 7 * DAY,
+  '30d': 30 * DAY,
+};
+
+const config = getConfig('history');
+export const SAMPLE_INTERVAL_MS = config.sampleIntervalMs || 60 * 1000;   // One stored sample per minute
+export const RETENTION_MS = (config.retentionDays || 30) * DAY;           // Longest chart range
+const CHART_BUCKETS = 120;
+
+const openDatabase = createDatabase(DB_NAME, DB_VERSION, db => createHouseTimeStore(db, STORE));
+
+/**
+ * Stores one reading.
+ * @param {string} houseId - House the reading belongs to.
+ * @param {{temperature: ?number, humidity: ?number, ammonia: ?number, timestamp: number}} reading
+ * @returns {Promise<void>}
+ */
+export const addReading = async (houseId, reading) => {
+  const db = await openDatabase();
+  const record = { houseId, timestamp: reading.timestamp };
+  METRICS.forEach(metric => { record[metric] = typeof reading[metric] === 'number' ? reading[metric] : null; });
+  await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).add(record));
+};
+
+/**
+ * Loads a house's readings in a time window, oldest first.
+ * @param {string} houseId
+ * @param {number} from - Epoch ms (inclusive).
+ * @param {number} [to=Date.now()] - Epoch ms (inclusive).
+ * @returns {Promise<Array<Object>>}
+ */
+export const getReadings = async (houseId, from, to = Date.now()) => {
+  const db = await openDatabase();
+  const range = IDBKeyRange.bound([houseId, from], [houseId, to]);
+  return promisify(db.transaction(STORE).objectStore(STORE).index('houseTime').getAll(range));
+};
+
+/**
+ * Deletes readings (for all houses) older than the retention period.
+ * @param {number} [retentionMs=RETENTION_MS]
+ * @returns {Promise<number>} Number of readings deleted.
+ */
+export const pruneReadings = async (retentionMs = RETENTION_MS) => {
+  const db = await openDatabase();
+  return deleteExpired(db, STORE, retentionMs);
+};
+
+/**
+ * Computes min/max/avg for one metric, ignoring missing values.
+ * @param {Array<Object>} readings
+ * @param {string} metric
+ * @returns {?{min: number, max: number, avg: number, count: number}} Null if there are no values.
+ */
+export const summarize = (readings, metric) => {
+  const values = readings.map(r => r[metric]).filter(v => typeof v === 'number');
+  if (values.length === 0) return null;
+  const sum = values.reduce((total, v) => total + v, 0);
+  return { min: Math.min(...values), max: Math.max(...values), avg: sum / values.length, count: values.length };
+};
+
+/**
+ * Averages readings into fixed-width time buckets for charting. Empty buckets are null so gaps show as gaps.
+ * @param {Array<Object>} readings
+ * @param {string} metric
+ * @param {number} from - Window start, epoch ms.
+ * @param {number} to - Window end, epoch ms.
+ * @param {number} [bucketCount=CHART_BUCKETS]
+ * @returns {Array<?number>}
+ */
+export const bucketize = (readings, metric, from, to, bucketCount = CHART_BUCKETS) => {
+  const width = (to - from) / bucketCount;
+  const sums = new Array(bucketCount).fill(0);
+  const counts = new Array(bucketCount).fill(0);
+  readings.forEach(r => {
+    if (typeof r[metric] !== 'number') return;
+    const index = Math.min(bucketCount - 1, Math.floor((r.timestamp - from) / width));
+    if (index < 0) return;
+    sums[index] += r[metric];
+    counts[index] += 1;
+  });
+  return sums.map((sum, i) => (counts[i] ? sum / counts[i] : null));
+};
+
+/**
+ * Builds SVG path data for a bucketed series, breaking the line at gaps.
+ * @param {Array<?number>} buckets
+ * @param {number} min - Y-axis minimum.
+ * @param {number} max - Y-axis maximum.
+ * @param {number} width - SVG width.
+ * @param {number} height - SVG height.
+ * @returns {string}
+ */
+export const buildPath = (buckets, min, max, width, height) => {
+  const span = max - min || 1;
+  const step = width / Math.max(1, buckets.length - 1);
+  let path = '';
+  let penDown = false;
+  buckets.forEach((value, i) => {
+    if (value === null) {
+      penDown = false;
+      return;
+    }
+    const x = (i * step).toFixed(1);
+    const y = (height - ((value - min) / span) * height).toFixed(1);
+    // Each segment starts with a zero-length line so isolated samples still render as a dot
+    path += penDown ? `L${x},${y} ` : `M${x},${y} L${x},${y} `;
+    penDown = true;
+  });
+  return path.trim();
+};
@@ -0,0 +1,368 @@
+// src/sensors/sensorSources.js - Pluggable sensor data sources for the Poultry Health Dashboard
+//
+// A sensor source delivers { temperature, humidity, ammonia } readings to the dashboard.
+// Supported source types:
+//   - 'demo'      : simulated readings (no hardware required)
+//   - 'http'      : polls a REST endpoint on the Raspberry Pi (e.g. GET /sensor_data)
+//   - 'websocket' : subscribes to a WebSocket stream of JSON readings
+//   - 'mqtt'      : subscribes to MQTT topics over WebSockets (mqtt.js is loaded on demand)
+//
+// No React here: the useSensorSource hook (src/hooks/useSensorSource.js) runs these sources.
+
+import { getConfig } from '../config.js';
+
+// Plausible physical ranges; anything outside is treated as a sensor fault, not a reading.
+export const METRIC_RANGES = {
+  temperature: { min: -40, max: 80 },   // °C
+  humidity: { min: 0, max: 100 },       // % RH
+  ammonia: { min: 0, max: 500 },        // ppm
+};
+const METRICS = Object.keys(METRIC_RANGES);
+
+export const DEFAULT_SENSOR_CONFIG = {
+  type: 'demo',
+  baseUrl: '',                // e.g. http://192.168.1.50:5000 or ws://192.168.1.50:8080
+  path: '/sensor_data',
+  intervalMs: 5000,           // Polling / simulation interval
+  timeoutMs: 4000,            // HTTP request timeout
+  staleAfterMs: 15000,        // Readings older than this are flagged as stale
+  reconnectDelayMs: 3000,     // Initial WebSocket/MQTT reconnect delay (doubles up to 30s)
+  topic: 'poultry/sensors',   // MQTT topic carrying JSON readings
+  topics: null,               // Optional per-metric MQTT topics, e.g. { temperature: 'house1/temp' }
+  username: '',
+  password: '',
+};
+
+/**
+ * Error thrown when a sensor payload is missing fields or contains implausible values.
+ */
+export class SensorPayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SensorPayloadError';
+  }
+}
+
+/**
+ * Parses a single metric value. Accepts numbers and numeric strings ("24.3", "24.3°C").
+ * @param {string} metric - Metric name, used in error messages.
+ * @param {*} value - Raw value from the payload.
+ * @returns {number|null} The parsed value, or null if the metric is absent.
+ */
+const parseMetric = (metric, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number)) {
+    throw new SensorPayloadError(`${metric} is not a number: ${JSON.stringify(value)}`);
+  }
+  const { min, max } = METRIC_RANGES[metric];
+  if (number < min || number > max) {
+    throw new SensorPayloadError(`${metric} out of range (${min} to ${max}): ${number}`);
+  }
+  return number;
+};
+
+/**
+ * Parses an optional payload timestamp (ISO string, epoch seconds or epoch milliseconds).
+ * @param {*} value - Raw timestamp from the payload.
+ * @returns {number} Epoch milliseconds; now if the payload has no usable timestamp.
+ */
+const parseTimestamp = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value < 1e12 ? value * 1000 : value; // Pi scripts usually send time.time() seconds
+  }
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  return Date.now();
+};
+
+/**
+ * Validates a raw payload from any source and normalizes it to a reading.
+ * Missing metrics are allowed (not every house has an ammonia sensor), but at least one is required.
+ * @param {Object} payload - Parsed JSON payload.
+ * @returns {{temperature: ?number, humidity: ?number, ammonia: ?number, timestamp: number}}
+ * @throws {SensorPayloadError} If the payload is not an object, has no metrics, or a value is invalid.
+ */
+export const validateSensorPayload = (payload) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new SensorPayloadError('Sensor payload must be a JSON object.');
+  }
+  const reading = { timestamp: parseTimestamp(payload.timestamp) };
+  for (const metric of METRICS) {
+    reading[metric] = parseMetric(metric, payload[metric]);
+  }
+  if (METRICS.every(metric => reading[metric] === null)) {
+    throw new SensorPayloadError(`Sensor payload contains none of: ${METRICS.join(', ')}.`);
+  }
+  return reading;
+};
+
+/**
+ * Merges one per-metric message (e.g. from an MQTT topic per sensor) into the latest values and validates the result.
+ * @param {Object} latest - Raw values received so far, by metric.
+ * @param {string} metric - Metric the message is for.
+ * @param {*} value - Raw message value.
+ * @returns {{latest: Object, reading: Object}} The merged raw values to keep and the validated reading.
+ * @throws {SensorPayloadError} If the merged values are invalid; the caller keeps its previous values, so one
+ *   bad message does not poison every later reading.
+ */
+export const mergeMetricMessage = (latest, metric, value) => {
+  const merged = { ...latest, [metric]: value };
+  return { latest: merged, reading: validateSensorPayload(merged) };
+};
+
+/**
+ * Joins a base URL and a path without doubling or dropping slashes.
+ * @param {string} baseUrl - e.g. "http://localhost:5000/".
+ * @param {string} path - e.g. "/sensor_data".
+ * @returns {string}
+ */
+export const joinUrl = (baseUrl, path) => {
+  if (!path) return baseUrl;
+  if (!baseUrl) return path;
+  return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+};
+
+// --- Source implementations ---
+// Each factory returns { type, label, start(handlers), stop() } where handlers are
+// { onReading(reading), onConnectionChange(connected), onError(message) }.
+
+const createDemoSource = (config) => {
+  let interval = null;
+  return {
+    type: 'demo',
+    label: 'Demo (simulated)',
+    start: ({ onReading, onConnectionChange }) => {
+      const emit = () => onReading({
+        temperature: +(Math.random() * (30 - 20) + 20).toFixed(1), // 20.0-30.0 °C
+        humidity: +(Math.random() * (70 - 40) + 40).toFixed(1),    // 40.0-70.0 %
+        ammonia: +(Math.random() * (20 - 5) + 5).toFixed(1),       // 5.0-20.0 ppm
+        timestamp: Date.now(),
+      });
+      onConnectionChange(true);
+      emit();
+      interval = setInterval(emit, config.intervalMs);
+    },
+    stop: () => clearInterval(interval),
+  };
+};
+
+const createHttpPollingSource = (config) => {
+  const url = joinUrl(config.baseUrl, config.path);
+  let interval = null;
+  let controller = null;
+  let stopped = false;
+  return {
+    type: 'http',
+    label: `HTTP ${url}`,
+    start: ({ onReading, onConnectionChange, onError }) => {
+      const poll = async () => {
+        if (controller) return; // Previous request still in flight; never let slow requests pile up
+        const current = new AbortController();
+        controller = current;
+        const timeout = setTimeout(() => current.abort(), config.timeoutMs);
+        try {
+          const response = await fetch(url, { signal: current.signal, headers: { Accept: 'application/json' } });
+          if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+          const reading = validateSensorPayload(await response.json());
+          if (stopped) return;
+          onConnectionChange(true);
+          onReading(reading);
+        } catch (error) {
+          if (stopped) return;
+          onConnectionChange(false);
+          onError(error.name === 'AbortError' ? `Request to ${url} timed out.` : error.message);
+        } finally {
+          clearTimeout(timeout);
+          controller = null;
+        }
+      };
+      poll();
+      interval = setInterval(poll, config.intervalMs);
+    },
+    stop: () => {
+      stopped = true;
+      clearInterval(interval);
+      if (controller) controller.abort();
+    },
+  };
+};
+
+/**
+ * Shared reconnect loop for push-based sources (WebSocket, MQTT).
+ * @param {Object} config - Sensor config (reconnectDelayMs).
+ * @param {Function} connect - Opens a connection; receives ({ onOpen, onClose }) and returns a close function.
+ * @returns {{start: Function, stop: Function}}
+ */
+const withReconnect = (config, connect) => {
+  let closeConnection = null;
+  let retryTimer = null;
+  let delay = config.reconnectDelayMs;
+  let stopped = false;
+
+  const open = (handlers) => {
+    closeConnection = connect({
+      ...handlers,
+      onOpen: () => {
+        delay = config.reconnectDelayMs;
+        handlers.onConnectionChange(true);
+      },
+      onClose: (reason) => {
+        if (stopped) return;
+        handlers.onConnectionChange(false);
+        if (reason) handlers.onError(reason);
+        retryTimer = setTimeout(() => open(handlers), delay);
+        delay = Math.min(delay * 2, 30000);
+      },
+    });
+  };
+
+  return {
+    start: (handlers) => open(handlers),
+    stop: () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (closeConnection) closeConnection();
+    },
+  };
+};
+
+const createWebSocketSource = (config) => {
+  const url = joinUrl(config.baseUrl, config.path);
+  const loop = withReconnect(config, ({ onOpen, onClose, onReading, onError }) => {
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      setTimeout(() => onClose(error.message), 0);
+      return () => {};
+    }
+    socket.onopen = onOpen;
+    socket.onmessage = (event) => {
+      try {
+        onReading(validateSensorPayload(JSON.parse(event.data)));
+      } catch (error) {
+        onError(`Invalid message from ${url}: ${error.message}`);
+      }
+    };
+    socket.onclose = () => onClose(`WebSocket ${url} closed.`);
+    return () => {
+      socket.onclose = null;
+      socket.close();
+    };
+  });
+  return { type: 'websocket', label: `WebSocket ${url}`, ...loop };
+};
+
+const createMqttSource = (config) => {
+  const url = config.baseUrl; // Broker WebSocket URL, e.g. ws://raspberrypi.local:9001
+  const metricTopics = config.topics || null;
+  const loop = withReconnect(config, ({ onOpen, onClose, onReading, onError }) => {
+    let client = null;
+    let closed = false;
+    // mqtt.js is only downloaded when a house actually uses an MQTT source
+    import('mqtt')
+      .then(({ default: mqtt }) => {
+        if (closed) return;
+        // mqtt.js has its own reconnect, but we disable it so both push sources back off the same way.
+        client = mqtt.connect(url, {
+          username: config.username || undefined,
+          password: config.password || undefined,
+          reconnectPeriod: 0,
+        });
+        let latest = {}; // Per-metric topics arrive separately; merge them into one reading
+        client.on('connect', () => {
+          client.subscribe(metricTopics ? Object.values(metricTopics) : config.topic);
+          onOpen();
+        });
+        client.on('message', (topic, message) => {
+          try {
+            const text = message.toString();
+            if (metricTopics) {
+              const metric = Object.keys(metricTopics).find(key => metricTopics[key] === topic);
+              if (!metric) return;
+              const merged = mergeMetricMessage(latest, metric, text);
+              latest = merged.latest;
+              onReading(merged.reading);
+            } else {
+              onReading(validateSensorPayload(JSON.parse(text)));
+            }
+          } catch (error) {
+            onError(`Invalid message on ${topic}: ${error.message}`);
+          }
+        });
+        client.on('error', error => onError(`MQTT error: ${error.message}`));
+        client.on('close', () => onClose(`MQTT broker ${url} disconnected.`));
+      })
+      .catch(error => onClose(`MQTT library could not be loaded: ${error.message}`));
+    return () => {
+      closed = true;
+      if (!client) return;
+      client.removeAllListeners('close');
+      client.end(true);
+    };
+  });
+  return { type: 'mqtt', label: `MQTT ${url}`, ...loop };
+};
+
+const SOURCE_FACTORIES = {
+  demo: createDemoSource,
+  http: createHttpPollingSource,
+  websocket: createWebSocketSource,
+  mqtt: createMqttSource,
+};
+
+/**
+ * Creates a sensor source from a config object.
+ * @param {Object} config - Partial sensor config; merged over DEFAULT_SENSOR_CONFIG.
+ * @returns {{type: string, label: string, start: Function, stop: Function}}
+ * @throws {Error} If the source type is unknown or a non-demo source has no baseUrl.
+ */
+export const createSensorSource = (config) => {
+  const fullConfig = { ...DEFAULT_SENSOR_CONFIG, ...config };
+  const factory = SOURCE_FACTORIES[fullConfig.type];
+  if (!factory) {
+    throw new Error(`Unknown sensor source type "${fullConfig.type}". Use one of: ${Object.keys(SOURCE_FACTORIES).join(', ')}.`);
+  }
+  if (fullConfig.type !== 'demo' && !fullConfig.baseUrl) {
+    throw new Error(`Sensor source "${fullConfig.type}" needs a baseUrl (e.g. http://raspberrypi.local:5000).`);
+  }
+  return factory(fullConfig);
+};
+
+/**
+ * Resolves a sensor source config: a house's own config (or the sensorSource section of
+ * config.js when none is given), overridable from the page URL for local testing, e.g.
+ * ?sensorSource=http&sensorUrl=http://localhost:5000 or ?sensorSource=mqtt&sensorUrl=ws://localhost:9001&sensorTopic=house1/sensors
+ * URL overrides apply to every house, so a single mock Pi server can feed the whole dashboard.
+ * @param {Object} [baseConfig] - Sensor config to start from.
+ * @returns {Object} The merged sensor config.
+ */
+export const resolveSensorConfig = (baseConfig) => {
+  const fileConfig = baseConfig || getConfig('sensorSource');
+  const params = new URLSearchParams(window.location.search);
+  const overrides = {};
+  if (params.get('sensorSource')) overrides.type = params.get('sensorSource');
+  if (params.get('sensorUrl')) overrides.baseUrl = params.get('sensorUrl');
+  if (params.get('sensorPath') !== null) overrides.path = params.get('sensorPath');
+  if (params.get('sensorTopic')) overrides.topic = params.get('sensorTopic');
+  return { ...DEFAULT_SENSOR_CONFIG, ...fileConfig, ...overrides };
+};
+
+/**
+ * Derives the connection status shown on the Live Environment Data card.
+ * @param {boolean} connected - Whether the transport is currently up.
+ * @param {?number} lastUpdated - Epoch ms of the last valid reading.
+ * @param {number} staleAfterMs - Age after which a reading is considered stale.
+ * @param {number} now - Current epoch ms.
+ * @returns {'connected'|'stale'|'disconnected'}
+ */
+export const getSensorStatus = (connected, lastUpdated, staleAfterMs, now) => {
+  if (!connected) return 'disconnected';
+  if (!lastUpdated || now - lastUpdated > staleAfterMs) return 'stale';
+  return 'connected';
+};
+
+export const SOURCE_TYPES = Object.keys(SOURCE_FACTORIES);
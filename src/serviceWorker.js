@@ -0,0 +1,87 @@
+// src/serviceWorker.js - Offline support: caches the app shell so the dashboard opens without Wi-Fi
+//
+// Built to dist/sw.js by scripts/build.js, which fills in the build id and the files to precache.
+// Page loads and config.js go to the network first and fall back to the cache; hashed assets are
+// served from the cache. The API (/api/*) and cross-origin requests (sensor server, camera
+// streams) are never intercepted, so a failed detection is handled by the page's offline queue.
+
+/* global __BUILD_ID__, __PRECACHE_URLS__ */
+
+const CACHE_PREFIX = 'poultry-shell-';
+const SHELL_CACHE = `${CACHE_PREFIX}${__BUILD_ID__}`;
+const FONT_CACHE = 'poultry-fonts';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const NETWORK_FIRST_PATHS = ['config.js']; // Edited on deployments without a rebuild
+
+const scopeUrl = path => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(__PRECACHE_URLS__.map(scopeUrl)))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+/**
+ * Tries the network and refreshes the cached copy; falls back to the cache (or `fallbackUrl`) offline.
+ * @param {Request} request
+ * @param {string} [fallbackUrl]
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Serves from the cache, fetching (and caching) on a miss.
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Opaque responses (cross-origin fonts without CORS) report status 0 but are still usable
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    if (FONT_HOSTS.includes(url.hostname)) event.respondWith(cacheFirst(request, FONT_CACHE));
+    return;
+  }
+  if (url.href.startsWith(scopeUrl('api/'))) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, scopeUrl('index.html')));
+  } else if (NETWORK_FIRST_PATHS.some(path => url.href.split('?')[0] === scopeUrl(path))) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
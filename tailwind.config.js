@@ -0,0 +1,9 @@
+// tailwind.config.js - Classes are collected from the page template and every source module
+
+export default {
+  content: ['./index.html', './src/**/*.{js,jsx}'],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};
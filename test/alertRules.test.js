@@ -0,0 +1,93 @@
+// test/alertRules.test.js - Alert rules, duration conditions, escalation and resolution
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRules,
+  classify,
+  createEmptyState,
+  evaluateAlerts,
+  acknowledgeAlert,
+  clearResolvedAlerts,
+  getMetricSeverity,
+  getProfileIdForPlacement,
+} from '../src/alerts/alertRules.js';
+
+const MINUTE = 60 * 1000;
+
+// Feeds ammonia readings (one per minute from startMinute) through the engine
+const runAmmonia = (values, state = createEmptyState(), startMinute = 0) => {
+  const rules = buildRules('grower');
+  const events = [];
+  values.forEach((ammonia, index) => {
+    const result = evaluateAlerts(state, { timestamp: (startMinute + index) * MINUTE, ammonia }, rules);
+    state = result.state;
+    events.push(...result.events);
+  });
+  return { state, events };
+};
+
+test('buildRules follows the age profile and merges overrides', () => {
+  assert.deepEqual(buildRules('brooding').temperature.warning, { min: 30, max: 35 });
+  const rules = buildRules('grower', { ammonia: { critical: { max: 30 }, durationMinutes: 5 } });
+  assert.deepEqual(rules.ammonia.warning, { max: 20 });
+  assert.deepEqual(rules.ammonia.critical, { max: 30 });
+  assert.equal(rules.ammonia.durationMinutes, 5);
+  assert.deepEqual(buildRules('unknown'), buildRules('grower'));
+});
+
+test('classify reports the worst band a value breaks', () => {
+  const rule = buildRules('grower').ammonia;
+  assert.equal(classify(10, rule), null);
+  assert.equal(classify(22, rule), 'warning');
+  assert.equal(classify(26, rule), 'critical');
+  assert.equal(classify(19, rule, rule.clearMargin), 'warning');
+});
+
+test('an alert is only raised once the breach lasts the rule duration', () => {
+  const early = runAmmonia(new Array(15).fill(22));
+  assert.equal(early.events.length, 0);
+  const { state, events } = runAmmonia(new Array(16).fill(22));
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'raised');
+  assert.equal(events[0].alert.severity, 'warning');
+  assert.equal(events[0].alert.startedAt, 0);
+  assert.deepEqual(events[0].alert.limit, { direction: 'above', value: 20 });
+  assert.equal(getMetricSeverity(state.alerts, 'ammonia'), 'warning');
+});
+
+test('a short spike does not raise an alert', () => {
+  const { state } = runAmmonia([...new Array(10).fill(30), ...new Array(10).fill(10)]);
+  assert.deepEqual(state.alerts, []);
+});
+
+test('a sustained worse reading escalates and reactivates an acknowledged alert', () => {
+  let { state } = runAmmonia(new Array(16).fill(22));
+  state = acknowledgeAlert(state, state.alerts[0].id, 16 * MINUTE);
+  assert.equal(state.alerts[0].status, 'acknowledged');
+  const { state: next, events } = runAmmonia(new Array(16).fill(27), state, 16);
+  assert.deepEqual(events.map(event => event.type), ['escalated']);
+  assert.equal(next.alerts.length, 1);
+  assert.equal(next.alerts[0].severity, 'critical');
+  assert.equal(next.alerts[0].status, 'active');
+  assert.equal(next.alerts[0].peakValue, 27);
+});
+
+test('alerts resolve only inside the clear margin', () => {
+  let { state } = runAmmonia(new Array(16).fill(22));
+  ({ state } = runAmmonia([19], state, 16));
+  assert.equal(state.alerts[0].status, 'active');
+  ({ state } = runAmmonia([17], state, 17));
+  assert.equal(state.alerts[0].status, 'resolved');
+  assert.equal(state.alerts[0].resolvedAt, 17 * MINUTE);
+  assert.equal(getMetricSeverity(state.alerts, 'ammonia'), null);
+  assert.deepEqual(clearResolvedAlerts(state).alerts, []);
+});
+
+test('getProfileIdForPlacement picks the profile for the flock age', () => {
+  const now = Date.parse('2024-05-20T12:00:00Z');
+  assert.equal(getProfileIdForPlacement('2024-05-17', now), 'brooding');
+  assert.equal(getProfileIdForPlacement('2024-05-08', now), 'week2');
+  assert.equal(getProfileIdForPlacement('2024-03-01', now), 'grower');
+  assert.equal(getProfileIdForPlacement(null, now), 'grower');
+});
@@ -0,0 +1,86 @@
+// test/backends.test.js - Validation and storage of the inference backends registered from the settings panel
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BackendConfigError,
+  validateBackend,
+  toPublicBackend,
+  describeDefaultBackend,
+  createBackendStore,
+} from '../server/backends.js';
+
+const modelBackend = { name: 'Hosted model', type: 'roboflow-model', url: 'https://detect.roboflow.com/poultry/3', apiKey: 'secret' };
+
+const tempStore = () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'backends-')), 'backends.json');
+  const defaultBackend = describeDefaultBackend({ inferenceMode: 'mock', roboflow: {} });
+  return { file, store: createBackendStore({ file, defaultBackend }) };
+};
+
+test('validateBackend fills in the defaults for the backend type', () => {
+  const backend = validateBackend(modelBackend);
+  assert.match(backend.id, /^backend-/);
+  assert.equal(backend.timeoutMs, 30000);
+  assert.equal(backend.imageField, undefined);
+  assert.equal(backend.mapping.predictionsPath, 'predictions');
+  assert.deepEqual(backend.mapping.healthyClasses, ['healthy']);
+
+  const http = validateBackend({ name: 'Pi', type: 'http', url: 'http://pi.local:9001/predict', mapping: { healthyClasses: 'normal, ok ,', predictionsPath: ' result.*.detections ' } });
+  assert.equal(http.imageField, 'image');
+  assert.equal(http.apiKey, '');
+  assert.deepEqual(http.mapping.healthyClasses, ['normal', 'ok']);
+  assert.equal(http.mapping.predictionsPath, 'result.*.detections');
+});
+
+test('validateBackend rejects incomplete backends', () => {
+  const invalid = [
+    { ...modelBackend, name: ' ' },
+    { ...modelBackend, type: 'ftp' },
+    { ...modelBackend, url: 'detect.roboflow.com' },
+    { ...modelBackend, timeoutMs: 50 },
+    { ...modelBackend, apiKey: '' },
+    { ...modelBackend, mapping: { classKey: '' } },
+  ];
+  invalid.forEach(input => assert.throws(() => validateBackend(input), BackendConfigError));
+});
+
+test('secrets left empty keep their saved value and never reach the browser', () => {
+  const saved = validateBackend(modelBackend);
+  const edited = validateBackend({ ...modelBackend, name: 'Renamed', apiKey: '' }, saved);
+  assert.equal(edited.id, saved.id);
+  assert.equal(edited.apiKey, 'secret');
+  const visible = toPublicBackend(edited);
+  assert.equal(visible.apiKey, undefined);
+  assert.equal(visible.hasApiKey, true);
+  assert.equal(visible.hasAuthorization, false);
+});
+
+test('a saved secret is only kept while the type and URL stay the same', () => {
+  const saved = validateBackend(modelBackend);
+  assert.throws(() => validateBackend({ ...modelBackend, apiKey: '', url: 'https://evil.example/steal' }, saved), /Enter the API key again/);
+  const moved = validateBackend({ ...modelBackend, apiKey: 'new-secret', url: 'https://detect.roboflow.com/poultry/4' }, saved);
+  assert.equal(moved.apiKey, 'new-secret');
+  const http = validateBackend({ name: 'Pi', type: 'http', url: 'http://pi.local:9001/predict', authorization: 'Bearer abc' });
+  assert.equal(validateBackend({ ...http, authorization: '', url: 'http://other.local/predict' }, http).authorization, '');
+});
+
+test('the store persists backends and falls back to the default when the active one is deleted', () => {
+  const { file, store } = tempStore();
+  assert.deepEqual(store.list().backends.map(backend => backend.id), ['default']);
+
+  const saved = store.save(modelBackend);
+  store.activate(saved.id);
+  assert.equal(store.getActive().name, 'Hosted model');
+  const reloaded = createBackendStore({ file, defaultBackend: describeDefaultBackend({ inferenceMode: 'mock', roboflow: {} }) });
+  assert.equal(reloaded.getActive().id, saved.id);
+
+  store.remove(saved.id);
+  assert.equal(store.list().activeId, 'default');
+  assert.throws(() => store.get(saved.id), error => error.status === 404);
+  assert.throws(() => store.save(modelBackend, 'default'), error => error.status === 403);
+  assert.throws(() => store.remove('default'), error => error.status === 403);
+});
@@ -0,0 +1,41 @@
+// test/cameraSources.test.js - Camera source defaults, constraints and recording file names
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeCameraSource,
+  isNetworkCamera,
+  buildVideoConstraints,
+  pickRecorderMimeType,
+  buildRecordingFilename,
+} from '../src/cameras/cameraSources.js';
+
+test('normalizeCameraSource fills defaults and upgrades legacy stream cameras', () => {
+  assert.deepEqual(normalizeCameraSource(), { type: 'webcam', deviceId: '', url: '' });
+  assert.deepEqual(normalizeCameraSource({ type: 'stream', url: 'http://pi/stream.mjpg' }), { type: 'mjpeg', deviceId: '', url: 'http://pi/stream.mjpg' });
+  assert.deepEqual(normalizeCameraSource({ type: 'hls', url: 'http://pi/live.m3u8' }), { type: 'hls', deviceId: '', url: 'http://pi/live.m3u8' });
+});
+
+test('isNetworkCamera is true for MJPEG and HLS streams only', () => {
+  assert.equal(isNetworkCamera({ type: 'mjpeg' }), true);
+  assert.equal(isNetworkCamera({ type: 'hls' }), true);
+  assert.equal(isNetworkCamera({ type: 'webcam' }), false);
+});
+
+test('buildVideoConstraints pins a chosen device and falls back to the default camera', () => {
+  assert.deepEqual(buildVideoConstraints('abc'), { video: { deviceId: { exact: 'abc' } }, audio: false });
+  assert.deepEqual(buildVideoConstraints(''), { video: true, audio: false });
+});
+
+test('pickRecorderMimeType returns the first supported format', () => {
+  assert.equal(pickRecorderMimeType(() => true), 'video/webm;codecs=vp9');
+  assert.equal(pickRecorderMimeType(type => type === 'video/mp4'), 'video/mp4');
+  assert.equal(pickRecorderMimeType(() => false), '');
+});
+
+test('buildRecordingFilename includes the house, kind and local time', () => {
+  const timestamp = new Date(2024, 4, 1, 14, 3, 22).getTime();
+  assert.equal(buildRecordingFilename('House 2', 'clip', timestamp, 'video/webm;codecs=vp9'), 'house-2_clip_2024-05-01_14-03-22.webm');
+  assert.equal(buildRecordingFilename('Broilers (North)', 'snapshot', timestamp, 'image/jpeg'), 'broilers-north_snapshot_2024-05-01_14-03-22.jpg');
+  assert.equal(buildRecordingFilename('!!!', 'clip', timestamp, 'video/mp4'), 'house_clip_2024-05-01_14-03-22.mp4');
+});
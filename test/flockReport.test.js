@@ -0,0 +1,110 @@
+// test/flockReport.test.js - Flock report statistics, breach counts, detection findings and PDF text support
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRules } from '../src/alerts/alertRules.js';
+import { countBreaches, buildFlockReport, formatBand, buildReportFilename, REPORT_MAX_FINDINGS } from '../src/reports/flockReport.js';
+import { findUnsupportedPdfText } from '../src/reports/reportPdf.js';
+import { createI18n } from '../src/i18n/i18n.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const FROM = Date.parse('2024-05-01T00:00:00Z');
+const TO = FROM + 7 * DAY - 1;
+const rules = buildRules('grower'); // Ammonia warning above 20 ppm for 15 minutes, critical above 25 ppm
+
+const house = {
+  name: 'House 1',
+  breed: 'Ross 308',
+  birdCount: 12000,
+  placementDate: '2024-03-01',
+  thresholds: { profileId: 'auto', rules: {} },
+};
+
+// One reading per minute with the given ammonia levels
+const readings = ammoniaLevels => ammoniaLevels.map((ammonia, index) => ({
+  timestamp: FROM + index * MINUTE,
+  temperature: 21,
+  humidity: 60,
+  ammonia,
+}));
+
+const record = (dayOffset, ...predictions) => ({
+  timestamp: FROM + dayOffset * DAY,
+  thumbnail: null,
+  image: { width: 640, height: 480 },
+  predictions: predictions.map(([name, confidence]) => ({ class: name, confidence, box: null })),
+});
+
+test('countBreaches counts samples per band and the alerts the engine raises', () => {
+  const levels = [...new Array(20).fill(22), ...new Array(5).fill(10), ...new Array(5).fill(26)];
+  const counts = countBreaches(readings(levels), () => rules);
+  assert.deepEqual(counts.ammonia, { samples: 30, warning: 20, critical: 5, alerts: 1, criticalAlerts: 0 });
+  assert.deepEqual(counts.temperature, { samples: 30, warning: 0, critical: 0, alerts: 0, criticalAlerts: 0 });
+});
+
+test('countBreaches counts an escalation to critical', () => {
+  const counts = countBreaches(readings(new Array(40).fill(27)), () => rules);
+  assert.equal(counts.ammonia.critical, 40);
+  assert.equal(counts.ammonia.alerts, 1);        // Raised as critical once 15 minutes have passed
+  assert.equal(counts.ammonia.criticalAlerts, 1);
+});
+
+test('buildFlockReport summarizes sensors and lists detections with disease', () => {
+  const report = buildFlockReport({
+    house,
+    from: FROM,
+    to: TO,
+    readings: readings([10, 12, 14]),
+    detections: [
+      record(1, ['Coccidiosis', 0.8], ['chicken', 0.9]),
+      record(2, ['Healthy', 0.9]),
+      record(3, ['Salmonella', 0.3]),             // Below the threshold
+      record(9, ['Coccidiosis', 0.9]),            // Outside the period
+    ],
+    threshold: 0.4,
+    notes: '  Vet visit on day 3.  ',
+    generatedAt: TO,
+  });
+  assert.equal(report.readingCount, 3);
+  assert.equal(report.profile.id, 'grower');
+  const ammonia = report.metrics.find(metric => metric.metric === 'ammonia');
+  assert.deepEqual(ammonia.stats, { min: 10, max: 14, avg: 12, count: 3 });
+  assert.equal(ammonia.buckets.length, 60);
+  assert.equal(ammonia.buckets.filter(value => value !== null).length, 1); // Three minutes fall in one bucket
+  assert.deepEqual(ammonia.warning, { max: 20 });
+  assert.equal(report.detections.total, 3);
+  assert.equal(report.detections.diseased, 1);
+  assert.deepEqual(report.detections.classes, { Coccidiosis: 1 });
+  assert.deepEqual(report.detections.findings.map(finding => finding.classes), [['Coccidiosis']]);
+  assert.equal(typeof report.health.score, 'number'); // Scored from the averaged readings
+  assert.equal(report.notes, 'Vet visit on day 3.');
+});
+
+test('buildFlockReport keeps at most REPORT_MAX_FINDINGS thumbnails', () => {
+  const detections = Array.from({ length: REPORT_MAX_FINDINGS + 5 }, (_, index) => record(index / 100, ['Coccidiosis', 0.9]));
+  const report = buildFlockReport({ house, from: FROM, to: TO, readings: [], detections });
+  assert.equal(report.detections.findings.length, REPORT_MAX_FINDINGS);
+  assert.equal(report.detections.omittedFindings, 5);
+  assert.equal(report.detections.findings[0].record.timestamp, FROM); // Oldest first
+  assert.equal(report.metrics[0].stats, null);
+});
+
+test('formatBand and buildReportFilename', () => {
+  assert.equal(formatBand({ min: 19, max: 24 }, '°C'), '19–24°C');
+  assert.equal(formatBand({ max: 20 }, ' ppm'), '≤ 20 ppm');
+  assert.equal(formatBand({ min: 50 }, '%'), '≥ 50%');
+  const name = buildReportFilename({ house: { name: 'House #1 (North)' }, from: FROM + DAY / 2, to: TO - DAY / 2 });
+  assert.match(name, /^flock-report-house-1-north-2024-05-0\d-to-2024-05-0\d\.pdf$/);
+});
+
+test('findUnsupportedPdfText flags text the built-in PDF fonts cannot show', () => {
+  const { t } = createI18n({ locale: 'en', temperatureUnit: 'C' });
+  const detections = [record(1, ['Coccidiosis', 0.9])];
+  const latin = buildFlockReport({ house: { ...house, name: 'Galpón 1' }, from: FROM, to: TO, readings: [], detections, notes: 'Vet visit – all fine' });
+  assert.deepEqual(findUnsupportedPdfText(latin, t), []); // Latin-1, and dashes are replaced
+  const named = buildFlockReport({ house: { ...house, name: 'शेड 1' }, from: FROM, to: TO, readings: [], detections });
+  assert.deepEqual(findUnsupportedPdfText(named, t), ['शेड 1']);
+  const hindi = createI18n({ locale: 'hi', temperatureUnit: 'C' });
+  assert.ok(findUnsupportedPdfText(latin, hindi.t).includes('झुंड स्वास्थ्य रिपोर्ट'));
+});
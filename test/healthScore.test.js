@@ -0,0 +1,125 @@
+// test/healthScore.test.js - Health score factors, advisories and trend
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRules } from '../src/alerts/alertRules.js';
+import {
+  heatIndex,
+  summarizeDiseaseRate,
+  computeHealthScore,
+  averageReading,
+  scoreTrend,
+} from '../src/health/healthScore.js';
+
+const NOW = Date.parse('2024-05-10T08:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const rules = buildRules('grower'); // Temperature band 19–24°C, humidity 50–70%, ammonia up to 20 ppm
+
+const record = (hoursAgo, ...classes) => ({
+  timestamp: NOW - hoursAgo * HOUR,
+  predictions: classes.map(name => ({ class: name, confidence: 0.9, box: null })),
+});
+
+const factor = (result, id) => result.factors.find(entry => entry.id === id);
+
+test('heatIndex matches the NWS table', () => {
+  assert.ok(Math.abs(heatIndex(32.2, 70) - 40.6) < 0.5); // 90°F at 70% is 106°F
+  assert.ok(Math.abs(heatIndex(20, 50) - 19.6) < 0.5);   // Below 80°F the heat index is close to the temperature
+});
+
+test('summarizeDiseaseRate counts recent records with a confident disease class', () => {
+  const records = [
+    record(1, 'Coccidiosis', 'chicken'),
+    record(2, 'Healthy'),
+    record(3, 'chicken'),
+    record(30, 'Salmonella'),
+    record(24 * 8, 'Coccidiosis'), // Outside the 7-day window
+    { timestamp: NOW - HOUR, predictions: [{ class: 'Salmonella', confidence: 0.2, box: null }] },
+  ];
+  assert.deepEqual(summarizeDiseaseRate(records, { now: NOW, threshold: 0.4 }), {
+    total: 5,
+    diseased: 2,
+    rate: 0.4,
+    classes: { Coccidiosis: 1, Salmonella: 1 },
+  });
+});
+
+test('computeHealthScore is 100 for ideal conditions without disease', () => {
+  const result = computeHealthScore({
+    reading: { temperature: 21, humidity: 60, ammonia: 5 },
+    rules,
+    detections: [record(1, 'Healthy')],
+    now: NOW,
+  });
+  assert.equal(result.score, 100);
+  assert.equal(result.grade, 'good');
+  assert.ok(result.factors.every(entry => entry.available && entry.penalty === 0));
+  assert.deepEqual(result.advisories, []);
+});
+
+test('computeHealthScore explains each penalty', () => {
+  const result = computeHealthScore({
+    reading: { temperature: 21, humidity: 85, ammonia: 25 },
+    rules,
+    detections: [record(1, 'Coccidiosis'), record(2, 'Healthy')],
+    now: NOW,
+  });
+  assert.equal(factor(result, 'temperature').penalty, 0);
+  assert.equal(factor(result, 'humidity').penalty, 10);      // Past the critical limit (80%)
+  assert.equal(factor(result, 'ammonia').penalty, 25);       // At the critical limit (25 ppm)
+  assert.equal(factor(result, 'disease').penalty, 30);       // Disease in half of the scans
+  assert.deepEqual(factor(result, 'ammonia').detail, {
+    key: 'health.detail.above',
+    params: { value: { metric: 'ammonia', value: 25, digits: undefined }, limit: { metric: 'ammonia', value: 20, digits: 0 } },
+  });
+  assert.deepEqual(factor(result, 'disease').detail, {
+    key: 'health.detail.diseaseScans',
+    params: { count: 2, diseased: 1, days: 7, classes: 'Coccidiosis' },
+  });
+  assert.equal(result.score, 100 - 10 - 25 - 30);
+  assert.equal(result.grade, 'poor');
+});
+
+test('computeHealthScore scales the available factors to 100', () => {
+  const noSensors = computeHealthScore({ reading: null, rules, detections: [record(1, 'Coccidiosis'), record(2, 'Healthy'), record(3, 'Healthy'), record(4, 'Healthy')], now: NOW });
+  assert.equal(noSensors.score, 50); // Only the disease factor, half of its points lost
+  assert.equal(factor(noSensors, 'temperature').available, false);
+
+  const nothing = computeHealthScore({ reading: null, rules, detections: [], now: NOW });
+  assert.equal(nothing.score, null);
+  assert.equal(nothing.grade, null);
+});
+
+test('computeHealthScore penalizes heat stress from the heat index', () => {
+  const result = computeHealthScore({ reading: { temperature: 24, humidity: 70, ammonia: 5 }, rules, detections: [], now: NOW });
+  assert.equal(factor(result, 'temperature').penalty, 0); // At the band limit
+  assert.ok(factor(result, 'heatStress').penalty > 0);    // But it feels hotter at 70% humidity
+  assert.ok(result.advisories.some(advisory => advisory.id === 'heat-stress'));
+});
+
+test('advisories combine sensor readings with detections', () => {
+  const ids = (reading, detections) => computeHealthScore({ reading, rules, detections, now: NOW }).advisories.map(advisory => advisory.id);
+  assert.deepEqual(ids({ temperature: 21, humidity: 78, ammonia: 5 }, [record(1, 'Coccidiosis')]), ['humid-coccidiosis']);
+  assert.deepEqual(ids({ temperature: 21, humidity: 78, ammonia: 5 }, [record(1, 'Healthy')]), []);
+  assert.deepEqual(ids({ temperature: 21, humidity: 78, ammonia: 22 }, []), ['wet-litter']);
+  assert.deepEqual(ids({ temperature: 16, humidity: 60, ammonia: 5 }, []), ['too-cold']);
+  assert.deepEqual(ids(null, [record(1, 'Salmonella')]), ['salmonella']);
+  assert.ok(ids(null, [record(1, 'New Castle Disease')]).includes('newcastle'));
+  assert.ok(ids(null, [record(1, 'Coccidiosis'), record(2, 'Healthy'), record(3, 'Healthy')]).includes('disease-rate'));
+});
+
+test('averageReading averages each metric and skips missing values', () => {
+  assert.equal(averageReading([]), null);
+  assert.deepEqual(averageReading([
+    { timestamp: 1, temperature: 20, humidity: 50, ammonia: null },
+    { timestamp: 2, temperature: 22, humidity: 60, ammonia: null },
+  ]), { timestamp: 2, temperature: 21, humidity: 55, ammonia: null });
+});
+
+test('scoreTrend ignores small changes', () => {
+  assert.equal(scoreTrend(80, 70), 'up');
+  assert.equal(scoreTrend(70, 80), 'down');
+  assert.equal(scoreTrend(80, 78), 'flat');
+  assert.equal(scoreTrend(80, null), null);
+  assert.equal(scoreTrend(null, 80), null);
+});
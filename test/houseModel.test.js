@@ -0,0 +1,30 @@
+// test/houseModel.test.js - House validation and restoring the saved list
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HouseConfigError, validateHouse, restoreSavedHouses } from '../src/houses/houseModel.js';
+
+test('validateHouse fills in defaults and rejects invalid houses', () => {
+  const house = validateHouse({ id: 'h1', name: '  Shed A ' }, 0);
+  assert.equal(house.name, 'Shed A');
+  assert.equal(house.sensorSource.type, 'demo');
+  assert.throws(() => validateHouse({ name: 'Shed B', birdCount: -1 }, 1), HouseConfigError);
+  assert.throws(() => validateHouse({ name: 'Shed C', sensorSource: { type: 'serial' } }, 2), /unknown sensor source type/);
+  assert.equal(validateHouse({ name: 'Shed D', autoScan: { enabled: true, intervalMinutes: 30 } }, 3).autoScan.intervalMinutes, 30);
+  [0, -5, '15', NaN, Infinity, null].forEach(intervalMinutes => {
+    assert.throws(() => validateHouse({ name: 'Shed E', autoScan: { enabled: true, intervalMinutes } }, 4), /invalid auto-scan interval/);
+  });
+  assert.throws(() => validateHouse({ name: 'Shed F', autoScan: 'on' }, 5), /invalid auto-scan settings/);
+});
+
+test('restoreSavedHouses keeps the valid houses when one entry is broken', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const houses = restoreSavedHouses([
+    { id: 'h1', name: 'Shed A' },
+    { id: 'h2', name: 'Shed B', sensorSource: { type: 'serial' } },
+    { id: 'h3', name: 'Shed C', birdCount: 500 },
+  ]);
+  assert.deepEqual(houses.map(house => house.id), ['h1', 'h3']);
+  assert.equal(console.error.mock.callCount(), 1);
+  assert.deepEqual(restoreSavedHouses(null), []);
+});
@@ -0,0 +1,87 @@
+// test/i18n.test.js - Translations, plural forms, temperature units and display settings
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOCALES, translate, translateParts, pickLocale, celsiusToFahrenheit, createI18n, message, MessageError, messageFromError } from '../src/i18n/i18n.js';
+import { en } from '../src/i18n/locales/en.js';
+import { es } from '../src/i18n/locales/es.js';
+import { hi } from '../src/i18n/locales/hi.js';
+import { normalizeDisplaySettings } from '../src/display/displaySettings.js';
+
+const placeholders = message => (message.match(/\{\w+\}/g) || []).sort();
+
+test('every translation has an English key and the same placeholders', () => {
+  [es, hi].forEach(table => {
+    Object.entries(table).forEach(([key, message]) => {
+      assert.ok(key in en, `${key} is not an English key`);
+      assert.deepEqual(placeholders(message), placeholders(en[key]), key);
+    });
+  });
+  assert.deepEqual(LOCALES.map(locale => locale.id), ['en', 'es', 'hi']);
+});
+
+test('translate interpolates, picks plural forms and falls back to English', () => {
+  assert.equal(translate('en', 'tile.openAlerts', { count: 1 }), '1 open alert');
+  assert.equal(translate('es', 'tile.openAlerts', { count: 3 }), '3 alertas abiertas');
+  assert.equal(translate('hi', 'tile.openAlerts', { count: 2 }), '2 खुले अलर्ट');
+  assert.equal(translate('en', 'tile.birds', { count: 12000 }), '12,000 birds');
+  assert.equal(translate('es', 'house.minutes', { count: 5 }), '5 min');          // No plural variants
+  assert.equal(translate('es', 'house.cameraTitle', { name: 'Galpón 1' }), 'Cámara de Galpón 1');
+  assert.equal(translate('fr', 'tile.noAlerts'), 'No alerts');            // Unknown locale
+  assert.equal(translate('es', 'no.such.key'), 'no.such.key');
+  assert.equal(translate('en', 'tile.day'), 'day {day}');                 // Missing values stay visible
+  const react = { link: 'react' };
+  const tailwind = { link: 'tailwind' };
+  assert.deepEqual(translateParts('en', 'app.footer.builtWith', { react, tailwind }), ['Built with ', react, ' and ', tailwind, '.']);
+});
+
+test('pickLocale takes the first supported browser language', () => {
+  assert.equal(pickLocale(['fr-FR', 'es-MX', 'en']), 'es');
+  assert.equal(pickLocale(['hi-IN']), 'hi');
+  assert.equal(pickLocale(['de']), 'en');
+  assert.equal(pickLocale(), 'en');
+});
+
+test('createI18n converts temperatures only for display', () => {
+  assert.equal(celsiusToFahrenheit(0), 32);
+  assert.equal(celsiusToFahrenheit(37), 98.6);
+  const fahrenheit = createI18n({ locale: 'en', temperatureUnit: 'F' });
+  assert.equal(fahrenheit.formatMetric(21.5, 'temperature'), '70.7°F');
+  assert.equal(fahrenheit.formatMetric(32, 'temperature', 0), '90°F');
+  assert.equal(fahrenheit.formatMetric(55.25, 'humidity'), '55.3%');
+  assert.equal(fahrenheit.formatMetric(12, 'ammonia'), '12.0 ppm');
+  assert.equal(fahrenheit.unit('temperature'), '°F');
+  const spanish = createI18n({ locale: 'es', temperatureUnit: 'C' });
+  assert.equal(spanish.formatMetric(21.5, 'temperature'), '21,5°C');
+  assert.equal(spanish.formatMetric(null, 'temperature'), 'N/D');
+});
+
+test('formatMessage translates messages from pure modules with their sensor values in the display unit', () => {
+  const message = { key: 'health.detail.above', params: { value: { metric: 'temperature', value: 30.25 }, limit: { metric: 'temperature', value: 24, digits: 0 } } };
+  assert.equal(createI18n({ locale: 'en', temperatureUnit: 'C' }).formatMessage(message), '30.3°C, above 24°C');
+  assert.equal(createI18n({ locale: 'es', temperatureUnit: 'F' }).formatMessage(message), '86,5°F, por encima de 75°F');
+  assert.equal(createI18n({ locale: 'en', temperatureUnit: 'C' }).formatMessage({ key: 'health.detail.noScans', params: { count: 7 } }), 'No scans in the last 7 days');
+});
+
+test('formatMessage translates nested messages and times, and errors carry their message', () => {
+  const error = new MessageError('camera.frameCorsError', { error: messageFromError(new Error('SecurityError')) });
+  assert.equal(error.message, 'Cannot read frames from this camera stream (SecurityError). Serve it with CORS enabled.');
+  assert.deepEqual(messageFromError(error), message('camera.frameCorsError', { error: message('common.error', { error: 'SecurityError' }) }));
+  const spanish = createI18n({ locale: 'es', temperatureUnit: 'C' });
+  assert.equal(spanish.formatMessage(message('recordings.recordFailed', { error: messageFromError(new MessageError('recordings.failed')) })), 'Falló la grabación: Falló la grabación.');
+  const at = new Date(2026, 0, 1, 14, 5).getTime();
+  assert.equal(spanish.formatMessage(message('house.autoScanRateLimited', { max: 12, time: { time: at } })),
+    `Se alcanzó el límite de escaneos automáticos (12/hora); el siguiente se permite a las ${spanish.formatTime(at)}.`);
+});
+
+test('normalizeDisplaySettings keeps valid choices and falls back to config, then browser language', () => {
+  assert.deepEqual(normalizeDisplaySettings(null), { locale: 'en', temperatureUnit: 'C', theme: 'dark' });
+  assert.deepEqual(
+    normalizeDisplaySettings(null, { config: { temperatureUnit: 'F', theme: 'daylight' }, languages: ['hi-IN'] }),
+    { locale: 'hi', temperatureUnit: 'F', theme: 'daylight' },
+  );
+  assert.deepEqual(
+    normalizeDisplaySettings({ locale: 'es', temperatureUnit: 'K', theme: 'neon' }, { config: { locale: 'hi' } }),
+    { locale: 'es', temperatureUnit: 'C', theme: 'dark' },
+  );
+});
@@ -0,0 +1,132 @@
+// test/responseParser.test.js - Workflow response parsing, run against the mock server's responses
+
+import crypto from 'node:crypto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getTopPrediction,
+  parseWorkflowPredictions,
+  summarizeClasses,
+  formatClassCounts,
+  isHealthyClass,
+  isGenericClass,
+  DEFAULT_RESPONSE_MAPPING,
+} from '../src/detection/responseParser.js';
+import { summarizeBatch } from '../src/detection/batchSummary.js';
+import { SCENARIOS, buildMockResponse } from '../server/mockResponses.js';
+
+// A PNG header is enough for the mock to read the image size
+const pngHeader = (width, height) => {
+  const buffer = Buffer.alloc(24);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+// Finds image bytes for which the mock picks the named scenario (it hashes the image)
+const responseFor = (scenarioName, width = 800, height = 600) => {
+  const index = SCENARIOS.findIndex(scenario => scenario.name === scenarioName);
+  for (let seed = 0; ; seed += 1) {
+    const image = Buffer.concat([pngHeader(width, height), Buffer.from(String(seed))]);
+    if (crypto.createHash('sha1').update(image).digest()[0] % SCENARIOS.length === index) return buildMockResponse(image);
+  }
+};
+
+test('crop classifications relabel the detector boxes they belong to', () => {
+  const { predictions, image } = parseWorkflowPredictions(responseFor('coccidiosis case'));
+  assert.deepEqual(image, { width: 800, height: 600 });
+  assert.deepEqual(predictions.map(p => p.class), ['Healthy', 'Coccidiosis', 'Healthy']);
+  assert.equal(predictions[1].confidence, 0.83);
+  assert.deepEqual(predictions[1].box, { x: 440, y: 300, width: 168, height: 174 });
+});
+
+test('a response without birds has no predictions', () => {
+  const { predictions, image } = parseWorkflowPredictions(responseFor('no birds'));
+  assert.deepEqual(predictions, []);
+  assert.deepEqual(image, { width: 800, height: 600 });
+});
+
+test('classification-only responses are parsed without boxes', () => {
+  const data = { outputs: [{ model_predictions: { predictions: [{ class: 'Salmonella', confidence: 0.7 }, { class: 'Healthy', confidence: 0.3 }] } }] };
+  const { predictions } = parseWorkflowPredictions(data);
+  assert.deepEqual(predictions.map(p => [p.class, p.box]), [['Salmonella', null], ['Healthy', null]]);
+  assert.deepEqual(getTopPrediction(data), { class: 'Salmonella', confidence: 0.7 });
+});
+
+test('malformed responses yield nothing instead of throwing', () => {
+  for (const data of [null, {}, { outputs: 'x' }, { outputs: [{ predictions: [null, { class: 3 }] }] }]) {
+    assert.deepEqual(parseWorkflowPredictions(data).predictions, []);
+    assert.equal(getTopPrediction(data), null);
+  }
+});
+
+test('getTopPrediction skips the generic chicken detector class', () => {
+  assert.equal(getTopPrediction(responseFor('healthy flock')), null);
+});
+
+test('summarizeClasses applies the threshold and ignores generic classes', () => {
+  const predictions = [
+    { class: 'Healthy', confidence: 0.9 },
+    { class: 'Healthy', confidence: 0.5 },
+    { class: 'Salmonella', confidence: 0.6 },
+    { class: 'Salmonella', confidence: 0.3 },
+    { class: 'chicken', confidence: 0.99 },
+  ];
+  const summary = summarizeClasses(predictions, 0.4);
+  assert.deepEqual(summary.map(entry => [entry.class, entry.count]), [['Healthy', 2], ['Salmonella', 1]]);
+  assert.equal(summary[0].avgConfidence, 0.7);
+  assert.equal(formatClassCounts(summary), '2 Healthy, 1 Salmonella');
+});
+
+test('isHealthyClass matches healthy labels on whole words', () => {
+  assert.ok(isHealthyClass('Healthy'));
+  assert.ok(isHealthyClass('healthy_chicken'));
+  assert.ok(!isHealthyClass('New Castle Disease'));
+  assert.ok(!isHealthyClass('Unhealthy'));
+  assert.ok(!isHealthyClass('unhealthy_chicken'));
+});
+
+test('a predictions path reads hosted model responses with custom field names', () => {
+  const mapping = { ...DEFAULT_RESPONSE_MAPPING, predictionsPath: 'result.*.detections', classKey: 'label', confidenceKey: 'score' };
+  const data = {
+    result: [
+      { image: { width: 640, height: 480 }, detections: [{ label: 'Coccidiosis', score: 0.4, x: 10, y: 20, width: 30, height: 40 }, { label: 'chicken', score: 0.95 }] },
+      { detections: [{ label: 'Salmonella', score: 0.8 }, { class: 'Healthy', confidence: 0.9 }] },
+    ],
+  };
+  const { predictions, image } = parseWorkflowPredictions(data, mapping);
+  assert.deepEqual(image, { width: 640, height: 480 });
+  assert.deepEqual(predictions.map(p => [p.class, p.confidence]), [['Coccidiosis', 0.4], ['chicken', 0.95], ['Salmonella', 0.8]]);
+  assert.deepEqual(predictions[0].box, { x: 10, y: 20, width: 30, height: 40 });
+  // The most confident prediction that is not an ignored detector class
+  assert.deepEqual(getTopPrediction(data, mapping), { class: 'Salmonella', confidence: 0.8 });
+  assert.deepEqual(parseWorkflowPredictions({ result: 'x' }, mapping).predictions, []);
+});
+
+test('mapped healthy and ignored classes replace the defaults', () => {
+  const mapping = { ...DEFAULT_RESPONSE_MAPPING, healthyClasses: ['normal', 'ok'], ignoredClasses: ['Bird'] };
+  assert.ok(isHealthyClass('Normal_droppings', mapping));
+  assert.ok(!isHealthyClass('Healthy', mapping));
+  assert.ok(isGenericClass('bird', mapping));
+  assert.ok(!isGenericClass('chicken', mapping));
+  const summary = summarizeClasses([{ class: 'bird', confidence: 0.9 }, { class: 'chicken', confidence: 0.9 }], 0, mapping);
+  assert.deepEqual(summary.map(entry => entry.class), ['chicken']);
+});
+
+test('summarizeBatch counts statuses and images with disease', () => {
+  const items = [
+    { status: 'done', data: responseFor('healthy flock') },
+    { status: 'done', data: responseFor('mixed diseases') },
+    { status: 'failed', data: null },
+    { status: 'running', data: null },
+    { status: 'waiting', data: null },
+  ];
+  const summary = summarizeBatch(items, 0.4);
+  assert.deepEqual(
+    { total: summary.total, done: summary.done, failed: summary.failed, pending: summary.pending, waiting: summary.waiting, imagesWithDisease: summary.imagesWithDisease },
+    { total: 5, done: 2, failed: 1, pending: 2, waiting: 1, imagesWithDisease: 1 },
+  );
+  // The mixed scenario's 0.35 Healthy bird falls below the threshold
+  assert.equal(summary.classSummary.find(entry => entry.class === 'Healthy').count, 5);
+});
@@ -0,0 +1,33 @@
+// test/sensorHistory.test.js - History summaries and chart bucketing
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarize, bucketize, buildPath } from '../src/sensors/sensorHistory.js';
+
+const readings = [
+  { timestamp: 0, temperature: 20, humidity: null },
+  { timestamp: 10, temperature: 22, humidity: 60 },
+  { timestamp: 55, temperature: 30, humidity: 70 },
+  { timestamp: 99, temperature: 28 },
+];
+
+test('summarize ignores missing values', () => {
+  assert.deepEqual(summarize(readings, 'temperature'), { min: 20, max: 30, avg: 25, count: 4 });
+  assert.deepEqual(summarize(readings, 'humidity'), { min: 60, max: 70, avg: 65, count: 2 });
+  assert.equal(summarize(readings, 'ammonia'), null);
+});
+
+test('bucketize averages per bucket and leaves gaps as null', () => {
+  assert.deepEqual(bucketize(readings, 'temperature', 0, 100, 4), [21, null, 30, 28]);
+  assert.deepEqual(bucketize(readings, 'humidity', 0, 100, 4), [60, null, 70, null]);
+});
+
+test('bucketize drops readings before the window and clamps the end', () => {
+  assert.deepEqual(bucketize([{ timestamp: -5, temperature: 1 }, { timestamp: 100, temperature: 2 }], 'temperature', 0, 100, 2), [null, 2]);
+});
+
+test('buildPath breaks the line at gaps', () => {
+  const path = buildPath([0, 10, null, 5], 0, 10, 30, 10);
+  assert.equal((path.match(/M/g) || []).length, 2);
+  assert.ok(path.startsWith('M0.0,10.0'));
+});
@@ -0,0 +1,66 @@
+// test/sensorSources.test.js - Sensor payload validation and source helpers
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SensorPayloadError,
+  validateSensorPayload,
+  mergeMetricMessage,
+  joinUrl,
+  getSensorStatus,
+  createSensorSource,
+} from '../src/sensors/sensorSources.js';
+
+test('validateSensorPayload accepts numbers and numeric strings', () => {
+  const reading = validateSensorPayload({ temperature: '24.3°C', humidity: 61, timestamp: '2024-05-01T10:00:00Z' });
+  assert.deepEqual(reading, { timestamp: Date.parse('2024-05-01T10:00:00Z'), temperature: 24.3, humidity: 61, ammonia: null });
+});
+
+test('validateSensorPayload converts epoch seconds to milliseconds', () => {
+  assert.equal(validateSensorPayload({ ammonia: 12, timestamp: 1714557600 }).timestamp, 1714557600000);
+  assert.equal(validateSensorPayload({ ammonia: 12, timestamp: 1714557600000 }).timestamp, 1714557600000);
+});
+
+test('validateSensorPayload rejects invalid payloads', () => {
+  const invalid = [
+    null,
+    [],
+    'text',
+    {},
+    { humidity: 'wet' },
+    { temperature: 120 },
+    { ammonia: -1 },
+  ];
+  invalid.forEach(payload => assert.throws(() => validateSensorPayload(payload), SensorPayloadError, JSON.stringify(payload)));
+});
+
+test('mergeMetricMessage keeps the previous values when a message is invalid', () => {
+  const first = mergeMetricMessage({}, 'temperature', '24.5');
+  assert.equal(first.reading.temperature, 24.5);
+  assert.throws(() => mergeMetricMessage(first.latest, 'humidity', 'n/a'), SensorPayloadError);
+  assert.deepEqual(first.latest, { temperature: '24.5' });
+  const next = mergeMetricMessage(first.latest, 'ammonia', '11');
+  assert.equal(next.reading.temperature, 24.5);
+  assert.equal(next.reading.ammonia, 11);
+});
+
+test('joinUrl neither doubles nor drops slashes', () => {
+  assert.equal(joinUrl('http://pi.local:5000/', '/sensor_data'), 'http://pi.local:5000/sensor_data');
+  assert.equal(joinUrl('http://pi.local:5000', 'sensor_data'), 'http://pi.local:5000/sensor_data');
+  assert.equal(joinUrl('http://pi.local:5000', ''), 'http://pi.local:5000');
+  assert.equal(joinUrl('', '/sensor_data'), '/sensor_data');
+});
+
+test('getSensorStatus distinguishes connected, stale and disconnected', () => {
+  const now = 100000;
+  assert.equal(getSensorStatus(false, now, 15000, now), 'disconnected');
+  assert.equal(getSensorStatus(true, null, 15000, now), 'stale');
+  assert.equal(getSensorStatus(true, now - 20000, 15000, now), 'stale');
+  assert.equal(getSensorStatus(true, now - 5000, 15000, now), 'connected');
+});
+
+test('createSensorSource rejects unknown types and missing URLs', () => {
+  assert.throws(() => createSensorSource({ type: 'serial' }), /Unknown sensor source type "serial"/);
+  assert.throws(() => createSensorSource({ type: 'http' }), /needs a baseUrl/);
+  assert.equal(createSensorSource({ type: 'demo' }).type, 'demo');
+});
@@ -0,0 +1,194 @@
+// test/server.test.js - HTTP routes of the dashboard server against a stubbed inference backend
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, resolveStaticPath } from '../server/index.js';
+import { InferenceError } from '../server/inference.js';
+import { createBackendStore, describeDefaultBackend } from '../server/backends.js';
+
+// The tests call the server through loopback, so they opt in to managing backends from it
+const baseConfig = { inferenceMode: 'mock', roboflow: {}, maxImageBytes: 1024, corsOrigin: '', adminToken: '', allowLoopbackAdmin: true };
+
+/**
+ * Starts a server on a random port.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Overrides of baseConfig.
+ * @param {Object} [options.backend] - Stub for the built-in backend.
+ * @param {string} [options.remoteAddress] - Pretends every connection comes from this address.
+ * @returns {Promise<{url: string, store: Object, close: Function}>}
+ */
+const startServer = async ({ config = {}, backend = { mode: 'mock', detect: async () => ({ outputs: [] }) }, remoteAddress } = {}) => {
+  const fullConfig = { ...baseConfig, ...config };
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'server-')), 'backends.json');
+  const store = createBackendStore({ file, defaultBackend: describeDefaultBackend(fullConfig) });
+  const server = createServer(fullConfig, backend, store);
+  if (remoteAddress) server.on('connection', socket => Object.defineProperty(socket, 'remoteAddress', { value: remoteAddress }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    store,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+const postJson = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Collects the requests a fake inference service receives.
+ * @returns {Promise<{url: string, requests: Array<string>, close: Function}>}
+ */
+const startSink = async () => {
+  const requests = [];
+  const sink = http.createServer((req, res) => {
+    requests.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{}');
+  });
+  await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${sink.address().port}/predict`, requests, close: () => new Promise(resolve => sink.close(resolve)) };
+};
+
+const savedModel = { name: 'Hosted model', type: 'roboflow-model', url: 'https://detect.roboflow.com/poultry/3', apiKey: 'SECRET-KEY-123' };
+
+test('backend routes refuse other devices unless they send the admin token', async (t) => {
+  const lan = await startServer({ remoteAddress: '192.168.1.20' });
+  t.after(lan.close);
+  const refused = await fetch(`${lan.url}/api/backends`);
+  assert.equal(refused.status, 403);
+  assert.equal((await postJson(`${lan.url}/api/backends`, savedModel)).status, 403);
+  assert.equal((await postJson(`${lan.url}/api/backends/default/activate`, {})).status, 403);
+  assert.equal((await postJson(`${lan.url}/api/backends/test`, { backend: savedModel })).status, 403);
+  assert.deepEqual(lan.store.list().backends.map(backend => backend.id), ['default']);
+
+  // Other devices still learn how to read detection responses
+  const health = await (await fetch(`${lan.url}/api/health`)).json();
+  assert.equal(health.mapping.classKey, 'class');
+
+  const withToken = await startServer({ remoteAddress: '192.168.1.20', config: { adminToken: 'letmein' } });
+  t.after(withToken.close);
+  assert.equal((await fetch(`${withToken.url}/api/backends`, { headers: { Authorization: 'Bearer wrong' } })).status, 403);
+  assert.equal((await fetch(`${withToken.url}/api/backends`, { headers: { Authorization: 'Bearer letmein' } })).status, 200);
+
+  const local = await startServer();
+  t.after(local.close);
+  assert.equal((await fetch(`${local.url}/api/backends`)).status, 200);
+
+  const loopbackOff = await startServer({ config: { allowLoopbackAdmin: false } });
+  t.after(loopbackOff.close);
+  assert.equal((await fetch(`${loopbackOff.url}/api/backends`)).status, 403);
+});
+
+test('requests forwarded by a reverse proxy on the same host need the admin token', async (t) => {
+  const proxied = await startServer({ config: { adminToken: 'letmein' } });
+  t.after(proxied.close);
+  assert.equal((await fetch(`${proxied.url}/api/backends`, { headers: { 'X-Forwarded-For': '203.0.113.7' } })).status, 403);
+  assert.equal((await fetch(`${proxied.url}/api/backends`, { headers: { Forwarded: 'for=203.0.113.7' } })).status, 403);
+  assert.equal((await postJson(`${proxied.url}/api/backends`, savedModel, { 'X-Real-IP': '203.0.113.7' })).status, 403);
+  assert.deepEqual(proxied.store.list().backends.map(backend => backend.id), ['default']);
+  const withToken = await fetch(`${proxied.url}/api/backends`, { headers: { 'X-Forwarded-For': '203.0.113.7', Authorization: 'Bearer letmein' } });
+  assert.equal(withToken.status, 200);
+});
+
+test('a saved API key is never sent to a changed URL', async (t) => {
+  const sink = await startSink();
+  t.after(sink.close);
+  const server = await startServer();
+  t.after(server.close);
+  const saved = server.store.save(savedModel);
+
+  const tested = await postJson(`${server.url}/api/backends/test`, { id: saved.id, backend: { ...savedModel, apiKey: '', url: sink.url } });
+  assert.equal(tested.status, 400);
+  assert.match((await tested.json()).error, /Enter the API key again/);
+
+  const update = await fetch(`${server.url}/api/backends/${saved.id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...savedModel, apiKey: '', url: sink.url }),
+  });
+  assert.equal(update.status, 400);
+  assert.equal(server.store.get(saved.id).url, savedModel.url);
+
+  const retyped = await postJson(`${server.url}/api/backends/test`, { id: saved.id, backend: { ...savedModel, type: 'http', apiKey: '', url: sink.url } });
+  assert.equal((await retyped.json()).ok, true);
+  assert.deepEqual(sink.requests, ['/predict']);
+  assert.ok(sink.requests.every(url => !url.includes('SECRET')));
+});
+
+test('/api/detect forwards the base64 image to the active backend', async (t) => {
+  const images = [];
+  const server = await startServer({ backend: { mode: 'mock', detect: async (image) => { images.push(image); return { outputs: [{ ok: true }] }; } } });
+  t.after(server.close);
+  const response = await postJson(`${server.url}/api/detect`, { image: 'data:image/jpeg;base64,AAAA' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { outputs: [{ ok: true }] });
+  assert.deepEqual(images, ['AAAA']);
+
+  assert.equal((await postJson(`${server.url}/api/detect`, { image: 'not base64!' })).status, 400);
+  assert.equal((await fetch(`${server.url}/api/detect`, { method: 'POST', body: '{oops' })).status, 400);
+  assert.equal((await postJson(`${server.url}/api/detect`, { image: 'AAAA', backendId: 'missing' })).status, 404);
+});
+
+test('/api/detect rejects bodies over the image size limit', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  // maxImageBytes is 1024, so about 2.4 kB of JSON is accepted
+  assert.equal((await postJson(`${server.url}/api/detect`, { image: 'A'.repeat(2000) })).status, 200);
+  const response = await postJson(`${server.url}/api/detect`, { image: 'A'.repeat(5000) });
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).error, 'Image too large.');
+});
+
+test('backend errors map to HTTP statuses without leaking internals', async (t) => {
+  let failure = null;
+  const server = await startServer({ backend: { mode: 'mock', detect: async () => { throw failure; } } });
+  t.after(server.close);
+  const detect = () => postJson(`${server.url}/api/detect`, { image: 'AAAA' });
+
+  failure = new InferenceError('Inference service error: 429 Too Many Requests', 429);
+  let response = await detect();
+  assert.equal(response.status, 429);
+  assert.match((await response.json()).error, /429/);
+
+  failure = new InferenceError('The inference service timed out.', 504);
+  assert.equal((await detect()).status, 504);
+
+  t.mock.method(console, 'error', () => {});
+  failure = new TypeError('secret internal detail');
+  response = await detect();
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), { error: 'Detection failed.' });
+});
+
+test('static files are only served from the build output', async (t) => {
+  const root = resolveStaticPath('/index.html');
+  assert.equal(resolveStaticPath('/'), root);
+  const distRoot = path.dirname(root);
+  assert.equal(path.dirname(resolveStaticPath('/assets/app.js')), path.join(distRoot, 'assets'));
+  ['/../package.json', '/assets/../../server/config.json', '/%2e%2e/%2e%2e/etc/passwd.js', '/..%5cserver%5cindex.js'].forEach(urlPath => {
+    const resolved = resolveStaticPath(urlPath);
+    assert.ok(resolved === null || resolved.startsWith(`${distRoot}${path.sep}`), urlPath);
+  });
+  ['/.env.js', '/assets/.hidden.css', '/server.mjs', '/%E0%A4%A'].forEach(urlPath => assert.equal(resolveStaticPath(urlPath), null, urlPath));
+
+  const server = await startServer();
+  t.after(server.close);
+  const { port } = new URL(server.url);
+  // fetch() would normalize the dots away, so send the raw path
+  const status = await new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: '/%2e%2e/server/index.js' }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+  assert.equal(status, 404);
+  assert.equal((await fetch(`${server.url}/api/detect`, { method: 'PATCH' })).status, 404);
+  assert.equal((await fetch(`${server.url}/index.html`, { method: 'POST' })).status, 405);
+});